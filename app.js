@@ -6,7 +6,7 @@ function checkZoomHint(){
     const s = window.visualViewport.scale;
     const el = document.getElementById("pillStatus");
     if(s && Math.abs(s - 1) > 0.02){
-      setPill("Nota: esta página está com zoom. Se vires um botão ‘X’ no topo (browser dentro de app), usa ⤴︎ Partilhar → Abrir no Safari → aA → Zoom 100%.", false);
+      setPill(t("Nota: esta página está com zoom. Se vires um botão ‘X’ no topo (browser dentro de app), usa ⤴︎ Partilhar → Abrir no Safari → aA → Zoom 100%."), false);
     }
   }catch{}
 }
@@ -22,10 +22,55 @@ const LS_PWA = "vni_pred_pwa_enabled";
 const LS_BASE = "vni_pred_baseurl";
 const LS_HISTORY = "vni_pred_history_v1";
 const LS_ROUND = "vni_pred_round_v1";
+const LS_RULES = "vni_pred_rules_v1";
+const LS_BED = "vni_pred_bed_v1";
 
 const $ = (id) => document.getElementById(id);
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (ch)=>({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" }[ch]));
 
-const views = ["calc","result","evidence","settings"];
+/* ---- LOCALE ----
+   t("texto {x}", { x }) → the message in the chosen language. Translations live in i18n.js (LOCALES),
+   keyed by the Portuguese source text as written here and in index.html; anything without an entry
+   stays in Portuguese. Tiers and rule factors/notes are translated by stable key (tierName, ruleText).
+*/
+const LS_LOCALE = "vni_pred_locale";
+let locale = "pt";
+
+function t(msg, vars){
+  const L = typeof LOCALES !== "undefined" ? LOCALES[locale] : null;
+  const s = (L && L.messages[msg]) || msg;
+  return vars ? s.replace(/\{(\w+)\}/g, (m, k)=>(k in vars ? String(vars[k]) : m)) : s;
+}
+
+// static text of index.html: text nodes and a few attributes are looked up by their (whitespace-
+// collapsed) Portuguese original, kept aside so the page can switch language more than once
+const I18N_ATTRS = ["placeholder", "title", "aria-label"];
+const i18nText = new WeakMap();
+const i18nAttrs = new WeakMap();
+
+function applyLocale(root = document.body){
+  const tr = (orig)=>{
+    const key = orig.replace(/\s+/g, " ").trim();
+    const s = key ? t(key) : key;
+    return s === key ? orig : orig.match(/^\s*/)[0] + s + orig.match(/\s*$/)[0];
+  };
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (n)=>(n.parentElement.closest("script, style, pre, textarea") ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  for(let n = walker.nextNode(); n; n = walker.nextNode()){
+    if(!i18nText.has(n)) i18nText.set(n, n.nodeValue);
+    n.nodeValue = tr(i18nText.get(n));
+  }
+  root.querySelectorAll(I18N_ATTRS.map(a=>`[${a}]`).join(",")).forEach(el=>{
+    if(!i18nAttrs.has(el)) i18nAttrs.set(el, Object.fromEntries(I18N_ATTRS.filter(a=>el.hasAttribute(a)).map(a=>[a, el.getAttribute(a)])));
+    Object.entries(i18nAttrs.get(el)).forEach(([a, v])=>el.setAttribute(a, tr(v)));
+  });
+  if(!i18nText.has(document)) i18nText.set(document, document.title);
+  document.title = tr(i18nText.get(document));
+  document.documentElement.lang = (typeof LOCALES !== "undefined" && LOCALES[locale] && LOCALES[locale].lang) || locale;
+}
+
+const views = ["calc","board","result","audit","evidence","settings"];
 
 function setRoute(route){
   views.forEach(v=>{
@@ -42,512 +87,2646 @@ function setRoute(route){
   });
 }
 
-function safeNum(x){
-  if(x === null || x === undefined) return null;
-  const s = String(x).trim().replace(",",".");
+/* ---- SCORING ENGINE (engine.js) ----
+   Case model, validation, rules, risk score, audit statistics, case files, CSV and FHIR mapping: pure code shared
+   with tools/score-batch.js, so the calculator and the batch scorer give the same results. The app hands it
+   its translator, locale (setLocale) and the rule set saved in Definições.
+*/
+const {
+  configure, safeNum, parseFiO2, toMonths, calcSF, TP_FIELDS, REASSESS_HOURS, SUPPORT_MODES, MODE_FIELDS,
+  normalizeCase, tpHasData, orderedTimepoints, latestTp, hLabel, tpClock, DIAG_LABELS, newCaseId,
+  validateCase, fmtCentile, pardsLine, CLINICAL_SCORES, CLIN_SEVERITY, clinScoreKey, clinItemsTotal,
+  clinSeverity, clinText, GAS_SAMPLES, acidBaseLine, DEFAULT_RULES, HFNC_RULES, RULE_INPUTS, RULE_OPS,
+  TIER_KEYS, rulesTag, validateRules, tierFor, tierName, inputLabel, computeRisk, counterfactualText, OUTCOMES,
+  isFailure, auditStats, SCHEMA_APP, SCHEMA_VERSION, readCaseFile, CSV_GROUPS, buildCsv, parseCsv, readCsv,
+  caseToFhir, fhirToCase
+} = VNIEngine;
+configure({ t, rules: activeRules });
+
+/* ---- UI + state ---- */
+let currentCaseId = null;
+let shownCase = null; // case behind the Resultado view (re-rendered when the language changes)
+
+function gather(){
+  return {
+    caseId: currentCaseId,
+    ageValue: $("ageValue").value,
+    ageUnit: $("ageUnit").value,
+    weight: $("weight") ? $("weight").value : "",
+    interface: $("interface") ? $("interface").value : "face",
+    pardsImaging: $("pardsImaging") ? $("pardsImaging").checked : false,
+    pardsCardiac: $("pardsCardiac") ? $("pardsCardiac").checked : false,
+    arfType: $("arfType").value,
+    diag: $("diag").value,
+    clinScore: $("clinScore") ? $("clinScore").value : "",
+    prism: $("prism").value,
+
+    rfHemodyn: $("rfHemodyn").checked,
+    rfGcs: $("rfGcs").checked,
+    rfSecretions: $("rfSecretions").checked,
+    rfApnea: $("rfApnea").checked,
+    rfPtx: $("rfPtx").checked,
+
+    cfHypox: $("cfHypox") ? $("cfHypox").checked : false,
+    cfWork: $("cfWork") ? $("cfWork").checked : false,
+    cfHypercap: $("cfHypercap") ? $("cfHypercap").checked : false,
+    cfIntol: $("cfIntol") ? $("cfIntol").checked : false,
+    flagsH: $("flagsH") ? $("flagsH").value : "",
+
+    nivStart: $("nivStart") ? $("nivStart").value : "",
+    timepoints: gatherTimepoints(),
+    reminder: currentReminder,
+  };
+}
+
+function gatherTimepoints(){
+  const base = { h: "0", mode: $("mode_0") ? $("mode_0").value : "bipap", gasType: $("gas_0") ? $("gas_0").value : "", clinItems: gatherClinItems(0) };
+  TP_FIELDS.forEach(k=>{ base[k] = $(`${k}_0`) ? $(`${k}_0`).value : ""; });
+  const tps = [base];
+  const n = document.querySelectorAll("#reassessList .mini").length;
+  for(let i = 1; i <= n; i++){
+    const tp = { h: $(`h_${i}`).value, mode: $(`mode_${i}`).value, gasType: $(`gas_${i}`).value, clinItems: gatherClinItems(i) };
+    // settings of other supports are hidden in the form and not kept
+    const own = SUPPORT_MODES[tp.mode].fields;
+    TP_FIELDS.forEach(k=>{ tp[k] = MODE_FIELDS.includes(k) && !own.includes(k) ? "" : $(`${k}_${i}`).value; });
+    tps.push(tp);
+  }
+  return tps;
+}
+
+// show only the settings of the support selected for timepoint i (+ L/min hint for HFNC flow)
+function applyModeFields(i){
+  const sel = $(`mode_${i}`);
+  if(!sel) return;
+  const own = SUPPORT_MODES[sel.value].fields;
+  MODE_FIELDS.forEach(k=>{
+    const el = $(`${k}_${i}`);
+    const row = el && el.closest(".row");
+    if(row) row.classList.toggle("hidden", !own.includes(k));
+  });
+  updateFlowHint(i);
+}
+
+function updateFlowHint(i){
+  const hint = $(`flowHint_${i}`);
+  if(!hint) return;
+  const flow = safeNum($(`flow_${i}`).value), w = safeNum($("weight") ? $("weight").value : "");
+  hint.textContent = flow !== null && w !== null ? `≈ ${(flow * w).toFixed(1)} L/min` : w === null ? t("indicar o peso para L/min") : "";
+}
+
+// clinical score of the case as currently selected in the form
+function formClinKey(){
+  return clinScoreKey({ clinScore: $("clinScore") ? $("clinScore").value : "", diag: $("diag").value });
+}
+
+// clinical score row of timepoint i: total, plus an item-by-item panel (fills the total once every item is scored)
+function clinPanelHtml(i, key){
+  const s = CLINICAL_SCORES[key];
+  const items = s ? s.items.map(it=>`
+          <div class="row">
+            <label class="label sm" for="ci_${i}_${it.key}">${t(it.label)}</label>
+            <select class="input sm" id="ci_${i}_${it.key}" data-clin="${i}">
+              <option value="">—</option>${it.options.map((o, v)=>o ? `<option value="${v}">${v} — ${t(o)}</option>` : "").join("")}
+            </select>
+          </div>`).join("") : "";
+  return `
+      <div class="row${s ? "" : " hidden"}">
+        <label class="label sm" for="clin_${i}">${s ? `${s.short} (0–${s.max})` : t("Score clínico")}</label>
+        <input class="input sm" id="clin_${i}" inputmode="numeric" placeholder="${s ? t("total ou por itens") : ""}" data-clin-key="${s ? key : ""}" />
+        <div class="muted small" id="clinHint_${i}"></div>
+      </div>${s ? `
+      <details class="clinItems">
+        <summary class="muted small">${t("Itens {score}", { score: t(s.label) })}</summary>${items}
+      </details>` : ""}`;
+}
+
+// items are tagged with the score they belong to (item keys repeat across scores)
+function gatherClinItems(i){
+  const total = $(`clin_${i}`);
+  const key = total ? total.dataset.clinKey : "";
+  const s = CLINICAL_SCORES[key];
   if(!s) return null;
-  const n = Number(s);
-  return Number.isFinite(n) ? n : null;
+  const items = { score: key };
+  s.items.forEach(it=>{
+    const el = $(`ci_${i}_${it.key}`);
+    if(el && el.value !== "") items[it.key] = el.value;
+  });
+  return Object.keys(items).length > 1 ? items : null;
 }
 
+function setClinItems(i, items){
+  const key = formClinKey();
+  const s = CLINICAL_SCORES[key];
+  if(!s) return;
+  const own = items && items.score === key ? items : {};
+  s.items.forEach(it=>{
+    const el = $(`ci_${i}_${it.key}`);
+    if(el) el.value = own[it.key] !== undefined ? String(own[it.key]) : "";
+  });
+  updateClinHint(i);
+}
 
+function updateClinHint(i){
+  const hint = $(`clinHint_${i}`);
+  const key = formClinKey();
+  if(!hint || !key) return;
+  const s = CLINICAL_SCORES[key];
+  const items = gatherClinItems(i) || {};
+  const n = s.items.filter(it=>items[it.key] !== undefined).length;
+  const total = safeNum($(`clin_${i}`).value);
+  const sev = total !== null && total >= 0 && total <= s.max ? t(CLIN_SEVERITY[clinSeverity(key, total)]) : "";
+  hint.textContent = [sev, n && n < s.items.length ? t("{n}/{total} itens", { n, total: s.items.length }) : ""].filter(Boolean).join(" • ");
+}
 
-function parseFiO2(x){
-  const n = safeNum(x);
-  if(n === null) return null;
-  // allow input in % (e.g., 40) or fraction (0.40)
-  if(n > 1.0 && n <= 100) return n / 100;
-  return n;
+function wireClinPanel(i){
+  document.querySelectorAll(`[data-clin="${i}"]`).forEach(sel=>{
+    sel.addEventListener("change", ()=>{
+      const total = clinItemsTotal(formClinKey(), gatherClinItems(i));
+      if(total !== null) $(`clin_${i}`).value = String(total);
+      updateClinHint(i);
+    });
+  });
+  const el = $(`clin_${i}`);
+  if(el) el.addEventListener("input", ()=>updateClinHint(i));
 }
 
+// diagnosis / score choice changed: rebuild every clinical panel, keeping the totals
+function renderClinPanels(){
+  const d = gather();
+  fill(d);
+  save(d);
+}
 
-function clamp(n, a, b){
-  return Math.max(a, Math.min(b, n));
+const REASSESS_INPUTS = [
+  ["spo2", "SpO₂ (%)", "numeric", "ex: 94"],
+  ["fio2", "FiO₂", "decimal", "ex: 0.40"],
+  ["rr", "FR (min⁻¹)", "numeric", "ex: 45"],
+  ["hr", "FC (min⁻¹)", "numeric", "ex: 145"],
+  ["clin", "", "", ""],
+  ["flow", "Fluxo (L/kg/min)", "decimal", "ex: 2"],
+  ["cpap", "CPAP (cmH₂O)", "numeric", "ex: 6"],
+  ["ipap", "IPAP (cmH₂O)", "numeric", "opcional"],
+  ["epap", "EPAP (cmH₂O)", "numeric", "opcional"],
+  ["map", "MAP (cmH₂O)", "decimal", "opcional (estimada se vazia)"],
+  ["ph", "pH", "decimal", "opcional"],
+  ["pco2", "pCO₂ (mmHg)", "numeric", "opcional"],
+  ["pao2", "PaO₂ (mmHg)", "numeric", "opcional (arterial)"],
+  ["hco3", "HCO₃⁻ (mmol/L)", "decimal", "opcional (calculado se vazio)"],
+  ["be", "BE (mmol/L)", "decimal", "opcional"],
+  ["lactate", "Lactato (mmol/L)", "decimal", "opcional"],
+];
+
+// built per render so the labels follow the locale
+function gasOptions(){
+  return `<option value="">${t("— não indicada —")}</option>` +
+    Object.entries(GAS_SAMPLES).map(([v, s])=>{ const l = t(s.label); return `<option value="${v}">${l[0].toUpperCase()}${l.slice(1)}</option>`; }).join("");
 }
 
-function toMonths(ageValue, unit){
-  const v = safeNum(ageValue);
-  if(v === null) return null;
-  if(unit === "days") return v / 30.4375;
-  if(unit === "years") return v * 12;
-  return v;
+function renderReassessments(list){
+  const box = $("reassessList");
+  if(!box) return;
+  const items = list.length ? list : [{ h: "1" }];
+  box.innerHTML = items.map((tp, j)=>{
+    const i = j + 1;
+    const clinKey = formClinKey();
+    const rows = REASSESS_INPUTS.map(([k, label, mode, ph])=>k === "clin" ? clinPanelHtml(i, clinKey) : `${k === "ph" ? `
+      <div class="row">
+        <label class="label sm" for="gas_${i}">${t("Gasometria (amostra)")}</label>
+        <select class="input sm" id="gas_${i}">${gasOptions()}</select>
+      </div>` : ""}
+      <div class="row">
+        <label class="label sm" for="${k}_${i}">${t(label)}</label>
+        <input class="input sm" id="${k}_${i}" inputmode="${mode}" placeholder="${t(ph)}" />${k === "flow" ? `
+        <div class="muted small" id="flowHint_${i}"></div>` : ""}
+      </div>`).join("");
+    const modes = Object.entries(SUPPORT_MODES).map(([v, m])=>`<option value="${v}">${t(m.label)}</option>`).join("");
+    return `
+      <div class="mini">
+        <div class="headrow">
+          <h3>${t("Reavaliação {i}", { i })}</h3>
+          ${items.length > 1 ? `<button class="hbtn" type="button" data-remove="${i}">${t("Remover")}</button>` : ""}
+        </div>
+        <div class="row">
+          <label class="label sm" for="h_${i}">${t("Tempo desde início (h)")}</label>
+          <input class="input sm" id="h_${i}" inputmode="decimal" placeholder="${t("ex: 1")}" />
+          <div class="muted small" id="hClock_${i}"></div>
+        </div>
+        <div class="row">
+          <label class="label sm" for="mode_${i}">${t("Suporte")}</label>
+          <select class="input sm" id="mode_${i}" data-mode="${i}">${modes}</select>
+        </div>${rows}
+      </div>`;
+  }).join("");
+
+  items.forEach((tp, j)=>{
+    const i = j + 1;
+    $(`h_${i}`).value = tp.h ?? "";
+    $(`mode_${i}`).value = SUPPORT_MODES[tp.mode] ? tp.mode : ($("mode_0") ? $("mode_0").value : "bipap");
+    TP_FIELDS.forEach(k=>{ $(`${k}_${i}`).value = tp[k] ?? ""; });
+    $(`gas_${i}`).value = GAS_SAMPLES[tp.gasType] ? tp.gasType : "";
+    setClinItems(i, tp.clinItems);
+    wireClinPanel(i);
+    applyModeFields(i);
+  });
+  box.querySelectorAll("[data-mode]").forEach(sel=>{
+    sel.addEventListener("change", ()=>applyModeFields(Number(sel.dataset.mode)));
+  });
+  box.querySelectorAll("[id^='flow_']").forEach(el=>{
+    el.addEventListener("input", ()=>updateFlowHint(el.id.slice(5)));
+  });
+  box.querySelectorAll("[data-remove]").forEach(btn=>{
+    btn.addEventListener("click", ()=>removeReassessment(Number(btn.dataset.remove)));
+  });
+
+  updateReassessClock();
+  applyRoundFields(document.body.classList.contains("roundMode"));
 }
 
-function calcSF(spo2, fio2){
-  const s = safeNum(spo2);
-  const f = parseFiO2(fio2);
-  if(s === null || f === null || f <= 0) return null;
-  return s / f;
+function nextReassessHour(tps){
+  const hs = tps.slice(1).map(tp=>safeNum(tp.h)).filter(h=>h !== null);
+  const last = hs.length ? Math.max(...hs) : 0;
+  const start = $("nivStart") ? $("nivStart").value : "";
+  if(start){
+    const elapsed = (Date.now() - new Date(start).getTime()) / 3600000;
+    if(Number.isFinite(elapsed) && elapsed > last) return String(Math.round(elapsed * 4) / 4);
+  }
+  const next = REASSESS_HOURS.find(h=>h > last);
+  return String(next ?? last + 12);
 }
 
-function pctChange(newV, oldV){
-  const a = safeNum(newV), b = safeNum(oldV);
-  if(a === null || b === null || b === 0) return null;
-  return (a - b) / b * 100;
+function addReassessment(){
+  const tps = gatherTimepoints();
+  tps.push({ h: nextReassessHour(tps), mode: tps[tps.length - 1].mode });
+  renderReassessments(tps.slice(1));
+  save(gather());
+  const i = tps.length - 1;
+  $(`spo2_${i}`) && $(`spo2_${i}`).focus();
 }
 
-/* ---- RISK MODEL (transparent rules) ----
-   Core evidence:
-   - SF at 1h cutoff ~193 for early NIV failure (≤6h). Mayordomo-Colunga 2013.
-   - Lower RR decrease at 1h and 6h associated with failure. Mayordomo-Colunga 2009/2013.
-   - Age <6 months, SF, HR and IPAP at 2h independent predictors (Pons-Òdena 2019).
-   - High initial FiO2 / low SF / lack of improvement in tachypnea (Baker 2021).
-*/
-function computeRisk(d){
-  const out = {
-    sf0: null, sf1: null,
-    drrPct: null, dhrPct: null, dpco2: null,
-    oxyCtx: null,
-    score: 0,
-    tier: "—",
-    badge: "—",
-    explain: "",
-    actions: [],
-    summary: "",
-    topFactors: [],
-    brief: ""
-  };
+function removeReassessment(i){
+  const tps = gatherTimepoints();
+  tps.splice(i, 1);
+  renderReassessments(tps.slice(1));
+  save(gather());
+  updateLivePreview();
+}
+
+function updateReassessClock(){
+  const start = $("nivStart") ? $("nivStart").value : "";
+  document.querySelectorAll("#reassessList [id^='hClock_']").forEach(el=>{
+    const i = el.id.slice(7);
+    const at = tpClock(start, $(`h_${i}`).value);
+    el.textContent = at ? `≈ ${at.toLocaleTimeString(locale, {hour:"2-digit", minute:"2-digit"})}` : "";
+  });
+}
+
+function fill(d){
+  const c = normalizeCase(d);
+  currentCaseId = c.caseId || newCaseId();
+  $("ageValue").value = c.ageValue ?? "";
+  $("ageUnit").value = c.ageUnit ?? "months";
+  $("arfType").value = c.arfType ?? "type2";
+  $("diag").value = c.diag ?? "bronchiolitis";
+  if($("clinScore")) $("clinScore").value = CLINICAL_SCORES[c.clinScore] ? c.clinScore : "";
+  $("prism").value = c.prism ?? "";
+
+  $("rfHemodyn").checked = !!c.rfHemodyn;
+  $("rfGcs").checked = !!c.rfGcs;
+  $("rfSecretions").checked = !!c.rfSecretions;
+  $("rfApnea").checked = !!c.rfApnea;
+  $("rfPtx").checked = !!c.rfPtx;
+
+  if($("cfHypox")) $("cfHypox").checked = !!c.cfHypox;
+  if($("cfWork")) $("cfWork").checked = !!c.cfWork;
+  if($("cfHypercap")) $("cfHypercap").checked = !!c.cfHypercap;
+  if($("cfIntol")) $("cfIntol").checked = !!c.cfIntol;
+  if($("flagsH")) $("flagsH").value = c.flagsH ?? "";
+
+  if($("nivStart")) $("nivStart").value = c.nivStart ?? "";
+  if($("weight")) $("weight").value = c.weight ?? "";
+  if($("interface")) $("interface").value = c.interface === "nasal" ? "nasal" : "face";
+  if($("pardsImaging")) $("pardsImaging").checked = !!c.pardsImaging;
+  if($("pardsCardiac")) $("pardsCardiac").checked = !!c.pardsCardiac;
+  if($("mode_0")) $("mode_0").value = c.timepoints[0].mode;
+  if($("gas_0")) $("gas_0").value = GAS_SAMPLES[c.timepoints[0].gasType] ? c.timepoints[0].gasType : "";
+  if($("clinBox_0")) $("clinBox_0").innerHTML = clinPanelHtml(0, formClinKey());
+  TP_FIELDS.forEach(k=>{
+    const el = $(`${k}_0`);
+    if(el) el.value = c.timepoints[0][k] ?? "";
+  });
+  setClinItems(0, c.timepoints[0].clinItems);
+  wireClinPanel(0);
+  renderReassessments(c.timepoints.slice(1));
+  currentReminder = c.reminder || null;
 
-  // red flags => immediate very high
-  const operationalCriteria = [
-    d.cfHypox, d.cfWork, d.cfHypercap, d.cfIntol
-  ].some(Boolean);
+  updateAgeHint();
+  refreshReminders();
+}
 
-  const redFlags = [
-    d.rfHemodyn, d.rfGcs, d.rfSecretions, d.rfApnea, d.rfPtx
-  ].some(Boolean);
+/* ---- CASE STORE (IndexedDB) ----
+   - "cases": one record per case (id = caseId), no cap; history, outcomes and audit read from here.
+   - "drafts": the working case(s) of the calculator (key "current").
+   - Legacy localStorage data (vni_pred_v1 / vni_pred_history_v1) is migrated once, on start.
+*/
+const DB_NAME = "vni_pred_db";
+const DB_VERSION = 1;
+const DRAFT_KEY = "current";
+let dbPromise = null;
+
+function openDB(){
+  if(dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject)=>{
+    if(!window.indexedDB){ reject(new Error("IndexedDB não suportado")); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = ()=>{
+      const db = req.result;
+      if(!db.objectStoreNames.contains("cases")){
+        const store = db.createObjectStore("cases", { keyPath: "id" });
+        store.createIndex("updatedAt", "updatedAt");
+      }
+      if(!db.objectStoreNames.contains("drafts")) db.createObjectStore("drafts", { keyPath: "key" });
+    };
+    req.onsuccess = ()=>resolve(req.result);
+    req.onerror = ()=>reject(req.error);
+  });
+  return dbPromise;
+}
 
-  const factors = [];
-  const addFactor = (w, label) => { factors.push({w, label}); };
+function dbTx(storeName, mode, fn){
+  return openDB().then(db=>new Promise((resolve, reject)=>{
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = ()=>resolve(req ? req.result : undefined);
+    tx.onerror = ()=>reject(tx.error);
+    tx.onabort = ()=>reject(tx.error);
+  }));
+}
 
-  // derived
-  out.sf0 = calcSF(d.spo2_0, d.fio2_0);
-  out.sf1 = calcSF(d.spo2_1, d.fio2_1);
+const dbGet = (storeName, key)=>dbTx(storeName, "readonly", s=>s.get(key));
+const dbGetAll = (storeName)=>dbTx(storeName, "readonly", s=>s.getAll());
+const dbPut = (storeName, value)=>dbTx(storeName, "readwrite", s=>s.put(value));
+const dbDelete = (storeName, key)=>dbTx(storeName, "readwrite", s=>s.delete(key));
 
-  out.drrPct = (safeNum(d.rr_1) !== null && safeNum(d.rr_0) !== null) ? pctChange(d.rr_1, d.rr_0) : null;
-  out.dhrPct = (safeNum(d.hr_1) !== null && safeNum(d.hr_0) !== null) ? pctChange(d.hr_1, d.hr_0) : null;
+// the calculator edits either the free draft ("current") or the open bed slot (activeBed)
+function save(d){
+  const rec = activeBed ? { ...activeBed, data: d } : { key: DRAFT_KEY, data: d };
+  dbPut("drafts", { ...rec, savedAt: new Date().toISOString() })
+    .catch(e=>console.error("save draft", e));
+}
 
-  const pco2_0 = safeNum(d.pco2_0), pco2_1 = safeNum(d.pco2_1);
-  if(pco2_0 !== null && pco2_1 !== null){
-    out.dpco2 = pco2_1 - pco2_0; // negative is improvement
+async function load(){
+  try{
+    const bedKey = localStorage.getItem(LS_BED);
+    const bed = bedKey ? await dbGet("drafts", bedKey) : null;
+    if(bed){
+      activeBed = { key: bed.key, label: bed.label, createdAt: bed.createdAt };
+      return bed.data || null;
+    }
+    const rec = await dbGet("drafts", DRAFT_KEY);
+    return rec ? rec.data : null;
+  }catch(e){
+    console.error(e);
+    return null;
   }
+}
 
-  const ageM = toMonths(d.ageValue, d.ageUnit);
+// legacy "when" was new Date().toLocaleString() on this device: "19/10/2024, 14:05:09", "10/19/2024, 2:05:09 PM",
+// "2024-10-19 14:05:09"… → ISO string, or null if it cannot be read (the case then stays undated)
+function parseLegacyWhen(s){
+  if(typeof s !== "string") return null;
+  const time = s.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?/i);
+  let hh = time ? Number(time[1]) : 0;
+  if(time && time[4]) hh = hh % 12 + (/p/i.test(time[4]) ? 12 : 0);
+  const at = (y, mo, d)=>{
+    const dt = new Date(y, mo - 1, d, hh, time ? Number(time[2]) : 0, time && time[3] ? Number(time[3]) : 0);
+    return dt.getFullYear() === y && dt.getMonth() === mo - 1 && dt.getDate() === d ? dt : null;
+  };
+  let m = s.match(/(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if(m){
+    const dt = at(Number(m[1]), Number(m[2]), Number(m[3]));
+    return dt ? dt.toISOString() : null;
+  }
+  m = s.match(/(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if(!m) return null;
+  const [a, b, y] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const dm = at(y, b, a), md = at(y, a, b);
+  // both readings valid (day ≤ 12): the one this browser writes back identically, else its own date order
+  const same = [dm, md].find(dt=>dt && dt.toLocaleString() === s);
+  const dayFirst = /^\D*22/.test(new Date(2000, 10, 22).toLocaleDateString());
+  const dt = same || (dm && md ? (dayFirst ? dm : md) : dm || md);
+  return dt ? dt.toISOString() : null;
+}
 
-  // score components (0–100)
-  let score = 0;
+// the localStorage history was scored by the heuristic that became rule set 1.0.0 (same tiers)
+const LEGACY_RULES = `${DEFAULT_RULES.id}@1.0.0`;
 
-  // 1) SF at 1–2 h (heavy weight)
-  if(out.sf1 !== null){
-    if(out.sf1 < 150) { score += 40; addFactor(40, `SF 1–2 h < 150 (SF=${out.sf1.toFixed(0)})`); }
-    else if(out.sf1 < 193) { score += 30; addFactor(30, `SF 1–2 h < 193 (SF=${out.sf1.toFixed(0)})`); }        // evidence-driven threshold
-    else if(out.sf1 < 220) { score += 18; addFactor(18, `SF 1–2 h 193–219 (SF=${out.sf1.toFixed(0)})`); }
-    else if(out.sf1 < 260) { score += 10; addFactor(10, `SF 1–2 h 220–259 (SF=${out.sf1.toFixed(0)})`); }
-    else score += 3;
-  } else {
-    score += 10; // unknown => conservative
+// legacy entry → score, tier label, tierKey, rules and brief (rescored when it has no usable score)
+function legacyResult(h, data){
+  if(!Number.isFinite(h.score)){
+    const r = computeRisk(data);
+    return { score: r.score, tier: r.tier, tierKey: r.tierKey, rules: r.rules, brief: r.brief };
   }
+  const tier = DEFAULT_RULES.tiers.find(x=>x.label === h.tier) || tierFor(DEFAULT_RULES, h.score);
+  return { score: h.score, tier: tier.label, tierKey: tier.key, rules: LEGACY_RULES, brief: String(h.brief ?? "") };
+}
 
-  // 2) Change in RR (expect decrease)
-  // note: drrPct is (new-old)/old, so negative is improvement
-  if(out.drrPct !== null){
-    if(out.drrPct >= 0) { score += 18; addFactor(18, "FR não melhorou / piorou"); }           // no improvement/worse
-    else if(out.drrPct > -10) { score += 12; addFactor(12, "Queda de FR < 10%" ); }     // <10% drop
-    else if(out.drrPct > -20) score += 7;
-    else score += 2;
-  } else {
-    score += 6;
+async function migrateLegacy(){
+  const rawHist = localStorage.getItem(LS_HISTORY);
+  const rawCur = localStorage.getItem(LS_KEY);
+  if(!rawHist && !rawCur) return 0;
+
+  let n = 0;
+  let hist = [];
+  try{ hist = JSON.parse(rawHist || "[]"); }catch{ hist = []; }
+  if(Array.isArray(hist)){
+    for(const h of hist){
+      if(!h || !h.data) continue;
+      const id = h.id || (h.data && h.data.caseId) || newCaseId();
+      if(await dbGet("cases", id)) continue;
+      // unreadable "when": no timestamp (listed last, left out of date filters) rather than the migration time
+      const ts = parseLegacyWhen(h.when);
+      const data = { ...normalizeCase(h.data), caseId: id };
+      await dbPut("cases", {
+        ...h, id, data, ...legacyResult(h, data),
+        diag: h.data.diag || null,
+        createdAt: ts, updatedAt: ts, migratedFrom: LS_HISTORY
+      });
+      n++;
+    }
+  }
+  if(rawCur){
+    try{
+      const cur = JSON.parse(rawCur);
+      const { savedAt, ...data } = cur || {};
+      if(!(await dbGet("drafts", DRAFT_KEY))) await dbPut("drafts", { key: DRAFT_KEY, data, savedAt: savedAt || new Date().toISOString() });
+    }catch{}
   }
+  localStorage.removeItem(LS_HISTORY);
+  localStorage.removeItem(LS_KEY);
+  return n;
+}
 
-  // 3) Change in HR (supportive)
-  if(out.dhrPct !== null){
-    if(out.dhrPct >= 0) score += 10;
-    else if(out.dhrPct > -5) score += 7;
-    else if(out.dhrPct > -10) score += 4;
-    else score += 1;
-  } else {
-    score += 3;
+// one record per case (caseId): recalculating replaces it but keeps its outcome and creation time
+async function pushHistory(entry){
+  const now = new Date().toISOString();
+  const prev = await dbGet("cases", entry.id);
+  const rec = { ...entry, diag: entry.data ? entry.data.diag : null, createdAt: prev ? prev.createdAt : now, updatedAt: now };
+  if(prev && prev.outcome) rec.outcome = prev.outcome;
+  await dbPut("cases", rec);
+  return rec;
+}
+
+async function loadHistory(){
+  try{
+    const all = await dbGetAll("cases");
+    return all.sort((a,b)=>String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")));
+  }catch(e){
+    console.error(e);
+    return [];
   }
+}
 
-  // 4) Age risk
-  if(ageM !== null){
-    if(ageM < 6) { score += 10; addFactor(10, "Idade < 6 meses"); }        // Pons-Òdena 2019; synchrony issues etc.
-    else if(ageM < 12) score += 6;
-    else score += 2;
-  } else {
-    score += 4;
+// display date of a stored case; undated (legacy) cases show their original text
+function caseDate(h){
+  return h.updatedAt ? new Date(h.updatedAt).toLocaleString(locale) : (h.when || t("data desconhecida"));
+}
+
+// filter: { diag, tier, from, to (yyyy-mm-dd), outcome ("" | none | success | failure | intubation | escalation), q }
+function filterCases(cases, f){
+  const q = (f.q || "").trim().toLowerCase();
+  const from = f.from ? new Date(`${f.from}T00:00:00`).getTime() : null;
+  const to = f.to ? new Date(`${f.to}T23:59:59.999`).getTime() : null;
+  return cases.filter(h=>{
+    if(f.diag && h.diag !== f.diag) return false;
+    if(f.tier && h.tierKey !== f.tier) return false;
+    // undated (legacy) cases cannot be placed in a date range
+    const at = h.updatedAt ? new Date(h.updatedAt).getTime() : NaN;
+    if(from !== null && !(at >= from)) return false;
+    if(to !== null && !(at <= to)) return false;
+    const st = h.outcome && h.outcome.status;
+    if(f.outcome === "none" && st) return false;
+    if(f.outcome === "failure" && !isFailure(h.outcome)) return false;
+    if(f.outcome && !["none", "failure"].includes(f.outcome) && st !== f.outcome) return false;
+    if(q && !String(h.brief || "").toLowerCase().includes(q)) return false;
+    return true;
+  });
+}
+
+async function setOutcome(id, outcome){
+  const h = await dbGet("cases", id);
+  if(!h) return;
+  if(outcome && outcome.status) h.outcome = { ...outcome, recordedAt: new Date().toISOString() };
+  else delete h.outcome;
+  await dbPut("cases", h);
+}
+
+async function deleteCase(id){
+  await dbDelete("cases", id);
+}
+
+function outcomeEditor(h){
+  const o = h.outcome || {};
+  const box = document.createElement("div");
+  box.className = "outcome inline";
+
+  const sel = document.createElement("select");
+  sel.className = "input sm";
+  sel.setAttribute("aria-label", t("Desfecho"));
+  [["", "— desfecho —"], ...Object.entries(OUTCOMES)].forEach(([v, label])=>{
+    const opt = document.createElement("option");
+    opt.value = v;
+    opt.textContent = t(label);
+    sel.appendChild(opt);
+  });
+  sel.value = o.status || "";
+
+  const hours = document.createElement("input");
+  hours.className = "input sm";
+  hours.inputMode = "decimal";
+  hours.placeholder = t("h até falência");
+  hours.setAttribute("aria-label", t("Horas desde o início da VNI até à falência"));
+  hours.value = o.hoursToFailure ?? "";
+
+  const support = document.createElement("input");
+  support.className = "input sm";
+  support.placeholder = t("suporte (ex: VNI→VMI, ECMO)");
+  support.setAttribute("aria-label", t("Suporte para que escalou"));
+  support.value = o.escalatedTo ?? "";
+
+  const sync = ()=>{
+    const fail = sel.value === "intubation" || sel.value === "escalation";
+    hours.classList.toggle("hidden", !fail);
+    support.classList.toggle("hidden", sel.value !== "escalation");
+  };
+  const commit = ()=>{
+    sync();
+    setOutcome(h.id, sel.value ? { status: sel.value, hoursToFailure: hours.value, escalatedTo: sel.value === "escalation" ? support.value : "" } : null)
+      .catch(e=>console.error("outcome", e));
+  };
+  sel.addEventListener("change", commit);
+  hours.addEventListener("change", commit);
+  support.addEventListener("change", commit);
+  sync();
+
+  box.appendChild(sel);
+  box.appendChild(hours);
+  box.appendChild(support);
+  return box;
+}
+
+function historyFilter(){
+  const v = (id)=>($(id) ? $(id).value : "");
+  return { diag: v("hfDiag"), tier: v("hfTier"), from: v("hfFrom"), to: v("hfTo"), outcome: v("hfOutcome"), q: v("hfQuery") };
+}
+
+const HISTORY_PAGE = 50;
+let historyLimit = HISTORY_PAGE;
+
+async function renderHistory(){
+  const box = $("historyList");
+  if(!box) return;
+  const all = await loadHistory();
+  const hist = filterCases(all, historyFilter());
+  if($("historyCount")) $("historyCount").textContent = all.length ? t("{n} de {total} casos", { n: hist.length, total: all.length }) : "";
+  if(hist.length === 0){
+    box.innerHTML = `<div class="muted">${esc(all.length ? t("Nenhum caso corresponde aos filtros.") : t("Sem histórico ainda."))}</div>`;
+    return;
   }
+  box.innerHTML = "";
+  hist.slice(0, historyLimit).forEach((h)=>{
+    const wrap = document.createElement("div");
+    wrap.className = "hitem";
+
+    const meta = document.createElement("div");
+    meta.className = "hmeta";
+    const l1 = document.createElement("div");
+    l1.className = "hline1";
+    // stored tierKey → current locale (older records only have the Portuguese label)
+    const tier = h.tierKey ? tierName({ key: h.tierKey, label: h.tier }) : h.tier;
+    l1.textContent = `${tier} • ${h.score}/100 • ${caseDate(h)}`;
+    const l2 = document.createElement("div");
+    l2.className = "hline2";
+    l2.textContent = h.rules ? `${h.brief}${h.brief ? "\n" : ""}${t("Regras: {rules}", { rules: h.rules })}` : h.brief;
+
+    meta.appendChild(l1);
+    meta.appendChild(l2);
+    if(h.id) meta.appendChild(outcomeEditor(h));
+
+    const btns = document.createElement("div");
+    btns.className = "hbtns";
+    const btn = document.createElement("button");
+    btn.className = "hbtn";
+    btn.textContent = t("Carregar");
+    btn.addEventListener("click", ()=>{
+      fill(h.data);
+      save(gather());
+      setRoute("calc");
+      window.scrollTo({top:0, behavior:"smooth"});
+    });
+    const del = document.createElement("button");
+    del.className = "hbtn danger";
+    del.textContent = t("Apagar");
+    del.addEventListener("click", async ()=>{
+      if(!confirm(t("Apagar este caso do histórico local?"))) return;
+      await deleteCase(h.id);
+      renderHistory();
+    });
+    btns.appendChild(btn);
+    btns.appendChild(del);
 
-  // 5) ARF type / diagnosis
-  if(d.arfType === "type1") { score += 10; addFactor(10, "IRA hipoxémica (tipo 1)"); } // Mayordomo 2009: type1 higher failure odds
-  if(d.diag === "ards") { score += 12; addFactor(12, "ARDS" ); }
-  else if(d.diag === "pneumonia") { score += 8; addFactor(8, "Pneumonia" ); }
+    wrap.appendChild(meta);
+    wrap.appendChild(btns);
+    box.appendChild(wrap);
+  });
+  if(hist.length > historyLimit){
+    const more = document.createElement("button");
+    more.className = "btn ghost";
+    more.textContent = t("Mostrar mais ({n})", { n: hist.length - historyLimit });
+    more.addEventListener("click", ()=>{ historyLimit += HISTORY_PAGE; renderHistory(); });
+    box.appendChild(more);
+  }
+}
 
-  // 6) FiO2 at initiation (proxy severity)
-  const fio2_0 = safeNum(d.fio2_0);
 
-  if(fio2_0 !== null){
-    if(fio2_0 >= 0.8) score += 8;
-    else if(fio2_0 >= 0.6) score += 5;
-    else if(fio2_0 >= 0.4) score += 3;
-    else score += 1;
+async function renderAudit(){
+  if(!$("auditSummary")) return;
+  const src = $("auditScoreSrc") ? $("auditScoreSrc").value : "stored";
+  const st = auditStats(await loadHistory(), src);
+  const pct = (v)=>(v === null || v === undefined ? "—" : `${(v * 100).toFixed(0)}%`);
+  const aucTxt = (a)=>(a ? `${a.auc.toFixed(2)} (${a.lo.toFixed(2)}–${a.hi.toFixed(2)})` : "—");
+  const table = (head, rows)=>`<table class="tbl"><thead><tr>${head.map(h=>`<th>${esc(t(h))}</th>`).join("")}</tr></thead><tbody>${
+    rows.map(r=>`<tr>${r.map(c=>`<td>${esc(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+  const perf = (c)=>[`${c.tp}/${c.fp}/${c.fn}/${c.tn}`, pct(c.sens), pct(c.spec), pct(c.ppv), pct(c.npv)];
+  const perfHead = ["VP/FP/FN/VN", "Sens.", "Espec.", "VPP", "VPN"].map(h=>t(h));
+
+  const med = st.medianHoursToFailure;
+  $("auditSummary").innerHTML = [
+    ["Casos com desfecho", String(st.n)],
+    ["Falências (intubação/escalada)", `${st.failures}${st.n ? ` (${pct(st.failures / st.n)})` : ""}`],
+    ["Tempo até falência (mediana)", med === null ? "—" : hLabel(med)],
+    ["AUROC do score (IC 95%)", aucTxt(st.auc)],
+    ["Regras", st.rulesUsed.join(", ") || "—"]
+  ].map(([k, v])=>`<div class="k">${esc(t(k))}</div><div class="v">${esc(v)}</div>`).join("");
+
+  if(!st.n){
+    ["auditThresholds", "auditTiers", "auditCalib", "auditMarkers"].forEach(id=>{
+      $(id).innerHTML = `<div class="muted">${esc(t("Regista o desfecho dos casos no Histórico (Resultado) para ver o desempenho."))}</div>`;
+    });
+    return;
   }
 
-  // 7) PRISM (optional)
-  const prism = safeNum(d.prism);
-  if(prism !== null){
-    if(prism >= 10) score += 10;
-    else if(prism >= 5) score += 6;
-    else if(prism >= 1) score += 3;
+  $("auditThresholds").innerHTML = table(["Score ≥", ...perfHead], st.thresholds.map(x=>[String(x.t), ...perf(x)]));
+  $("auditTiers").innerHTML = table(["Nível", "N", "Falências", "Taxa", t("Teste “≥ nível”: {head}", { head: perfHead[0] }), ...perfHead.slice(1)],
+    st.tiers.map(x=>[x.label, String(x.n), String(x.failures), x.n ? pct(x.failures / x.n) : "—", ...perf(x.atLeast)]));
+
+  const calib = table(["Score", "N", "Falências", "Taxa observada"],
+    st.calibration.map(b=>[`${b.lo}–${b.hi}`, String(b.n), String(b.failures), b.n ? pct(b.failures / b.n) : "—"]));
+  $("auditCalib").innerHTML = calib;
+
+  $("auditMarkers").innerHTML = table(["Marcador", "N", ...perfHead], st.markers.map(m=>[m.label, String(m.n), ...perf(m)])) +
+    `<h3 class="subhead">${esc(t("Componentes do score (AUROC dos pontos)"))}</h3>` +
+    table(["Componente", "AUROC (IC 95%)"], st.components.map(c=>[c.label, aucTxt(c.auc)]));
+}
+
+/* ---- BED BOARD (rounds) ----
+   Named slots ("Box 3") stored in "drafts" as { key: "bed:<id>", label, createdAt, data }.
+   Labels are beds, never patients: no names or record numbers.
+*/
+const BED_PREFIX = "bed:";
+let activeBed = null;
+
+async function loadBeds(){
+  const all = await dbGetAll("drafts");
+  return all.filter(r=>String(r.key).startsWith(BED_PREFIX))
+    .sort((a,b)=>String(a.label).localeCompare(String(b.label), undefined, { numeric: true }));
+}
+
+// tier, latest SF, time since last reassessment and whether the next scheduled one is overdue
+function bedStatus(d, now = Date.now()){
+  const c = normalizeCase(d);
+  const tps = orderedTimepoints(c.timepoints);
+  const st = { tier: null, tierKey: null, score: null, sf: null, sfH: null, lastAt: null, sinceMin: null, dueAt: null, overdue: false, nextH: null };
+  if(!tps.some(tpHasData)) return st;
+
+  if(!validateCase(c).errors.length){
+    const r = computeRisk(c);
+    Object.assign(st, { tier: r.tier, tierKey: r.tierKey, score: r.score, sf: r.sf1, sfH: r.sf1H });
   }
 
-  // 8) IPAP at 1–2 h (optional; higher IPAP early associated with failure in one study)
-  const ipap = safeNum(d.ipap_1);
+  const last = latestTp(tps, tp=>tpHasData(tp) && safeNum(tp.h) !== null);
+  const lastH = last ? safeNum(last.h) : 0;
+  st.nextH = REASSESS_HOURS.find(h=>h > lastH) ?? lastH + 12;
+  st.lastAt = last ? tpClock(c.nivStart, last.h) : null;
+  st.dueAt = tpClock(c.nivStart, st.nextH);
+  if(st.lastAt) st.sinceMin = Math.max(0, Math.round((now - st.lastAt.getTime()) / 60000));
+  st.overdue = !!st.dueAt && now > st.dueAt.getTime();
+  return st;
+}
+
+function fmtSince(min){
+  if(min === null) return "—";
+  if(min < 60) return t("há {m} min", { m: min });
+  return t("há {h} h {m} min", { h: Math.floor(min / 60), m: String(min % 60).padStart(2, "0") });
+}
+
+async function addBed(){
+  const input = $("bedLabel");
+  const label = (input ? input.value : "").trim();
+  if(!label){ setPill(t("Indica a cama (ex: Box 3)."), false); return; }
+  const beds = await loadBeds();
+  if(beds.some(b=>b.label.toLowerCase() === label.toLowerCase())){ setPill(t("Já existe “{label}”.", { label }), false); return; }
+  const now = new Date().toISOString();
+  await dbPut("drafts", { key: `${BED_PREFIX}${newCaseId()}`, label, createdAt: now, savedAt: now, data: { caseId: newCaseId() } });
+  if(input) input.value = "";
+  renderBoard();
+}
+
+async function openBed(key){
+  const bed = await dbGet("drafts", key);
+  if(!bed) return;
+  save(gather());
+  activeBed = { key: bed.key, label: bed.label, createdAt: bed.createdAt };
+  localStorage.setItem(LS_BED, bed.key);
+  fill(bed.data || {});
+  updateBedIndicator();
+  updateLivePreview();
+  setRoute("calc");
+  window.scrollTo({top:0, behavior:"smooth"});
+}
+
+async function closeBed(){
+  if(!activeBed) return;
+  save(gather());
+  activeBed = null;
+  localStorage.removeItem(LS_BED);
+  const rec = await dbGet("drafts", DRAFT_KEY);
+  fill(rec ? rec.data : {});
+  updateBedIndicator();
+  updateLivePreview();
+}
+
+async function renameBed(key){
+  const bed = await dbGet("drafts", key);
+  if(!bed) return;
+  const label = (prompt(t("Novo nome da cama (sem identificação do doente):"), bed.label) || "").trim();
+  if(!label || label === bed.label) return;
+  await dbPut("drafts", { ...bed, label });
+  if(activeBed && activeBed.key === key){ activeBed.label = label; updateBedIndicator(); }
+  renderBoard();
+}
 
-  if(ipap !== null){
-    if(ipap >= 18) score += 6;
-    else if(ipap >= 14) score += 3;
+async function removeBed(key){
+  if(!confirm(t("Libertar esta cama? O caso em curso é apagado (o histórico mantém-se)."))) return;
+  await dbDelete("drafts", key);
+  if(activeBed && activeBed.key === key){
+    activeBed = null;
+    localStorage.removeItem(LS_BED);
+    fill({});
+    updateBedIndicator();
   }
+  renderBoard();
+}
 
-  // 9) pCO2 / pH trend (supportive, not always available)
-  const ph0 = safeNum(d.ph_0), ph1 = safeNum(d.ph_1);
-  if(out.dpco2 !== null){
-    if(out.dpco2 >= 5) score += 6;       // CO2 rising
-    else if(out.dpco2 >= 0) score += 3;  // not improving
-    else score += 1;
+function updateBedIndicator(){
+  const el = $("bedActive");
+  if(!el) return;
+  el.classList.toggle("hidden", !activeBed);
+  if($("bedActiveLabel")) $("bedActiveLabel").textContent = activeBed ? activeBed.label : "";
+}
+
+async function renderBoard(){
+  const box = $("boardGrid");
+  if(!box) return;
+  let beds;
+  try{ beds = await loadBeds(); }catch(e){ console.error(e); beds = []; }
+  if(activeBed){
+    // the open bed may have unsaved edits in the form
+    const b = beds.find(x=>x.key === activeBed.key);
+    if(b) b.data = gather();
   }
-  if(ph0 !== null && ph1 !== null){
-    if(ph1 < ph0 - 0.02) score += 4;     // worsening acidosis
-    else if(ph1 < ph0 + 0.01) score += 2;
+  if(!beds.length){
+    box.innerHTML = `<div class="muted">${esc(t("Sem camas. Adiciona uma acima (ex: “Box 3”)."))}</div>`;
+    return;
   }
+  const now = Date.now();
+  box.innerHTML = "";
+  beds.forEach(b=>{
+    const st = bedStatus(b.data, now);
+    const card = document.createElement("div");
+    card.className = `bed${st.tierKey ? ` tier-${st.tierKey}` : ""}${st.overdue ? " overdue" : ""}${activeBed && activeBed.key === b.key ? " active" : ""}`;
+
+    const at = (dt)=>(dt ? dt.toLocaleTimeString(locale, {hour:"2-digit", minute:"2-digit"}) : "—");
+    const due = st.dueAt ? `${hLabel(st.nextH)} (${at(st.dueAt)})` : st.nextH !== null ? `${hLabel(st.nextH)} (${t("sem hora de início")})` : "—";
+    card.innerHTML = `
+      <div class="bedHead"><span class="bedLabel">${esc(b.label)}</span>${st.overdue ? `<span class="bedFlag">${esc(t("REAVALIAÇÃO EM ATRASO"))}</span>` : ""}</div>
+      <div class="bedTier">${st.tier ? `${esc(st.tier)} • ${st.score}/100` : esc(t("Sem score"))}</div>
+      <div class="kv">
+        <div class="k">${esc(t("SF mais recente"))}</div><div class="v">${st.sf === null ? "—" : `${st.sf.toFixed(0)} (${esc(hLabel(st.sfH))})`}</div>
+        <div class="k">${esc(t("Última reavaliação"))}</div><div class="v">${esc(fmtSince(st.sinceMin))}</div>
+        <div class="k">${esc(t("Próxima"))}</div><div class="v">${esc(due)}</div>
+        <div class="k">${esc(t("Lembrete"))}</div><div class="v reminderCd" data-reminder-key="${esc(b.key)}">—</div>
+      </div>`;
+
+    const btns = document.createElement("div");
+    btns.className = "inline smallbtns";
+    [["Abrir", "btn", ()=>openBed(b.key)], ["QR", "btn ghost", ()=>shareQr("bed", b.key)], ["Renomear", "btn ghost", ()=>renameBed(b.key)], ["Libertar", "btn ghost danger", ()=>removeBed(b.key)]].forEach(([label, cls, fn])=>{
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = cls;
+      btn.textContent = t(label);
+      btn.addEventListener("click", fn);
+      btns.appendChild(btn);
+    });
+    card.appendChild(btns);
+    box.appendChild(card);
+  });
+  tickReminders();
+}
 
-  
-  // Contexto de oxigenação (não altera score; interpretação operacional)
-  const fio2_1 = parseFiO2(d.fio2_1);
-  let oxy = [];
-  if(out.sf1 !== null){
-    if(out.sf1 < 150) oxy.push("SF muito baixo");
-    else if(out.sf1 < 193) oxy.push("SF baixo (<193)");
-    else oxy.push("SF aceitável");
+/* ---- REASSESSMENT REMINDERS ----
+   After "Calcular" the next reassessment is proposed from the tier (tiers[].reassessMin in the rule
+   set, else REMINDER_MIN). The reminder lives on the case (data.reminder), so each bed keeps its own,
+   with a log of what was set, fired, snoozed and dismissed. Browsers give service workers no timers:
+   the open page (also in a background tab, where timers still run about once a minute) decides when
+   a reminder is due and the service worker shows the notification and returns its actions.
+*/
+const REMINDER_MIN = { very_high: 15, high: 30, intermediate: 60, low: 120 };
+const REMINDER_SNOOZE_MIN = 10;
+const REMINDER_ACTIONS = { set: "agendado", fired: "hora atingida", snooze: "adiado", dismiss: "dispensado" };
+
+let currentReminder = null;   // reminder of the case in the form (saved with it by gather())
+let reminderProposal = null;  // { caseId, min, tier, fromRules } after the last "Calcular"
+let reminderList = [];        // open reminders of the draft and of every bed, for the countdowns
+
+function reassessMinutes(rules, tierKey){
+  const tier = (rules.tiers || []).find(x=>x && x.key === tierKey);
+  const own = tier ? safeNum(tier.reassessMin) : null;
+  return own !== null && own > 0 ? { min: own, fromRules: true } : { min: REMINDER_MIN[tierKey] || 60, fromRules: false };
+}
+
+function activeDraftKey(){
+  return activeBed ? activeBed.key : DRAFT_KEY;
+}
+
+function fmtClock(iso){
+  return new Date(iso).toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" });
+}
+
+function fmtCountdown(ms){
+  if(ms < 0){
+    const late = Math.floor(-ms / 60000);
+    return late < 1 ? t("reavaliação agora") : t("em atraso há {m} min", { m: late });
   }
-  if(fio2_1 !== null){
-    if(fio2_1 >= 0.7) oxy.push("FiO₂ alta (≥0.70)");
-    else if(fio2_1 >= 0.5) oxy.push("FiO₂ moderada (0.50–0.69)");
-    else oxy.push("FiO₂ baixa/moderada (<0.50)");
-  }
-  out.oxyCtx = oxy.length ? oxy.join(" • ") : null;
-
-// red flags override
-  if(redFlags){ score = Math.max(score, 85); addFactor(50, "Red flags clínicas"); }
-
-  out.score = clamp(Math.round(score), 0, 100);
-
-  // tiering (heuristic)
-  if(out.score >= 85){
-    out.tier = "Muito alto";
-    out.badge = "ALTO RISCO";
-  } else if(out.score >= 65){
-    out.tier = "Alto";
-    out.badge = "RISCO ↑";
-  } else if(out.score >= 45){
-    out.tier = "Intermédio";
-    out.badge = "RISCO ↔";
+  const s = Math.ceil(ms / 1000);
+  if(s >= 3600) return t("faltam {h} h {m} min", { h: Math.floor(s / 3600), m: String(Math.floor(s / 60) % 60).padStart(2, "0") });
+  return t("faltam {m}:{s}", { m: Math.floor(s / 60), s: String(s % 60).padStart(2, "0") });
+}
+
+function reminderLogText(entry){
+  const at = fmtClock(entry.at);
+  const what = t(REMINDER_ACTIONS[entry.action] || entry.action);
+  return entry.dueAt ? t("{at} — {what} para {due}", { at, what, due: fmtClock(entry.dueAt) }) : `${at} — ${what}`;
+}
+
+function withLog(rem, action, extra = {}){
+  const now = new Date().toISOString();
+  const entry = { at: now, action, ...extra };
+  return { ...rem, ...extra, log: [...((rem && rem.log) || []), entry] };
+}
+
+// apply fn to the reminder of a draft/bed (the form when it is the open one), on the case in history too
+async function updateReminder(key, fn){
+  let rem, caseId;
+  if(key === activeDraftKey()){
+    rem = currentReminder = fn(currentReminder);
+    caseId = currentCaseId;
+    save(gather());
   } else {
-    out.tier = "Baixo";
-    out.badge = "RISCO ↓";
+    const rec = await dbGet("drafts", key);
+    if(!rec || !rec.data) return;
+    rem = fn(rec.data.reminder || null);
+    caseId = rec.data.caseId;
+    await dbPut("drafts", { ...rec, data: { ...rec.data, reminder: rem } });
   }
+  const hist = caseId ? await dbGet("cases", caseId) : null;
+  if(hist && hist.data) await dbPut("cases", { ...hist, data: { ...hist.data, reminder: rem } });
+  await refreshReminders();
+}
 
-  // explanations + actions
-  const notes = [];
-  if(redFlags) notes.push("Há red flags clínicas assinaladas (isto pesa mais do que qualquer score).");
-  if(operationalCriteria) notes.push("Critérios operacionais de falência assinalados (gatilhos de escalada).");
+async function refreshReminders(){
+  let drafts = [];
+  try{ drafts = await dbGetAll("drafts"); }catch(e){ console.error(e); }
+  const active = activeDraftKey();
+  const list = [];
+  const add = (key, label, rem)=>{ if(rem && !rem.done && rem.dueAt) list.push({ key, label, rem }); };
+  drafts.forEach(r=>{
+    if(r.key === active) return;
+    add(r.key, String(r.key).startsWith(BED_PREFIX) ? r.label : t("Caso actual"), r.data && r.data.reminder);
+  });
+  add(active, activeBed ? activeBed.label : t("Caso actual"), currentReminder);
+  reminderList = list;
+  renderReminderUi();
+}
 
-  if(out.sf1 !== null && out.sf1 < 193){
-    notes.push(`SF a 1–2 h < 193 (SF=${out.sf1.toFixed(0)}): marcador de alto risco de falência precoce em coorte pediátrica.`);
-  }
-  if(out.drrPct !== null && out.drrPct > -10){
-    notes.push("Redução de FR < 10% (ou pior): resposta precoce fraca está associada a falência em estudos prospetivos.");
+async function scheduleReminder(){
+  const min = safeNum($("reminderMin").value);
+  if(min === null || min <= 0){
+    setPill(t("Indica os minutos até à reavaliação."), false);
+    return;
   }
-  if(ageM !== null && ageM < 6){
-    notes.push("Idade < 6 meses: maior risco de falência (sincronia/leaks, gravidade).");
+  if("Notification" in window && Notification.permission === "default"){
+    try{ await Notification.requestPermission(); }catch{}
   }
-  if(d.arfType === "type1") notes.push("IRA hipoxémica (tipo 1): maior risco de falência vs. tipo 2 em coorte pediátrica.");
-  if(d.diag === "ards") notes.push("ARDS: associada a maiores taxas de falência.");
-  if(prism !== null && prism >= 5) notes.push("PRISM elevado associa-se a falência em várias coortes.");
+  const dueAt = new Date(Date.now() + min * 60000).toISOString();
+  const tierKey = reminderProposal ? reminderProposal.tierKey : null;
+  await updateReminder(activeDraftKey(), (rem)=>({ ...withLog(rem, "set", { dueAt, min }), tierKey, firedAt: null, done: false }));
+  setPill(t("Lembrete de reavaliação às {at}.", { at: fmtClock(dueAt) }), true);
+}
 
-  out.explain = notes.length ? notes.join(" ") : "Sem sinais fortes de alto risco com os dados fornecidos."
+function snoozeReminder(key){
+  const dueAt = new Date(Date.now() + REMINDER_SNOOZE_MIN * 60000).toISOString();
+  return updateReminder(key, (rem)=>(rem ? { ...withLog(rem, "snooze", { dueAt, min: REMINDER_SNOOZE_MIN }), firedAt: null } : rem));
+}
 
-  // action suggestions (generic, non-prescriptive)
-  const actions = [];
-  if(operationalCriteria) actions.push("Há gatilhos assinalados: definir janela curta de reavaliação e plano de escalada (ex: intubação/VM se deterioração).");
-  if(out.score >= 65 || redFlags){
-    actions.push("Monitorização contínua e reavaliação frequente (ex: 15–30 min), com plano explícito de escalada.");
-    actions.push("Verificar interface/leaks, sincronização, conforto; optimizar IPAP/EPAP conforme objetivo (oxigenação vs ventilação) e tolerância.");
-    actions.push("Reavaliar causa reversível e terapêutica específica (broncoespasmo, secreções, fluidos, antibiótico, etc.).");
-    actions.push("Considerar precocemente equipa e logística de intubação, sobretudo se SF < 193 a 1–2 h ou deterioração clínica.");
-  } else if(out.score >= 45){
-    actions.push("Reavaliar resposta nas próximas 30–60 min; confirmar tendência de FR/FC e SF.");
-    actions.push("Optimizar interface e parâmetros; documentar critérios de falência e gatilhos de escalada.");
-  } else {
-    actions.push("Manter VNI com vigilância e reavaliação seriada; confirmar melhoria sustentada de FR/FC e SF.");
-  }
+function dismissReminder(key){
+  return updateReminder(key, (rem)=>(rem ? { ...withLog(rem, "dismiss"), done: true } : rem));
+}
+
+async function notifyReminder(item){
+  const title = t("Reavaliação: {label}", { label: item.label });
+  const body = t("Hora da reavaliação prevista ({at}).", { at: fmtClock(item.rem.dueAt) });
+  setPill(`${title} — ${fmtClock(item.rem.dueAt)}`, false);
+  if(!("Notification" in window) || Notification.permission !== "granted") return;
+  const opts = { body, tag: `reminder:${item.key}`, requireInteraction: true, data: { key: item.key }, icon: "icons/icon-192.png" };
+  try{
+    const reg = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if(reg){
+      await reg.showNotification(title, { ...opts, actions: [
+        { action: "snooze", title: t("Adiar {m} min", { m: REMINDER_SNOOZE_MIN }) },
+        { action: "dismiss", title: t("Dispensar") }
+      ] });
+    } else {
+      new Notification(title, opts);
+    }
+  }catch(e){ console.error("notification", e); }
+}
+
+// every second: countdowns, and the "fired" step of reminders whose time has come
+function tickReminders(){
+  const now = Date.now();
+  reminderList.forEach(item=>{
+    if(item.rem.firedAt || new Date(item.rem.dueAt).getTime() > now) return;
+    item.rem.firedAt = new Date(now).toISOString();
+    updateReminder(item.key, (rem)=>(rem ? { ...withLog(rem, "fired"), firedAt: item.rem.firedAt } : rem)).catch(e=>console.error(e));
+    notifyReminder(item);
+  });
+  document.querySelectorAll("[data-reminder-key]").forEach(el=>{
+    const item = reminderList.find(x=>x.key === el.dataset.reminderKey);
+    el.textContent = item ? `${fmtCountdown(new Date(item.rem.dueAt).getTime() - now)} (${fmtClock(item.rem.dueAt)})` : "—";
+    el.classList.toggle("late", !!item && new Date(item.rem.dueAt).getTime() <= now);
+  });
+}
 
-  // additional explicit SF suggestion from Mayordomo 2013 discussion
-  if(out.sf1 !== null && out.sf1 < 193){
-    actions.push("Se não atingir SF ~190 após 1 h de VNI, a necessidade de intubação deve ser ponderada no contexto clínico global.");
+function renderReminderUi(){
+  const key = activeDraftKey();
+  const open = reminderList.find(x=>x.key === key);
+  if($("reminderBar")){
+    $("reminderBar").classList.toggle("hidden", !open);
+    $("reminderBarCountdown").dataset.reminderKey = key;
+  }
+  if($("reminderState")){
+    $("reminderState").classList.toggle("hidden", !open);
+    $("reminderCountdown").dataset.reminderKey = key;
+  }
+  const p = reminderProposal;
+  if($("reminderProposal")){
+    const same = !!p && p.caseId === currentCaseId;
+    $("reminderProposal").textContent = same
+      ? t("Proposta: {min} min (nível {tier}; {source}).", { min: p.min, tier: tierName({ key: p.tierKey, label: p.tier }), source: p.fromRules ? t("definido nas regras") : t("valor por defeito do nível") })
+      : t("Carrega em “Calcular” para propor a próxima reavaliação.");
+    $("btnReminderSet").disabled = !same;
+  }
+  if($("reminderLog")){
+    const log = (currentReminder && currentReminder.log) || [];
+    $("reminderLog").innerHTML = log.slice().reverse().map(e=>`<li>${esc(reminderLogText(e))}</li>`).join("");
   }
+  tickReminders();
+}
 
-  out.actions = actions;
+function proposeReminder(r, d){
+  const { min, fromRules } = reassessMinutes(r.ruleSet || activeRules(), r.tierKey);
+  reminderProposal = { caseId: d.caseId, min, fromRules, tier: r.tier, tierKey: r.tierKey };
+  if($("reminderMin")) $("reminderMin").value = String(min);
+  renderReminderUi();
+}
 
-  // summary
-  const lines = [];
-  lines.push("VNI Pediátrica — Predição precoce (apoio à decisão)");
-  lines.push(`Idade: ${ageM !== null ? ageM.toFixed(1) : "?"} meses | IRA: ${d.arfType==="type1"?"Hipoxémica (tipo 1)":"Hipercápnica/hipoventilação (tipo 2)"} | Dx: ${d.diag}`);
-  if(prism !== null) lines.push(`PRISM III-24: ${prism}`);
-  lines.push(`SF0: ${out.sf0!==null?out.sf0.toFixed(0):"—"} | SF1-2h: ${out.sf1!==null?out.sf1.toFixed(0):"—"} | ΔFR: ${out.drrPct!==null?out.drrPct.toFixed(0)+"%":"—"} | ΔFC: ${out.dhrPct!==null?out.dhrPct.toFixed(0)+"%":"—"}`);
-  if(out.dpco2 !== null) lines.push(`ΔpCO2: ${out.dpco2>0?"+":""}${out.dpco2.toFixed(0)} mmHg`);
-  lines.push(`Score: ${out.score}/100 | Tier: ${out.tier}`);
-  if(redFlags) lines.push("Red flags: SIM");
-  out.summary = lines.join("\n");
+// notification actions come back from the service worker (message, or #reminder=<action>.<key> when no tab was open)
+async function handleReminderAction(action, key){
+  if(!key) return;
+  if(action === "snooze") await snoozeReminder(key);
+  else if(action === "dismiss") await dismissReminder(key);
+  else if(key.startsWith(BED_PREFIX)) await openBed(key);
+  else setRoute("calc");
+}
 
-  factors.sort((a,b)=>b.w-a.w);
-  out.topFactors = factors.slice(0,3).map(x=>x.label);
+// validate, then render the Resultado view; null (and back to the form) when the data has errors
+function showResult(d){
+  const v = validateCase(d);
+  renderValidation(v);
+  if(v.errors.length){
+    setPill(t("{n} erro(s) nos dados — corrige antes de calcular.", { n: v.errors.length }), false);
+    setRoute("calc");
+    const first = $(v.errors[0].field);
+    if(first){ first.scrollIntoView({block:"center", behavior:"smooth"}); first.focus(); }
+    return null;
+  }
+  const r = computeRisk(d);
+  renderResult(r, d);
+  shownCase = d;
+  renderTemplatePreview();
+  proposeReminder(r, d);
+  setRoute("result");
+  return r;
+}
 
-  const briefParts = [];
-  if(out.sf1 !== null) briefParts.push(`SF1-2h=${out.sf1.toFixed(0)}`);
-  if(out.drrPct !== null) briefParts.push(`ΔFR=${out.drrPct.toFixed(0)}%`);
-  if(out.dhrPct !== null) briefParts.push(`ΔFC=${out.dhrPct.toFixed(0)}%`);
-  out.brief = briefParts.join(" | ");
+function resetForm(){
+  hideLinkBanner();
+  fill({});
+  save(gather());
+}
 
-  return out;
+function updateAgeHint(){
+  const m = toMonths($("ageValue").value, $("ageUnit").value);
+  $("ageMonthsHint").textContent = t("= {m} meses", { m: m===null ? "—" : m.toFixed(1) });
 }
 
-/* ---- UI + state ---- */
-function gather(){
-  return {
-    ageValue: $("ageValue").value,
-    ageUnit: $("ageUnit").value,
-    arfType: $("arfType").value,
-    diag: $("diag").value,
-    prism: $("prism").value,
+function renderResult(r, d){
+  $("sf0").textContent = r.sf0===null ? "—" : r.sf0.toFixed(0);
+  $("sf1").textContent = r.sf1===null ? "—" : `${r.sf1.toFixed(0)} (${hLabel(r.sf1H)})`;
+  if($("supportMode")) $("supportMode").textContent = (r.support || []).map(s=>`${SUPPORT_MODES[s.mode].short} ${hLabel(s.h)}`).join(" → ") || "—";
+  if($("roxVal")) $("roxVal").textContent = r.rox === null ? "—" : `${r.rox.toFixed(2)} / ${r.roxHr === null ? "—" : r.roxHr.toFixed(2)}`;
+  $("oxyCtx").textContent = r.oxyCtx===null ? "—" : r.oxyCtx;
+  const cl = r.clin;
+  if($("clinVal")) $("clinVal").textContent = cl && (cl.c0 !== null || cl.c1 !== null)
+    ? `${clinText(cl.key, cl.c0)} → ${clinText(cl.key, cl.c1)}${cl.dPct !== null ? ` (${cl.dPct > 0 ? "+" : ""}${cl.dPct}%)` : ""}`
+    : "—";
 
-    rfHemodyn: $("rfHemodyn").checked,
-    rfGcs: $("rfGcs").checked,
-    rfSecretions: $("rfSecretions").checked,
-    rfApnea: $("rfApnea").checked,
-    rfPtx: $("rfPtx").checked,
+  $("drr").textContent = r.drrPct===null ? "—" : `${r.drrPct.toFixed(0)}%`;
+  $("dhr").textContent = r.dhrPct===null ? "—" : `${r.dhrPct.toFixed(0)}%`;
+  const ageTxt = (a0, a1)=>(a0 || a1) ? `${a0 ? `${fmtCentile(a0.centile)} (z ${a0.z.toFixed(1)})` : "—"} → ${a1 ? `${fmtCentile(a1.centile)} (z ${a1.z.toFixed(1)})` : "—"}` : "—";
+  if($("rrAge")) $("rrAge").textContent = ageTxt(r.rrAge0, r.rrAge1);
+  if($("hrAge")) $("hrAge").textContent = ageTxt(r.hrAge0, r.hrAge1);
+  if(r.dpco2 === null) $("dpco2").textContent = "—";
+  else $("dpco2").textContent = `${r.dpco2>0?"+":""}${r.dpco2.toFixed(0)} mmHg` +
+    (r.facts && r.facts.gasWeight < 1 ? ` (${t("peso {w} — amostra não arterial", { w: r.facts.gasWeight })})` : "");
+  const ab = r.acidBase;
+  if($("acidBase")) $("acidBase").textContent = ab
+    ? `${acidBaseLine(ab)} [${ab.sample ? t(GAS_SAMPLES[ab.sample].label) : t("amostra n/d")}, ${ab.at}]${ab.notes.length ? ` — ${ab.notes.join(" ")}` : ""}`
+    : "—";
+
+  const u = r.uncertainty;
+  $("score").textContent = u && u.missing.length ? `${r.score} (${u.lo}–${u.hi})/100` : `${r.score}/100`;
+  const ur = $("scoreRange");
+  if(ur){
+    ur.classList.toggle("hidden", !(u && u.missing.length));
+    if(u && u.missing.length){
+      const next = u.missing.slice(0, 3).map(m=>t("{label} (amplitude {w} pts)", { label: m.label, w: m.width })).join("; ");
+      ur.textContent = [
+        t("Score com dados em falta: {score} ({lo}–{hi}).", { score: r.score, lo: u.lo, hi: u.hi }),
+        u.tierCouldChange ? t("O risco pode variar entre {lo} e {hi}.", { lo: u.tierLo, hi: u.tierHi }) : t("O risco ({tier}) não muda dentro do intervalo.", { tier: r.tier }),
+        t("Medir primeiro: {next}.", { next })
+      ].join(" ");
+    }
+  }
+
+  $("riskBadge").textContent = r.badge;
+  $("riskLabel").textContent = r.tier;
+  const ul2 = $("assumptionsList");
+  if(ul2){
+    ul2.innerHTML = "";
+    const v = r.validation || { assumptions: [], warnings: [] };
+    [...v.assumptions.map(x=>["", x.msg]), ...v.warnings.map(x=>["warnText", x.msg])].forEach(([cls, msg])=>{
+      const li = document.createElement("li");
+      if(cls) li.className = cls;
+      li.textContent = msg;
+      ul2.appendChild(li);
+    });
+    ul2.classList.toggle("hidden", !ul2.children.length);
+  }
+
+  $("riskExplain").textContent = r.explain + (r.topFactors && r.topFactors.length ? `  ${t("Fatores principais:")} ` + r.topFactors.join("; ") : "");
+  if($("rulesTag")) $("rulesTag").textContent = t("Regras: {rules}", { rules: r.rules });
+
+  // style badge by tier
+  const badge = $("riskBadge");
+  badge.style.borderColor = "rgba(255,255,255,.08)";
+  badge.style.background = "rgba(255,255,255,.06)";
+  if(r.tierKey === "very_high"){
+    badge.style.borderColor = "rgba(239,68,68,.45)";
+    badge.style.background = "rgba(239,68,68,.12)";
+  } else if(r.tierKey === "high"){
+    badge.style.borderColor = "rgba(245,158,11,.45)";
+    badge.style.background = "rgba(245,158,11,.12)";
+  } else if(r.tierKey === "intermediate"){
+    badge.style.borderColor = "rgba(59,130,246,.45)";
+    badge.style.background = "rgba(59,130,246,.12)";
+  } else if(r.tierKey === "low"){
+    badge.style.borderColor = "rgba(34,197,94,.45)";
+    badge.style.background = "rgba(34,197,94,.10)";
+  }
+
+  const ul = $("actionsList");
+  ul.innerHTML = "";
+  r.actions.forEach(a=>{
+    const li = document.createElement("li");
+    li.textContent = a;
+    ul.appendChild(li);
+  });
+
+  $("summary").textContent = summaryText(r, d);
+  renderTrajectory(r);
+  renderCharts(r, d);
+  renderBreakdown(r);
+  renderPards(r);
+  renderModels(r);
+}
+
+function renderPards(r){
+  const box = $("pardsBox");
+  if(!box) return;
+  const p = r.pards;
+  if(!p || !p.idx){
+    box.innerHTML = `<div class="muted">${esc(t("Sem FiO₂ com SpO₂/PaO₂ registados."))}</div>`;
+    return;
+  }
+  const ix = p.idx;
+  const f = (v, dp)=>(v === null ? "—" : v.toFixed(dp));
+  const cls = p.status === "pards" ? "err" : p.status === "possible" || p.status === "at_risk" ? "warn" : "info";
+  box.innerHTML = `
+    <div class="pards ${cls}"><b>${esc(p.label)}</b> <span class="muted small">(${esc(p.at)})</span></div>
+    <div class="kv">
+      <div class="k">PF (PaO₂/FiO₂)</div><div class="v">${f(ix.pf, 0)}</div>
+      <div class="k">SF (SpO₂ ≤ 97%)</div><div class="v">${f(ix.sf, 0)}</div>
+      <div class="k">MAP</div><div class="v">${ix.map ? `${f(ix.map.value, 1)} cmH₂O <span class="muted small">${esc(ix.map.how)}</span>` : "—"}</div>
+      <div class="k">OI</div><div class="v">${f(ix.oi, 1)}</div>
+      <div class="k">OSI</div><div class="v">${f(ix.osi, 1)}</div>
+      <div class="k">${esc(t("Gravidade"))}</div><div class="v">${esc(p.severity || t("não estadiada em VNI/ONAF"))}</div>
+    </div>
+    ${p.consistency ? `<div class="pards ${p.consistencyWarn ? "warn" : "info"}">${esc(p.consistency)}</div>` : ""}
+    ${p.notes.length ? `<ul class="assume">${p.notes.map(n=>`<li>${esc(n)}</li>`).join("")}</ul>` : ""}`;
+}
+
+function renderModels(r){
+  const box = $("modelsList");
+  if(!box) return;
+  box.innerHTML = "";
+  (r.models || []).forEach(m=>{
+    const wrap = document.createElement("div");
+    wrap.className = "hitem model";
+
+    const meta = document.createElement("div");
+    meta.className = "hmeta";
+    const l1 = document.createElement("div");
+    l1.className = "hline1";
+    l1.textContent = m.name;
+    const l2 = document.createElement("div");
+    l2.className = "hline2";
+    l2.textContent = [t("Desfecho: {x}", { x: m.outcome }), t("Coorte: {x}", { x: m.cohort }), m.citation].join("\n");
+    meta.appendChild(l1);
+    meta.appendChild(l2);
+    const l3 = document.createElement("div");
+    l3.className = m.missing.length ? "hline2 warnText" : "hline2";
+    l3.textContent = m.missing.length
+      ? t("Não aplicável — falta: {list}.", { list: m.missing.join(", ") })
+      : t("Inputs disponíveis: {list}.", { list: m.inputLabels.join(", ") });
+    meta.appendChild(l3);
+
+    wrap.appendChild(meta);
+    box.appendChild(wrap);
+  });
+}
+
+function renderTrajectory(r){
+  const box = $("trajectory");
+  if(!box) return;
+  const rows = (r.trajectory || []).filter((row, i)=>i === 0 || row.score !== null);
+  if(rows.length < 2){
+    box.innerHTML = `<div class="muted">${esc(t("Sem reavaliações preenchidas."))}</div>`;
+    return;
+  }
+  const fmt = (v, dp)=>(v === null ? "—" : v.toFixed(dp));
+  const forAge = (a)=>(a ? `<div class="muted small">${t("{c} p/ idade", { c: fmtCentile(a.centile) })}</div>` : "");
+  const delta = (base, prev, unit)=>{
+    const f = (v)=>(v === null ? "—" : `${v>0?"+":""}${v.toFixed(0)}${unit}`);
+    return base === null && prev === null ? "" : `<div class="muted small">${t("base {b} · ant. {p}", { b: f(base), p: f(prev) })}</div>`;
+  };
+  const head = ["Tempo", "SF", "FR", "FC", "pCO₂", "Score"];
+  const multi = (r.support || []).length > 1 || rows.some(row=>row.mode !== "bipap");
+  const body = rows.map((row, i)=>{
+    const when = (i === 0 ? t("Baseline") : `T+${hLabel(row.h)}`) + (multi ? `<div class="muted small">${SUPPORT_MODES[row.mode].short}</div>` : "");
+    const clock = row.at ? `<div class="muted small">${new Date(row.at).toLocaleTimeString(locale, {hour:"2-digit", minute:"2-digit"})}</div>` : "";
+    return `<tr>
+      <td>${when}${clock}</td>
+      <td>${fmt(row.sf, 0)}${delta(row.dSfBase, row.dSfPrev, "")}${row.mode === "hfnc" && row.roxHr !== null ? `<div class="muted small">ROX-HR ${row.roxHr.toFixed(1)}</div>` : ""}</td>
+      <td>${fmt(row.rr, 0)}${forAge(row.rrAge)}${delta(row.drrBase, row.drrPrev, "%")}</td>
+      <td>${fmt(row.hr, 0)}${forAge(row.hrAge)}${delta(row.dhrBase, row.dhrPrev, "%")}</td>
+      <td>${fmt(row.pco2, 0)}${delta(row.dpco2Base, row.dpco2Prev, "")}</td>
+      <td>${row.score === null ? "—" : `${row.score} <span class="muted small">${row.tier}</span>`}</td>
+    </tr>`;
+  }).join("");
+  box.innerHTML = `<table class="tbl"><thead><tr>${head.map(h=>`<th>${t(h)}</th>`).join("")}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function renderBreakdown(r){
+  const box = $("breakdown");
+  if(!box || !r.breakdown) return;
+  const bd = r.breakdown;
+  const steps = bd.rows.map(x=>({ label: x.label, points: x.points, missing: x.missing, detail: x.terms.map(term=>`${term.why}: ${term.points}`).join(" · "), max: x.max }));
+  if(bd.redFlagAdj) steps.push({ label: t("Red flags (mínimo do score)"), points: bd.redFlagAdj, detail: t("score elevado até {n}", { n: bd.raw + bd.redFlagAdj }), flag: true });
+  if(bd.clampAdj) steps.push({ label: t("Limite 0–100 / arredondamento"), points: bd.clampAdj, detail: "" });
+  const scale = Math.max(100, bd.raw, bd.raw + bd.redFlagAdj);
+  const pct = (v)=>`${(v / scale * 100).toFixed(2)}%`;
+  let acc = 0;
+  const rowsHtml = steps.map(s=>{
+    const from = acc;
+    acc += s.points;
+    const left = Math.min(from, acc), width = Math.abs(s.points);
+    const cls = s.flag ? "flag" : s.points < 0 ? "neg" : s.missing ? "missing" : "";
+    return `<div class="wfrow">
+      <div class="wflabel">${esc(s.label)}${s.max !== undefined ? ` <span class="muted small">(${t("máx")} ${s.max})</span>` : ""}<div class="muted small">${esc(s.detail)}</div></div>
+      <div class="wftrack"><div class="wfbar ${cls}" style="left:${pct(left)};width:${pct(width)}"></div></div>
+      <div class="wfpts">${s.points > 0 ? "+" : ""}${s.points}</div>
+    </div>`;
+  }).join("");
+  box.innerHTML = rowsHtml + `<div class="wfrow total">
+      <div class="wflabel">${t("Score")}</div>
+      <div class="wftrack"><div class="wfbar total" style="left:0;width:${pct(bd.score)}"></div></div>
+      <div class="wfpts">${bd.score}</div>
+    </div>`;
+
+  const ul = $("counterfactuals");
+  if(ul){
+    ul.innerHTML = "";
+    const list = (r.counterfactuals || []).slice(0, 6);
+    if(!list.length){
+      const li = document.createElement("li");
+      li.className = "muted";
+      li.textContent = t("Sem alternativas calculáveis com os dados actuais.");
+      ul.appendChild(li);
+    }
+    list.forEach(cf=>{
+      const li = document.createElement("li");
+      if(cf.tierChange) li.className = "strong";
+      li.textContent = counterfactualText(cf, r);
+      ul.appendChild(li);
+    });
+  }
+}
+
+/* ---- TREND CHARTS (inline SVG, no external libs) ----
+   One small chart per parameter over hours since NIV start; points coloured by the tier at
+   that reassessment. Reference lines = rule thresholds that cite evidence (bands with "note").
+*/
+const CHART_W = 320, CHART_H = 150;
+const CHART_PAD = { l: 34, r: 54, t: 10, b: 22 };
+const TIER_COLORS = { very_high: "#ef4444", high: "#f59e0b", intermediate: "#3b82f6", low: "#22c55e" };
+
+function ruleRefs(rules, inputs){
+  const out = [];
+  (rules.components || []).forEach(comp=>{
+    if(comp.enabled === false) return;
+    (comp.terms || []).forEach(t=>{
+      if(!inputs.includes(t.input)) return;
+      (t.bands || []).forEach(b=>{
+        if(b.note && typeof b.value === "number" && !out.includes(b.value)) out.push(b.value);
+      });
+    });
+  });
+  return out;
+}
+
+// red flags / operational criteria are case-level: placed at "flagsH" or, if blank, at the last reassessment
+function flagMarks(d, lastH){
+  const c = d || {};
+  const rf = ["rfHemodyn", "rfGcs", "rfSecretions", "rfApnea", "rfPtx"].some(k=>c[k]);
+  const cf = ["cfHypox", "cfWork", "cfHypercap", "cfIntol"].some(k=>c[k]);
+  if(!rf && !cf) return [];
+  const h = safeNum(c.flagsH);
+  const label = [rf ? t("Red flag") : "", cf ? t("Critério") : ""].filter(Boolean).join(" + ");
+  return [{ h: h ?? lastH, label: h === null ? t("{label} (hora n/r)", { label }) : label }];
+}
+
+function svgChart(o){
+  const pts = o.points.filter(p=>p.y !== null && p.h !== null);
+  if(!pts.length) return "";
+  const { l, r, t, b } = CHART_PAD;
+  const refs = o.refs || [];
+  const ys = [...pts.map(p=>p.y), ...refs.map(x=>x.y)];
+  let y0 = o.yMin ?? Math.min(...ys), y1 = o.yMax ?? Math.max(...ys);
+  if(y0 === y1){ y0 -= 1; y1 += 1; }
+  const pad = (y1 - y0) * 0.08;
+  if(o.yMin === undefined) y0 -= pad;
+  if(o.yMax === undefined) y1 += pad;
+  const xMax = Math.max(o.xMax || 0, 1);
+  const X = (h)=>l + (h / xMax) * (CHART_W - l - r);
+  const Y = (v)=>CHART_H - b - ((v - y0) / (y1 - y0)) * (CHART_H - t - b);
+  const f = (n)=>n.toFixed(1);
+  const num = (v)=>String(Number(v.toFixed(Math.abs(v) < 10 ? 1 : 0)));
+  const s = [];
+
+  (o.bands || []).forEach(bd=>{
+    const top = Y(Math.min(bd.to, y1)), bot = Y(Math.max(bd.from, y0));
+    if(bot > top) s.push(`<rect class="band" x="${l}" y="${f(top)}" width="${CHART_W - l - r}" height="${f(bot - top)}" fill="${bd.color}"/>`);
+  });
+  [y0, (y0 + y1) / 2, y1].forEach(v=>{
+    s.push(`<line class="grid" x1="${l}" x2="${CHART_W - r}" y1="${f(Y(v))}" y2="${f(Y(v))}"/>`);
+    s.push(`<text class="tick" x="${l - 4}" y="${f(Y(v) + 3)}" text-anchor="end">${num(v)}</text>`);
+  });
+  [...new Set(pts.map(p=>p.h))].forEach(h=>{
+    s.push(`<text class="tick" x="${f(X(h))}" y="${CHART_H - 6}" text-anchor="middle">${num(h)}h</text>`);
+  });
+  refs.forEach(x=>{
+    s.push(`<line class="ref" x1="${l}" x2="${CHART_W - r}" y1="${f(Y(x.y))}" y2="${f(Y(x.y))}"/>`);
+    s.push(`<text class="reflabel" x="${CHART_W - r + 3}" y="${f(Y(x.y) + 3)}">${esc(x.label)}</text>`);
+  });
+  (o.marks || []).forEach(m=>{
+    if(m.h === null || m.h === undefined) return;
+    s.push(`<line class="mark" x1="${f(X(m.h))}" x2="${f(X(m.h))}" y1="${t}" y2="${CHART_H - b}"/>`);
+    s.push(`<text class="marklabel" x="${f(X(m.h) + 3)}" y="${t + 8}">${esc(m.label)}</text>`);
+  });
+  s.push(`<polyline class="line" points="${pts.map(p=>`${f(X(p.h))},${f(Y(p.y))}`).join(" ")}"/>`);
+  pts.forEach(p=>{
+    const color = TIER_COLORS[p.tierKey] || "#9ca3af";
+    s.push(`<circle cx="${f(X(p.h))}" cy="${f(Y(p.y))}" r="3.5" fill="${color}"><title>${esc(`${num(p.h)} h: ${num(p.y)}${p.tier ? ` (${p.tier})` : ""}`)}</title></circle>`);
+  });
+
+  return `<figure class="chart"><figcaption>${esc(o.title)}</figcaption>` +
+    `<svg viewBox="0 0 ${CHART_W} ${CHART_H}" role="img" aria-label="${esc(o.title)}">${s.join("")}</svg></figure>`;
+}
+
+function renderCharts(r, d){
+  const box = $("charts");
+  if(!box) return;
+  const rows = (r.trajectory || []).filter(row=>row.h !== null);
+  if(rows.length < 2){
+    box.innerHTML = `<div class="muted">${esc(t("São precisas pelo menos duas medições com hora."))}</div>`;
+    return;
+  }
+  const rules = r.ruleSet || activeRules();
+  const base = rows[0];
+  const lastH = Math.max(...rows.map(row=>row.h));
+  const switches = (r.support || []).slice(1).filter(s=>s.h !== null).map(s=>({ h: s.h, label: `→ ${SUPPORT_MODES[s.mode].short}` }));
+  const marks = [...flagMarks(d, lastH), ...switches];
+  const xMax = Math.max(lastH, ...marks.map(m=>m.h));
+  const series = (k)=>rows.map(row=>({ h: row.h, y: row[k], tierKey: row.tierKey, tier: row.tier }));
+  const rel = (inputs, baseVal, toY, unit)=>(baseVal === null ? [] :
+    ruleRefs(rules, inputs).map(v=>({ y: toY(baseVal, v), label: v === 0 ? t("= base") : t("{d} vs base", { d: `${v > 0 ? "+" : ""}${v}${unit}` }) })));
+
+  const tiers = [...(rules.tiers || [])].sort((a,b)=>a.min - b.min);
+  const tierBands = tiers.map((tr, i)=>({ from: tr.min, to: i + 1 < tiers.length ? tiers[i + 1].min : 100, color: TIER_COLORS[tr.key] || "#9ca3af" }));
+
+  const sfRefs = ruleRefs(rules, ["sf1", "sf0"]);
+  const hfnc = rows.some(row=>row.mode === "hfnc");
+  const clinKey = clinScoreKey(d);
+  const cs = clinKey ? CLINICAL_SCORES[clinKey] : null;
+
+  box.innerHTML = [
+    svgChart({ title: "SF (SpO₂/FiO₂)", points: series("sf"), xMax, marks,
+      refs: (sfRefs.length ? sfRefs : ruleRefs(activeRules(), ["sf1", "sf0"])).map(v=>({ y: v, label: `SF ${v}` })) }),
+    hfnc ? svgChart({ title: t("ROX-HR (ONAF)"), points: series("roxHr"), xMax, marks,
+      refs: ruleRefs(HFNC_RULES, ["roxHr"]).map(v=>({ y: v, label: `ROX-HR ${v}` })) }) : "",
+    svgChart({ title: t("FR (cpm)"), points: series("rr"), xMax, marks,
+      refs: rel(["drrPct"], base.rr, (b0, v)=>b0 * (1 + v / 100), "%") }),
+    svgChart({ title: t("FC (bpm)"), points: series("hr"), xMax, marks,
+      refs: rel(["dhrPct"], base.hr, (b0, v)=>b0 * (1 + v / 100), "%") }),
+    svgChart({ title: "pCO₂ (mmHg)", points: series("pco2"), xMax, marks,
+      refs: rel(["dpco2"], base.pco2, (b0, v)=>b0 + v, "") }),
+    cs ? svgChart({ title: `${t(cs.label)} (0–${cs.max})`, points: series("clin"), xMax, marks, yMin: 0, yMax: cs.max,
+      refs: cs.bands.map((b, j)=>({ y: b + 0.5, label: `${t(CLIN_SEVERITY[j])} ≤ ${b}` })) }) : "",
+    svgChart({ title: t("Score e risco"), points: series("score"), xMax, marks, yMin: 0, yMax: 100, bands: tierBands })
+  ].join("") || `<div class="muted">${esc(t("Sem dados para desenhar."))}</div>`;
+}
+
+/* ---- SUMMARY TEMPLATES (nota clínica) ----
+   renderTemplate(src, ctx): {{name}}, {{a.b}}, {{.}}; {{#if x}}…{{else}}…{{/if}}, {{#unless x}}…{{/unless}},
+   {{#each list}}…{{/each}} (inside: the item's fields, {{.}}, {{@index}} from 1, @first, @last).
+   Missing values ("", null, [], false) are falsy in #if and print as "".
+   templateContext(r, d) → every placeholder; the selected template drives the Resultado summary and
+   "Copiar resumo". Built-in bodies are translated whole (t) so the note comes out in the chosen language.
+*/
+const LS_TEMPLATES = "vni_pred_templates_v1";
+const LS_TEMPLATE = "vni_pred_template";
+
+const SUMMARY_TEMPLATES = {
+  full: { name: "Resumo completo (padrão)", body: "{{summary}}" },
+  short: {
+    name: "Linha curta",
+    body: "VNI ({{mode}}): score {{score}}/100 — {{tier}}{{#if sf1}}; SF {{sf1At}} {{sf1}}{{/if}}{{#if drr}}; ΔFR {{drr}}{{/if}}{{#if redFlags}}; red flags{{/if}}{{#if factors}}. {{#each factors}}{{.}}{{#unless @last}}; {{/unless}}{{/each}}{{/if}}. [{{rules}}]"
+  },
+  soap: {
+    name: "SOAP",
+    body: `S: {{age}} meses, {{diag}} ({{arf}}), sob {{support}}.{{#if redFlags}} Red flags clínicas presentes.{{/if}}
+O:{{#each timepoints}}
+- {{label}}{{#if clock}} ({{clock}}){{/if}}: {{#if vitals}}{{vitals}}{{else}}sem dados{{/if}}{{/each}}
+{{#if clin}}{{clin}}
+{{/if}}{{#if acidBase}}Gasometria: {{acidBase}}
+{{/if}}{{#if pards}}PARDS: {{pards}}
+{{/if}}A: risco de falência {{tier}} (score {{score}}/100{{#if scoreRange}}; {{scoreRange}} com dados em falta{{/if}}). {{explain}}
+P:{{#each actions}}
+- {{.}}{{/each}}
+(Apoio à decisão; regras {{rules}})`
+  },
+  sbar: {
+    name: "SBAR",
+    body: `S: {{diag}}, {{age}} meses, sob {{support}}. Risco de falência {{tier}} (score {{score}}/100).
+B: IRA {{arf}}{{#if prism}}; PRISM III-24 {{prism}}{{/if}}{{#if weight}}; peso {{weight}} kg{{/if}}.
+A: {{#if sf1}}SF {{sf1At}} {{sf1}}{{#if sf0}} (basal {{sf0}}){{/if}}{{else}}SF sem dados{{/if}}{{#if drr}}; ΔFR {{drr}}{{/if}}{{#if dhr}}; ΔFC {{dhr}}{{/if}}{{#if dpco2}}; ΔpCO₂ {{dpco2}}{{/if}}.{{#if factors}} Fatores: {{#each factors}}{{.}}{{#unless @last}}; {{/unless}}{{/each}}.{{/if}}{{#if redFlags}} Red flags clínicas presentes.{{/if}}
+R:{{#each actions}}
+- {{.}}{{/each}}`
+  }
+};
+
+// placeholders listed in Definições (values, then lists with their item fields)
+const TEMPLATE_FIELDS = {
+  values: ["date", "time", "age", "weight", "diag", "arf", "prism", "support", "mode", "score", "scoreRange", "tier", "tierKey", "badge",
+    "rules", "redFlags", "criteria", "sf0", "sf1", "sf1At", "rox", "roxHr", "drr", "dhr", "dpco2", "rrAge", "hrAge", "oxygenation",
+    "clin", "acidBase", "pards", "pardsSeverity", "explain", "latest.*", "summary"],
+  lists: {
+    factors: [], actions: [], notes: [], warnings: [], models: ["name", "missing"],
+    timepoints: ["label", "h", "clock", "support", "spo2", "fio2", "sf", "rr", "hr", "pco2", "ph", "clin", "rox", "roxHr", "score", "tier", "vitals"]
+  }
+};
+
+function parseTemplate(src){
+  const out = [];
+  const stack = []; // open blocks: { node, parent } (parent = list the block sits in)
+  let cur = out;
+  String(src).split(/(\{\{[^{}]*\}\})/).forEach(part=>{
+    const m = part.match(/^\{\{\s*(.*?)\s*\}\}$/);
+    if(!m){
+      if(part) cur.push({ type: "text", v: part });
+      return;
+    }
+    const tag = m[1];
+    const open = tag.match(/^#(if|unless|each)\s+([\w.@]+)$/);
+    const top = stack[stack.length - 1];
+    if(open){
+      const node = { type: open[1], path: open[2], body: [], alt: [] };
+      cur.push(node);
+      stack.push({ node, parent: cur });
+      cur = node.body;
+    } else if(tag === "else"){
+      if(!top || top.node.type === "each") throw new Error(t("{{else}} fora de um bloco #if/#unless."));
+      cur = top.node.alt;
+    } else if(/^\/(if|unless|each)$/.test(tag)){
+      if(!top || `/${top.node.type}` !== tag) throw new Error(t("{{{tag}}} sem bloco correspondente.", { tag }));
+      stack.pop();
+      cur = top.parent;
+    } else if(/^[\w.@]+$/.test(tag)){
+      cur.push({ type: "var", path: tag });
+    } else {
+      throw new Error(t("Marcador inválido: {{{tag}}}.", { tag }));
+    }
+  });
+  if(stack.length) throw new Error(t("Bloco #{type} {path} não fechado.", stack[stack.length - 1].node));
+  return out;
+}
+
+function templateLookup(scopes, path){
+  if(path === ".") return scopes[0].item;
+  const [head, ...rest] = path.split(".");
+  let v;
+  if(head.startsWith("@")) v = scopes[0].meta ? scopes[0].meta[head.slice(1)] : undefined;
+  else {
+    const s = scopes.find(x=>x.item && typeof x.item === "object" && head in x.item);
+    v = s ? s.item[head] : undefined;
+  }
+  for(const k of rest) v = v === null || v === undefined ? undefined : v[k];
+  return v;
+}
+
+function templateTruthy(v){
+  return !(v === null || v === undefined || v === false || v === "" || (Array.isArray(v) && !v.length));
+}
+
+function renderNodes(nodes, scopes){
+  return nodes.map(n=>{
+    if(n.type === "text") return n.v;
+    const v = templateLookup(scopes, n.path);
+    if(n.type === "var") return v === null || v === undefined || v === false ? "" : Array.isArray(v) ? v.join("; ") : String(v);
+    if(n.type === "if") return renderNodes(templateTruthy(v) ? n.body : n.alt, scopes);
+    if(n.type === "unless") return renderNodes(templateTruthy(v) ? n.alt : n.body, scopes);
+    const list = Array.isArray(v) ? v : [];
+    return list.map((item, i)=>renderNodes(n.body, [{ item, meta: { index: i + 1, first: i === 0, last: i === list.length - 1 } }, ...scopes])).join("");
+  }).join("");
+}
+
+function renderTemplate(src, ctx){
+  return renderNodes(parseTemplate(src), [{ item: ctx, meta: {} }]);
+}
+
+function templateContext(r, d){
+  const c = normalizeCase(d);
+  const tps = orderedTimepoints(c.timepoints);
+  const ageM = toMonths(c.ageValue, c.ageUnit);
+  const num = (v, digits = 0)=>(v === null || v === undefined ? "" : v.toFixed(digits));
+  const signed = (v, unit)=>(v === null || v === undefined ? "" : `${v > 0 ? "+" : ""}${v.toFixed(0)}${unit}`);
+  const cl = r.clin;
+  const u = r.uncertainty;
+  const p = r.pards;
+  const now = new Date();
+  const timepoints = (r.trajectory || []).map((row, i)=>{
+    const tp = tps[i] || {};
+    const at = row.at ? new Date(row.at) : null;
+    const fio2 = parseFiO2(tp.fio2);
+    const x = {
+      label: i === 0 ? t("Baseline") : `T+${hLabel(row.h)}`,
+      h: row.h === null ? "" : row.h,
+      clock: at ? at.toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" }) : "",
+      support: SUPPORT_MODES[tp.mode] ? t(SUPPORT_MODES[tp.mode].short) : "",
+      spo2: safeNum(tp.spo2) === null ? "" : safeNum(tp.spo2),
+      fio2: fio2 === null ? "" : fio2.toFixed(2),
+      sf: num(row.sf), rr: row.rr === null ? "" : row.rr, hr: row.hr === null ? "" : row.hr,
+      pco2: row.pco2 === null ? "" : row.pco2, ph: row.ph === null ? "" : row.ph,
+      clin: row.clin === null ? "" : row.clin,
+      rox: num(row.rox, 2), roxHr: num(row.roxHr, 2),
+      score: row.score === null ? "" : row.score, tier: row.tier || ""
+    };
+    x.vitals = [x.spo2 !== "" && `SpO₂ ${x.spo2}%`, x.fio2 && `FiO₂ ${x.fio2}`, x.sf && `SF ${x.sf}`,
+      x.rr !== "" && `${t("FR")} ${x.rr}`, x.hr !== "" && `${t("FC")} ${x.hr}`, x.pco2 !== "" && `pCO₂ ${x.pco2}`,
+      x.clin !== "" && cl && `${CLINICAL_SCORES[cl.key].short} ${x.clin}`, x.score !== "" && `score ${x.score}`].filter(Boolean).join(" | ");
+    return x;
+  });
+  const lastWith = [...timepoints].reverse().find(x=>x.vitals) || timepoints[0] || {};
+  return {
+    date: now.toLocaleDateString(locale), time: now.toLocaleTimeString(locale, { hour: "2-digit", minute: "2-digit" }),
+    age: ageM === null ? "" : ageM.toFixed(1),
+    weight: safeNum(c.weight) === null ? "" : safeNum(c.weight),
+    diag: t(DIAG_LABELS[c.diag] || DIAG_LABELS.other),
+    arf: t(c.arfType === "type1" ? "Hipoxémica (tipo 1)" : "Hipercápnica/hipoventilação (tipo 2)"),
+    prism: safeNum(c.prism) === null ? "" : safeNum(c.prism),
+    support: (r.support || []).map(s=>`${t(SUPPORT_MODES[s.mode].short)} ${hLabel(s.h)}`).join(" → "),
+    mode: r.mode ? t(SUPPORT_MODES[r.mode].short) : "",
+    score: r.score, scoreRange: u && u.missing.length ? `${u.lo}–${u.hi}` : "",
+    tier: r.tier, tierKey: r.tierKey || "", badge: r.badge, rules: r.rules,
+    redFlags: [c.rfHemodyn, c.rfGcs, c.rfSecretions, c.rfApnea, c.rfPtx].some(Boolean),
+    criteria: [c.cfHypox, c.cfWork, c.cfHypercap, c.cfIntol].some(Boolean),
+    sf0: num(r.sf0), sf1: num(r.sf1), sf1At: r.sf1 === null ? "" : hLabel(r.sf1H),
+    rox: num(r.rox, 2), roxHr: num(r.roxHr, 2),
+    drr: signed(r.drrPct, "%"), dhr: signed(r.dhrPct, "%"), dpco2: signed(r.dpco2, " mmHg"),
+    rrAge: r.rrAge1 ? fmtCentile(r.rrAge1.centile) : "", hrAge: r.hrAge1 ? fmtCentile(r.hrAge1.centile) : "",
+    oxygenation: r.oxyCtx || "",
+    clin: cl && (cl.c0 !== null || cl.c1 !== null) ? `${t(CLINICAL_SCORES[cl.key].label)}: ${clinText(cl.key, cl.c0)} → ${clinText(cl.key, cl.c1)}` : "",
+    acidBase: r.acidBase ? `${acidBaseLine(r.acidBase)} (${r.acidBase.at})` : "",
+    pards: p && (p.status !== "none" || c.diag === "ards") ? `${p.label}${p.idx ? ` | ${pardsLine(p)}` : ""}` : "",
+    pardsSeverity: p && p.severity ? p.severity : "",
+    explain: r.explain,
+    factors: r.topFactors || [], actions: r.actions || [],
+    notes: r.explain ? [r.explain] : [],
+    warnings: r.validation ? [...r.validation.assumptions, ...r.validation.warnings].map(x=>x.msg) : [],
+    models: (r.models || []).map(m=>({ name: m.name, missing: m.missing.join(", ") })),
+    timepoints, latest: lastWith,
+    summary: r.summary
+  };
+}
+
+function loadTemplates(){
+  try{
+    const list = JSON.parse(localStorage.getItem(LS_TEMPLATES) || "[]");
+    return Array.isArray(list) ? list.filter(x=>x && x.id && typeof x.body === "string") : [];
+  }catch{
+    return [];
+  }
+}
+
+function templateById(id){
+  if(SUMMARY_TEMPLATES[id]) return { id, builtin: true, name: t(SUMMARY_TEMPLATES[id].name), body: t(SUMMARY_TEMPLATES[id].body) };
+  const own = loadTemplates().find(x=>x.id === id);
+  return own ? { ...own, builtin: false } : null;
+}
+
+function selectedTemplate(){
+  return templateById(localStorage.getItem(LS_TEMPLATE) || "full") || templateById("full");
+}
+
+// summary text for the Resultado panel / copy (falls back to the full summary if the template fails)
+function summaryText(r, d){
+  const tpl = selectedTemplate();
+  if(tpl.body === "{{summary}}") return r.summary;
+  try{
+    return renderTemplate(tpl.body, templateContext(r, d)).trim();
+  }catch(e){
+    console.error(e);
+    return r.summary;
+  }
+}
+
+function templateCase(){
+  return shownCase || gather();
+}
+
+function renderTemplatePreview(){
+  const out = $("tplPreview");
+  if(!out) return;
+  const d = templateCase();
+  try{
+    out.textContent = renderTemplate($("tplBody").value, templateContext(computeRisk(d), d)).trim() || "—";
+    out.classList.remove("warnText");
+  }catch(e){
+    out.textContent = e.message;
+    out.classList.add("warnText");
+  }
+}
+
+function renderTemplateSettings(){
+  const sel = $("tplSelect");
+  if(!sel) return;
+  const cur = selectedTemplate();
+  sel.innerHTML = [
+    ...Object.keys(SUMMARY_TEMPLATES).map(id=>`<option value="${id}">${esc(t(SUMMARY_TEMPLATES[id].name))}</option>`),
+    ...loadTemplates().map(x=>`<option value="${esc(x.id)}">${esc(x.name)}</option>`)
+  ].join("");
+  sel.value = cur.id;
+  $("tplName").value = cur.name;
+  $("tplBody").value = cur.body;
+  $("btnTplDelete").disabled = cur.builtin;
+  if($("tplFields")){
+    $("tplFields").textContent = t("Valores: {values}. Listas ({{#each}}): {lists}.", {
+      values: TEMPLATE_FIELDS.values.map(k=>`{{${k}}}`).join(" "),
+      lists: Object.entries(TEMPLATE_FIELDS.lists).map(([k, f])=>(f.length ? `${k} (${f.join(", ")})` : `${k} ({{.}})`)).join("; ")
+    });
+  }
+  renderTemplatePreview();
+}
+
+function rerenderSummary(){
+  if(shownCase) $("summary").textContent = summaryText(computeRisk(shownCase), shownCase);
+}
+
+function chooseTemplate(id){
+  localStorage.setItem(LS_TEMPLATE, id);
+  renderTemplateSettings();
+  rerenderSummary();
+}
+
+// built-in templates are read-only: saving one stores a copy
+function saveTemplate(asNew){
+  const body = $("tplBody").value;
+  try{
+    parseTemplate(body);
+  }catch(e){
+    alert(t("Modelo inválido:") + "\n" + e.message);
+    return;
+  }
+  const cur = selectedTemplate();
+  const list = loadTemplates();
+  const name = $("tplName").value.trim() || t("Modelo sem nome");
+  let id = cur.id;
+  if(asNew || cur.builtin){
+    id = `custom-${Date.now().toString(36)}`;
+    list.push({ id, name: asNew || name !== cur.name ? name : `${name} (${t("cópia")})`, body });
+  } else {
+    const own = list.find(x=>x.id === id);
+    own.name = name;
+    own.body = body;
+  }
+  localStorage.setItem(LS_TEMPLATES, JSON.stringify(list));
+  chooseTemplate(id);
+  setPill(t("Modelo guardado."), true);
+}
+
+function deleteTemplate(){
+  const cur = selectedTemplate();
+  if(cur.builtin || !confirm(t("Apagar o modelo “{name}”?", { name: cur.name }))) return;
+  localStorage.setItem(LS_TEMPLATES, JSON.stringify(loadTemplates().filter(x=>x.id !== cur.id)));
+  chooseTemplate("full");
+}
+
+/* ---- CASE FILES (export / import) ----
+   Schema, migration and checks are in engine.js (readCaseFile). Here: the files offered for download
+   (one case or the whole archive) and the import: a clean single case goes straight to the form;
+   anything else shows the report, and archives a preview where duplicates are found by id and by content.
+*/
+const IMPORT_STATUS = {
+  new: "novo",
+  changed: "mesmo id, dados diferentes (substitui o local)",
+  same: "já existe (idêntico)",
+  copy: "já existe com outro id (mesmos dados)",
+  repeat: "repetido no ficheiro",
+  error: "com erros (não importado)"
+};
+const IMPORT_ISSUES_MAX = 60;
+
+function caseFileStamp(){
+  return new Date().toISOString().slice(0,19).replaceAll(":","-");
+}
+
+function exportJSON(){
+  const payload = { app: SCHEMA_APP, schema: SCHEMA_VERSION, kind: "case", exportedAt: new Date().toISOString(), case: gather() };
+  downloadJson(payload, `vni_pred_${caseFileStamp()}.json`);
+}
+
+async function exportArchive(){
+  const cases = await loadHistory();
+  if(!cases.length){
+    setPill(t("Sem casos no histórico para exportar."), false);
+    return;
+  }
+  downloadJson({ app: SCHEMA_APP, schema: SCHEMA_VERSION, kind: "archive", exportedAt: new Date().toISOString(), cases }, `vni_pred_arquivo_${caseFileStamp()}.json`);
+  setPill(t("Arquivo exportado ({n} casos).", { n: cases.length }), true);
+}
+
+// order-independent JSON of the clinical content (no id, no reminder), to spot the same case under another id;
+// numbers compare by value ("0,40" = "0.4"), as typed in the form or written by a spreadsheet
+function caseFingerprint(d){
+  const sorted = (v)=>(Array.isArray(v) ? v.map(sorted) : v && typeof v === "object" ? Object.fromEntries(Object.keys(v).sort().map(k=>[k, sorted(v[k])]))
+    : typeof v === "string" && safeNum(v) !== null ? safeNum(v) : v);
+  const { caseId, reminder, ...content } = compactCase(d || {});
+  return JSON.stringify(sorted(content));
+}
+
+async function markDuplicates(items){
+  const local = await loadHistory();
+  const byId = new Map(local.map(h=>[h.id, h]));
+  const prints = new Set(local.map(h=>caseFingerprint(h.data)));
+  const seen = new Set();
+  items.forEach(it=>{
+    if(!it.ok){ it.status = "error"; return; }
+    const fp = caseFingerprint(it.rec.data), prev = byId.get(it.rec.id);
+    if(seen.has(it.rec.id) || seen.has(fp)) it.status = "repeat";
+    else if(prev) it.status = caseFingerprint(prev.data) === fp ? "same" : "changed";
+    else it.status = prints.has(fp) ? "copy" : "new";
+    it.prev = prev || null;
+    seen.add(it.rec.id);
+    seen.add(fp);
+  });
+}
+
+// FHIR Bundles are mapped here (the FHIR code is part of the app) and read as a current-schema case
+function readImportFile(obj){
+  if(!obj || obj.resourceType !== "Bundle") return readCaseFile(obj);
+  const c = fhirToCase(obj);
+  if(!c) return { from: "FHIR", kind: null, issues: [{ level: "error", path: "", msg: t("Bundle FHIR sem dados de caso.") }], items: [] };
+  return { ...readCaseFile({ app: SCHEMA_APP, schema: SCHEMA_VERSION, kind: "case", case: c }), from: "FHIR" };
+}
+
+let pendingImport = null; // report of the archive waiting for "Importar seleccionados"
+
+function importJSON(file){
+  const reader = new FileReader();
+  reader.onload = async () => {
+    let obj;
+    try{
+      obj = JSON.parse(String(reader.result || ""));
+    }catch(e){
+      showImportReport({ from: null, kind: null, issues: [{ level: "error", path: "", msg: t("JSON inválido: {err}", { err: e.message }) }], items: [] }, file.name);
+      return;
+    }
+    const rep = readImportFile(obj);
+    const it = rep.kind === "case" ? rep.items[0] : null;
+    if(it && it.ok){
+      fill(it.rec.data);
+      save(gather());
+      setPill(t("Importado."), true);
+      if(it.issues.length) showImportReport(rep, file.name);
+      else hideImportReport();
+      return;
+    }
+    if(rep.kind === "archive") await markDuplicates(rep.items);
+    showImportReport(rep, file.name);
+  };
+  reader.readAsText(file);
+}
+
+function hideImportReport(){
+  pendingImport = null;
+  $("importReport").classList.add("hidden");
+}
+
+function showImportReport(rep, name){
+  const all = [...rep.issues, ...rep.items.flatMap(it=>it.issues)];
+  const nErr = all.filter(x=>x.level === "error").length, nWarn = all.length - nErr;
+  const from = rep.from === null ? "" : typeof rep.from === "string" ? ` — ${rep.from}` : rep.from < SCHEMA_VERSION
+    ? ` — ${t("esquema {v}, migrado para {cur}", { v: rep.from, cur: SCHEMA_VERSION })}` : ` — ${t("esquema {v}", { v: rep.from })}`;
+  const what = rep.kind === "archive" ? t("Arquivo com {n} caso(s)", { n: rep.items.length })
+    : rep.kind === "case" ? t("Caso único") : t("Ficheiro não importado");
+  $("importSummary").textContent = `${name}: ${what}${from}. ${t("{e} erro(s), {w} aviso(s).", { e: nErr, w: nWarn })}`;
+
+  $("importIssues").innerHTML = all.slice(0, IMPORT_ISSUES_MAX).map(x=>
+    `<li class="fieldmsg ${x.level === "error" ? "err" : "warn"}">${x.path ? `<b>${esc(x.path)}</b>: ` : ""}${esc(x.msg)}</li>`).join("")
+    + (all.length > IMPORT_ISSUES_MAX ? `<li class="muted small">${esc(t("… e mais {n}.", { n: all.length - IMPORT_ISSUES_MAX }))}</li>` : "");
+
+  const archive = rep.kind === "archive" && rep.items.length > 0;
+  pendingImport = archive ? rep : null;
+  $("importPreview").innerHTML = archive ? `<table class="tbl"><thead><tr>${["", "Actualizado", "Diagnóstico", "Score", "Desfecho", "Estado"].map(h=>`<th>${esc(h && t(h))}</th>`).join("")}</tr></thead><tbody>${
+    rep.items.map((it, i)=>{
+      const r = it.rec;
+      const cells = r ? [
+        caseDate(r), t(DIAG_LABELS[r.diag] || "—"),
+        `${r.score}/100 • ${tierName({ key: r.tierKey, label: r.tier })}`, r.outcome ? t(OUTCOMES[r.outcome.status]) : "—"
+      ] : ["—", "—", "—", "—"];
+      return `<tr><td><input type="checkbox" data-import="${i}" aria-label="${esc(t("Importar"))}"${it.status === "new" ? " checked" : ""}${r ? "" : " disabled"} /></td>${
+        cells.map(c=>`<td>${esc(c)}</td>`).join("")}<td>${esc(t(IMPORT_STATUS[it.status]))}</td></tr>`;
+    }).join("")}</tbody></table>` : "";
+  $("importActions").classList.toggle("hidden", !archive);
+  $("importReport").classList.remove("hidden");
+  setRoute("settings");
+  $("importReport").scrollIntoView({ block: "start", behavior: "smooth" });
+  if(!rep.items.some(it=>it.ok)) setPill(t("Importação recusada: ver relatório."), false);
+}
+
+// write the ticked records; a replaced case keeps its local outcome unless the file brings one
+async function confirmImport(){
+  const rep = pendingImport;
+  if(!rep) return;
+  const picked = [...document.querySelectorAll("#importPreview [data-import]:checked")].map(el=>rep.items[Number(el.dataset.import)]).filter(it=>it && it.rec);
+  if(!picked.length){
+    setPill(t("Nenhum caso seleccionado."), false);
+    return;
+  }
+  try{
+    for(const it of picked){
+      const rec = { ...it.rec };
+      if(it.prev){
+        if(!rec.outcome && it.prev.outcome) rec.outcome = it.prev.outcome;
+        if(String(it.prev.createdAt) < String(rec.createdAt)) rec.createdAt = it.prev.createdAt;
+      }
+      await dbPut("cases", rec);
+    }
+  }catch(e){
+    console.error(e);
+    setPill(t("Não foi possível guardar o caso no histórico local."), false);
+    return;
+  }
+  hideImportReport();
+  renderHistory();
+  setPill(t("{n} caso(s) importado(s).", { n: picked.length }), true);
+}
+
+/* ---- CSV (audit spreadsheets) ----
+   Layout, writing and reading are in engine.js (CSV_GROUPS, buildCsv, readCsv). Here: the options in
+   Definições (rows, decimal separator, columns left out) and import through the archive preview.
+*/
+const LS_CSV = "vni_pred_csv_v1";
+
+// { rows: "case" | "timepoint", decimal: "," | ".", off: [column keys left out] }
+function csvOptions(){
+  let o = {};
+  try{ o = JSON.parse(localStorage.getItem(LS_CSV) || "{}") || {}; }catch{}
+  return {
+    rows: o.rows === "timepoint" ? "timepoint" : "case",
+    decimal: o.decimal === "." || o.decimal === "," ? o.decimal : locale === "en" ? "." : ",",
+    off: Array.isArray(o.off) ? o.off : []
+  };
+}
+
+function saveCsvOptions(){
+  const off = [...document.querySelectorAll("#csvColumns [data-csv-col]")].filter(el=>!el.checked).map(el=>el.dataset.csvCol);
+  localStorage.setItem(LS_CSV, JSON.stringify({ rows: $("csvRows").value, decimal: $("csvDecimal").value, off }));
+}
+
+function renderCsvOptions(){
+  const o = csvOptions();
+  $("csvRows").value = o.rows;
+  $("csvDecimal").value = o.decimal;
+  $("csvColumns").innerHTML = CSV_GROUPS.map(g=>`
+    <fieldset class="csvgroup">
+      <legend><label class="check"><input type="checkbox" data-csv-group="${g.key}" /> ${esc(t(g.label))}</label></legend>
+      ${g.cols.map(k=>`<label class="check"><input type="checkbox" data-csv-col="${k}"${o.off.includes(k) ? "" : " checked"} /> ${k}</label>`).join("")}
+    </fieldset>`).join("");
+  syncCsvGroups();
+}
+
+function syncCsvGroups(){
+  document.querySelectorAll("#csvColumns fieldset").forEach(fs=>{
+    const cols = [...fs.querySelectorAll("[data-csv-col]")];
+    const n = cols.filter(el=>el.checked).length;
+    const box = fs.querySelector("[data-csv-group]");
+    box.checked = n === cols.length;
+    box.indeterminate = n > 0 && n < cols.length;
+  });
+}
+
+async function exportCsv(){
+  saveCsvOptions();
+  const o = csvOptions();
+  const cases = (await loadHistory()).reverse();
+  downloadText(buildCsv(cases, o), `vni_pred_${o.rows === "timepoint" ? "pontos" : "casos"}_${caseFileStamp()}.csv`, "text/csv;charset=utf-8");
+  setPill(cases.length ? t("CSV exportado ({n} casos).", { n: cases.length }) : t("CSV exportado só com cabeçalho (sem casos no histórico)."), true);
+}
+
+function importCsv(file){
+  const reader = new FileReader();
+  reader.onload = async () => {
+    const rep = readCsv(parseCsv(String(reader.result || "")));
+    if(rep.items.length) await markDuplicates(rep.items);
+    showImportReport(rep, file.name);
+  };
+  reader.readAsText(file);
+}
+
+/* ---- HL7 FHIR R4 (export / POST) ----
+   Bundle mapping (caseToFhir / fhirToCase) is in engine.js; here the file download and the POST of a
+   "transaction" Bundle to the base URL saved in Definições. Import goes through readImportFile().
+*/
+const LS_FHIR = "vni_pred_fhir_base";
+
+function downloadJson(obj, name, type = "application/json"){
+  downloadText(JSON.stringify(obj, null, 2), name, type);
+}
+
+function downloadText(text, name, type){
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function exportFhir(){
+  const d = gather();
+  downloadJson(caseToFhir(d, computeRisk(d)), `vni_pred_fhir_${new Date().toISOString().slice(0,19).replaceAll(":","-")}.json`, "application/fhir+json");
+}
+
+// POST a transaction Bundle to the configured FHIR base URL
+async function postFhir(){
+  const base = ($("fhirBase").value || "").trim().replace(/\/+$/, "");
+  if(!base){
+    setPill(t("Indica o URL base do servidor FHIR."), false);
+    return;
+  }
+  localStorage.setItem(LS_FHIR, base);
+  const d = gather();
+  const out = $("fhirStatus");
+  try{
+    const resp = await fetch(base, {
+      method: "POST",
+      headers: { "Content-Type": "application/fhir+json", "Accept": "application/fhir+json" },
+      body: JSON.stringify(caseToFhir(d, computeRisk(d), "transaction"))
+    });
+    if(!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const body = await resp.json().catch(()=>null);
+    const n = body && Array.isArray(body.entry) ? body.entry.length : 0;
+    out.textContent = t("Enviado para {base} (HTTP {status}, {n} recurso(s)).", { base, status: resp.status, n });
+    setPill(t("Enviado para FHIR."), true);
+  }catch(e){
+    console.error(e);
+    out.textContent = t("Falha ao enviar para {base}: {err}", { base, err: e.message });
+    setPill(t("Falha ao enviar para FHIR."), false);
+  }
+}
+
+/* ---- QR TRANSFER (device to device, offline) ----
+   The case (or a bed slot) is packed without empty fields, with its caseId and reminder, deflated where the
+   browser has CompressionStream, and split into parts:  VNIQR1.<enc>.<set>.<i>.<n>.<crc>.<data>
+   - enc: z = deflate-raw, j = plain JSON (both base64url); set: random id shared by the parts;
+   - crc: CRC-32 of the JSON, checked after joining, so a partial or mixed scan is never imported.
+   Each part is a link to the app (#qr=…), so a phone without a QR reader in the browser can scan
+   the parts with the system camera; they are kept here until all have arrived.
+   The JSON is { v, kind, label?, schema, case }; the received case goes through readCaseFile() (schema
+   check, migration, validation) and problems show in the import report, as for a file.
+*/
+const QR_VERSION = "VNIQR1";
+const QR_PART_CHARS = 480;
+const QR_ROTATE_MS = 1800;
+const LS_QR_PARTS = "vni_pred_qr_parts";
+const QR_PARTS_TTL_MS = 10 * 60 * 1000;
+
+let qrShare = null; // { svgs, i, timer } of the panel being shown
+let qrScan = null;  // { detector, stream, timer, busy } while the reader is open
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n)=>{
+  let c = n;
+  for(let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(str){
+  let c = 0xffffffff;
+  new TextEncoder().encode(str).forEach(b=>{ c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8); });
+  return ((c ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+}
+
+function toBase64Url(bytes){
+  let s = "";
+  bytes.forEach(b=>{ s += String.fromCharCode(b); });
+  return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s){
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((s.length + 3) % 4));
+  return Uint8Array.from(bin, ch=>ch.charCodeAt(0));
+}
+
+async function streamBytes(bytes, transform){
+  const resp = new Response(new Blob([bytes]).stream().pipeThrough(transform));
+  return new Uint8Array(await resp.arrayBuffer());
+}
+
+// empty strings and unchecked boxes are dropped (fill() restores the defaults); the caseId and the reminder
+// stay, so a case sent by QR keeps its identity (duplicates on import) and its next reassessment (links drop both)
+function compactValue(v){
+  if(Array.isArray(v)) return v.map(x=>compactValue(x) ?? null);
+  if(v && typeof v === "object"){
+    const o = {};
+    Object.entries(v).forEach(([k, x])=>{
+      const c = compactValue(x);
+      if(c !== undefined) o[k] = c;
+    });
+    return Object.keys(o).length ? o : undefined;
+  }
+  return v === "" || v === false || v === null || v === undefined ? undefined : v;
+}
+
+function compactCase(d){
+  return compactValue(normalizeCase(d)) || {};
+}
+
+// QR / link payload → report of a one-case file; payloads from before the "schema" field hold a schema-2 case
+function readSharedCase(obj){
+  return readCaseFile({ app: SCHEMA_APP, schema: obj.schema ?? 2, kind: "case", case: obj.case });
+}
+
+async function packPayload(obj){
+  const json = JSON.stringify(obj);
+  const bytes = new TextEncoder().encode(json);
+  let enc = "j", out = bytes;
+  if(typeof CompressionStream === "function"){
+    try{
+      out = await streamBytes(bytes, new CompressionStream("deflate-raw"));
+      enc = "z";
+    }catch(e){ console.error("deflate", e); }
+  }
+  return { enc, data: toBase64Url(out), crc: crc32(json) };
+}
+
+async function unpackPayload(enc, data, crc){
+  let bytes;
+  try{ bytes = fromBase64Url(data); }catch{ throw new Error(t("dados mal codificados")); }
+  if(enc === "z"){
+    if(typeof DecompressionStream !== "function") throw new Error(t("este browser não descomprime os dados"));
+    try{ bytes = await streamBytes(bytes, new DecompressionStream("deflate-raw")); }catch{ throw new Error(t("dados comprimidos inválidos")); }
+  } else if(enc !== "j"){
+    throw new Error(t("codificação desconhecida ({enc})", { enc }));
+  }
+  const json = new TextDecoder().decode(bytes);
+  if(crc32(json) !== crc) throw new Error(t("verificação de integridade falhou"));
+  return JSON.parse(json);
+}
+
+// the app's own URL: the Base URL (GitHub Pages subpath) when set, else the current page
+function appLink(){
+  const base = (localStorage.getItem(LS_BASE) || "").trim();
+  if(/^https?:\/\//i.test(base)) return base;
+  if(!base) return location.origin + location.pathname;
+  const path = base.replace(/^\/+|\/+$/g, "");
+  return `${location.origin}/${path ? `${path}/` : ""}`;
+}
+
+async function qrParts(payload){
+  const p = await packPayload(payload);
+  const set = Math.random().toString(36).slice(2, 6).padEnd(4, "0");
+  const n = Math.max(1, Math.ceil(p.data.length / QR_PART_CHARS));
+  const base = appLink();
+  return Array.from({ length: n }, (_, i)=>
+    `${base}#qr=${[QR_VERSION, p.enc, set, i + 1, n, p.crc, p.data.slice(i * QR_PART_CHARS, (i + 1) * QR_PART_CHARS)].join(".")}`);
+}
+
+// null = not one of ours; throws for our format in another version
+function parseQrPart(text){
+  const s = String(text || "").trim();
+  const at = s.indexOf("#qr=");
+  const m = (at >= 0 ? s.slice(at + 4) : s).match(/^(VNIQR\d+)\.([a-z])\.([a-z0-9]+)\.(\d+)\.(\d+)\.([0-9a-f]{8})\.([A-Za-z0-9_-]*)$/);
+  if(!m) return null;
+  if(m[1] !== QR_VERSION) throw new Error(t("QR de uma versão não suportada ({v}).", { v: m[1] }));
+  return { enc: m[2], set: m[3], i: Number(m[4]), n: Number(m[5]), crc: m[6], data: m[7] };
+}
+
+function loadQrCollect(){
+  try{
+    const col = JSON.parse(localStorage.getItem(LS_QR_PARTS) || "null");
+    return col && Date.now() - col.at < QR_PARTS_TTL_MS ? col : null;
+  }catch{ return null; }
+}
+
+// parts of one transfer (same set id); a new set id starts over
+function collectQrPart(col, p){
+  if(!col || col.set !== p.set) col = { set: p.set, n: p.n, enc: p.enc, crc: p.crc, parts: {} };
+  if(p.n !== col.n || p.enc !== col.enc || p.crc !== col.crc || p.i < 1 || p.i > p.n){
+    throw new Error(t("Parte QR inconsistente com as anteriores."));
+  }
+  col.parts[p.i] = p.data;
+  col.at = Date.now();
+  return col;
+}
+
+function qrMissing(col){
+  return Array.from({ length: col.n }, (_, i)=>i + 1).filter(i=>col.parts[i] === undefined);
+}
+
+// one scanned text → { ok, done, msg }; imports when the last part arrives
+async function receiveQrPart(text){
+  let p, col;
+  try{
+    p = parseQrPart(text);
+    if(!p) return { ok: false, done: false, msg: t("QR não reconhecido (não é uma transferência desta aplicação).") };
+    col = collectQrPart(loadQrCollect(), p);
+  }catch(e){
+    return { ok: false, done: false, msg: e.message };
+  }
+  localStorage.setItem(LS_QR_PARTS, JSON.stringify(col));
+  const missing = qrMissing(col);
+  if(missing.length){
+    return { ok: true, done: false, msg: t("Parte {i} de {n} lida. Falta: {missing}.", { i: p.i, n: col.n, missing: missing.join(", ") }) };
+  }
+
+  localStorage.removeItem(LS_QR_PARTS);
+  let obj;
+  try{
+    obj = await unpackPayload(col.enc, Array.from({ length: col.n }, (_, i)=>col.parts[i + 1]).join(""), col.crc);
+    if(!obj || obj.v !== 1 || !obj.case || typeof obj.case !== "object" || !["case", "bed"].includes(obj.kind)) throw new Error(t("conteúdo inesperado"));
+  }catch(e){
+    return { ok: false, done: true, msg: t("Transferência rejeitada: {err}. Lê de novo todas as partes.", { err: e.message }) };
+  }
+  return importQrPayload(obj);
+}
+
+// report: the import report is open (errors refuse the transfer; warnings are listed after it)
+async function importQrPayload(obj){
+  const rep = readSharedCase(obj);
+  const it = rep.items[0];
+  if(!it || !it.ok){
+    showImportReport(rep, t("Transferência por QR"));
+    return { ok: false, done: true, report: true, msg: t("Importação recusada: ver relatório.") };
+  }
+  const data = normalizeCase(it.rec.data);
+  const warn = it.issues.length > 0;
+  if(obj.kind !== "bed"){
+    fill(data);
+    save(gather());
+    updateLivePreview();
+    setRoute("calc");
+    if(warn) showImportReport(rep, t("Transferência por QR"));
+    return { ok: true, done: true, report: warn, msg: t("Caso recebido por QR.") };
+  }
 
-    cfHypox: $("cfHypox") ? $("cfHypox").checked : false,
-    cfWork: $("cfWork") ? $("cfWork").checked : false,
-    cfHypercap: $("cfHypercap") ? $("cfHypercap").checked : false,
-    cfIntol: $("cfIntol") ? $("cfIntol").checked : false,
+  const label = String(obj.label || "").trim().slice(0, 24) || t("Cama (QR)");
+  const beds = await loadBeds();
+  const same = beds.find(b=>b.label.toLowerCase() === label.toLowerCase());
+  if(same && !confirm(t("Substituir o caso da cama “{label}” pelo recebido?", { label }))){
+    return { ok: false, done: true, msg: t("Transferência cancelada.") };
+  }
+  const now = new Date().toISOString();
+  const rec = same ? { ...same, savedAt: now, data } : { key: `${BED_PREFIX}${newCaseId()}`, label, createdAt: now, savedAt: now, data };
+  await dbPut("drafts", rec);
+  if(activeBed && activeBed.key === rec.key){
+    fill(data);
+    updateLivePreview();
+  }
+  renderBoard();
+  setRoute("board");
+  if(warn) showImportReport(rep, t("Transferência por QR"));
+  return { ok: true, done: true, report: warn, msg: t("Cama “{label}” recebida por QR.", { label }) };
+}
 
-    spo2_0: $("spo2_0").value,
-    fio2_0: $("fio2_0").value,
-    epap_0: $("epap_0").value,
-    rr_0: $("rr_0").value,
-    hr_0: $("hr_0").value,
-    ph_0: $("ph_0").value,
-    pco2_0: $("pco2_0").value,
-
-    spo2_1: $("spo2_1").value,
-    fio2_1: $("fio2_1").value,
-    rr_1: $("rr_1").value,
-    hr_1: $("hr_1").value,
-    ipap_1: $("ipap_1").value,
-    epap_1: $("epap_1").value,
-    ph_1: $("ph_1").value,
-    pco2_1: $("pco2_1").value,
-  };
+function openQrPanel(mode){
+  $("qrPanel").classList.remove("hidden");
+  $("qrShow").classList.toggle("hidden", mode !== "show");
+  $("qrScan").classList.toggle("hidden", mode !== "scan");
+  $("qrTitle").textContent = mode === "show" ? t("Partilhar por QR") : t("Ler QR");
 }
 
-function fill(d){
-  $("ageValue").value = d.ageValue ?? "";
-  $("ageUnit").value = d.ageUnit ?? "months";
-  $("arfType").value = d.arfType ?? "type2";
-  $("diag").value = d.diag ?? "bronchiolitis";
-  $("prism").value = d.prism ?? "";
+function closeQrPanel(){
+  $("qrPanel").classList.add("hidden");
+  if(qrShare && qrShare.timer) clearInterval(qrShare.timer);
+  qrShare = null;
+  stopQrScan();
+}
 
-  $("rfHemodyn").checked = !!d.rfHemodyn;
-  $("rfGcs").checked = !!d.rfGcs;
-  $("rfSecretions").checked = !!d.rfSecretions;
-  $("rfApnea").checked = !!d.rfApnea;
-  $("rfPtx").checked = !!d.rfPtx;
+// kind "case" = the form; "bed" = a bed slot of the board
+async function shareQr(kind, key){
+  let data = gather(), label = "";
+  if(kind === "bed"){
+    const bed = await dbGet("drafts", key);
+    if(!bed) return;
+    label = bed.label;
+    if(!(activeBed && activeBed.key === key)) data = bed.data || {};
+  }
+  const c = normalizeCase(data);
+  if(!c.ageValue && !c.timepoints.some(tpHasData)){
+    setPill(t("Sem dados para partilhar."), false);
+    return;
+  }
+  const payload = kind === "bed"
+    ? { v: 1, kind, label, schema: SCHEMA_VERSION, case: compactCase(c) }
+    : { v: 1, kind: "case", schema: SCHEMA_VERSION, case: compactCase(c) };
+  let parts;
+  try{
+    parts = await qrParts(payload);
+  }catch(e){
+    console.error(e);
+    setPill(t("Não foi possível gerar o QR."), false);
+    return;
+  }
+  qrShare = { svgs: parts.map(p=>qrSvg(qrEncode(p, "M"))), i: 0, timer: null };
+  openQrPanel("show");
+  $("qrInfo").textContent = kind === "bed"
+    ? t("Cama “{label}”: lê no outro dispositivo com “Ler QR” ou com a câmara. Sem identificação do doente.", { label })
+    : t("Caso actual: lê no outro dispositivo com “Ler QR” ou com a câmara. Sem identificação do doente.");
+  $("qrNav").classList.toggle("hidden", parts.length < 2);
+  showQrPart(0);
+  setQrRotate($("qrAuto").checked);
+}
 
-  if($("cfHypox")) $("cfHypox").checked = !!d.cfHypox;
-  if($("cfWork")) $("cfWork").checked = !!d.cfWork;
-  if($("cfHypercap")) $("cfHypercap").checked = !!d.cfHypercap;
-  if($("cfIntol")) $("cfIntol").checked = !!d.cfIntol;
+function showQrPart(i){
+  if(!qrShare) return;
+  const n = qrShare.svgs.length;
+  qrShare.i = (i + n) % n;
+  $("qrImg").innerHTML = qrShare.svgs[qrShare.i];
+  $("qrPart").textContent = t("Parte {i} de {n}", { i: qrShare.i + 1, n });
+}
 
-  ["spo2_0","fio2_0","epap_0","rr_0","hr_0","ph_0","pco2_0","spo2_1","fio2_1","rr_1","hr_1","ipap_1","epap_1","ph_1","pco2_1"].forEach(k=>{
-    $(k).value = d[k] ?? "";
-  });
+function setQrRotate(on){
+  if(!qrShare) return;
+  if(qrShare.timer) clearInterval(qrShare.timer);
+  qrShare.timer = on && qrShare.svgs.length > 1 ? setInterval(()=>showQrPart(qrShare.i + 1), QR_ROTATE_MS) : null;
+}
 
-  updateAgeHint();
+function qrScanStatus(msg){
+  $("qrScanStatus").textContent = msg;
 }
 
-function save(d){
-  localStorage.setItem(LS_KEY, JSON.stringify({ ...d, savedAt: new Date().toISOString() }));
+function qrProgressText(){
+  const col = loadQrCollect();
+  if(!col) return "";
+  return t("Em curso: {got} de {n} parte(s) lida(s).", { got: col.n - qrMissing(col).length, n: col.n });
 }
 
-function load(){
-  const raw = localStorage.getItem(LS_KEY);
-  if(!raw) return null;
-  try { return JSON.parse(raw); } catch { return null; }
+async function startQrScan(){
+  openQrPanel("scan");
+  stopQrScan();
+  qrScanStatus(qrProgressText());
+  const supported = "BarcodeDetector" in window;
+  $("btnQrPhoto").disabled = !supported;
+  $("qrVideo").classList.add("hidden");
+  if(!supported){
+    qrScanStatus(t("Este browser não lê QR codes. Usa a câmara do telemóvel: cada parte abre a aplicação e fica guardada até estarem todas."));
+    return;
+  }
+  qrScan = { detector: new BarcodeDetector({ formats: ["qr_code"] }), stream: null, timer: null, busy: false };
+  if(!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)){
+    qrScanStatus(t("Câmara indisponível. Usa uma fotografia do QR."));
+    return;
+  }
+  const scan = qrScan;
+  try{
+    scan.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+    if(qrScan !== scan){ scan.stream.getTracks().forEach(tr=>tr.stop()); return; }
+    const video = $("qrVideo");
+    video.srcObject = scan.stream;
+    video.classList.remove("hidden");
+    await video.play();
+    scan.timer = setInterval(async ()=>{
+      if(scan.busy || video.readyState < 2) return;
+      scan.busy = true;
+      try{
+        const codes = await scan.detector.detect(video);
+        for(const code of codes) await handleQrScan(code.rawValue);
+      }catch(e){ console.error(e); }
+      scan.busy = false;
+    }, 300);
+  }catch(e){
+    console.error(e);
+    qrScanStatus(t("Câmara indisponível ({err}). Usa uma fotografia do QR.", { err: e.name || e.message }));
+  }
+}
+
+function stopQrScan(){
+  if(!qrScan) return;
+  if(qrScan.timer) clearInterval(qrScan.timer);
+  if(qrScan.stream) qrScan.stream.getTracks().forEach(tr=>tr.stop());
+  const video = $("qrVideo");
+  if(video){ video.srcObject = null; video.classList.add("hidden"); }
+  qrScan = null;
 }
 
+async function handleQrScan(text){
+  const res = await receiveQrPart(text);
+  if(res.done && (res.ok || res.report)){
+    closeQrPanel();
+    setPill(res.msg, res.ok);
+    return;
+  }
+  qrScanStatus(res.msg);
+}
 
-function loadHistory(){
-  const raw = localStorage.getItem(LS_HISTORY);
-  if(!raw) return [];
+async function scanQrImage(file){
+  if(!qrScan) qrScan = { detector: new BarcodeDetector({ formats: ["qr_code"] }), stream: null, timer: null, busy: false };
   try{
-    const arr = JSON.parse(raw);
-    return Array.isArray(arr) ? arr : [];
-  }catch{ return []; }
+    const codes = await qrScan.detector.detect(await createImageBitmap(file));
+    if(!codes.length){
+      qrScanStatus(t("Nenhum QR encontrado na imagem."));
+      return;
+    }
+    for(const code of codes) await handleQrScan(code.rawValue);
+  }catch(e){
+    console.error(e);
+    qrScanStatus(t("Não foi possível ler a imagem."));
+  }
 }
 
-function pushHistory(entry){
-  const hist = loadHistory();
-  hist.unshift(entry);
-  const trimmed = hist.slice(0, 10);
-  localStorage.setItem(LS_HISTORY, JSON.stringify(trimmed));
-  return trimmed;
+// app opened from a scanned QR link (#qr=…)
+async function receiveQrLink(){
+  if(!location.hash.startsWith("#qr=")) return;
+  const text = location.hash;
+  history.replaceState(null, "", appLink());
+  const res = await receiveQrPart(text);
+  setPill(res.msg, res.ok);
 }
 
-function renderHistory(){
-  const box = $("historyList");
-  if(!box) return;
-  const hist = loadHistory();
-  if(hist.length === 0){
-    box.innerHTML = '<div class="muted">Sem histórico ainda.</div>';
+/* ---- CASE LINKS (#case=…) ----
+   A link whose fragment carries the inputs of the case only:  #case=VNIL1.<enc>.<crc>.<data>
+   No caseId or reminder: a link may be pasted anywhere, so it holds no record identifier or workflow
+   history; the case opens under a new caseId. Same packing as the QR transfer; the JSON is
+   { v, at, exp?, schema, case } (exp = expiry, ms since epoch). The case is checked like a file import
+   (readCaseFile); problems show in the import report.
+   The fragment never reaches the server, and the service worker serves the cached page, so it also
+   opens offline. The link points at the Base URL (GitHub Pages) when one is set.
+*/
+const LINK_VERSION = "VNIL1";
+const LS_LINK_HOURS = "vni_pred_link_hours";
+
+async function caseLink(d, hours){
+  const at = Date.now();
+  const { caseId, reminder, ...inputs } = compactCase(d);
+  const payload = { v: 1, at, schema: SCHEMA_VERSION, case: inputs };
+  if(hours > 0) payload.exp = at + hours * 3600000;
+  const p = await packPayload(payload);
+  return { url: `${appLink()}#case=${[LINK_VERSION, p.enc, p.crc, p.data].join(".")}`, exp: payload.exp };
+}
+
+async function copyCaseLink(){
+  const d = gather();
+  const c = normalizeCase(d);
+  if(!c.ageValue && !c.timepoints.some(tpHasData)){
+    setPill(t("Sem dados para partilhar."), false);
     return;
   }
-  box.innerHTML = "";
-  hist.forEach((h)=>{
-    const wrap = document.createElement("div");
-    wrap.className = "hitem";
-
-    const meta = document.createElement("div");
-    meta.className = "hmeta";
-    const l1 = document.createElement("div");
-    l1.className = "hline1";
-    l1.textContent = `${h.tier} • ${h.score}/100 • ${h.when}`;
-    const l2 = document.createElement("div");
-    l2.className = "hline2";
-    l2.textContent = h.brief;
+  const hours = safeNum($("linkHours") ? $("linkHours").value : "");
+  localStorage.setItem(LS_LINK_HOURS, hours > 0 ? String(hours) : "");
+  let link;
+  try{
+    link = await caseLink(d, hours);
+  }catch(e){
+    console.error(e);
+    setPill(t("Não foi possível gerar o link."), false);
+    return;
+  }
+  await copyText(link.url);
+  setPill(link.exp
+    ? t("Link do caso copiado (expira {when}).", { when: new Date(link.exp).toLocaleString(locale) })
+    : t("Link do caso copiado."), true);
+}
 
-    meta.appendChild(l1);
-    meta.appendChild(l2);
+async function copyText(text){
+  try{
+    await navigator.clipboard.writeText(text);
+  }catch{
+    // fallback
+    const ta = document.createElement("textarea");
+    ta.value = text;
+    document.body.appendChild(ta);
+    ta.select();
+    document.execCommand("copy");
+    ta.remove();
+  }
+}
 
-    const btn = document.createElement("button");
-    btn.className = "hbtn";
-    btn.textContent = "Carregar";
-    btn.addEventListener("click", ()=>{
-      fill(h.data);
-      save(gather());
-      setRoute("calc");
-      window.scrollTo({top:0, behavior:"smooth"});
-    });
+async function openCaseLink(frag){
+  const m = frag.match(/^(VNIL\d+)\.([a-z])\.([0-9a-f]{8})\.([A-Za-z0-9_-]+)$/);
+  if(!m) throw new Error(t("link incompleto"));
+  if(m[1] !== LINK_VERSION) throw new Error(t("link de uma versão não suportada ({v})", { v: m[1] }));
+  const obj = await unpackPayload(m[2], m[4], m[3]);
+  if(!obj || obj.v !== 1 || !obj.case || typeof obj.case !== "object") throw new Error(t("conteúdo inesperado"));
+  if(obj.exp && Date.now() > obj.exp){
+    throw new Error(t("o link expirou em {when}", { when: new Date(obj.exp).toLocaleString(locale) }));
+  }
+  const rep = readSharedCase(obj);
+  const it = rep.items[0];
+  if(!it || !it.ok){
+    showImportReport(rep, t("Link do caso"));
+    return false;
+  }
 
-    wrap.appendChild(meta);
-    wrap.appendChild(btn);
-    box.appendChild(wrap);
-  });
+  const cur = normalizeCase(gather());
+  if((cur.ageValue || cur.timepoints.some(tpHasData)) && !confirm(t("Substituir o caso em curso pelos dados do link?"))) return false;
+  if(activeBed){
+    // a link never overwrites a bed slot: it opens in the free draft
+    save(gather());
+    activeBed = null;
+    localStorage.removeItem(LS_BED);
+    updateBedIndicator();
+  }
+  // inputs only, even from a link that carries more
+  fill({ ...it.rec.data, caseId: newCaseId(), reminder: null });
+  const d = gather();
+  save(d);
+  updateLivePreview();
+  showLinkBanner(obj);
+  showResult(d);
+  if(it.issues.length) showImportReport(rep, t("Link do caso"));
+  return true;
 }
 
+function showLinkBanner(obj){
+  const el = $("linkBanner");
+  if(!el) return;
+  const made = obj.at ? new Date(obj.at).toLocaleString(locale) : "—";
+  $("linkBannerText").textContent = obj.exp
+    ? t("Dados recebidos por link (gerado {at}; expira {exp}). Confirma-os antes de decidir.", { at: made, exp: new Date(obj.exp).toLocaleString(locale) })
+    : t("Dados recebidos por link (gerado {at}). Confirma-os antes de decidir.", { at: made });
+  el.classList.remove("hidden");
+}
 
-function resetForm(){
-  localStorage.removeItem(LS_KEY);
-  fill({});
+function hideLinkBanner(){
+  if($("linkBanner")) $("linkBanner").classList.add("hidden");
 }
 
-function updateAgeHint(){
-  const m = toMonths($("ageValue").value, $("ageUnit").value);
-  $("ageMonthsHint").textContent = m===null ? "= — meses" : `= ${m.toFixed(1)} meses`;
+// app opened (or re-targeted) with a #qr= part, a #case= link or a #reminder= notification action
+async function receiveLink(){
+  const hash = location.hash;
+  if(hash.startsWith("#qr=")) return receiveQrLink();
+  if(hash.startsWith("#reminder=")){
+    history.replaceState(null, "", location.href.split("#")[0]);
+    const [action, key] = decodeURIComponent(hash.slice(10)).split(/\.(.*)/s);
+    return handleReminderAction(action, key);
+  }
+  if(!hash.startsWith("#case=")) return;
+  history.replaceState(null, "", location.href.split("#")[0]);
+  try{
+    if(await openCaseLink(hash.slice(6))) setPill(t("Caso aberto a partir de um link."), true);
+  }catch(e){
+    console.error(e);
+    setPill(t("Link não aberto: {err}.", { err: e.message }), false);
+  }
 }
 
-function renderResult(r, d){
-  $("sf0").textContent = r.sf0===null ? "—" : r.sf0.toFixed(0);
-  $("sf1").textContent = r.sf1===null ? "—" : r.sf1.toFixed(0);
-  $("oxyCtx").textContent = r.oxyCtx===null ? "—" : r.oxyCtx;
+async function copySummary(){
+  const txt = $("summary").textContent || "";
+  try{
+    await navigator.clipboard.writeText(txt);
+    setPill(t("Resumo copiado."), true);
+  }catch{
+    alert(t("Não foi possível copiar automaticamente (permissões do browser)."));
+  }
+}
 
-  $("drr").textContent = r.drrPct===null ? "—" : `${r.drrPct.toFixed(0)}%`;
-  $("dhr").textContent = r.dhrPct===null ? "—" : `${r.dhrPct.toFixed(0)}%`;
-  if(r.dpco2 === null) $("dpco2").textContent = "—";
-  else $("dpco2").textContent = `${r.dpco2>0?"+":""}${r.dpco2.toFixed(0)} mmHg`;
+/* ---- rule set (Definições) ---- */
+function loadRules(){
+  const raw = localStorage.getItem(LS_RULES);
+  if(!raw) return null;
+  try{
+    const r = JSON.parse(raw);
+    return validateRules(r).length ? null : r;
+  }catch{ return null; }
+}
 
-  $("score").textContent = `${r.score}/100`;
+function activeRules(){
+  return loadRules() || DEFAULT_RULES;
+}
 
-  $("riskBadge").textContent = r.badge;
-  $("riskLabel").textContent = r.tier;
-  $("riskExplain").textContent = r.explain + (r.topFactors && r.topFactors.length ? "  Fatores principais: " + r.topFactors.join("; ") : "");
+function rulesJson(rules){
+  return JSON.stringify(rules, null, 2);
+}
 
-  // style badge by tier
-  const badge = $("riskBadge");
-  badge.style.borderColor = "rgba(255,255,255,.08)";
-  badge.style.background = "rgba(255,255,255,.06)";
-  if(r.tier === "Muito alto"){
-    badge.style.borderColor = "rgba(239,68,68,.45)";
-    badge.style.background = "rgba(239,68,68,.12)";
-  } else if(r.tier === "Alto"){
-    badge.style.borderColor = "rgba(245,158,11,.45)";
-    badge.style.background = "rgba(245,158,11,.12)";
-  } else if(r.tier === "Intermédio"){
-    badge.style.borderColor = "rgba(59,130,246,.45)";
-    badge.style.background = "rgba(59,130,246,.12)";
-  } else if(r.tier === "Baixo"){
-    badge.style.borderColor = "rgba(34,197,94,.45)";
-    badge.style.background = "rgba(34,197,94,.10)";
+// line diff (LCS); returns [[" "|"-"|"+", line], ...]
+function lineDiff(a, b){
+  const A = a.split("\n"), B = b.split("\n");
+  const n = A.length, m = B.length;
+  const L = Array.from({length: n + 1}, ()=>new Uint16Array(m + 1));
+  for(let i = n - 1; i >= 0; i--){
+    for(let j = m - 1; j >= 0; j--){
+      L[i][j] = A[i] === B[j] ? L[i+1][j+1] + 1 : Math.max(L[i+1][j], L[i][j+1]);
+    }
   }
+  const out = [];
+  let i = 0, j = 0;
+  while(i < n && j < m){
+    if(A[i] === B[j]){ out.push([" ", A[i]]); i++; j++; }
+    else if(L[i+1][j] >= L[i][j+1]) out.push(["-", A[i++]]);
+    else out.push(["+", B[j++]]);
+  }
+  while(i < n) out.push(["-", A[i++]]);
+  while(j < m) out.push(["+", B[j++]]);
+  return out;
+}
 
-  const ul = $("actionsList");
-  ul.innerHTML = "";
-  r.actions.forEach(a=>{
-    const li = document.createElement("li");
-    li.textContent = a;
-    ul.appendChild(li);
+function renderRulesDiff(text){
+  const box = $("rulesDiff");
+  if(!box) return;
+  let pretty;
+  try{ pretty = rulesJson(JSON.parse(text)); }
+  catch{ box.textContent = t("JSON inválido — corrige antes de comparar."); return; }
+
+  const diff = lineDiff(rulesJson(DEFAULT_RULES), pretty);
+  if(diff.every(x=>x[0] === " ")){ box.textContent = t("Sem diferenças (regras de base)."); return; }
+
+  // show changed lines with 2 lines of context
+  const keep = diff.map(()=>false);
+  diff.forEach((x, i)=>{
+    if(x[0] === " ") return;
+    for(let k = Math.max(0, i - 2); k <= Math.min(diff.length - 1, i + 2); k++) keep[k] = true;
+  });
+  box.innerHTML = "";
+  let skipped = false;
+  diff.forEach(([op, line], i)=>{
+    if(!keep[i]){ skipped = true; return; }
+    if(skipped){
+      const gap = document.createElement("span");
+      gap.className = "gap";
+      gap.textContent = "  …";
+      box.appendChild(gap);
+      skipped = false;
+    }
+    const el = document.createElement("span");
+    el.className = op === "+" ? "add" : op === "-" ? "del" : "ctx";
+    el.textContent = `${op} ${line}`;
+    box.appendChild(el);
   });
+}
 
-  $("summary").textContent = r.summary;
+function renderRulesSettings(){
+  const rules = activeRules();
+  const custom = !!loadRules();
+  if($("rulesActive")) $("rulesActive").textContent = `${rulesTag(rules)} (${custom ? t("local") : t("base")})`;
+  if($("rulesJson")) $("rulesJson").value = rulesJson(rules);
+  if($("rulesInputs")){
+    $("rulesInputs").textContent = t("Inputs disponíveis: {list}. Operadores: {ops}. Níveis obrigatórios: {tiers}.", {
+      list: Object.keys(RULE_INPUTS).map(k=>`${k} = ${inputLabel(k)}`).join("; "), ops: RULE_OPS.join(" "), tiers: TIER_KEYS.join(", ")
+    });
+  }
+  renderRulesDiff(rulesJson(rules));
 }
 
-function exportJSON(){
-  const d = gather();
-  const payload = { ...d, exportedAt: new Date().toISOString(), app: "vni_pred_v1" };
-  const blob = new Blob([JSON.stringify(payload, null, 2)], {type:"application/json"});
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = `vni_pred_${new Date().toISOString().slice(0,19).replaceAll(":","-")}.json`;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+function storeRules(rules){
+  const errs = validateRules(rules);
+  if(errs.length){
+    alert(t("Regras inválidas:") + "\n- " + errs.join("\n- "));
+    return false;
+  }
+  const same = rulesJson(rules) === rulesJson(DEFAULT_RULES);
+  if(!same && rulesTag(rules) === rulesTag(DEFAULT_RULES)){
+    alert(t("As regras diferem das regras de base mas mantêm \"{tag}\". Altera \"id\" ou \"version\" para que os resultados fiquem identificáveis.", { tag: rulesTag(DEFAULT_RULES) }));
+    return false;
+  }
+  if(same) localStorage.removeItem(LS_RULES);
+  else localStorage.setItem(LS_RULES, JSON.stringify(rules));
+  renderRulesSettings();
+  setPill(t("Regras em uso: {tag}.", { tag: rulesTag(rules) }), true);
+  return true;
 }
 
-function importJSON(file){
+function saveRulesFromEditor(){
+  let obj;
+  try{ obj = JSON.parse($("rulesJson").value); }
+  catch{ alert(t("JSON inválido.")); return; }
+  storeRules(obj);
+}
+
+function importRules(file){
   const reader = new FileReader();
   reader.onload = () => {
     try{
-      const obj = JSON.parse(String(reader.result || "{}"));
-      fill(obj);
-      save(gather());
-      setPill("Importado.", true);
+      storeRules(JSON.parse(String(reader.result || "{}")));
     }catch{
-      alert("JSON inválido.");
+      alert(t("JSON inválido."));
     }
   };
   reader.readAsText(file);
 }
 
-async function copySummary(){
-  const txt = $("summary").textContent || "";
-  try{
-    await navigator.clipboard.writeText(txt);
-    setPill("Resumo copiado.", true);
-  }catch{
-    alert("Não foi possível copiar automaticamente (permissões do browser).");
-  }
+function exportRules(){
+  const rules = activeRules();
+  const blob = new Blob([rulesJson(rules)], {type:"application/json"});
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `vni_pred_rules_${rules.id}_${rules.version}.json`.replace(/[^\w.@-]+/g, "_");
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function resetRules(){
+  if(!confirm(t("Repor as regras de base? As regras locais serão apagadas."))) return;
+  localStorage.removeItem(LS_RULES);
+  renderRulesSettings();
+  setPill(t("Regras em uso: {tag}.", { tag: rulesTag(DEFAULT_RULES) }), true);
 }
 
 /* ---- PWA ---- */
@@ -560,7 +2739,7 @@ function setPill(text, ok){
 
 async function enableSW(enable){
   if(!("serviceWorker" in navigator)){
-    setPill("Service Worker não suportado.", false);
+    setPill(t("Service Worker não suportado."), false);
     return;
   }
   if(!enable){
@@ -568,17 +2747,66 @@ async function enableSW(enable){
     const regs = await navigator.serviceWorker.getRegistrations();
     await Promise.all(regs.map(r=>r.unregister()));
     localStorage.setItem(LS_PWA, "0");
-    setPill("Offline desactivado.", true);
+    setPill(t("Offline desactivado."), true);
     return;
   }
   try{
-    await navigator.serviceWorker.register("sw.js");
+    const reg = await navigator.serviceWorker.register("sw.js");
+    if(reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt();
     localStorage.setItem(LS_PWA, "1");
-    setPill("Offline activo.", true);
+    setPill(t("Offline activo."), true);
+  }catch(e){
+    console.error(e);
+    setPill(t("Falha ao activar offline."), false);
+  }
+}
+
+/* Updates: the new version is precached by a waiting service worker, which posts "update-ready".
+   "Actualizar agora" saves the form, lets that worker take over and reloads once; local data stays.
+*/
+const UPDATE_CHECK_MS = 30 * 60 * 1000;
+let swUpdateRequested = false;
+let lastUpdateCheck = 0;
+
+function appVersion(){
+  return window.ASSET_MANIFEST ? window.ASSET_MANIFEST.version : "—";
+}
+
+function showUpdatePrompt(version){
+  const el = $("updateBanner");
+  if(!el) return;
+  if(version) el.dataset.version = version;
+  $("updateBannerText").textContent = el.dataset.version
+    ? t("Nova versão disponível ({version}).", { version: el.dataset.version })
+    : t("Nova versão disponível.");
+  el.classList.remove("hidden");
+}
+
+async function applyUpdate(){
+  save(gather());
+  swUpdateRequested = true;
+  const reg = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  const sw = reg && (reg.waiting || reg.installing);
+  if(sw) sw.postMessage({ type: "skip-waiting" });
+  else location.reload();
+}
+
+async function checkForUpdate(quiet){
+  lastUpdateCheck = Date.now();
+  const reg = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if(!reg){
+    if(!quiet) setPill(t("Modo offline desactivado: a app abre sempre a versão publicada."), true);
+    return;
+  }
+  try{
+    await reg.update();
   }catch(e){
     console.error(e);
-    setPill("Falha ao activar offline.", false);
+    if(!quiet) setPill(t("Sem ligação: não foi possível procurar actualizações."), false);
+    return;
   }
+  if(reg.waiting || reg.installing) showUpdatePrompt();
+  else if(!quiet) setPill(t("Já tens a versão mais recente ({version}).", { version: appVersion() }), true);
 }
 
 /* ---- base url support for GH Pages subpath ---- */
@@ -587,7 +2815,7 @@ function applyBase(){
   localStorage.setItem(LS_BASE, base);
   // update manifest start_url/scope dynamically by rewriting link via query param
   // (simple approach: just inform; actual manifest file remains. In GH Pages, keep manifest start_url relative.)
-  setPill("Base guardada. Confirma manifest/scope se necessário.", true);
+  setPill(t("Base guardada. Confirma manifest/scope se necessário."), true);
 }
 
 /* ---- init ---- */
@@ -595,13 +2823,16 @@ function applyBase(){
 function setRoundMode(on){
   document.body.classList.toggle("roundMode", !!on);
   localStorage.setItem(LS_ROUND, on ? "1" : "0");
-  const t = $("toggleRound");
-  if(t) t.checked = !!on;
+  const tg = $("toggleRound");
+  if(tg) tg.checked = !!on;
+  applyRoundFields(on);
+}
 
-  // Hide/show selected advanced fields (simple approach)
-  const advancedIds = [
-    "prism","ph_0","pco2_0","ph_1","pco2_1","ipap_1","epap_0","epap_1"
-  ];
+function applyRoundFields(on){
+  // Hide/show selected advanced fields (simple approach), for baseline and every reassessment
+  const n = document.querySelectorAll("#reassessList .mini").length;
+  const advancedIds = ["prism","gas_0","ph_0","pco2_0","pao2_0","hco3_0","be_0","lactate_0","epap_0"];
+  for(let i = 1; i <= n; i++) advancedIds.push(`gas_${i}`, `ph_${i}`, `pco2_${i}`, `pao2_${i}`, `hco3_${i}`, `be_${i}`, `lactate_${i}`, `ipap_${i}`, `epap_${i}`, `map_${i}`);
   advancedIds.forEach(id=>{
     const el = $(id);
     if(!el) return;
@@ -611,6 +2842,31 @@ function setRoundMode(on){
   });
 }
 
+// language: static page text now, data-driven views re-rendered by the caller
+function setLocale(code){
+  locale = typeof LOCALES !== "undefined" && LOCALES[code] ? code : "pt";
+  localStorage.setItem(LS_LOCALE, locale);
+  configure({ locale });
+  if($("locale")) $("locale").value = locale;
+  applyLocale();
+}
+
+function changeLocale(code){
+  setLocale(code);
+  const d = gather();
+  fill(d);
+  renderValidation(validateCase(d));
+  updateLivePreview();
+  updateBedIndicator();
+  renderHistory();
+  renderRulesSettings();
+  renderTemplateSettings();
+  renderCsvOptions();
+  renderBoard();
+  if(!$("view-audit").classList.contains("hidden")) renderAudit();
+  if(shownCase) renderResult(computeRisk(shownCase), shownCase);
+}
+
 function toggleRoundMode(){
   const on = !(localStorage.getItem(LS_ROUND) === "1");
   setRoundMode(on);
@@ -622,13 +2878,18 @@ function applyPreset(name){
   const presets = {
     bronch: {
       ageValue:"3", ageUnit:"months", arfType:"type2", diag:"bronchiolitis",
-      spo2_0:"90", fio2_0:"0.60", epap_0:"6", rr_0:"65", hr_0:"165", pco2_0:"65", ph_0:"7.18",
-      spo2_1:"94", fio2_1:"0.45", rr_1:"50", hr_1:"145", ipap_1:"14", epap_1:"7", pco2_1:"55", ph_1:"7.26"
+      timepoints: [
+        { h:"0", spo2:"90", fio2:"0.60", epap:"6", rr:"65", hr:"165", pco2:"65", ph:"7.18" },
+        { h:"1", spo2:"94", fio2:"0.45", rr:"50", hr:"145", ipap:"14", epap:"7", pco2:"55", ph:"7.26" },
+        { h:"6", spo2:"95", fio2:"0.40", rr:"46", hr:"140", ipap:"14", epap:"7", pco2:"50", ph:"7.30" }
+      ]
     },
     ards: {
       ageValue:"24", ageUnit:"months", arfType:"type1", diag:"ards",
-      spo2_0:"88", fio2_0:"0.80", epap_0:"8", rr_0:"48", hr_0:"170",
-      spo2_1:"90", fio2_1:"0.75", rr_1:"46", hr_1:"168", ipap_1:"18", epap_1:"10"
+      timepoints: [
+        { h:"0", spo2:"88", fio2:"0.80", epap:"8", rr:"48", hr:"170" },
+        { h:"2", spo2:"90", fio2:"0.75", rr:"46", hr:"168", ipap:"18", epap:"10" }
+      ]
     }
   };
   const p = presets[name];
@@ -637,7 +2898,7 @@ function applyPreset(name){
   save(gather());
   updateLivePreview();
   checkZoomHint();
-  setPill("Exemplo carregado.", true);
+  setPill(t("Exemplo carregado."), true);
 }
 
 function clearNonID(){
@@ -646,37 +2907,47 @@ function clearNonID(){
   save(gather());
   updateLivePreview();
   checkZoomHint();
-  setPill("Campos limpos.", true);
+  setPill(t("Campos limpos."), true);
 }
 
 function initNav(){
   document.querySelectorAll("[data-route]").forEach(btn=>{
     btn.addEventListener("click", ()=>{
       setRoute(btn.dataset.route);
+      if(btn.dataset.route === "audit") renderAudit();
+      if(btn.dataset.route === "board") renderBoard();
     });
   });
 }
 
 function initActions(){
+  $("btnAddReassess") && $("btnAddReassess").addEventListener("click", addReassessment);
+  $("view-calc").addEventListener("input", scheduleLive);
+  $("view-calc").addEventListener("change", scheduleLive);
+  $("nivStart") && $("nivStart").addEventListener("change", updateReassessClock);
+  $("reassessList") && $("reassessList").addEventListener("input", (e)=>{
+    if(e.target.id && e.target.id.startsWith("h_")) updateReassessClock();
+  });
+
   $("btnCalc").addEventListener("click", ()=>{
     const d = gather();
     save(d);
-    const r = computeRisk(d);
-    renderResult(r, d);
-
-    const when = new Date().toLocaleString();
-    pushHistory({ when, score: r.score, tier: r.tier, brief: r.brief, data: d });
-    renderHistory();
+    hideLinkBanner();
+    const r = showResult(d);
+    if(!r) return;
+
+    const when = new Date().toLocaleString(locale);
+    pushHistory({ id: d.caseId, when, score: r.score, tier: r.tier, tierKey: r.tierKey, rules: r.rules, brief: r.brief, data: d })
+      .then(renderHistory)
+      .catch(e=>{ console.error(e); setPill(t("Não foi possível guardar o caso no histórico local."), false); });
   updateLivePreview();
   checkZoomHint();
-
-    setRoute("result");
   });
 
   $("btnReset").addEventListener("click", ()=>{
-    if(confirm("Repor formulário e apagar dados locais?")){
+    if(confirm(t("Repor formulário e apagar dados locais?"))){
       resetForm();
-      setPill("Dados limpos.", true);
+      setPill(t("Dados limpos."), true);
       setRoute("calc");
     }
   });
@@ -691,6 +2962,29 @@ function initActions(){
     e.target.value = "";
   });
 
+  $("btnExportCase").addEventListener("click", exportJSON);
+  $("btnExportArchive").addEventListener("click", exportArchive);
+  $("btnImportFile").addEventListener("click", ()=>$("fileImport").click());
+  $("btnImportConfirm").addEventListener("click", confirmImport);
+  $("btnImportCancel").addEventListener("click", hideImportReport);
+
+  // CSV
+  $("btnCsvExport").addEventListener("click", exportCsv);
+  $("btnCsvImport").addEventListener("click", ()=>$("fileCsv").click());
+  $("fileCsv").addEventListener("change", (e)=>{
+    const f = e.target.files && e.target.files[0];
+    if(f) importCsv(f);
+    e.target.value = "";
+  });
+  $("csvRows").addEventListener("change", saveCsvOptions);
+  $("csvDecimal").addEventListener("change", saveCsvOptions);
+  $("csvColumns").addEventListener("change", (e)=>{
+    const g = e.target.dataset.csvGroup;
+    if(g) e.target.closest("fieldset").querySelectorAll("[data-csv-col]").forEach(el=>{ el.checked = e.target.checked; });
+    syncCsvGroups();
+    saveCsvOptions();
+  });
+
   $("btnCopy").addEventListener("click", copySummary);
 
   // Presets
@@ -713,9 +3007,13 @@ function initActions(){
   const hook = (id, fn)=>{ const el = $(id); if(el) el.addEventListener("click", ()=>{ closeMenu(); fn(); }); };
   hook("mExport", exportJSON);
   hook("mImport", ()=>$("fileImport").click());
+  hook("mExportArchive", exportArchive);
   hook("mPrint", doPrint);
   hook("mReset", ()=>$("btnReset").click());
   hook("mRound", toggleRoundMode);
+  hook("mCaseLink", copyCaseLink);
+  hook("mQrShare", ()=>shareQr("case"));
+  hook("mQrScan", startQrScan);
 
 
   $("ageValue").addEventListener("input", updateAgeHint);
@@ -723,6 +3021,84 @@ function initActions(){
 
   $("btnApplyBase").addEventListener("click", applyBase);
 
+  // FHIR
+  $("btnFhirExport") && $("btnFhirExport").addEventListener("click", exportFhir);
+  $("btnFhirImport") && $("btnFhirImport").addEventListener("click", ()=>$("fileImport").click());
+  $("btnFhirPost") && $("btnFhirPost").addEventListener("click", postFhir);
+
+  // QR transfer
+  $("btnQrShare") && $("btnQrShare").addEventListener("click", ()=>shareQr("case"));
+  $("btnQrScan") && $("btnQrScan").addEventListener("click", startQrScan);
+  $("btnQrClose").addEventListener("click", closeQrPanel);
+  $("btnQrPrev").addEventListener("click", ()=>{ $("qrAuto").checked = false; setQrRotate(false); showQrPart(qrShare ? qrShare.i - 1 : 0); });
+  $("btnQrNext").addEventListener("click", ()=>{ $("qrAuto").checked = false; setQrRotate(false); showQrPart(qrShare ? qrShare.i + 1 : 0); });
+  $("qrAuto").addEventListener("change", (e)=>setQrRotate(e.target.checked));
+  $("btnQrPhoto").addEventListener("click", ()=>$("fileQr").click());
+  $("fileQr").addEventListener("change", (e)=>{
+    const f = e.target.files && e.target.files[0];
+    if(f) scanQrImage(f);
+    e.target.value = "";
+  });
+  document.addEventListener("keydown", (e)=>{ if(e.key === "Escape" && !$("qrPanel").classList.contains("hidden")) closeQrPanel(); });
+  window.addEventListener("hashchange", receiveLink);
+
+  // Bed board
+  $("btnAddBed") && $("btnAddBed").addEventListener("click", addBed);
+  $("bedLabel") && $("bedLabel").addEventListener("keydown", (e)=>{ if(e.key === "Enter") addBed(); });
+  $("btnCloseBed") && $("btnCloseBed").addEventListener("click", closeBed);
+  $("btnBoard") && $("btnBoard").addEventListener("click", ()=>{ setRoute("board"); renderBoard(); });
+
+  // Support modality: flow hints follow the weight; a new initial support carries to empty reassessments
+  $("weight") && $("weight").addEventListener("input", ()=>{
+    document.querySelectorAll("#reassessList [id^='flow_']").forEach(el=>updateFlowHint(el.id.slice(5)));
+  });
+  $("diag").addEventListener("change", renderClinPanels);
+  $("clinScore") && $("clinScore").addEventListener("change", renderClinPanels);
+  $("mode_0") && $("mode_0").addEventListener("change", ()=>{
+    gatherTimepoints().forEach((tp, i)=>{
+      if(i === 0 || tpHasData(tp) || !$(`mode_${i}`)) return;
+      $(`mode_${i}`).value = $("mode_0").value;
+      applyModeFields(i);
+    });
+  });
+
+  // History filters
+  ["hfDiag", "hfTier", "hfOutcome", "hfFrom", "hfTo", "hfQuery"].forEach(id=>{
+    if(!$(id)) return;
+    $(id).addEventListener(id === "hfQuery" ? "input" : "change", ()=>{ historyLimit = HISTORY_PAGE; renderHistory(); });
+  });
+
+  // Local performance
+  $("auditScoreSrc") && $("auditScoreSrc").addEventListener("change", renderAudit);
+  $("btnAuditRefresh") && $("btnAuditRefresh").addEventListener("click", renderAudit);
+
+  // Rule set
+  $("btnRulesSave") && $("btnRulesSave").addEventListener("click", saveRulesFromEditor);
+  $("btnRulesExport") && $("btnRulesExport").addEventListener("click", exportRules);
+  $("btnRulesReset") && $("btnRulesReset").addEventListener("click", resetRules);
+  $("btnRulesImport") && $("btnRulesImport").addEventListener("click", ()=>$("fileRules").click());
+  $("fileRules") && $("fileRules").addEventListener("change", (e)=>{
+    const f = e.target.files && e.target.files[0];
+    if(f) importRules(f);
+    e.target.value = "";
+  });
+  let rulesTimer = null;
+  $("rulesJson") && $("rulesJson").addEventListener("input", ()=>{
+    if(rulesTimer) clearTimeout(rulesTimer);
+    rulesTimer = setTimeout(()=>renderRulesDiff($("rulesJson").value), 250);
+  });
+
+  // Summary templates
+  $("tplSelect") && $("tplSelect").addEventListener("change", (e)=>chooseTemplate(e.target.value));
+  $("btnTplSave") && $("btnTplSave").addEventListener("click", ()=>saveTemplate(false));
+  $("btnTplSaveNew") && $("btnTplSaveNew").addEventListener("click", ()=>saveTemplate(true));
+  $("btnTplDelete") && $("btnTplDelete").addEventListener("click", deleteTemplate);
+  let tplTimer = null;
+  $("tplBody") && $("tplBody").addEventListener("input", ()=>{
+    if(tplTimer) clearTimeout(tplTimer);
+    tplTimer = setTimeout(renderTemplatePreview, 250);
+  });
+
   // Open in Safari / Copy link (helps when opened inside in-app browser where zoom persists)
   const btnOS = $("btnOpenSafari");
   btnOS && btnOS.addEventListener("click", ()=>{
@@ -730,20 +3106,31 @@ function initActions(){
   });
   const btnCL = $("btnCopyLink");
   btnCL && btnCL.addEventListener("click", async ()=>{
-    try{
-      await navigator.clipboard.writeText(window.location.href);
-      setPill("Link copiado.", true);
-    }catch{
-      // fallback
-      const ta = document.createElement("textarea");
-      ta.value = window.location.href;
-      document.body.appendChild(ta);
-      ta.select();
-      document.execCommand("copy");
-      ta.remove();
-      setPill("Link copiado.", true);
-    }
+    await copyText(window.location.href);
+    setPill(t("Link copiado."), true);
+  });
+
+  // Reassessment reminders
+  $("btnReminderSet") && $("btnReminderSet").addEventListener("click", scheduleReminder);
+  [["btnReminderSnooze", snoozeReminder], ["btnBarSnooze", snoozeReminder], ["btnReminderDismiss", dismissReminder], ["btnBarDismiss", dismissReminder]].forEach(([id, fn])=>{
+    $(id) && $(id).addEventListener("click", ()=>fn(activeDraftKey()));
   });
+  if("serviceWorker" in navigator){
+    navigator.serviceWorker.addEventListener("message", (e)=>{
+      if(e.data && e.data.type === "reminder") handleReminderAction(e.data.action, e.data.key);
+      if(e.data && e.data.type === "update-ready") showUpdatePrompt(e.data.version);
+    });
+    // reload once the accepted update has taken over (not on the first install)
+    navigator.serviceWorker.addEventListener("controllerchange", ()=>{
+      if(!swUpdateRequested) return;
+      swUpdateRequested = false;
+      location.reload();
+    });
+  }
+
+  // Case links
+  $("btnCaseLink") && $("btnCaseLink").addEventListener("click", copyCaseLink);
+  $("btnLinkBannerClose") && $("btnLinkBannerClose").addEventListener("click", hideLinkBanner);
 
   const btnUpdate = $("btnUpdateApp");
   btnUpdate && btnUpdate.addEventListener("click", async ()=>{
@@ -758,59 +3145,112 @@ function initActions(){
       }
       localStorage.setItem(LS_PWA, "0");
       $("togglePwa").checked = false;
-      setPill("Cache limpa. Reabre a app.", true);
+      setPill(t("Cache limpa (casos e definições mantêm-se). Reabre a app."), true);
     }catch(e){
       console.error(e);
-      setPill("Falha ao limpar cache.", false);
+      setPill(t("Falha ao limpar cache."), false);
     }
   });
 
+  $("locale") && $("locale").addEventListener("change", (e)=>changeLocale(e.target.value));
+
   $("togglePwa").addEventListener("change", (e)=>{
     enableSW(e.target.checked);
   });
+
+  // App updates
+  $("btnCheckUpdate") && $("btnCheckUpdate").addEventListener("click", ()=>checkForUpdate(false));
+  $("btnApplyUpdate") && $("btnApplyUpdate").addEventListener("click", applyUpdate);
+  document.addEventListener("visibilitychange", ()=>{
+    if(document.visibilityState === "visible" && localStorage.getItem(LS_PWA) === "1" && Date.now() - lastUpdateCheck > UPDATE_CHECK_MS) checkForUpdate(true);
+  });
 }
 
 
 let liveTimer = null;
 
 function updateLivePreview(){
-  const d = gather();
-  const sf0 = calcSF(d.spo2_0, d.fio2_0);
-  const sf1 = calcSF(d.spo2_1, d.fio2_1);
-
-  const fio2_1 = parseFiO2(d.fio2_1);
+  const tps = orderedTimepoints(gatherTimepoints());
+  const re = tps.slice(1);
+  const sfTp = latestTp(re, tp=>calcSF(tp.spo2, tp.fio2) !== null);
+  const fio2Tp = latestTp(re, tp=>parseFiO2(tp.fio2) !== null);
+  const sf0 = calcSF(tps[0].spo2, tps[0].fio2);
+  const sf1 = sfTp ? calcSF(sfTp.spo2, sfTp.fio2) : null;
+
+  const fio2_1 = fio2Tp ? parseFiO2(fio2Tp.fio2) : null;
   // EPAP é parâmetro contextual; não é mostrado no banner/preview (ver Evidência).
 
   let oxy = [];
   if(sf1 !== null){
-    if(sf1 < 150) oxy.push("SF muito baixo");
-    else if(sf1 < 193) oxy.push("SF baixo (<193)");
-    else oxy.push("SF aceitável");
+    if(sf1 < 150) oxy.push(t("SF muito baixo"));
+    else if(sf1 < 193) oxy.push(t("SF baixo (<193)"));
+    else oxy.push(t("SF aceitável"));
   }
   if(fio2_1 !== null){
-    if(fio2_1 >= 0.7) oxy.push("FiO₂ alta");
-    else if(fio2_1 >= 0.5) oxy.push("FiO₂ moderada");
-    else oxy.push("FiO₂ baixa/moderada");
+    if(fio2_1 >= 0.7) oxy.push(t("FiO₂ alta"));
+    else if(fio2_1 >= 0.5) oxy.push(t("FiO₂ moderada"));
+    else oxy.push(t("FiO₂ baixa/moderada"));
   }
 
   if($("liveSf0")) $("liveSf0").textContent = sf0===null ? "—" : sf0.toFixed(0);
-  if($("liveSf1")) $("liveSf1").textContent = sf1===null ? "—" : sf1.toFixed(0);
+  if($("liveSf1")) $("liveSf1").textContent = sf1===null ? "—" : `${sf1.toFixed(0)} (${hLabel(sfTp.h)})`;
   if($("liveOxy")) $("liveOxy").textContent = oxy.length ? oxy.join(" • ") : "—";
 }
 
 function scheduleLive(){
   if(liveTimer) clearTimeout(liveTimer);
-  liveTimer = setTimeout(updateLivePreview, 120);
+  liveTimer = setTimeout(()=>{
+    updateLivePreview();
+    renderValidation(validateCase(gather()));
+  }, 120);
+}
+
+// inline messages under each input + flag on "Calcular"
+function renderValidation(v){
+  document.querySelectorAll("#view-calc .fieldmsg").forEach(el=>el.remove());
+  document.querySelectorAll("#view-calc .invalid, #view-calc .flagged").forEach(el=>el.classList.remove("invalid", "flagged"));
+
+  const place = (item, cls)=>{
+    const el = $(item.field);
+    if(!el) return;
+    el.classList.add(cls === "err" ? "invalid" : "flagged");
+    const msg = document.createElement("div");
+    msg.className = `fieldmsg ${cls}`;
+    msg.textContent = item.msg;
+    const row = el.closest(".row");
+    (row || el.parentNode).appendChild(msg);
+  };
+  v.errors.forEach(x=>place(x, "err"));
+  v.warnings.forEach(x=>place(x, "warn"));
+  v.assumptions.forEach(x=>place(x, "info"));
+
+  const btn = $("btnCalc");
+  if(btn){
+    btn.classList.toggle("blocked", v.errors.length > 0);
+    btn.classList.toggle("flagged", !v.errors.length && v.warnings.length > 0);
+    btn.title = v.errors.length ? t("{n} erro(s) nos dados", { n: v.errors.length }) : v.warnings.length ? t("{n} aviso(s)", { n: v.warnings.length }) : t("Calcular risco");
+  }
 }
 
-function init(){
+async function init(){
+  setLocale(localStorage.getItem(LS_LOCALE) || "pt");
   initNav();
   initActions();
 
-  const saved = load();
+  // one-off move of the old localStorage draft/history into IndexedDB
+  try{
+    const n = await migrateLegacy();
+    if(n) setPill(t("{n} caso(s) migrados para a base de dados local.", { n }), true);
+  }catch(e){ console.error("migration", e); }
+
+  const saved = await load();
   if(saved) fill(saved);
   else fill({});
+  updateBedIndicator();
   renderHistory();
+  renderRulesSettings();
+  renderTemplateSettings();
+  renderCsvOptions();
   updateLivePreview();
   checkZoomHint();
 
@@ -822,13 +3262,22 @@ function init(){
   const pwaEnabled = localStorage.getItem(LS_PWA) === "1";
   $("togglePwa").checked = pwaEnabled;
   if(pwaEnabled) enableSW(true);
-  else setPill("Offline desactivado.", true);
+  else setPill(t("Offline desactivado."), true);
 
   // base url
   const base = localStorage.getItem(LS_BASE) || "";
   $("baseUrl").value = base;
+  if($("fhirBase")) $("fhirBase").value = localStorage.getItem(LS_FHIR) || "";
+  if($("appVersion")) $("appVersion").textContent = appVersion();
+
+  if($("linkHours")) $("linkHours").value = localStorage.getItem(LS_LINK_HOURS) || "";
 
   setRoute("calc");
+  receiveLink();
+
+  // keep "há X min" / overdue flags current while the board is open
+  setInterval(()=>{ if(!$("view-board").classList.contains("hidden")) renderBoard(); }, 60000);
+  setInterval(tickReminders, 1000);
 }
 
 document.addEventListener("DOMContentLoaded", init);
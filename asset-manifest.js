@@ -0,0 +1,17 @@
+/* Gerado por tools/build-manifest.js — não editar à mão. */
+self.ASSET_MANIFEST = {
+  "version": "5e9367bf85",
+  "assets": {
+    "./index.html": "f51a16231cbf19e4",
+    "./styles.css": "fd8315675bd81731",
+    "./i18n.js": "53488e680896c6dc",
+    "./qr.js": "abb58e674628781d",
+    "./engine.js": "054a6567e81420a6",
+    "./app.js": "34aa107383bf4d51",
+    "./manifest.webmanifest": "6b776c7e1ac0080f",
+    "./icons/icon-192.png": "3f2860c0e29e883e",
+    "./icons/icon-32.png": "3cdef73322d9262f",
+    "./icons/icon-512.png": "cf3b00d0311024a7",
+    "./": "f51a16231cbf19e4"
+  }
+};
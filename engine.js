@@ -0,0 +1,2527 @@
+/* VNI Pediátrica — motor de cálculo (sem DOM)
+   - Modelo do caso, validação, sinais vitais por idade, PARDS, scores clínicos, gasometria, regras,
+     score de risco, decomposição, modelos publicados, auditoria, ficheiros de casos, CSV e FHIR.
+   - O mesmo código corre na app e na linha de comandos (tools/score-batch.js): resultados idênticos.
+   - Browser: define VNIEngine (carregado antes de app.js). Node: require("./engine.js").
+   - configure({ t, locale, rules }): tradução dos textos, locale das datas e regras usadas por defeito.
+     Sem configurar: textos em português e DEFAULT_RULES.
+*/
+(function(root, factory){
+  if(typeof module === "object" && module.exports) module.exports = factory();
+  else root.VNIEngine = factory();
+})(typeof self !== "undefined" ? self : this, function(){
+'use strict';
+
+/* ---- HOST (translation, locale, rule set in use) ----
+   The app passes its t(), its locale and activeRules() (rules saved in Definições).
+*/
+const host = {
+  t: (msg, vars)=>(vars ? msg.replace(/\{(\w+)\}/g, (m, k)=>(k in vars ? String(vars[k]) : m)) : msg),
+  locale: "pt",
+  rules: ()=>DEFAULT_RULES
+};
+
+function configure(opts){
+  Object.assign(host, opts);
+}
+
+function t(msg, vars){
+  return host.t(msg, vars);
+}
+
+function safeNum(x){
+  if(x === null || x === undefined) return null;
+  const s = String(x).trim().replace(",",".");
+  if(!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseFiO2(x){
+  const n = safeNum(x);
+  if(n === null) return null;
+  // allow input in % (e.g., 40) or fraction (0.40)
+  if(n > 1.0 && n <= 100) return n / 100;
+  return n;
+}
+
+
+function clamp(n, a, b){
+  return Math.max(a, Math.min(b, n));
+}
+
+function toMonths(ageValue, unit){
+  const v = safeNum(ageValue);
+  if(v === null) return null;
+  if(unit === "days") return v / 30.4375;
+  if(unit === "years") return v * 12;
+  return v;
+}
+
+function calcSF(spo2, fio2){
+  const s = safeNum(spo2);
+  const f = parseFiO2(fio2);
+  if(s === null || f === null || f <= 0) return null;
+  return s / f;
+}
+
+function pctChange(newV, oldV){
+  const a = safeNum(newV), b = safeNum(oldV);
+  if(a === null || b === null || b === 0) return null;
+  return (a - b) / b * 100;
+}
+
+// ROX = SF / RR; paediatric ROX-HR = ROX / HR × 100 (response to HFNC)
+function roxIndex(tp){
+  const sf = calcSF(tp.spo2, tp.fio2), rr = safeNum(tp.rr), hr = safeNum(tp.hr);
+  const rox = sf !== null && rr ? sf / rr : null;
+  return { rox, roxHr: rox !== null && hr ? rox / hr * 100 : null };
+}
+
+/* ---- timepoints (baseline + serial reassessments) ----
+   d.timepoints = [{h, mode, spo2, fio2, rr, hr, clin, clinItems, flow, cpap, ipap, epap, map, gasType, ph, pco2, pao2, hco3, be, lactate}, ...]
+   - index 0 is the pre-support baseline (h = 0); the rest are reassessments, h = hours since support start.
+   - mode = support at that point (hfnc | cpap | bipap); baseline mode = support started at 0 h.
+     A missing mode inherits the previous one (older cases: bipap). flow is in L/kg/min.
+   - clin / clinItems = clinical severity score of the case (see CLINICAL_SCORES).
+   - gasType = blood gas sample (arterial | capillary | venous | ""), see GAS_SAMPLES.
+   - Older saves/exports used flat *_0 / *_1 fields; normalizeCase() converts them.
+*/
+const TP_FIELDS = ["spo2","fio2","rr","hr","clin","flow","cpap","ipap","epap","map","ph","pco2","pao2","hco3","be","lactate"];
+const REASSESS_HOURS = [1, 2, 6, 12, 24];
+
+const SUPPORT_MODES = {
+  hfnc: { label: "ONAF (alto fluxo)", short: "ONAF", fields: ["flow"] },
+  cpap: { label: "CPAP", short: "CPAP", fields: ["cpap", "map"] },
+  bipap: { label: "BiPAP (VNI)", short: "BiPAP", fields: ["ipap", "epap", "map"] }
+};
+const MODE_FIELDS = ["flow", "cpap", "ipap", "epap", "map"];
+
+// support modality in use at timepoint i (inherits from earlier points)
+function modeAt(tps, i){
+  for(let k = i; k >= 0; k--){
+    if(tps[k] && SUPPORT_MODES[tps[k].mode]) return tps[k].mode;
+  }
+  return "bipap";
+}
+
+function normalizeCase(d){
+  const src = d || {};
+  const out = { ...src };
+  let tps;
+  if(Array.isArray(src.timepoints) && src.timepoints.length){
+    tps = src.timepoints.map(tp=>({ ...(tp || {}) }));
+  } else {
+    const base = { h: "0" }, re = { h: "1" };
+    TP_FIELDS.forEach(k=>{
+      base[k] = src[`${k}_0`] ?? "";
+      re[k] = src[`${k}_1`] ?? "";
+    });
+    tps = [base, re];
+  }
+  TP_FIELDS.forEach(k=>{ delete out[`${k}_0`]; delete out[`${k}_1`]; });
+  tps[0].h = "0";
+  tps.forEach((tp, i)=>{ tp.mode = modeAt(tps, i); });
+  out.timepoints = tps;
+  return out;
+}
+
+function tpHasData(tp){
+  return TP_FIELDS.some(k=>safeNum(tp[k]) !== null);
+}
+
+// baseline first, then reassessments by time since NIV start (blank times keep entry order, at the end)
+function orderedTimepoints(tps){
+  const re = tps.slice(1).map((tp, i)=>({ tp, i, h: safeNum(tp.h) }));
+  re.sort((a,b)=>{
+    const ha = a.h === null ? Infinity : a.h, hb = b.h === null ? Infinity : b.h;
+    return ha === hb ? a.i - b.i : ha - hb;
+  });
+  return [tps[0], ...re.map(x=>x.tp)];
+}
+
+function latestTp(list, pred){
+  for(let i = list.length - 1; i >= 0; i--){
+    if(pred(list[i])) return list[i];
+  }
+  return null;
+}
+
+function hLabel(h){
+  const n = safeNum(h);
+  return n === null ? t("reavaliação") : `${Number(n.toFixed(2))} h`;
+}
+
+function tpClock(nivStart, h){
+  const n = safeNum(h);
+  if(!nivStart || n === null) return null;
+  const t = new Date(nivStart).getTime();
+  if(!Number.isFinite(t)) return null;
+  return new Date(t + n * 3600000);
+}
+
+const DIAG_LABELS = {
+  bronchiolitis: "Bronquiolite", asthma: "Asma / sibilância", pneumonia: "Pneumonia",
+  ards: "ARDS / lesão pulmonar difusa", other: "Outro"
+};
+
+function newCaseId(){
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/* ---- INPUT VALIDATION (physiological plausibility) ----
+   validateCase(d) → { errors, warnings, assumptions }; each item { field, msg } where field is
+   the form input id (baseline = *_0, reassessment i = *_i). Errors block "Calcular",
+   warnings flag it; assumptions (e.g. FiO₂ read as %) are listed with the result.
+*/
+const HARD_RANGES = {
+  spo2: { min: 40, max: 100 },
+  ph: { min: 6.5, max: 7.9 },
+  pco2: { min: 15, max: 200 },
+  ipap: { min: 4, max: 40 },
+  epap: { min: 2, max: 20 },
+  cpap: { min: 2, max: 20 },
+  map: { min: 2, max: 40 },
+  pao2: { min: 20, max: 700 },
+  flow: { min: 0.1, max: 4 },
+  weight: { min: 0.4, max: 150 },
+  prism: { min: 0, max: 74 },
+  hco3: { min: 3, max: 60 },
+  be: { min: -30, max: 30 },
+  lactate: { min: 0.2, max: 30 }
+};
+
+// plausible (not normal) RR/HR limits by age; anything outside is almost certainly a typo
+const AGE_VITALS = [
+  { maxMonths: 3, rr: [15, 120], hr: [70, 250] },
+  { maxMonths: 12, rr: [15, 100], hr: [60, 240] },
+  { maxMonths: 60, rr: [10, 80], hr: [50, 220] },
+  { maxMonths: 144, rr: [8, 60], hr: [40, 200] },
+  { maxMonths: Infinity, rr: [6, 50], hr: [35, 190] }
+];
+const VITALS_UNKNOWN_AGE = { rr: [6, 120], hr: [35, 250] };
+
+const FIELD_LABELS = {
+  spo2: "SpO₂", fio2: "FiO₂", rr: "FR", hr: "FC", flow: "Fluxo", cpap: "CPAP", ipap: "IPAP", epap: "EPAP", map: "MAP", ph: "pH", pco2: "pCO₂", pao2: "PaO₂",
+  hco3: "HCO₃⁻", be: "BE", lactate: "Lactato", gasType: "Amostra", clin: "Score clínico", h: "Tempo"
+};
+
+function vitalsForAge(ageM){
+  if(ageM === null) return VITALS_UNKNOWN_AGE;
+  return AGE_VITALS.find(r=>ageM < r.maxMonths);
+}
+
+function validateCase(d){
+  const c = normalizeCase(d);
+  const v = { errors: [], warnings: [], assumptions: [] };
+  const err = (field, msg)=>v.errors.push({ field, msg });
+  const warn = (field, msg)=>v.warnings.push({ field, msg });
+  const assume = (field, msg)=>v.assumptions.push({ field, msg });
+
+  const ageRaw = String(c.ageValue ?? "").trim();
+  const ageM = toMonths(c.ageValue, c.ageUnit);
+  if(ageRaw && ageM === null) err("ageValue", t("Idade não numérica."));
+  else if(ageM !== null && ageM < 0) err("ageValue", t("Idade negativa."));
+  else if(ageM !== null && ageM > 216) warn("ageValue", t("Idade {y} anos: fora da população pediátrica dos estudos.", { y: (ageM / 12).toFixed(1) }));
+  if(!ageRaw) assume("ageValue", t("Idade em falta: limites de FR/FC genéricos (não ajustados à idade)."));
+
+  const prismRaw = String(c.prism ?? "").trim();
+  const prism = safeNum(c.prism);
+  if(prismRaw && prism === null) err("prism", t("PRISM não numérico."));
+  else if(prism !== null && (prism < HARD_RANGES.prism.min || prism > HARD_RANGES.prism.max)) err("prism", t("PRISM III fora do intervalo possível ({min}–{max}).", HARD_RANGES.prism));
+
+  const weightRaw = String(c.weight ?? "").trim();
+  const weight = safeNum(c.weight);
+  if(weightRaw && weight === null) err("weight", t("Peso não numérico."));
+  else if(weight !== null && (weight < HARD_RANGES.weight.min || weight > HARD_RANGES.weight.max)) err("weight", t("Peso {v} kg fora de {min}–{max} kg.", { v: weightRaw, ...HARD_RANGES.weight }));
+  if(!weightRaw && c.timepoints.some(tp=>tp.mode === "hfnc" && safeNum(tp.flow) !== null)) assume("weight", t("Peso em falta: fluxo de ONAF sem conversão para L/min."));
+
+  const vit = vitalsForAge(ageM !== null && ageM >= 0 ? ageM : null);
+  const seenH = new Map();
+  const clinKey = clinScoreKey(c);
+  if(c.clinScore && !CLINICAL_SCORES[c.clinScore]) err("clinScore", t("Score clínico desconhecido (\"{v}\").", { v: c.clinScore }));
+  else if(clinKey && CLINICAL_SCORES[clinKey].diag !== c.diag) warn("clinScore", t(CLINICAL_SCORES[clinKey].diag === "asthma"
+    ? "{score} está validado para asma, não para o diagnóstico seleccionado."
+    : "{score} está validado para bronquiolite, não para o diagnóstico seleccionado.", { score: CLINICAL_SCORES[clinKey].label }));
+
+  c.timepoints.forEach((tp, i)=>{
+    const where = i === 0 ? t("Baseline") : t("Reavaliação {i}", { i }) + (safeNum(tp.h) !== null ? ` (${hLabel(tp.h)})` : "");
+    const id = (k)=>`${k}_${i}`;
+    const raw = (k)=>String(tp[k] ?? "").trim();
+    const label = (k)=>`${where} — ${t(FIELD_LABELS[k])}`;
+    // message with the usual placeholders: {label} {where} {v} (raw value) + extras
+    const m = (k, msg, vars)=>t(msg, { label: label(k), where, v: raw(k), ...(HARD_RANGES[k] || {}), ...vars });
+
+    TP_FIELDS.forEach(k=>{
+      if(raw(k) && safeNum(tp[k]) === null) err(id(k), m(k, "{label}: valor não numérico (\"{v}\")."));
+    });
+
+    if(i > 0){
+      const h = safeNum(tp.h);
+      if(raw("h") && h === null) err(id("h"), m("h", "{label}: não numérico."));
+      else if(h !== null && h < 0) err(id("h"), m("h", "{label}: tempo negativo."));
+      else if(h !== null && h > 720) warn(id("h"), m("h", "{label}: {h} após o início (> 30 dias).", { h: hLabel(h) }));
+      else if(h === null && tpHasData(tp)) warn(id("h"), m("h", "{where}: sem tempo desde o início — ordenada no fim da trajectória."));
+      if(h !== null){
+        if(seenH.has(h)) warn(id("h"), m("h", "{where}: mesmo tempo que a reavaliação {j}.", { j: seenH.get(h) }));
+        else seenH.set(h, i);
+      }
+    }
+
+    // SpO₂ in %, never as a fraction
+    const spo2 = safeNum(tp.spo2);
+    if(spo2 !== null){
+      if(spo2 > 0 && spo2 <= 1) err(id("spo2"), m("spo2", "{label} parece uma fração ({v}); introduzir em % (ex: {pct}).", { pct: Math.round(spo2 * 100) }));
+      else if(spo2 > HARD_RANGES.spo2.max || spo2 < HARD_RANGES.spo2.min) err(id("spo2"), m("spo2", "{label}: {v}% fora de {min}–{max}%."));
+      else if(spo2 > 97) warn(id("spo2"), m("spo2", "{label} {v}% > 97%: SF pouco fiável (zona plana da curva de dissociação); considerar reduzir FiO₂."));
+      else if(spo2 < 70) warn(id("spo2"), m("spo2", "{label} {v}%: muito baixa — confirmar leitura/sonda."));
+    }
+
+    // FiO₂: fraction 0.21–1.0 or % 21–100; anything in between is ambiguous
+    const fio2 = safeNum(tp.fio2);
+    if(fio2 !== null){
+      if(fio2 < 0.21) err(id("fio2"), m("fio2", "{label}: {v} abaixo de 0.21 (ar ambiente)."));
+      else if(fio2 > 1 && fio2 < 21) err(id("fio2"), m("fio2", "{label}: {v} é ambíguo — nem fração (0.21–1.0) nem % (21–100)."));
+      else if(fio2 > 100) err(id("fio2"), m("fio2", "{label}: {v} acima de 100%."));
+      else if(fio2 >= 21) assume(id("fio2"), m("fio2", "{label} \"{v}\" interpretada como % → {f}.", { f: (fio2 / 100).toFixed(2) }));
+      else if(fio2 === 1) assume(id("fio2"), m("fio2", "{label} \"{v}\" interpretada como fração → 1.00 (100%)."));
+    }
+
+    [["rr", vit.rr], ["hr", vit.hr]].forEach(([k, [lo, hi]])=>{
+      const n = safeNum(tp[k]);
+      if(n === null) return;
+      if(n < lo || n > hi) err(id(k), m(k, ageM !== null ? "{label}: {v}/min implausível para a idade ({lo}–{hi})." : "{label}: {v}/min implausível ({lo}–{hi}).", { lo, hi }));
+    });
+
+    const ph = safeNum(tp.ph);
+    if(ph !== null && (ph < HARD_RANGES.ph.min || ph > HARD_RANGES.ph.max)){
+      const hint = ph >= 65 && ph <= 79 ? t(" — falta o ponto decimal? (ex: {x})", { x: (ph / 10).toFixed(2) }) : "";
+      err(id("ph"), m("ph", "{label}: {v} fora de {min}–{max}{hint}.", { hint }));
+    }
+
+    const pco2 = safeNum(tp.pco2);
+    if(pco2 !== null){
+      if(pco2 >= 2 && pco2 < HARD_RANGES.pco2.min) err(id("pco2"), m("pco2", "{label}: {v} parece estar em kPa (≈ {mmHg} mmHg); introduzir em mmHg.", { mmHg: (pco2 * 7.50062).toFixed(0) }));
+      else if(pco2 < HARD_RANGES.pco2.min || pco2 > HARD_RANGES.pco2.max) err(id("pco2"), m("pco2", "{label}: {v} fora de {min}–{max} mmHg."));
+    }
+
+    ["ipap", "epap", "cpap", "map"].forEach(k=>{
+      const n = safeNum(tp[k]);
+      if(n !== null && (n < HARD_RANGES[k].min || n > HARD_RANGES[k].max)) err(id(k), m(k, "{label}: {v} fora de {min}–{max} cmH₂O."));
+    });
+    const pao2 = safeNum(tp.pao2);
+    if(pao2 !== null){
+      if(pao2 >= 2 && pao2 < HARD_RANGES.pao2.min) err(id("pao2"), m("pao2", "{label}: {v} parece estar em kPa (≈ {mmHg} mmHg); introduzir em mmHg.", { mmHg: (pao2 * 7.50062).toFixed(0) }));
+      else if(pao2 < HARD_RANGES.pao2.min || pao2 > HARD_RANGES.pao2.max) err(id("pao2"), m("pao2", "{label}: {v} fora de {min}–{max} mmHg."));
+      else if(safeNum(tp.spo2) !== null && safeNum(tp.spo2) >= 97 && pao2 < 60) warn(id("pao2"), m("pao2", "{where}: PaO₂ {v} com SpO₂ {spo2}% — amostra venosa?", { spo2: raw("spo2") }));
+    }
+
+    const flow = safeNum(tp.flow);
+    if(flow !== null){
+      if(flow > HARD_RANGES.flow.max && weight !== null && flow / weight <= HARD_RANGES.flow.max) err(id("flow"), m("flow", "{label}: {v} parece estar em L/min (≈ {kg} L/kg/min); introduzir em L/kg/min.", { kg: (flow / weight).toFixed(1) }));
+      else if(flow < HARD_RANGES.flow.min || flow > HARD_RANGES.flow.max) err(id("flow"), m("flow", "{label}: {v} fora de {min}–{max} L/kg/min."));
+      else if(flow > 2.5) warn(id("flow"), m("flow", "{label}: {v} L/kg/min acima do habitual (≤ 2 L/kg/min)."));
+    }
+    if(i > 0 && tp.mode !== "hfnc" && safeNum(tp.flow) !== null) warn(id("flow"), m("flow", "{where}: fluxo preenchido mas o suporte é {mode}.", { mode: SUPPORT_MODES[tp.mode].short }));
+    const clin = safeNum(tp.clin);
+    if(clin !== null){
+      const cs = CLINICAL_SCORES[clinKey];
+      if(!cs) warn(id("clin"), m("clin", "{where}: score clínico preenchido sem escala (diagnóstico sem score clínico)."));
+      else if(clin < 0 || clin > cs.max || !Number.isInteger(clin)) err(id("clin"), m("clin", "{label}: {v} fora de 0–{max} ({score}).", { max: cs.max, score: cs.short }));
+      else{
+        const fromItems = clinItemsTotal(clinKey, tp.clinItems);
+        if(fromItems !== null && fromItems !== clin) warn(id("clin"), m("clin", "{where}: {score} {v} difere da soma dos itens ({sum}).", { score: cs.short, sum: fromItems }));
+      }
+    }
+
+    const ipap = safeNum(tp.ipap), epap = safeNum(tp.epap);
+    if(ipap !== null && epap !== null && ipap <= epap) warn(id("ipap"), m("ipap", "{where}: IPAP ({ipap}) ≤ EPAP ({epap}).", { ipap, epap }));
+
+    ["hco3", "be", "lactate"].forEach(k=>{
+      const n = safeNum(tp[k]);
+      if(n !== null && (n < HARD_RANGES[k].min || n > HARD_RANGES[k].max)) err(id(k), m(k, "{label}: {v} fora de {min}–{max} mmol/L."));
+    });
+    if(tp.gasType && !GAS_SAMPLES[tp.gasType]) err(`gas_${i}`, m("gasType", "{label}: tipo desconhecido (\"{type}\").", { type: tp.gasType }));
+    else if(!tp.gasType && (ph !== null || pco2 !== null)) assume(`gas_${i}`, m("gasType", "{where}: tipo de amostra não indicado — gasometria interpretada como arterial."));
+    // measured HCO₃⁻ should agree with pH/pCO₂ (Henderson–Hasselbalch)
+    const hco3 = safeNum(tp.hco3);
+    if(hco3 !== null && ph !== null && pco2 !== null && ph >= HARD_RANGES.ph.min && ph <= HARD_RANGES.ph.max && pco2 >= HARD_RANGES.pco2.min){
+      const calc = hendersonHco3(ph, pco2);
+      if(Math.abs(hco3 - calc) > 4) warn(id("hco3"), m("hco3", "{where}: HCO₃⁻ {v} não concorda com pH/pCO₂ (calculado ≈ {calc}) — confirmar valores.", { calc: calc.toFixed(0) }));
+    }
+  });
+
+  return v;
+}
+
+/* ---- AGE-NORMALISED VITAL SIGNS ----
+   RR/HR centiles for age, approximated from the Fleming et al. reference charts
+   (Lancet 2011; 1st/10th/50th/90th/99th centiles, birth–18 years). Centile → z by linear
+   interpolation between the anchor centiles (in z-space), across age by linear interpolation.
+*/
+const VITAL_CENTILE_Z = [-2.326, -1.2816, 0, 1.2816, 2.326]; // P1 P10 P50 P90 P99
+const VITAL_REF = {
+  // [age months, P1, P10, P50, P90, P99]
+  rr: [
+    [0, 25, 34, 43, 57, 66], [3, 24, 33, 41, 55, 64], [6, 23, 31, 39, 52, 61], [9, 22, 30, 37, 50, 58],
+    [12, 21, 28, 35, 46, 53], [18, 19, 25, 31, 40, 46], [24, 18, 22, 28, 35, 41], [36, 17, 21, 25, 31, 36],
+    [48, 17, 20, 24, 29, 33], [72, 16, 18, 22, 26, 29], [96, 14, 17, 20, 24, 27], [120, 14, 16, 19, 22, 25],
+    [144, 13, 15, 18, 21, 23], [180, 12, 13, 16, 19, 22], [216, 11, 12, 15, 18, 20]
+  ],
+  hr: [
+    [0, 90, 107, 127, 153, 164], [3, 107, 123, 143, 164, 181], [6, 104, 120, 140, 159, 175], [9, 98, 114, 134, 152, 168],
+    [12, 93, 109, 128, 145, 160], [18, 88, 103, 123, 140, 156], [24, 82, 98, 116, 135, 149], [36, 76, 92, 110, 128, 142],
+    [48, 70, 86, 104, 123, 137], [72, 63, 78, 96, 115, 129], [96, 58, 72, 90, 109, 123], [120, 54, 68, 84, 102, 117],
+    [144, 50, 64, 80, 97, 111], [180, 46, 60, 76, 92, 106], [216, 43, 57, 73, 89, 103]
+  ]
+};
+
+function normCdf(z){
+  // Abramowitz–Stegun 7.1.26
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
+
+function vitalAnchors(kind, ageM){
+  const ref = VITAL_REF[kind];
+  const a = clamp(ageM, ref[0][0], ref[ref.length - 1][0]);
+  const i = Math.max(0, ref.findIndex(r=>r[0] >= a) - 1);
+  const lo = ref[i], hi = ref[Math.min(i + 1, ref.length - 1)];
+  const f = hi[0] === lo[0] ? 0 : (a - lo[0]) / (hi[0] - lo[0]);
+  return lo.slice(1).map((v, k)=>v + f * (hi[k + 1] - v));
+}
+
+// → { z, centile } or null (no age / no value)
+function vitalForAge(kind, value, ageM){
+  const v = safeNum(value);
+  if(v === null || ageM === null || ageM < 0) return null;
+  const x = vitalAnchors(kind, ageM);
+  const Z = VITAL_CENTILE_Z;
+  let k = x.findIndex(a=>v < a);
+  if(k === -1) k = x.length - 1;      // above P99: extrapolate with the top segment
+  else if(k === 0) k = 1;             // below P1: extrapolate with the bottom segment
+  const z = clamp(Z[k - 1] + (v - x[k - 1]) * (Z[k] - Z[k - 1]) / (x[k] - x[k - 1]), -4, 4);
+  return { z, centile: normCdf(z) * 100 };
+}
+
+function fmtCentile(c){
+  if(c === null || c === undefined) return "—";
+  if(c >= 99.5) return "> P99";
+  if(c < 0.5) return "< P1";
+  return `P${c.toFixed(0)}`;
+}
+
+/* ---- OXYGENATION INDICES + PARDS (PALICC-2) ----
+   PF = PaO₂/FiO₂; OI = FiO₂ × MAP × 100 / PaO₂; OSI = FiO₂ × MAP × 100 / SpO₂ (SpO₂ ≤ 97%).
+   MAP: measured, = CPAP level on CPAP, or estimated on BiPAP as EPAP + (IPAP − EPAP) × Ti/Ttot (≈ 1/3).
+   PALICC-2 (Pediatr Crit Care Med 2023), oxygenation criteria as implemented:
+   - full face-mask NIV / CPAP ≥ 5 cmH₂O: PF ≤ 300 or SF ≤ 250 → PARDS (not staged on NIV);
+   - nasal-interface NIV/CPAP or HFNC ≥ 1.5 L/kg/min: PF < 300 or SF < 250 → possible PARDS;
+   - invasive ventilation (reference only here): OI 4–16 / OSI 5–12 mild/moderate, ≥ 16 / ≥ 12 severe;
+   plus new infiltrate(s) on imaging, not fully explained by cardiac failure / fluid overload.
+*/
+const MAP_TI_FRACTION = 1 / 3;
+
+function meanAirwayPressure(tp){
+  const map = safeNum(tp.map);
+  if(map !== null) return { value: map, how: t("medida") };
+  const cpap = safeNum(tp.cpap), ipap = safeNum(tp.ipap), epap = safeNum(tp.epap);
+  if(tp.mode === "cpap" && cpap !== null) return { value: cpap, how: "= CPAP" };
+  if(tp.mode === "bipap" && ipap !== null && epap !== null) return { value: epap + (ipap - epap) * MAP_TI_FRACTION, how: t("estimada IPAP/EPAP") };
+  return null;
+}
+
+function oxygenationIndices(tp){
+  const fio2 = parseFiO2(tp.fio2), spo2 = safeNum(tp.spo2), pao2 = safeNum(tp.pao2);
+  const map = meanAirwayPressure(tp);
+  const sfOk = spo2 !== null && spo2 <= 97;
+  return {
+    pf: fio2 && pao2 !== null ? pao2 / fio2 : null,
+    sf: sfOk ? calcSF(tp.spo2, tp.fio2) : null,
+    oi: fio2 && pao2 && map ? fio2 * map.value * 100 / pao2 : null,
+    osi: fio2 && sfOk && map ? fio2 * map.value * 100 / spo2 : null,
+    map
+  };
+}
+
+function assessPards(c, tps){
+  const pts = tps.map((tp, i)=>({ tp, i })).filter(x=>parseFiO2(x.tp.fio2) !== null && (safeNum(x.tp.pao2) !== null || safeNum(x.tp.spo2) !== null));
+  const res = { status: "none", label: t("Sem dados de oxigenação"), at: null, idx: null, severity: null, notes: [], consistency: null };
+  if(!pts.length) return res;
+  const { tp, i } = pts[pts.length - 1];
+  const ix = oxygenationIndices(tp);
+  res.idx = ix;
+  res.at = i === 0 ? t("baseline") : hLabel(tp.h);
+
+  const weight = safeNum(c.weight);
+  const flowKg = safeNum(tp.flow);
+  const epap = tp.mode === "cpap" ? safeNum(tp.cpap) : safeNum(tp.epap);
+  const nasal = c.interface === "nasal";
+  const strict = (ix.pf !== null && ix.pf <= 300) || (ix.sf !== null && ix.sf <= 250);
+  const loose = (ix.pf !== null && ix.pf < 300) || (ix.sf !== null && ix.sf < 250);
+
+  let support = "none";
+  if(i > 0 && (tp.mode === "bipap" || tp.mode === "cpap")) support = nasal ? "nasal" : (epap !== null && epap >= 5 ? "niv" : "niv_low");
+  else if(i > 0 && tp.mode === "hfnc" && flowKg !== null && flowKg >= 1.5) support = "hfnc";
+  if(ix.sf === null && ix.pf === null) res.notes.push(t("SF não utilizável (SpO₂ > 97%) e sem PaO₂."));
+  if(support === "niv_low") res.notes.push(t("CPAP/EPAP < 5 cmH₂O (ou não registado): critério de VNI do PALICC-2 não aplicável."));
+  if(tp.mode === "hfnc" && i > 0 && support !== "hfnc"){
+    res.notes.push(flowKg === null ? t("ONAF sem fluxo registado: abaixo de 1.5 L/kg/min (limiar de “PARDS possível”).")
+      : t("ONAF a {f} L/kg/min{lmin}: abaixo de 1.5 L/kg/min (limiar de “PARDS possível”).", { f: flowKg, lmin: weight !== null ? ` (${(flowKg * weight).toFixed(0)} L/min)` : "" }));
+  }
+
+  if(support === "niv" && strict){ res.status = "pards"; res.label = t("PARDS (VNI, máscara facial)"); }
+  else if((support === "nasal" || support === "hfnc") && loose){ res.status = "possible"; res.label = t("PARDS possível (interface nasal / ONAF)"); }
+  else if(parseFiO2(tp.fio2) > 0.21 || support !== "none"){ res.status = "at_risk"; res.label = t("Em risco de PARDS (critérios de oxigenação não cumpridos)"); }
+  else { res.status = "none"; res.label = t("Sem critérios de PARDS"); }
+
+  if(res.status === "pards" || res.status === "possible"){
+    if(!c.pardsImaging) res.notes.push(t("Falta confirmar infiltrado novo na imagem torácica (critério PALICC-2)."));
+    if(c.pardsCardiac){
+      res.notes.push(t("Hipoxemia explicada por falência cardíaca / sobrecarga hídrica: exclui PARDS."));
+      res.status = "excluded";
+      res.label = t("Critérios de oxigenação cumpridos, mas PARDS excluído (causa cardíaca / sobrecarga)");
+    }
+  }
+
+  // invasive-ventilation staging, shown for reference when OI/OSI can be computed
+  const sev = ix.oi !== null ? (ix.oi >= 16 ? "grave" : ix.oi >= 4 ? "ligeira/moderada" : null)
+    : ix.osi !== null ? (ix.osi >= 12 ? "grave" : ix.osi >= 5 ? "ligeira/moderada" : null) : null;
+  if(sev) res.severity = t("{sev} pelos limiares de VMI ({idx})", { sev: t(sev), idx: ix.oi !== null ? `OI ${ix.oi.toFixed(1)}` : `OSI ${ix.osi.toFixed(1)}` });
+
+  const meets = res.status === "pards" || res.status === "possible";
+  // consistencyWarn: the selected diagnosis and the criteria disagree
+  res.consistencyWarn = (c.diag === "ards" && !meets) || (c.diag !== "ards" && meets && !c.pardsCardiac);
+  if(c.diag === "ards" && !meets) res.consistency = t("Diagnóstico seleccionado “ARDS” não é suportado pelos critérios PALICC-2 com os dados actuais.");
+  else if(c.diag === "ards") res.consistency = t(res.status === "possible"
+    ? (c.pardsImaging ? "Diagnóstico “ARDS” consistente (possível pelos critérios de oxigenação e imagem)." : "Diagnóstico “ARDS” consistente (possível pelos critérios de oxigenação).")
+    : (c.pardsImaging ? "Diagnóstico “ARDS” consistente (confirmado pelos critérios de oxigenação e imagem)." : "Diagnóstico “ARDS” consistente (confirmado pelos critérios de oxigenação)."));
+  else if(meets && !c.pardsCardiac) res.consistency = t(res.status === "possible"
+    ? "Cumpre critérios de oxigenação PALICC-2 de PARDS possível — considerar rever o diagnóstico seleccionado."
+    : "Cumpre critérios de oxigenação PALICC-2 de PARDS — considerar rever o diagnóstico seleccionado.");
+  return res;
+}
+
+function pardsLine(p){
+  const ix = p.idx || {};
+  const f = (v, dp)=>(v === null || v === undefined ? "—" : v.toFixed(dp));
+  const mapTxt = ix.map ? ` | MAP ${f(ix.map.value, 1)} (${ix.map.how})` : "";
+  return `PF ${f(ix.pf, 0)} | SF ${f(ix.sf, 0)} | OI ${f(ix.oi, 1)} | OSI ${f(ix.osi, 1)}${mapTxt}`;
+}
+
+/* ---- CLINICAL SEVERITY SCORES (work of breathing) ----
+   One score per case (d.clinScore; blank = by diagnosis: bronchiolitis → WDF, asthma → PRAM),
+   charted at every timepoint: tp.clin = total, tp.clinItems = { score, <item>: value } when entered item by item.
+   Bands: WDF 1–3 / 4–7 / 8–14; modified Tal ≤5 / 6–10 / 11–12; PRAM 0–3 / 4–7 / 8–12;
+   PASS has no validated bands (0–1 / 2–3 / 4–6 used as indicative).
+*/
+const CLINICAL_SCORES = {
+  wdf: { label: "Wood-Downes-Ferrés", short: "WDF", diag: "bronchiolitis", max: 14, bands: [3, 7], items: [
+    { key: "wheeze", label: "Sibilâncias", options: ["Não", "Final da expiração", "Toda a expiração", "Inspiração e expiração"] },
+    { key: "retr", label: "Tiragem", options: ["Não", "Subcostal", "+ supraclavicular / adejo nasal", "+ intercostal / supraesternal"] },
+    { key: "rr", label: "FR (cpm)", options: ["< 30", "31–45", "46–60", "> 60"] },
+    { key: "hr", label: "FC (bpm)", options: ["< 120", "> 120"] },
+    { key: "air", label: "Entrada de ar", options: ["Boa, simétrica", "Regular, simétrica", "Muito diminuída", "Tórax silencioso"] },
+    { key: "cyan", label: "Cianose", options: ["Não", "Sim"] }
+  ] },
+  tal: { label: "Tal modificado", short: "Tal", diag: "bronchiolitis", max: 12, bands: [5, 10], items: [
+    { key: "rr", label: "FR (< 6 m | ≥ 6 m)", options: ["≤ 40 | ≤ 30", "41–55 | 31–45", "56–70 | 46–60", "> 70 | > 60"] },
+    { key: "wheeze", label: "Sibilâncias", options: ["Não", "Só expiratórias (estetoscópio)", "Insp. e exp. (estetoscópio)", "Audíveis sem estetoscópio"] },
+    { key: "spo2", label: "SpO₂ (ar ambiente)", options: ["≥ 95%", "92–94%", "90–91%", "≤ 89%"] },
+    { key: "retr", label: "Tiragem", options: ["Não", "Intercostal", "Intercostal e subesternal", "Grave, com adejo nasal"] }
+  ] },
+  pram: { label: "PRAM", short: "PRAM", diag: "asthma", max: 12, bands: [3, 7], items: [
+    { key: "spo2", label: "SpO₂", options: ["≥ 95%", "92–94%", "< 92%"] },
+    { key: "supra", label: "Tiragem supraesternal", options: ["Não", "", "Sim"] },
+    { key: "scal", label: "Contracção dos escalenos", options: ["Não", "", "Sim"] },
+    { key: "air", label: "Entrada de ar", options: ["Normal", "Diminuída nas bases", "Diminuída difusamente", "Ausente / mínima"] },
+    { key: "wheeze", label: "Sibilâncias", options: ["Não", "Só expiratórias", "Insp. e exp.", "Audíveis sem estetoscópio / tórax silencioso"] }
+  ] },
+  pass: { label: "PASS", short: "PASS", diag: "asthma", max: 6, bands: [1, 3], items: [
+    { key: "wheeze", label: "Sibilâncias", options: ["Ausentes / ligeiras", "Moderadas", "Graves / ausentes por má entrada de ar"] },
+    { key: "work", label: "Trabalho respiratório", options: ["Normal / ligeiro", "Moderado", "Grave"] },
+    { key: "exp", label: "Prolongamento da expiração", options: ["Normal / ligeiro", "Moderado", "Grave"] }
+  ] }
+};
+const CLIN_SEVERITY = ["ligeira", "moderada", "grave"];
+
+function clinScoreKey(d){
+  if(CLINICAL_SCORES[d.clinScore]) return d.clinScore;
+  return d.diag === "bronchiolitis" ? "wdf" : d.diag === "asthma" ? "pram" : null;
+}
+
+// total from the items, only when every item was scored
+function clinItemsTotal(key, items){
+  const s = CLINICAL_SCORES[key];
+  if(!s || !items || (items.score && items.score !== key)) return null;
+  const vals = s.items.map(it=>safeNum(items[it.key]));
+  return vals.every(v=>v !== null) ? vals.reduce((a, v)=>a + v, 0) : null;
+}
+
+// 0 ligeira, 1 moderada, 2 grave
+function clinSeverity(key, total){
+  const s = CLINICAL_SCORES[key];
+  if(!s || total === null) return null;
+  return total <= s.bands[0] ? 0 : total <= s.bands[1] ? 1 : 2;
+}
+
+function clinText(key, total){
+  if(total === null) return "—";
+  return `${CLINICAL_SCORES[key].short} ${total}/${CLINICAL_SCORES[key].max} (${CLIN_SEVERITY[clinSeverity(key, total)]})`;
+}
+
+/* ---- BLOOD GAS / ACID–BASE ----
+   Sample type per timepoint (arterial | capillary | venous; blank = not stated, read as arterial).
+   Venous values are arterialised for interpretation and trends (pH +0.03, pCO₂ −5 mmHg).
+   HCO₃⁻ is derived from pH/pCO₂ (Henderson–Hasselbalch) when not entered.
+   Expected compensation: Winter (metabolic acidosis), 0.7 × HCO₃⁻ + 21 (metabolic alkalosis),
+   ΔHCO₃⁻ 0.1 / 0.35 × ΔpCO₂ (acute / chronic respiratory acidosis), 0.2 / 0.4 (respiratory alkalosis).
+*/
+const GAS_SAMPLES = {
+  arterial: { label: "arterial", weight: 1, dPh: 0, dPco2: 0 },
+  capillary: { label: "capilar", weight: 0.75, dPh: 0, dPco2: 0 },
+  venous: { label: "venosa", weight: 0.5, dPh: 0.03, dPco2: -5 }
+};
+
+const ACID_BASE_LABELS = {
+  normal: "Sem alteração ácido–base",
+  resp_acid: "Acidose respiratória",
+  met_acid: "Acidose metabólica",
+  resp_alk: "Alcalose respiratória",
+  met_alk: "Alcalose metabólica",
+  mixed_acid: "Acidose mista (respiratória + metabólica)",
+  mixed_alk: "Alcalose mista (respiratória + metabólica)",
+  mixed_normal: "Distúrbio misto com pH normal",
+  partial: "Alteração sem acidemia/alcalemia"
+};
+
+function hendersonHco3(ph, pco2){
+  return 0.0307 * pco2 * Math.pow(10, ph - 6.1);
+}
+
+// pH/pCO₂ as arterial equivalents (for interpretation and for trends across sample types)
+function gasValues(tp){
+  const s = GAS_SAMPLES[tp.gasType];
+  const ph = safeNum(tp.ph), pco2 = safeNum(tp.pco2), hco3 = safeNum(tp.hco3);
+  return {
+    sample: s ? tp.gasType : "",
+    weight: s ? s.weight : 1,
+    ph: ph === null ? null : ph + (s ? s.dPh : 0),
+    pco2: pco2 === null ? null : pco2 + (s ? s.dPco2 : 0),
+    hco3: hco3 !== null ? hco3 : ph !== null && pco2 !== null ? hendersonHco3(ph, pco2) : null,
+    hco3Derived: hco3 === null && ph !== null && pco2 !== null,
+    hco3Calc: ph !== null && pco2 !== null ? hendersonHco3(ph, pco2) : null,
+    be: safeNum(tp.be),
+    lactate: safeNum(tp.lactate)
+  };
+}
+
+function interpretAcidBase(tp){
+  const g = gasValues(tp);
+  if(g.ph === null || g.pco2 === null) return null;
+  const { ph, pco2, hco3, be } = g;
+  const res = { ...g, key: "normal", label: "", compensation: "", mixed: [], notes: [] };
+  const metAcid = hco3 !== null ? hco3 < 22 : be !== null && be < -3;
+  const metAlk = hco3 !== null ? hco3 > 26 : be !== null && be > 3;
+  const respAcid = pco2 > 45, respAlk = pco2 < 35;
+
+  if(ph < 7.35) res.key = respAcid && metAcid ? "mixed_acid" : respAcid ? "resp_acid" : metAcid ? "met_acid" : "partial";
+  else if(ph > 7.45) res.key = respAlk && metAlk ? "mixed_alk" : respAlk ? "resp_alk" : metAlk ? "met_alk" : "partial";
+  else if((respAcid && metAlk) || (respAlk && metAcid)) res.key = "mixed_normal";
+  else if(respAcid || respAlk || metAcid || metAlk) res.key = "partial";
+
+  const band = (lo, hi)=>`${lo.toFixed(0)}–${hi.toFixed(0)}`;
+  if(res.key === "met_acid" && hco3 !== null){
+    const exp = 1.5 * hco3 + 8;
+    res.compensation = t("pCO₂ esperada {range} mmHg (Winter)", { range: band(exp - 2, exp + 2) });
+    if(pco2 > exp + 2) res.mixed.push(t("acidose respiratória associada (compensação insuficiente)"));
+    else if(pco2 < exp - 2) res.mixed.push(t("alcalose respiratória associada"));
+  } else if(res.key === "met_alk" && hco3 !== null){
+    const exp = 0.7 * hco3 + 21;
+    res.compensation = t("pCO₂ esperada {range} mmHg", { range: band(exp - 2, exp + 2) });
+    if(pco2 > exp + 2) res.mixed.push(t("acidose respiratória associada"));
+    else if(pco2 < exp - 2) res.mixed.push(t("alcalose respiratória associada"));
+  } else if(res.key === "resp_acid" && hco3 !== null){
+    const acute = 24 + 0.1 * (pco2 - 40), chronic = 24 + 0.35 * (pco2 - 40);
+    res.compensation = Math.abs(hco3 - acute) <= 2 ? t("aguda (sem compensação renal)")
+      : Math.abs(hco3 - chronic) <= 2 ? t("crónica (compensada)") : hco3 > acute && hco3 < chronic ? t("aguda sobre crónica / parcialmente compensada") : "";
+    if(hco3 < acute - 2) res.mixed.push(t("acidose metabólica associada"));
+    else if(hco3 > chronic + 2) res.mixed.push(t("alcalose metabólica associada"));
+  } else if(res.key === "resp_alk" && hco3 !== null){
+    const acute = 24 - 0.2 * (40 - pco2), chronic = 24 - 0.4 * (40 - pco2);
+    res.compensation = Math.abs(hco3 - acute) <= 2 ? t("aguda") : Math.abs(hco3 - chronic) <= 2 ? t("crónica (compensada)") : "";
+    if(hco3 > acute + 2) res.mixed.push(t("alcalose metabólica associada"));
+    else if(hco3 < chronic - 2) res.mixed.push(t("acidose metabólica associada"));
+  } else if(res.key === "mixed_normal"){
+    res.mixed.push(respAcid ? t("acidose respiratória + alcalose metabólica") : t("alcalose respiratória + acidose metabólica"));
+  }
+
+  res.label = t(ACID_BASE_LABELS[res.key]);
+  if(g.sample === "venous") res.notes.push(t("Amostra venosa: pH +0.03 e pCO₂ −5 mmHg para interpretação (estimativa arterial)."));
+  else if(g.sample === "capillary") res.notes.push(t("Amostra capilar: pH/pCO₂ fiáveis só com boa perfusão periférica."));
+  else if(!g.sample) res.notes.push(t("Tipo de amostra não indicado: interpretada como arterial."));
+  if(g.hco3Derived) res.notes.push(t("HCO₃⁻ calculado a partir de pH/pCO₂."));
+  else if(g.hco3Calc !== null && Math.abs(g.hco3 - g.hco3Calc) > 4) res.notes.push(t("HCO₃⁻ medido ({m}) difere do calculado ({c}): confirmar valores.", { m: g.hco3, c: g.hco3Calc.toFixed(0) }));
+  if(g.lactate !== null && g.lactate > 2) res.notes.push(t(g.lactate > 4 ? "Lactato {v} mmol/L muito elevado." : "Lactato {v} mmol/L elevado.", { v: g.lactate }));
+  return res;
+}
+
+function acidBaseLine(ab){
+  const f = (v, dp)=>(v === null ? "—" : v.toFixed(dp));
+  const parts = [`${ab.label}${ab.compensation ? ` — ${ab.compensation}` : ""}`];
+  if(ab.mixed.length) parts.push(`${t("misto")}: ${ab.mixed.join("; ")}`);
+  parts.push(`pH ${f(ab.ph, 2)} pCO₂ ${f(ab.pco2, 0)} HCO₃⁻ ${f(ab.hco3, 0)}${ab.be !== null ? ` BE ${ab.be}` : ""}${ab.lactate !== null ? ` Lact ${ab.lactate}` : ""}`);
+  return parts.join(" | ");
+}
+
+/* ---- RULE SET (declarative, versioned) ----
+   The score is data: components → terms → bands, evaluated top to bottom (first match wins;
+   a band without "op" is the fallback). "missing" = points when the input is unavailable;
+   "scale" (optional) = an input in 0–1 that multiplies the term's points (e.g. gas sample reliability).
+   Factor/note text may use {value} and {at} (time of the reassessment the value came from);
+   "key" (optional) is the band's stable id, used to show its factor/note in other languages.
+   A local rule set (Definições) replaces this one; every result records `${id}@${version}`.
+*/
+const DEFAULT_RULES = {
+  id: "vni-pred-default",
+  version: "1.3.0",
+  name: "Regras de base (marcadores publicados)",
+  components: [
+    { key: "sf", label: "SF na reavaliação mais recente", terms: [
+      { input: "sf1", missing: 10, bands: [
+        { op: "<", value: 150, points: 40, key: "sf1.lt150", factor: "SF {at} < 150 (SF={value})",
+          note: "SF a {at} < 193 (SF={value}): marcador de alto risco de falência precoce em coorte pediátrica." },
+        { op: "<", value: 193, points: 30, key: "sf1.lt193", factor: "SF {at} < 193 (SF={value})",
+          note: "SF a {at} < 193 (SF={value}): marcador de alto risco de falência precoce em coorte pediátrica." },
+        { op: "<", value: 220, points: 18, key: "sf1.lt220", factor: "SF {at} 193–219 (SF={value})" },
+        { op: "<", value: 260, points: 10, key: "sf1.lt260", factor: "SF {at} 220–259 (SF={value})" },
+        { points: 3 }
+      ] }
+    ] },
+    { key: "rr", label: "Variação da FR vs baseline", terms: [
+      { input: "drrPct", missing: 6, bands: [
+        { op: ">=", value: 0, points: 18, key: "drr.none", factor: "FR não melhorou / piorou",
+          note: "Redução de FR < 10% (ou pior): resposta precoce fraca está associada a falência em estudos prospetivos." },
+        { op: ">", value: -10, points: 12, key: "drr.lt10", factor: "Queda de FR < 10%",
+          note: "Redução de FR < 10% (ou pior): resposta precoce fraca está associada a falência em estudos prospetivos." },
+        { op: ">", value: -20, points: 7 },
+        { points: 2 }
+      ] }
+    ] },
+    { key: "hr", label: "Variação da FC vs baseline", terms: [
+      { input: "dhrPct", missing: 3, bands: [
+        { op: ">=", value: 0, points: 10 },
+        { op: ">", value: -5, points: 7 },
+        { op: ">", value: -10, points: 4 },
+        { points: 1 }
+      ] }
+    ] },
+    { key: "age", label: "Idade", terms: [
+      { input: "ageMonths", missing: 4, bands: [
+        { op: "<", value: 6, points: 10, key: "age.lt6m", factor: "Idade < 6 meses",
+          note: "Idade < 6 meses: maior risco de falência (sincronia/leaks, gravidade)." },
+        { op: "<", value: 12, points: 6 },
+        { points: 2 }
+      ] }
+    ] },
+    { key: "arfDiag", label: "Tipo de IRA / diagnóstico", terms: [
+      { input: "arfType", bands: [
+        { op: "==", value: "type1", points: 10, key: "arf.type1", factor: "IRA hipoxémica (tipo 1)",
+          note: "IRA hipoxémica (tipo 1): maior risco de falência vs. tipo 2 em coorte pediátrica." }
+      ] },
+      { input: "diag", bands: [
+        { op: "==", value: "ards", points: 12, key: "diag.ards", factor: "ARDS", note: "ARDS: associada a maiores taxas de falência." },
+        { op: "==", value: "pneumonia", points: 8, key: "diag.pneumonia", factor: "Pneumonia" }
+      ] }
+    ] },
+    { key: "fio2", label: "FiO₂ inicial", terms: [
+      { input: "fio2_0", bands: [
+        { op: ">=", value: 0.8, points: 8 },
+        { op: ">=", value: 0.6, points: 5 },
+        { op: ">=", value: 0.4, points: 3 },
+        { points: 1 }
+      ] }
+    ] },
+    { key: "prism", label: "PRISM III-24", terms: [
+      { input: "prism", bands: [
+        { op: ">=", value: 10, points: 10, key: "prism.ge10", note: "PRISM elevado associa-se a falência em várias coortes." },
+        { op: ">=", value: 5, points: 6, key: "prism.ge5", note: "PRISM elevado associa-se a falência em várias coortes." },
+        { op: ">=", value: 1, points: 3 }
+      ] }
+    ] },
+    { key: "ipap", label: "IPAP na reavaliação mais recente", terms: [
+      { input: "ipap", bands: [
+        { op: ">=", value: 18, points: 6 },
+        { op: ">=", value: 14, points: 3 }
+      ] }
+    ] },
+    { key: "gas", label: "Tendência pCO₂ / pH", terms: [
+      { input: "dpco2", scale: "gasWeight", bands: [
+        { op: ">=", value: 5, points: 6 },
+        { op: ">=", value: 0, points: 3 },
+        { points: 1 }
+      ] },
+      { input: "dph", scale: "gasWeight", bands: [
+        { op: "<", value: -0.02, points: 4 },
+        { op: "<", value: 0.01, points: 2 }
+      ] }
+    ] },
+    // optional (disabled by default): persistent tachypnoea / tachycardia for age since NIV start
+    { key: "vitalsAge", label: "Taquipneia / taquicardia persistente para a idade", enabled: false, terms: [
+      { input: "rrCentileMin", bands: [
+        { op: ">=", value: 99, points: 8, key: "rrAge.p99", factor: "Taquipneia persistente para a idade (> P99)" },
+        { op: ">=", value: 90, points: 5, key: "rrAge.p90", factor: "Taquipneia persistente para a idade (≥ P90)",
+          note: "FR acima do P90 para a idade em todas as reavaliações: taquipneia persistente apesar da VNI." }
+      ] },
+      { input: "hrCentileMin", bands: [
+        { op: ">=", value: 99, points: 5, key: "hrAge.p99", factor: "Taquicardia persistente para a idade (> P99)" },
+        { op: ">=", value: 90, points: 3 }
+      ] }
+    ] },
+    // optional (disabled by default): bronchiolitis/asthma clinical score (WDF/Tal, PRAM/PASS)
+    { key: "clinScore", label: "Score clínico (WDF/Tal, PRAM/PASS)", enabled: false, terms: [
+      { input: "clinSev", bands: [
+        { op: ">=", value: 2, points: 8, key: "clin.severe", factor: "Score clínico grave {at}" },
+        { op: ">=", value: 1, points: 4 }
+      ] },
+      { input: "dClinPct", bands: [
+        { op: ">=", value: 0, points: 6, key: "clin.noImprovement", factor: "Score clínico sem melhoria vs baseline",
+          note: "Score clínico (trabalho respiratório) igual ou pior do que antes do suporte." },
+        { op: ">", value: -20, points: 3 }
+      ] }
+    ] }
+  ],
+  redFlags: { floor: 85, weight: 50, factor: "Red flags clínicas" },
+  tiers: [
+    { key: "very_high", min: 85, label: "Muito alto", badge: "ALTO RISCO", reassessMin: 15 },
+    { key: "high", min: 65, label: "Alto", badge: "RISCO ↑", reassessMin: 30 },
+    { key: "intermediate", min: 45, label: "Intermédio", badge: "RISCO ↔", reassessMin: 60 },
+    { key: "low", min: 0, label: "Baixo", badge: "RISCO ↓", reassessMin: 120 }
+  ]
+};
+
+/* HFNC (ONAF) failure = escalation to NIV/IMV. Same schema; used while the current support is HFNC.
+   ROX = SF / RR; paediatric ROX-HR = ROX / HR × 100. Thresholds are provisional (adult ROX work and
+   small paediatric cohorts) and must be validated locally before use.
+*/
+const HFNC_RULES = {
+  id: "onaf-pred-default",
+  version: "1.1.0",
+  name: "ONAF — falência/escalada (limiares provisórios)",
+  components: [
+    { key: "roxHr", label: "ROX-HR na reavaliação mais recente", terms: [
+      { input: "roxHr", missing: 10, bands: [
+        { op: "<", value: 3, points: 30, key: "roxHr.lt3", factor: "ROX-HR {at} < 3 ({value})",
+          note: "ROX-HR baixo sob ONAF: resposta insuficiente; ponderar escalada para VNI (limiar provisório)." },
+        { op: "<", value: 5, points: 20, key: "roxHr.lt5", factor: "ROX-HR {at} < 5 ({value})",
+          note: "ROX-HR baixo sob ONAF: resposta insuficiente; ponderar escalada para VNI (limiar provisório)." },
+        { op: "<", value: 7, points: 10 },
+        { points: 2 }
+      ] }
+    ] },
+    { key: "sf", label: "SF na reavaliação mais recente", terms: [
+      { input: "sf1", missing: 8, bands: [
+        { op: "<", value: 150, points: 20, key: "sf1.lt150", factor: "SF {at} < 150 (SF={value})" },
+        { op: "<", value: 193, points: 14, key: "sf1.lt193", factor: "SF {at} < 193 (SF={value})" },
+        { op: "<", value: 260, points: 6 },
+        { points: 2 }
+      ] }
+    ] },
+    { key: "rr", label: "Variação da FR vs baseline", terms: [
+      { input: "drrPct", missing: 6, bands: [
+        { op: ">=", value: 0, points: 16, key: "drr.noneHfnc", factor: "FR não melhorou sob ONAF" },
+        { op: ">", value: -10, points: 10, key: "drr.lt10", factor: "Queda de FR < 10%" },
+        { op: ">", value: -20, points: 5 },
+        { points: 1 }
+      ] }
+    ] },
+    { key: "hr", label: "Variação da FC vs baseline", terms: [
+      { input: "dhrPct", missing: 3, bands: [
+        { op: ">=", value: 0, points: 8 },
+        { op: ">", value: -10, points: 4 },
+        { points: 1 }
+      ] }
+    ] },
+    { key: "fio2", label: "FiO₂ actual sob ONAF", terms: [
+      { input: "fio2_1", bands: [
+        { op: ">=", value: 0.6, points: 10, key: "fio2.ge60", factor: "FiO₂ ≥ 0.60 sob ONAF" },
+        { op: ">=", value: 0.4, points: 5 },
+        { points: 1 }
+      ] }
+    ] },
+    { key: "flow", label: "Fluxo (L/kg/min)", terms: [
+      { input: "flowKg", bands: [
+        { op: ">=", value: 2, points: 6, key: "flow.ge2", factor: "Fluxo ≥ 2 L/kg/min (pouca margem)" },
+        { op: ">=", value: 1.5, points: 3 }
+      ] }
+    ] },
+    { key: "age", label: "Idade", terms: [
+      { input: "ageMonths", missing: 4, bands: [
+        { op: "<", value: 6, points: 8, key: "age.lt6m", factor: "Idade < 6 meses" },
+        { op: "<", value: 12, points: 4 },
+        { points: 1 }
+      ] }
+    ] },
+    { key: "diag", label: "Diagnóstico", terms: [
+      { input: "diag", bands: [
+        { op: "==", value: "ards", points: 8, key: "diag.ards", factor: "ARDS" },
+        { op: "==", value: "pneumonia", points: 5, key: "diag.pneumonia", factor: "Pneumonia" }
+      ] }
+    ] },
+    // same optional clinical-score component as the NIV rules
+    structuredClone(DEFAULT_RULES.components.find(c=>c.key === "clinScore"))
+  ],
+  redFlags: { floor: 85, weight: 50, factor: "Red flags clínicas" },
+  tiers: DEFAULT_RULES.tiers.map(t=>({ ...t }))
+};
+
+// inputs a rule term may reference (derived in riskAt)
+const RULE_INPUTS = {
+  sf1: "SF na reavaliação mais recente",
+  sf0: "SF baseline",
+  drrPct: "Variação % da FR (recente vs baseline)",
+  dhrPct: "Variação % da FC (recente vs baseline)",
+  rrCentile: "Centil da FR para a idade (mais recente)",
+  hrCentile: "Centil da FC para a idade (mais recente)",
+  rrCentileMin: "Centil mínimo da FR para a idade desde o início da VNI (persistência)",
+  hrCentileMin: "Centil mínimo da FC para a idade desde o início da VNI (persistência)",
+  ageMonths: "Idade (meses)",
+  arfType: "Tipo de IRA (type1 | type2)",
+  diag: "Diagnóstico (bronchiolitis | asthma | pneumonia | ards | other)",
+  fio2_0: "FiO₂ inicial (fração)",
+  prism: "PRISM III-24",
+  ipap: "IPAP mais recente (cmH₂O)",
+  dpco2: "Variação de pCO₂ (mmHg)",
+  dph: "Variação de pH",
+  fio2_1: "FiO₂ mais recente (fração)",
+  rox: "ROX (SF / FR) mais recente",
+  roxHr: "ROX-HR (ROX / FC × 100) mais recente",
+  flowKg: "Fluxo de ONAF mais recente (L/kg/min)",
+  gasWeight: "Fiabilidade das gasometrias comparadas (arterial 1, capilar 0.75, venosa 0.5)",
+  lactate: "Lactato mais recente (mmol/L)",
+  hco3: "HCO₃⁻ mais recente (mmol/L)",
+  clinSev: "Gravidade do score clínico mais recente (0 ligeira, 1 moderada, 2 grave)",
+  dClinPct: "Variação do score clínico vs baseline (% da escala)"
+};
+const RULE_OPS = ["<", "<=", ">", ">=", "==", "!="];
+const TIER_KEYS = ["very_high", "high", "intermediate", "low"];
+
+function rulesTag(rules){
+  return `${rules.id}@${rules.version}`;
+}
+
+function validateRules(rules){
+  const errs = [];
+  if(!rules || typeof rules !== "object" || Array.isArray(rules)) return ["A raiz tem de ser um objeto JSON."];
+  if(typeof rules.id !== "string" || !rules.id.trim()) errs.push("\"id\" em falta.");
+  if(typeof rules.version !== "string" || !rules.version.trim()) errs.push("\"version\" em falta.");
+  if(!Array.isArray(rules.components) || !rules.components.length) errs.push("\"components\" tem de ser uma lista não vazia.");
+  (rules.components || []).forEach((c, ci)=>{
+    const where = `components[${ci}]${c && c.key ? ` (${c.key})` : ""}`;
+    if(!c || typeof c.key !== "string") errs.push(`${where}: "key" em falta.`);
+    if(c && c.enabled !== undefined && typeof c.enabled !== "boolean") errs.push(`${where}: "enabled" tem de ser true/false.`);
+    if(!c || !Array.isArray(c.terms) || !c.terms.length){ errs.push(`${where}: "terms" tem de ser uma lista não vazia.`); return; }
+    c.terms.forEach((t, ti)=>{
+      const tw = `${where}.terms[${ti}]`;
+      if(!t || !(t.input in RULE_INPUTS)) errs.push(`${tw}: input desconhecido "${t && t.input}".`);
+      if(t && t.missing !== undefined && !Number.isFinite(t.missing)) errs.push(`${tw}: "missing" tem de ser numérico.`);
+      if(t && t.scale !== undefined && !(t.scale in RULE_INPUTS)) errs.push(`${tw}: "scale" desconhecido "${t.scale}".`);
+      if(!t || !Array.isArray(t.bands)){ errs.push(`${tw}: "bands" tem de ser uma lista.`); return; }
+      t.bands.forEach((b, bi)=>{
+        const bw = `${tw}.bands[${bi}]`;
+        if(!b || !Number.isFinite(b.points)) errs.push(`${bw}: "points" tem de ser numérico.`);
+        if(b && b.op !== undefined && !RULE_OPS.includes(b.op)) errs.push(`${bw}: operador inválido "${b.op}".`);
+        if(b && b.op !== undefined && b.value === undefined) errs.push(`${bw}: "value" em falta.`);
+      });
+    });
+  });
+  const rf = rules.redFlags;
+  if(!rf || !Number.isFinite(rf.floor)) errs.push("\"redFlags.floor\" tem de ser numérico.");
+  if(!Array.isArray(rules.tiers)) errs.push("\"tiers\" tem de ser uma lista.");
+  else {
+    TIER_KEYS.forEach(k=>{
+      const t = rules.tiers.find(x=>x && x.key === k);
+      if(!t) errs.push(`tiers: falta o nível "${k}".`);
+      else if(!Number.isFinite(t.min)) errs.push(`tiers.${k}: "min" tem de ser numérico.`);
+      if(t && t.reassessMin !== undefined && !(Number.isFinite(t.reassessMin) && t.reassessMin > 0)) errs.push(`tiers.${k}: "reassessMin" tem de ser um número de minutos > 0.`);
+    });
+  }
+  return errs;
+}
+
+function ruleMatch(b, v){
+  switch(b.op){
+    case undefined: return true;
+    case "<": return v < b.value;
+    case "<=": return v <= b.value;
+    case ">": return v > b.value;
+    case ">=": return v >= b.value;
+    case "==": return v === b.value;
+    case "!=": return v !== b.value;
+    default: return false;
+  }
+}
+
+function ruleText(tpl, v, at){
+  if(!tpl) return "";
+  const value = typeof v === "number" ? String(Number(v.toFixed(Math.abs(v) < 10 ? 2 : 0))) : String(v);
+  return tpl.replaceAll("{value}", value).replaceAll("{at}", at || "");
+}
+
+// translation of a stable key ("tier.high", "factor.sf1.lt150"), or the rule set's own text
+function keyText(key, fallback){
+  const s = t(key);
+  return s !== key ? s : fallback;
+}
+
+function bandText(b, kind){
+  return b.key ? keyText(`${kind}.${b.key}`, b[kind]) : b[kind];
+}
+
+function tierName(tier){
+  return keyText(`tier.${tier.key}`, tier.label || tier.key);
+}
+
+function tierBadge(tier){
+  return keyText(`badge.${tier.key}`, tier.badge || tierName(tier));
+}
+
+// labels of rule components / inputs (the rule set's Portuguese text when there is no translation)
+function compLabel(comp){
+  return keyText(`comp.${comp.key}`, comp.label || comp.key);
+}
+
+function inputLabel(input){
+  return keyText(`input.${input}`, RULE_INPUTS[input] || input);
+}
+
+/* Evaluates a rule set against derived inputs. Returns the raw sum plus per-component detail
+   (points, matched band, whether the missing-data default was used), factors and notes. */
+function applyRules(rules, facts, at){
+  const res = { score: 0, components: [], factors: [], notes: [] };
+  rules.components.forEach(c=>{
+    if(c.enabled === false) return;
+    const comp = { key: c.key, label: compLabel(c), points: 0, terms: [] };
+    c.terms.forEach(t=>{
+      const v = facts[t.input];
+      const term = { input: t.input, value: v === undefined ? null : v, points: 0, missing: false, band: null, scale: 1 };
+      if(v === null || v === undefined || v === ""){
+        term.missing = true;
+        term.points = t.missing || 0;
+      } else {
+        const bi = t.bands.findIndex(b=>ruleMatch(b, v));
+        if(bi >= 0){
+          const b = t.bands[bi];
+          term.band = bi;
+          term.scale = termScale(t, facts);
+          term.points = Math.round(b.points * term.scale * 10) / 10;
+          if(b.factor) res.factors.push({ key: b.key || null, w: term.points, label: ruleText(bandText(b, "factor"), v, at[t.input]) });
+          if(b.note){
+            const n = ruleText(bandText(b, "note"), v, at[t.input]);
+            if(!res.notes.includes(n)) res.notes.push(n);
+          }
+        }
+      }
+      comp.points += term.points;
+      comp.terms.push(term);
+    });
+    res.score += comp.points;
+    res.components.push(comp);
+  });
+  return res;
+}
+
+function termScale(t, facts){
+  if(!t.scale) return 1;
+  const s = facts[t.scale];
+  return typeof s === "number" && Number.isFinite(s) ? clamp(s, 0, 1) : 1;
+}
+
+function tierFor(rules, score){
+  const tiers = rules.tiers.slice().sort((a,b)=>b.min-a.min);
+  return tiers.find(t=>score >= t.min) || tiers[tiers.length - 1];
+}
+
+/* ---- RISK MODEL (transparent rules) ----
+   Core evidence:
+   - SF at 1h cutoff ~193 for early NIV failure (≤6h). Mayordomo-Colunga 2013.
+   - Lower RR decrease at 1h and 6h associated with failure. Mayordomo-Colunga 2009/2013.
+   - Age <6 months, SF, HR and IPAP at 2h independent predictors (Pons-Òdena 2019).
+   - High initial FiO2 / low SF / lack of improvement in tachypnea (Baker 2021).
+*/
+function riskAt(d, tps, rules){
+  const out = {
+    sf0: null, sf1: null, sf1H: null, rox: null, roxHr: null,
+    drrPct: null, dhrPct: null, dpco2: null, clin: null,
+    rrAge0: null, rrAge1: null, hrAge0: null, hrAge1: null,
+    oxyCtx: null,
+    score: 0,
+    tier: "—",
+    tierKey: null,
+    badge: "—",
+    rules: rulesTag(rules),
+    components: [],
+    explain: "",
+    actions: [],
+    summary: "",
+    topFactors: [],
+    brief: ""
+  };
+
+  // red flags => immediate very high
+  const operationalCriteria = [
+    d.cfHypox, d.cfWork, d.cfHypercap, d.cfIntol
+  ].some(Boolean);
+
+  const redFlags = [
+    d.rfHemodyn, d.rfGcs, d.rfSecretions, d.rfApnea, d.rfPtx
+  ].some(Boolean);
+
+  // derived: baseline vs the most recent reassessment carrying each parameter
+  const base = tps[0];
+  const re = tps.slice(1).filter(tpHasData);
+  const sfTp = latestTp(re, tp=>calcSF(tp.spo2, tp.fio2) !== null);
+  const rrTp = latestTp(re, tp=>safeNum(tp.rr) !== null);
+  const hrTp = latestTp(re, tp=>safeNum(tp.hr) !== null);
+  const pco2Tp = latestTp(re, tp=>safeNum(tp.pco2) !== null);
+  const phTp = latestTp(re, tp=>safeNum(tp.ph) !== null);
+  const lacTp = latestTp(tps, tp=>safeNum(tp.lactate) !== null);
+  const gasTp = latestTp(tps, tp=>gasValues(tp).hco3 !== null);
+  const ipapTp = latestTp(re, tp=>safeNum(tp.ipap) !== null);
+  const fio2Tp = latestTp(re, tp=>parseFiO2(tp.fio2) !== null);
+  const roxTp = latestTp(re, tp=>roxIndex(tp).rox !== null);
+  const roxHrTp = latestTp(re, tp=>roxIndex(tp).roxHr !== null);
+  const flowTp = latestTp(re, tp=>safeNum(tp.flow) !== null);
+  const r2 = (v)=>(v === null ? null : Math.round(v * 100) / 100);
+  out.rox = roxTp ? r2(roxIndex(roxTp).rox) : null;
+  out.roxHr = roxHrTp ? r2(roxIndex(roxHrTp).roxHr) : null;
+
+  out.sf0 = calcSF(base.spo2, base.fio2);
+  if(sfTp){
+    out.sf1 = calcSF(sfTp.spo2, sfTp.fio2);
+    out.sf1H = sfTp.h;
+  }
+  const sfAt = hLabel(out.sf1H);
+
+  out.drrPct = rrTp ? pctChange(rrTp.rr, base.rr) : null;
+  out.dhrPct = hrTp ? pctChange(hrTp.hr, base.hr) : null;
+
+  // gas trends on arterial-equivalent values; the trend counts less when a sample is capillary/venous
+  const gas0 = gasValues(base);
+  const pco2_0 = gas0.pco2, pco2_1 = pco2Tp ? gasValues(pco2Tp).pco2 : null;
+  if(pco2_0 !== null && pco2_1 !== null){
+    out.dpco2 = pco2_1 - pco2_0; // negative is improvement
+  }
+  const gasW = (tp)=>(tp ? gasValues(tp).weight : 1);
+
+  const ageM = toMonths(d.ageValue, d.ageUnit);
+  const prism = safeNum(d.prism);
+
+  // RR/HR for age: baseline, most recent, and lowest centile since NIV start (persistence)
+  out.rrAge0 = vitalForAge("rr", base.rr, ageM);
+  out.hrAge0 = vitalForAge("hr", base.hr, ageM);
+  out.rrAge1 = rrTp ? vitalForAge("rr", rrTp.rr, ageM) : null;
+  out.hrAge1 = hrTp ? vitalForAge("hr", hrTp.hr, ageM) : null;
+  const minCentile = (kind)=>{
+    const cs = re.map(tp=>vitalForAge(kind, tp[kind], ageM)).filter(Boolean).map(x=>x.centile);
+    return cs.length ? Math.min(...cs) : null;
+  };
+  const ph0 = gas0.ph, ph1 = phTp ? gasValues(phTp).ph : null;
+
+  // clinical severity score (WDF/Tal, PRAM/PASS): latest vs baseline, change as % of the scale
+  const clinKey = clinScoreKey(d);
+  const clinTp = clinKey ? latestTp(re, tp=>safeNum(tp.clin) !== null) : null;
+  if(clinKey){
+    const c0 = safeNum(base.clin), c1 = clinTp ? safeNum(clinTp.clin) : null;
+    out.clin = { key: clinKey, c0, c1, h: clinTp ? clinTp.h : null,
+      dPct: c0 !== null && c1 !== null ? Math.round((c1 - c0) / CLINICAL_SCORES[clinKey].max * 100) : null };
+  }
+
+  // score components (0–100), see DEFAULT_RULES
+  const facts = {
+    sf1: out.sf1,
+    sf0: out.sf0,
+    drrPct: out.drrPct,
+    dhrPct: out.dhrPct,
+    rrCentile: out.rrAge1 ? out.rrAge1.centile : null,
+    hrCentile: out.hrAge1 ? out.hrAge1.centile : null,
+    rrCentileMin: minCentile("rr"),
+    hrCentileMin: minCentile("hr"),
+    ageMonths: ageM,
+    arfType: d.arfType || null,
+    diag: d.diag || null,
+    fio2_0: parseFiO2(base.fio2),
+    prism,
+    ipap: ipapTp ? safeNum(ipapTp.ipap) : null,
+    dpco2: out.dpco2,
+    dph: (ph0 !== null && ph1 !== null) ? Math.round((ph1 - ph0) * 1000) / 1000 : null,
+    gasWeight: Math.min(gas0.weight, gasW(pco2Tp), gasW(phTp)),
+    lactate: lacTp ? safeNum(lacTp.lactate) : null,
+    hco3: gasTp ? Math.round(gasValues(gasTp).hco3 * 10) / 10 : null,
+    clinSev: out.clin ? clinSeverity(clinKey, out.clin.c1) : null,
+    dClinPct: out.clin ? out.clin.dPct : null,
+    fio2_1: fio2Tp ? parseFiO2(fio2Tp.fio2) : null,
+    rox: out.rox,
+    roxHr: out.roxHr,
+    flowKg: flowTp ? safeNum(flowTp.flow) : null
+  };
+  const at = {
+    sf1: sfAt,
+    drrPct: rrTp ? hLabel(rrTp.h) : "",
+    dhrPct: hrTp ? hLabel(hrTp.h) : "",
+    ipap: ipapTp ? hLabel(ipapTp.h) : "",
+    dpco2: pco2Tp ? hLabel(pco2Tp.h) : "",
+    dph: phTp ? hLabel(phTp.h) : "",
+    lactate: lacTp ? hLabel(lacTp.h) : "",
+    hco3: gasTp ? hLabel(gasTp.h) : "",
+    clinSev: clinTp ? hLabel(clinTp.h) : "",
+    dClinPct: clinTp ? hLabel(clinTp.h) : "",
+    fio2_1: fio2Tp ? hLabel(fio2Tp.h) : "",
+    rox: roxTp ? hLabel(roxTp.h) : "",
+    roxHr: roxHrTp ? hLabel(roxHrTp.h) : "",
+    flowKg: flowTp ? hLabel(flowTp.h) : ""
+  };
+  const ev = applyRules(rules, facts, at);
+  out.facts = facts;
+  out.factsAt = at;
+  out.rawScore = ev.score;
+  out.redFlags = redFlags;
+  let score = ev.score;
+  const factors = ev.factors;
+  const addFactor = (w, label, key = null) => { factors.push({key, w, label}); };
+  out.components = ev.components;
+
+  // Contexto de oxigenação (não altera score; interpretação operacional)
+  const fio2_1 = fio2Tp ? parseFiO2(fio2Tp.fio2) : null;
+  let oxy = [];
+  if(out.sf1 !== null){
+    if(out.sf1 < 150) oxy.push(t("SF muito baixo"));
+    else if(out.sf1 < 193) oxy.push(t("SF baixo (<193)"));
+    else oxy.push(t("SF aceitável"));
+  }
+  if(fio2_1 !== null){
+    if(fio2_1 >= 0.7) oxy.push(t("FiO₂ alta (≥0.70)"));
+    else if(fio2_1 >= 0.5) oxy.push(t("FiO₂ moderada (0.50–0.69)"));
+    else oxy.push(t("FiO₂ baixa/moderada (<0.50)"));
+  }
+  out.oxyCtx = oxy.length ? oxy.join(" • ") : null;
+
+  // red flags override
+  if(redFlags){ score = Math.max(score, rules.redFlags.floor); addFactor(rules.redFlags.weight || 0, keyText("factor.redFlags", rules.redFlags.factor || "Red flags clínicas"), "redFlags"); }
+
+  out.score = clamp(Math.round(score), 0, 100);
+
+  // tiering (heuristic, from the rule set)
+  const tier = tierFor(rules, out.score);
+  out.tier = tierName(tier);
+  out.tierKey = tier.key;
+  out.badge = tierBadge(tier);
+
+  // explanations + actions
+  const notes = [];
+  if(redFlags) notes.push(t("Há red flags clínicas assinaladas (isto pesa mais do que qualquer score)."));
+  if(operationalCriteria) notes.push(t("Critérios operacionais de falência assinalados (gatilhos de escalada)."));
+  notes.push(...ev.notes);
+  const clin = out.clin;
+  if(clin && clin.c0 !== null && clin.c1 !== null){
+    const dc = clin.c1 - clin.c0;
+    const trend = dc < 0 ? "{score} {c0} → {c1} ({at}): melhoria do trabalho respiratório."
+      : dc > 0 ? "{score} {c0} → {c1} ({at}): agravamento do trabalho respiratório." : "{score} {c0} → {c1} ({at}): sem melhoria do trabalho respiratório.";
+    notes.push(t(trend, { score: CLINICAL_SCORES[clin.key].short, c0: clin.c0, c1: clin.c1, at: hLabel(clin.h) }));
+  }
+
+  out.explain = notes.length ? notes.join(" ") : t("Sem sinais fortes de alto risco com os dados fornecidos.");
+
+  // action suggestions (generic, non-prescriptive)
+  const actions = [];
+  if(operationalCriteria) actions.push(t("Há gatilhos assinalados: definir janela curta de reavaliação e plano de escalada (ex: intubação/VM se deterioração)."));
+  if(out.tierKey === "very_high" || out.tierKey === "high" || redFlags){
+    actions.push(t("Monitorização contínua e reavaliação frequente (ex: 15–30 min), com plano explícito de escalada."));
+    actions.push(t("Verificar interface/leaks, sincronização, conforto; optimizar IPAP/EPAP conforme objetivo (oxigenação vs ventilação) e tolerância."));
+    actions.push(t("Reavaliar causa reversível e terapêutica específica (broncoespasmo, secreções, fluidos, antibiótico, etc.)."));
+    actions.push(t("Considerar precocemente equipa e logística de intubação, sobretudo se SF < 193 a 1–2 h ou deterioração clínica."));
+  } else if(out.tierKey === "intermediate"){
+    actions.push(t("Reavaliar resposta nas próximas 30–60 min; confirmar tendência de FR/FC e SF."));
+    actions.push(t("Optimizar interface e parâmetros; documentar critérios de falência e gatilhos de escalada."));
+  } else {
+    actions.push(t("Manter VNI com vigilância e reavaliação seriada; confirmar melhoria sustentada de FR/FC e SF."));
+  }
+
+  // additional explicit SF suggestion from Mayordomo 2013 discussion
+  if(out.sf1 !== null && out.sf1 < 193){
+    actions.push(t("Se não atingir SF ~190 após 1 h de VNI, a necessidade de intubação deve ser ponderada no contexto clínico global."));
+  }
+
+  out.actions = actions;
+
+  // summary
+  const lines = [];
+  lines.push(t("VNI Pediátrica — Predição precoce (apoio à decisão)"));
+  lines.push(t("Idade: {age} meses | IRA: {arf} | Dx: {diag}", { age: ageM !== null ? ageM.toFixed(1) : "?",
+    arf: t(d.arfType === "type1" ? "Hipoxémica (tipo 1)" : "Hipercápnica/hipoventilação (tipo 2)"), diag: d.diag }));
+  if(prism !== null) lines.push(`PRISM III-24: ${prism}`);
+  lines.push(`SF0: ${out.sf0!==null?out.sf0.toFixed(0):"—"} | SF ${sfAt}: ${out.sf1!==null?out.sf1.toFixed(0):"—"} | ${t("ΔFR")}: ${out.drrPct!==null?out.drrPct.toFixed(0)+"%":"—"} | ${t("ΔFC")}: ${out.dhrPct!==null?out.dhrPct.toFixed(0)+"%":"—"}`);
+  if(out.dpco2 !== null) lines.push(`ΔpCO2: ${out.dpco2>0?"+":""}${out.dpco2.toFixed(0)} mmHg`);
+  if(out.rrAge0 || out.rrAge1 || out.hrAge0 || out.hrAge1){
+    const ageLine = (a0, a1)=>`${a0 ? fmtCentile(a0.centile) : "—"} → ${a1 ? fmtCentile(a1.centile) : "—"}`;
+    lines.push(t("FR p/ idade: {rr} | FC p/ idade: {hr}", { rr: ageLine(out.rrAge0, out.rrAge1), hr: ageLine(out.hrAge0, out.hrAge1) }));
+  }
+  if(clin && (clin.c0 !== null || clin.c1 !== null)){
+    lines.push(`${t(CLINICAL_SCORES[clin.key].label)}: ${clinText(clin.key, clin.c0)} → ${clinText(clin.key, clin.c1)}` +
+      (clin.dPct !== null ? t(" ({d}% da escala)", { d: `${clin.dPct > 0 ? "+" : ""}${clin.dPct}` }) : ""));
+  }
+  if(out.rox !== null) lines.push(`ROX: ${out.rox.toFixed(2)}${out.roxHr !== null ? ` | ROX-HR: ${out.roxHr.toFixed(2)}` : ""}`);
+  lines.push(`Score: ${out.score}/100 | ${t("Tier")}: ${out.tier}`);
+  if(redFlags) lines.push(t("Red flags: SIM"));
+  lines.push(t("Regras: {rules}", { rules: out.rules }));
+  out.summary = lines.join("\n");
+
+  factors.sort((a,b)=>b.w-a.w);
+  out.topFactors = factors.slice(0,3).map(x=>x.label);
+  out.factorKeys = factors.slice(0,3).map(x=>x.key);
+
+  const briefParts = [];
+  if(out.sf1 !== null) briefParts.push(`SF(${sfAt})=${out.sf1.toFixed(0)}`);
+  if(out.drrPct !== null) briefParts.push(`${t("ΔFR")}=${out.drrPct.toFixed(0)}%`);
+  if(out.dhrPct !== null) briefParts.push(`${t("ΔFC")}=${out.dhrPct.toFixed(0)}%`);
+  if(clin && clin.c1 !== null) briefParts.push(`${CLINICAL_SCORES[clin.key].short}=${clin.c1}`);
+  out.brief = briefParts.join(" | ");
+
+  return out;
+}
+
+/* Full case: scores the whole trajectory (latest state vs baseline) and re-scores
+   every reassessment with the data available up to that point. */
+/* The scored segment: reassessments on the current support, with the last reading before the
+   switch as their baseline (no switch → the pre-support baseline). HFNC uses its own rule set. */
+function supportSegment(tps){
+  const pts = [tps[0], ...tps.slice(1).filter(tpHasData)];
+  const mode = pts[pts.length - 1].mode || "bipap";
+  let s = pts.length - 1;
+  while(s > 1 && pts[s - 1].mode === mode) s--;
+  return { mode, tps: s <= 1 ? pts : [pts[s - 1], ...pts.slice(s)] };
+}
+
+// "ONAF 0 h → BiPAP 2 h"
+function supportHistory(tps){
+  const out = [];
+  tps.forEach((tp, i)=>{
+    if(i > 0 && !tpHasData(tp)) return;
+    if(!out.length || out[out.length - 1].mode !== tp.mode) out.push({ mode: tp.mode, h: i === 0 ? 0 : safeNum(tp.h) });
+  });
+  return out;
+}
+
+function computeRisk(d, rules = host.rules(), hfncRules = HFNC_RULES){
+  const c = normalizeCase(d);
+  const tps = orderedTimepoints(c.timepoints);
+  const rulesFor = (mode)=>(mode === "hfnc" ? hfncRules : rules);
+  const seg = supportSegment(tps);
+  const segRules = rulesFor(seg.mode);
+  const out = riskAt(c, seg.tps, segRules);
+  out.mode = seg.mode;
+  out.ruleSet = segRules;
+  out.support = supportHistory(tps);
+
+  const prevWith = (i, pred)=>latestTp(tps.slice(0, i), pred);
+  const num = (k)=>(tp)=>safeNum(tp[k]) !== null;
+  const sfOf = (tp)=>calcSF(tp.spo2, tp.fio2);
+  const diff = (a, b)=>(a === null || b === null ? null : a - b);
+  const ageM = toMonths(c.ageValue, c.ageUnit);
+  const clinKey = clinScoreKey(c);
+
+  out.trajectory = tps.map((tp, i)=>{
+    const sf = sfOf(tp);
+    const prevSf = prevWith(i, x=>sfOf(x) !== null);
+    const prevRr = prevWith(i, num("rr")), prevHr = prevWith(i, num("hr")), prevPco2 = prevWith(i, num("pco2"));
+    const prevClin = prevWith(i, num("clin"));
+    const base = tps[0];
+    const at = tpClock(c.nivStart, tp.h);
+    const row = {
+      h: i === 0 ? 0 : safeNum(tp.h),
+      at: at ? at.toISOString() : null,
+      mode: tp.mode, ...roxIndex(tp), flow: safeNum(tp.flow),
+      sf, rr: safeNum(tp.rr), hr: safeNum(tp.hr), pco2: safeNum(tp.pco2), ph: safeNum(tp.ph),
+      rrAge: vitalForAge("rr", tp.rr, ageM), hrAge: vitalForAge("hr", tp.hr, ageM),
+      dSfBase: i ? diff(sf, sfOf(base)) : null,
+      dSfPrev: prevSf ? diff(sf, sfOf(prevSf)) : null,
+      drrBase: i ? pctChange(tp.rr, base.rr) : null,
+      drrPrev: prevRr ? pctChange(tp.rr, prevRr.rr) : null,
+      dhrBase: i ? pctChange(tp.hr, base.hr) : null,
+      dhrPrev: prevHr ? pctChange(tp.hr, prevHr.hr) : null,
+      dpco2Base: i ? diff(safeNum(tp.pco2), safeNum(base.pco2)) : null,
+      dpco2Prev: prevPco2 ? diff(safeNum(tp.pco2), safeNum(prevPco2.pco2)) : null,
+      clin: clinKey ? safeNum(tp.clin) : null,
+      dClinPrev: clinKey && prevClin ? diff(safeNum(tp.clin), safeNum(prevClin.clin)) : null,
+      score: null, tier: null, tierKey: null
+    };
+    if(i > 0 && tpHasData(tp)){
+      const sp = supportSegment(tps.slice(0, i + 1));
+      const r = riskAt(c, sp.tps, rulesFor(sp.mode));
+      row.score = r.score;
+      row.tier = r.tier;
+      row.tierKey = r.tierKey;
+    }
+    return row;
+  });
+
+  // summary: trajectory block only when there is more than one reassessment
+  const fmtD = (v, unit)=>(v === null ? "" : ` (${v>0?"+":""}${v.toFixed(0)}${unit})`);
+  const scored = out.trajectory.filter((row, i)=>i > 0 && row.score !== null);
+  if(scored.length > 1){
+    const lines = [t("Trajectória (Δ vs ponto anterior):")];
+    if(c.nivStart) lines.push(t("Início VNI: {at}", { at: new Date(c.nivStart).toLocaleString(host.locale) }));
+    out.trajectory.forEach((row, i)=>{
+      if(i > 0 && row.score === null) return;
+      const parts = [i === 0 ? t("Baseline") : `T+${hLabel(row.h)}`];
+      if(row.sf !== null) parts.push(`SF ${row.sf.toFixed(0)}${fmtD(row.dSfPrev, "")}`);
+      if(row.rr !== null) parts.push(`${t("FR")} ${row.rr}${fmtD(row.drrPrev, "%")}${row.rrAge ? ` ${fmtCentile(row.rrAge.centile)}` : ""}`);
+      if(row.hr !== null) parts.push(`${t("FC")} ${row.hr}${fmtD(row.dhrPrev, "%")}${row.hrAge ? ` ${fmtCentile(row.hrAge.centile)}` : ""}`);
+      if(row.pco2 !== null) parts.push(`pCO2 ${row.pco2}${fmtD(row.dpco2Prev, "")}`);
+      if(row.clin !== null) parts.push(`${CLINICAL_SCORES[clinKey].short} ${row.clin}${fmtD(row.dClinPrev, "")}`);
+      if(row.score !== null) parts.push(`Score ${row.score} (${row.tier})`);
+      lines.push(parts.join(" | "));
+    });
+    out.summary += "\n" + lines.join("\n");
+  }
+
+  out.validation = validateCase(c);
+  const noted = [...out.validation.assumptions, ...out.validation.warnings];
+  if(noted.length){
+    out.summary += "\n" + [t("Pressupostos / avisos:"), ...noted.map(x=>`- ${x.msg}`)].join("\n");
+  }
+
+  // published models, side by side with the heuristic score
+  // NIV models only apply while on NIV; on HFNC they are listed as not applicable
+  out.models = runModels(c, seg.tps);
+  if(seg.mode === "hfnc") out.models.forEach(m=>{ m.missing = [t("suporte de VNI (suporte actual: ONAF)")]; });
+
+  out.pards = assessPards(c, tps);
+  if(out.pards.status !== "none" || c.diag === "ards"){
+    const p = out.pards;
+    out.summary += `\nPARDS (PALICC-2): ${p.label}${p.at ? ` [${p.at}]` : ""}${p.idx ? ` | ${pardsLine(p)}` : ""}` +
+      (p.severity ? `\n${t("Gravidade")}: ${p.severity}` : "") + (p.consistency ? `\n${p.consistency}` : "");
+  }
+
+  // most recent gas with pH and pCO₂ (whole case, not just the current support segment)
+  const abTp = latestTp(tps, tp=>safeNum(tp.ph) !== null && safeNum(tp.pco2) !== null);
+  out.acidBase = abTp ? { ...interpretAcidBase(abTp), at: abTp === tps[0] ? t("basal") : hLabel(abTp.h) } : null;
+  if(out.acidBase){
+    const ab = out.acidBase;
+    out.summary += `\n${t("Gasometria")} (${ab.sample ? t(GAS_SAMPLES[ab.sample].label) : t("tipo n/d")}, ${ab.at}): ${acidBaseLine(ab)}`;
+  }
+
+  if(out.support.length > 1 || seg.mode !== "bipap"){
+    out.summary += `\n${t("Suporte")}: ${out.support.map(s=>`${t(SUPPORT_MODES[s.mode].short)} ${hLabel(s.h)}`).join(" → ")}` +
+      (seg.mode === "hfnc" ? t(" | score = risco de falência de ONAF (escalada)") : "");
+  }
+
+  out.breakdown = scoreBreakdown(segRules, out);
+  out.counterfactuals = counterfactuals(segRules, out);
+  out.uncertainty = scoreUncertainty(segRules, out);
+  if(out.uncertainty.missing.length){
+    const u = out.uncertainty;
+    out.summary += "\n" + t(u.tierCouldChange ? "Intervalo por dados em falta: {lo}–{hi} (risco entre {tierLo} e {tierHi})" : "Intervalo por dados em falta: {lo}–{hi} (mesmo risco)", u);
+  }
+
+  return out;
+}
+
+/* ---- SCORE BREAKDOWN + COUNTERFACTUALS ----
+   scoreBreakdown: every enabled component with its points (including missing-data defaults),
+   then the red-flag floor and the 0–100 clamp, so the rows add up exactly to the score.
+   counterfactuals: for inputs that reflect the response to NIV, the neighbouring bands of each
+   term and the score/tier the case would have if the value fell there (everything else fixed).
+*/
+const FACT_SHORT = {
+  sf1: { label: "SF", unit: "" },
+  sf0: { label: "SF baseline", unit: "" },
+  drrPct: { label: "ΔFR", unit: "%" },
+  dhrPct: { label: "ΔFC", unit: "%" },
+  rrCentile: { label: "Centil FR", unit: "" },
+  hrCentile: { label: "Centil FC", unit: "" },
+  rrCentileMin: { label: "Centil FR mínimo", unit: "" },
+  hrCentileMin: { label: "Centil FC mínimo", unit: "" },
+  ageMonths: { label: "Idade", unit: " m" },
+  fio2_0: { label: "FiO₂ inicial", unit: "" },
+  prism: { label: "PRISM", unit: "" },
+  ipap: { label: "IPAP", unit: " cmH₂O" },
+  dpco2: { label: "ΔpCO₂", unit: " mmHg" },
+  dph: { label: "ΔpH", unit: "" },
+  clinSev: { label: "Gravidade clínica", unit: "" },
+  dClinPct: { label: "Δscore clínico", unit: "%" }
+};
+const COUNTERFACTUAL_INPUTS = ["sf1", "drrPct", "dhrPct", "rrCentile", "hrCentile", "rrCentileMin", "hrCentileMin", "ipap", "dpco2", "dph", "clinSev", "dClinPct"];
+
+// numeric range a value must fall in to land in band j (bands are first-match)
+function bandRange(bands, j){
+  let lo = null, loInc = true, hi = null, hiInc = false;
+  const addLo = (v, inc)=>{ if(lo === null || v > lo || (v === lo && !inc)){ lo = v; loInc = inc; } };
+  const addHi = (v, inc)=>{ if(hi === null || v < hi || (v === hi && !inc)){ hi = v; hiInc = inc; } };
+  const constrain = (op, v, negate)=>{
+    const o = negate ? { "<": ">=", "<=": ">", ">": "<=", ">=": "<" }[op] : op;
+    if(o === ">=") addLo(v, true);
+    else if(o === ">") addLo(v, false);
+    else if(o === "<=") addHi(v, true);
+    else if(o === "<") addHi(v, false);
+  };
+  for(let k = 0; k < j; k++){
+    const b = bands[k];
+    if(typeof b.value === "number") constrain(b.op, b.value, true);
+  }
+  const b = bands[j];
+  if(b.op !== undefined && typeof b.value !== "number") return null;
+  if(b.op !== undefined) constrain(b.op, b.value, false);
+  if(lo !== null && hi !== null && (lo > hi || (lo === hi && !(loInc && hiInc)))) return null;
+  return { lo, loInc, hi, hiInc };
+}
+
+function rangeText(input, rg){
+  const s = FACT_SHORT[input] || { label: input, unit: "" };
+  const label = t(s.label);
+  const n = (v)=>`${v}${s.unit}`;
+  if(rg.lo !== null && rg.hi !== null) return `${label} ${rg.loInc ? "≥" : ">"}${n(rg.lo)} ${t("e")} ${rg.hiInc ? "≤" : "<"}${n(rg.hi)}`;
+  if(rg.lo !== null) return `${label} ${rg.loInc ? "≥" : ">"}${n(rg.lo)}`;
+  if(rg.hi !== null) return `${label} ${rg.hiInc ? "≤" : "<"}${n(rg.hi)}`;
+  return t("{label} (qualquer valor)", { label });
+}
+
+function finalScore(rules, raw, redFlags){
+  let s = raw;
+  if(redFlags) s = Math.max(s, rules.redFlags.floor);
+  return clamp(Math.round(s), 0, 100);
+}
+
+function scoreBreakdown(rules, r){
+  const defs = new Map(rules.components.map(c=>[c.key, c]));
+  const rows = (r.components || []).map(comp=>{
+    const def = defs.get(comp.key);
+    const terms = comp.terms.map((term, i)=>{
+      const td = def.terms[i];
+      const b = term.band !== null ? td.bands[term.band] : null;
+      let why = t("sem banda (0)");
+      if(term.missing) why = t("dado em falta (valor por defeito)");
+      else if(b && b.factor) why = ruleText(bandText(b, "factor"), term.value, (r.factsAt || {})[term.input]);
+      else if(b){
+        const rg = typeof term.value === "number" ? bandRange(td.bands, term.band) : null;
+        why = rg ? rangeText(term.input, rg) : `${term.input} = ${term.value}`;
+      }
+      if(term.scale !== undefined && term.scale !== 1) why += ` × ${term.scale} (${inputLabel(td.scale)})`;
+      const max = Math.max(td.missing || 0, ...td.bands.map(x=>x.points || 0));
+      return { input: term.input, label: inputLabel(term.input), value: term.value, points: term.points, missing: term.missing, why, max };
+    });
+    return {
+      key: comp.key, label: comp.label, points: comp.points,
+      max: terms.reduce((a,x)=>a + x.max, 0),
+      missing: terms.some(x=>x.missing),
+      terms
+    };
+  });
+  const raw = rows.reduce((a,x)=>a + x.points, 0);
+  const floored = r.redFlags ? Math.max(raw, rules.redFlags.floor) : raw;
+  return {
+    rows,
+    raw,
+    redFlagAdj: floored - raw,
+    clampAdj: r.score - floored,
+    score: r.score
+  };
+}
+
+function counterfactuals(rules, r){
+  const out = [];
+  const facts = r.facts || {};
+  rules.components.forEach(comp=>{
+    if(comp.enabled === false) return;
+    comp.terms.forEach(t=>{
+      if(!COUNTERFACTUAL_INPUTS.includes(t.input)) return;
+      const v = facts[t.input];
+      if(typeof v !== "number") return;
+      const cur = t.bands.findIndex(b=>ruleMatch(b, v));
+      if(cur < 0) return;
+      const sc = termScale(t, facts);
+      const curPts = (t.bands[cur].points || 0) * sc;
+      // per direction: the adjacent band, plus the nearest band that changes the tier
+      [-1, 1].forEach(dir=>{
+        for(let j = cur + dir; j >= 0 && j < t.bands.length; j += dir){
+          const rg = bandRange(t.bands, j);
+          if(!rg) continue;
+          const delta = Math.round(((t.bands[j].points || 0) * sc - curPts) * 10) / 10;
+          const score = finalScore(rules, r.rawScore + delta, r.redFlags);
+          const tier = tierFor(rules, score);
+          const tierChange = tier.key !== r.tierKey;
+          if(delta && (j === cur + dir || tierChange)){
+            out.push({ input: t.input, condition: rangeText(t.input, rg), delta, score, tier: tierName(tier), tierKey: tier.key, tierChange });
+          }
+          if(tierChange) break;
+        }
+      });
+    });
+  });
+  // tier changes first, then by size of the effect
+  out.sort((a,b)=>(b.tierChange - a.tierChange) || (Math.abs(b.delta) - Math.abs(a.delta)));
+  return out;
+}
+
+/* Score interval for missing inputs: each missing term is evaluated at its best and worst
+   reachable band instead of the fixed "missing" default (other inputs unchanged). */
+function termRange(t){
+  const pts = [];
+  t.bands.forEach((b, j)=>{
+    if(b.op === undefined || typeof b.value !== "number" || bandRange(t.bands, j)) pts.push(b.points || 0);
+  });
+  // without a fallback band a value can match nothing (0 points)
+  if(!t.bands.some(b=>b.op === undefined)) pts.push(0);
+  return { min: Math.min(...pts), max: Math.max(...pts) };
+}
+
+function scoreUncertainty(rules, r){
+  const byInput = new Map();
+  rules.components.forEach(comp=>{
+    if(comp.enabled === false) return;
+    const res = (r.components || []).find(x=>x.key === comp.key);
+    if(!res) return;
+    comp.terms.forEach((t, i)=>{
+      if(!res.terms[i] || !res.terms[i].missing) return;
+      const rg = termRange(t);
+      const used = t.missing || 0;
+      const m = byInput.get(t.input) || { input: t.input, label: inputLabel(t.input), min: 0, max: 0, used: 0 };
+      m.min += rg.min - used;
+      m.max += rg.max - used;
+      m.used += used;
+      byInput.set(t.input, m);
+    });
+  });
+  const missing = [...byInput.values()]
+    .map(m=>({ ...m, width: m.max - m.min }))
+    .filter(m=>m.width > 0)
+    .sort((a,b)=>b.width - a.width);
+  // the displayed score (with the defaults) stays inside the interval even when a default is off-band
+  const lo = Math.min(r.score, finalScore(rules, r.rawScore + missing.reduce((a,m)=>a + m.min, 0), r.redFlags));
+  const hi = Math.max(r.score, finalScore(rules, r.rawScore + missing.reduce((a,m)=>a + m.max, 0), r.redFlags));
+  const tLo = tierFor(rules, lo), tHi = tierFor(rules, hi);
+  return {
+    lo, hi, missing,
+    tierLo: tierName(tLo), tierHi: tierName(tHi),
+    tierCouldChange: tLo.key !== r.tierKey || tHi.key !== r.tierKey
+  };
+}
+
+function counterfactualText(cf, r){
+  const pts = `${cf.delta > 0 ? "+" : "−"}${Math.abs(cf.delta)} pts`;
+  const vars = { cond: cf.condition, pts, score: cf.score, tier: cf.tier, n: Math.abs(cf.delta) };
+  if(cf.tierChange) return t("{cond} levaria o risco a {tier} ({pts} → {score}/100).", vars);
+  if(cf.score === r.score) return t("{cond}: {pts} nos componentes, sem efeito no score final (red flags / limites).", vars);
+  return cf.delta > 0
+    ? t("{cond} somaria {n} pontos ({score}/100, mantém {tier}).", vars)
+    : t("{cond} subtrairia {n} pontos ({score}/100, mantém {tier}).", vars);
+}
+
+/* ---- PUBLISHED MODELS (inputs and reference, alongside the heuristic score) ----
+   Each model declares its inputs, outcome, cohort and citation. Inputs are taken from the
+   reassessment closest to the time point the model was developed at, within a window; the result
+   lists the inputs the case is missing. No probability is computed: the coefficients are not in
+   the registry, as they have not been checked against the source tables of the papers.
+*/
+function tpNear(tps, target, lo, hi, pred){
+  let best = null, bestDist = Infinity;
+  tps.slice(1).forEach(tp=>{
+    const h = safeNum(tp.h);
+    if(h === null || h < lo || h > hi || !pred(tp)) return;
+    const dist = Math.abs(h - target);
+    if(dist < bestDist){ best = tp; bestDist = dist; }
+  });
+  return best;
+}
+
+const MODEL_INPUTS = {
+  sf_1h: {
+    label: "SF a ~1 h (0.5–2 h)",
+    get: (c, tps)=>{ const tp = tpNear(tps, 1, 0.5, 2, x=>calcSF(x.spo2, x.fio2) !== null); return tp ? calcSF(tp.spo2, tp.fio2) : null; }
+  },
+  sf_2h: {
+    label: "SF a ~2 h (1.5–3 h)",
+    get: (c, tps)=>{ const tp = tpNear(tps, 2, 1.5, 3, x=>calcSF(x.spo2, x.fio2) !== null); return tp ? calcSF(tp.spo2, tp.fio2) : null; }
+  },
+  hr_2h: {
+    label: "FC a ~2 h (1.5–3 h)",
+    get: (c, tps)=>{ const tp = tpNear(tps, 2, 1.5, 3, x=>safeNum(x.hr) !== null); return tp ? safeNum(tp.hr) : null; }
+  },
+  ipap_2h: {
+    label: "IPAP a ~2 h (1.5–3 h)",
+    get: (c, tps)=>{ const tp = tpNear(tps, 2, 1.5, 3, x=>safeNum(x.ipap) !== null); return tp ? safeNum(tp.ipap) : null; }
+  },
+  age_lt6m: {
+    label: "Idade",
+    get: (c)=>{ const m = toMonths(c.ageValue, c.ageUnit); return m === null ? null : (m < 6 ? 1 : 0); }
+  }
+};
+
+const MODELS = [
+  {
+    id: "mayordomo2013-sf1h",
+    name: "Mayordomo‑Colunga 2013 (SF a 1 h)",
+    outcome: "Falência precoce da VNI (≤ 6 h)",
+    cohort: "Multicêntrico prospetivo, UCIP Espanha; crianças em VNI por IRA (1 mês–17 anos).",
+    citation: "Mayordomo‑Colunga J, et al. Predicting non-invasive ventilation failure in children from the SpO₂/FiO₂ (SF) ratio. Intensive Care Med. 2013.",
+    inputs: ["sf_1h"]
+  },
+  {
+    id: "pons2019-2h",
+    name: "Pons‑Òdena 2019 (modelo a 2 h)",
+    outcome: "Falência da VNI (necessidade de intubação)",
+    cohort: "Coorte prospetiva, UCIP terciária (Barcelona); lactentes e crianças em VNI por IRA.",
+    citation: "Pons‑Òdena M, et al. Predictive factors of NIV failure in PICU. An Pediatr (Barc). 2019.",
+    inputs: ["age_lt6m", "sf_2h", "hr_2h", "ipap_2h"]
+  }
+];
+
+function runModels(c, tps){
+  return MODELS.map(m=>{
+    const x = {};
+    const missing = [];
+    m.inputs.forEach(k=>{
+      const v = MODEL_INPUTS[k].get(c, tps);
+      if(v === null) missing.push(t(MODEL_INPUTS[k].label));
+      x[k] = v;
+    });
+    return { id: m.id, name: t(m.name), outcome: t(m.outcome), cohort: t(m.cohort), citation: m.citation,
+      inputs: x, inputLabels: m.inputs.map(k=>t(MODEL_INPUTS[k].label)), missing };
+  });
+}
+
+/* ---- LOCAL PERFORMANCE (outcome audit) ----
+   Positive = NIV failure (intubation or escalation). Cases without a recorded outcome are excluded.
+*/
+const OUTCOMES = {
+  success: "Sucesso (sem escalada)",
+  intubation: "Falência — intubação",
+  escalation: "Falência — escalada para outro suporte"
+};
+
+function isFailure(outcome){
+  return !!outcome && (outcome.status === "intubation" || outcome.status === "escalation");
+}
+
+// median of an ascending list (even length: mean of the two middle values)
+function median(xs){
+  if(!xs.length) return null;
+  const mid = Math.floor(xs.length / 2);
+  return xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+}
+
+function auroc(pos, neg){
+  if(!pos.length || !neg.length) return null;
+  let s = 0;
+  pos.forEach(p=>neg.forEach(n=>{ s += p > n ? 1 : p === n ? 0.5 : 0; }));
+  const a = s / (pos.length * neg.length);
+  // Hanley & McNeil standard error → approximate 95% CI
+  const q1 = a / (2 - a), q2 = 2 * a * a / (1 + a);
+  const se = Math.sqrt((a * (1 - a) + (pos.length - 1) * (q1 - a * a) + (neg.length - 1) * (q2 - a * a)) / (pos.length * neg.length));
+  return { auc: a, lo: clamp(a - 1.96 * se, 0, 1), hi: clamp(a + 1.96 * se, 0, 1) };
+}
+
+function confusion(rows){
+  // rows: [{ test: bool, fail: bool }]
+  const c = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  rows.forEach(r=>{
+    if(r.test && r.fail) c.tp++;
+    else if(r.test) c.fp++;
+    else if(r.fail) c.fn++;
+    else c.tn++;
+  });
+  const div = (a, b)=>(b ? a / b : null);
+  c.sens = div(c.tp, c.tp + c.fn);
+  c.spec = div(c.tn, c.tn + c.fp);
+  c.ppv = div(c.tp, c.tp + c.fp);
+  c.npv = div(c.tn, c.tn + c.fn);
+  return c;
+}
+
+// binary markers audited alongside the score (null = not evaluable for that case)
+const AUDIT_MARKERS = [
+  { key: "sf1_lt193", label: "SF recente < 193", test: (r)=>r.sf1 === null ? null : r.sf1 < 193 },
+  { key: "sf1_lt150", label: "SF recente < 150", test: (r)=>r.sf1 === null ? null : r.sf1 < 150 },
+  { key: "rr_drop_lt10", label: "Queda de FR < 10%", test: (r)=>r.drrPct === null ? null : r.drrPct > -10 },
+  { key: "hr_no_drop", label: "FC sem descida", test: (r)=>r.dhrPct === null ? null : r.dhrPct >= 0 },
+  { key: "rr_age_p90", label: "FR recente ≥ P90 para a idade", test: (r)=>r.rrAge1 ? r.rrAge1.centile >= 90 : null },
+  { key: "age_lt6", label: "Idade < 6 meses", test: (r, d)=>{ const m = toMonths(d.ageValue, d.ageUnit); return m === null ? null : m < 6; } },
+  { key: "type1", label: "IRA hipoxémica (tipo 1)", test: (r, d)=>d.arfType === "type1" },
+  { key: "ards", label: "ARDS", test: (r, d)=>d.diag === "ards" },
+  { key: "prism_ge5", label: "PRISM ≥ 5", test: (r, d)=>{ const p = safeNum(d.prism); return p === null ? null : p >= 5; } },
+  { key: "dpco2_up", label: "pCO₂ sem descida", test: (r)=>r.dpco2 === null ? null : r.dpco2 >= 0 }
+];
+
+/* entries: [{ score, tierKey, outcome, data }], scoreSource "stored" | "current" */
+function auditStats(entries, scoreSource, rules = host.rules()){
+  const cases = entries.filter(h=>h.outcome && h.outcome.status && h.data).map(h=>{
+    const r = computeRisk(h.data, rules);
+    const stored = scoreSource === "stored" && Number.isFinite(h.score);
+    return {
+      r, d: normalizeCase(h.data), fail: isFailure(h.outcome), outcome: h.outcome,
+      score: stored ? h.score : r.score,
+      tierKey: stored ? (h.tierKey || tierFor(rules, h.score).key) : r.tierKey,
+      rules: stored ? (h.rules || "?") : r.rules
+    };
+  });
+  const fails = cases.filter(c=>c.fail);
+  const hours = fails.map(c=>safeNum(c.outcome.hoursToFailure)).filter(h=>h !== null).sort((a,b)=>a-b);
+  const st = {
+    n: cases.length,
+    failures: fails.length,
+    rulesUsed: [...new Set(cases.map(c=>c.rules))],
+    hoursToFailure: hours,
+    medianHoursToFailure: median(hours),
+    auc: auroc(fails.map(c=>c.score), cases.filter(c=>!c.fail).map(c=>c.score)),
+    thresholds: [], tiers: [], calibration: [], markers: [], components: []
+  };
+
+  for(let cut = 10; cut <= 90; cut += 5){
+    st.thresholds.push({ t: cut, ...confusion(cases.map(c=>({ test: c.score >= cut, fail: c.fail }))) });
+  }
+
+  const order = rules.tiers.slice().sort((a,b)=>b.min-a.min);
+  order.forEach((tier, i)=>{
+    const atLeast = order.slice(0, i + 1).map(x=>x.key);
+    const inTier = cases.filter(c=>c.tierKey === tier.key);
+    st.tiers.push({
+      key: tier.key, label: tierName(tier), n: inTier.length, failures: inTier.filter(c=>c.fail).length,
+      atLeast: confusion(cases.map(c=>({ test: atLeast.includes(c.tierKey), fail: c.fail })))
+    });
+  });
+
+  [[0, 19], [20, 39], [40, 59], [60, 79], [80, 100]].forEach(([lo, hi])=>{
+    const inBin = cases.filter(c=>c.score >= lo && c.score <= hi);
+    st.calibration.push({ lo, hi, n: inBin.length, failures: inBin.filter(c=>c.fail).length });
+  });
+
+  AUDIT_MARKERS.forEach(mk=>{
+    const rows = cases.map(c=>({ test: mk.test(c.r, c.d), fail: c.fail })).filter(x=>x.test !== null);
+    st.markers.push({ key: mk.key, label: t(mk.label), n: rows.length, ...confusion(rows) });
+  });
+
+  // continuous discrimination of each rule component's points
+  rules.components.filter(c=>c.enabled !== false).forEach(comp=>{
+    const pts = cases.map(c=>({ p: (c.r.components.find(x=>x.key === comp.key) || {}).points || 0, fail: c.fail }));
+    st.components.push({
+      key: comp.key, label: compLabel(comp),
+      auc: auroc(pts.filter(x=>x.fail).map(x=>x.p), pts.filter(x=>!x.fail).map(x=>x.p))
+    });
+  });
+
+  return st;
+}
+
+/* ---- CASE FILES (versioned JSON: one case or the whole archive) ----
+   { app: "vni_pred", schema: 2, kind: "case", exportedAt, case: {…form, as gather()} }
+   { app: "vni_pred", schema: 2, kind: "archive", exportedAt, cases: [{ id, when, score, tier, tierKey, rules, brief, diag, createdAt, updatedAt, outcome?, data }] }
+   - Older files are migrated forward one step at a time (CASE_MIGRATIONS[v]: schema v → v + 1):
+     0 = untagged form (flat *_0 / *_1 fields or timepoints) or a legacy localStorage history list;
+     1 = form tagged app: "vni_pred_v1" (exports before the schema).
+   - Each case is checked against CASE_SCHEMA / TP_SCHEMA: numbers are kept as text (as in the form),
+     unknown keys are dropped with a warning, a wrong type is an error and keeps that case out.
+   - readCaseFile(obj) → { from, kind, issues, items: [{ rec, issues, ok }] }; nothing is stored here.
+*/
+const SCHEMA_APP = "vni_pred";
+const SCHEMA_VERSION = 2;
+const CASE_SCHEMA = {
+  caseId: "id", ageValue: "num", ageUnit: ["months", "days", "years"], weight: "num", interface: ["face", "nasal"],
+  pardsImaging: "bool", pardsCardiac: "bool", arfType: ["type2", "type1"], diag: Object.keys(DIAG_LABELS),
+  clinScore: ["", ...Object.keys(CLINICAL_SCORES)], prism: "num",
+  rfHemodyn: "bool", rfGcs: "bool", rfSecretions: "bool", rfApnea: "bool", rfPtx: "bool",
+  cfHypox: "bool", cfWork: "bool", cfHypercap: "bool", cfIntol: "bool", flagsH: "num",
+  nivStart: "datetime", timepoints: "timepoints", reminder: "object"
+};
+const TP_SCHEMA = {
+  h: "num", mode: Object.keys(SUPPORT_MODES), gasType: ["", ...Object.keys(GAS_SAMPLES)], clinItems: "clinItems",
+  ...Object.fromEntries(TP_FIELDS.map(k=>[k, "num"]))
+};
+const RECORD_KEYS = ["id", "when", "score", "tier", "tierKey", "rules", "brief", "diag", "createdAt", "updatedAt", "outcome", "data", "migratedFrom"];
+
+const CASE_MIGRATIONS = {
+  // 0 → 1: tag the form; a history list [{ id, when, score, …, data }] is carried as entries
+  0: (o)=>(Array.isArray(o) ? { app: "vni_pred_v1", entries: o } : { ...o, app: "vni_pred_v1" }),
+  // 1 → 2: envelope with kind; flat *_0 / *_1 fields become timepoints
+  1: (o)=>{
+    const { app, exportedAt, entries, savedAt, ...form } = o;
+    if(entries) return { app: SCHEMA_APP, schema: 2, kind: "archive", exportedAt, cases: entries.map(h=>(h && h.data ? { ...h, data: normalizeCase(h.data) } : h)) };
+    return { app: SCHEMA_APP, schema: 2, kind: "case", exportedAt, case: normalizeCase(form) };
+  }
+};
+
+// schema version of a parsed file, or null if it is not one of ours
+function fileSchema(o){
+  if(Array.isArray(o)) return o.some(h=>h && typeof h === "object" && h.data) ? 0 : null;
+  if(!o || typeof o !== "object") return null;
+  if(o.app === SCHEMA_APP) return Number.isInteger(o.schema) && o.schema >= 0 ? o.schema : null;
+  if(o.app === "vni_pred_v1") return 1;
+  if(o.app === undefined && ["timepoints", "spo2_0", "ageValue", "diag"].some(k=>k in o)) return 0;
+  return null;
+}
+
+const showValue = (v)=>{
+  const s = JSON.stringify(v);
+  return s === undefined ? String(v) : s.length > 40 ? `${s.slice(0, 40)}…` : s;
+};
+
+// one value against its type → { v } (cleaned) or { err }
+function checkValue(type, v){
+  if(Array.isArray(type)){
+    return type.includes(v) ? { v } : { err: t("valor inválido {v} (aceites: {ok})", { v: showValue(v), ok: type.map(x=>x || "\"\"").join(", ") }) };
+  }
+  const blank = v === null || v === undefined || v === "";
+  switch(type){
+    case "num":
+      if(blank) return { v: "" };
+      if(typeof v === "number" && Number.isFinite(v)) return { v: String(v) };
+      if(typeof v === "string" && safeNum(v) !== null) return { v: v.trim() };
+      return { err: t("tem de ser um número (recebido {v})", { v: showValue(v) }) };
+    case "bool":
+      if(typeof v === "boolean") return { v };
+      if(blank || v === 0 || v === "false") return { v: false };
+      if(v === 1 || v === "true") return { v: true };
+      return { err: t("tem de ser true/false (recebido {v})", { v: showValue(v) }) };
+    case "id":
+      if(blank) return { v: null };
+      if(typeof v === "string" || (typeof v === "number" && Number.isFinite(v))) return { v: String(v) };
+      return { err: t("identificador inválido {v}", { v: showValue(v) }) };
+    case "datetime":
+      if(blank) return { v: "" };
+      if(typeof v === "string" && Number.isFinite(new Date(v).getTime())) return { v };
+      return { err: t("data/hora inválida {v}", { v: showValue(v) }) };
+    case "object":
+      if(blank) return { v: null };
+      if(typeof v === "object" && !Array.isArray(v)) return { v };
+      return { err: t("tem de ser um objeto (recebido {v})", { v: showValue(v) }) };
+  }
+  return { err: t("tipo desconhecido") };
+}
+
+// copy the known keys of src (checked against schema) into out; issues get { level, path, msg }
+function checkFields(schema, src, out, path, issues){
+  Object.entries(src).forEach(([k, v])=>{
+    const at = `${path}.${k}`;
+    if(!(k in schema)){
+      issues.push({ level: "warn", path: at, msg: t("campo desconhecido, ignorado") });
+      return;
+    }
+    if(schema[k] === "timepoints" || schema[k] === "clinItems") return;
+    const r = checkValue(schema[k], v);
+    if(r.err) issues.push({ level: "error", path: at, msg: r.err });
+    else out[k] = r.v;
+  });
+}
+
+function checkClinItems(v, path, issues){
+  // {} = no items (FHIR Bundles exported before clinItems were sent as null)
+  if(v === null || v === undefined || (typeof v === "object" && !Array.isArray(v) && !Object.keys(v).length)) return null;
+  const s = v && typeof v === "object" && !Array.isArray(v) ? CLINICAL_SCORES[v.score] : null;
+  if(!s){
+    issues.push({ level: "error", path, msg: t("itens de um score clínico desconhecido ({v})", { v: showValue(v && v.score) }) });
+    return null;
+  }
+  const out = { score: v.score };
+  Object.entries(v).forEach(([k, x])=>{
+    if(k === "score") return;
+    const it = s.items.find(i=>i.key === k);
+    if(!it){
+      issues.push({ level: "warn", path: `${path}.${k}`, msg: t("item desconhecido em {score}, ignorado", { score: s.short }) });
+      return;
+    }
+    const n = safeNum(x);
+    if(n === null || !Number.isInteger(n) || !it.options[n]) issues.push({ level: "error", path: `${path}.${k}`, msg: t("pontuação inválida {v}", { v: showValue(x) }) });
+    else out[k] = String(n);
+  });
+  return out;
+}
+
+// a case (form data) → cleaned copy, with its issues appended
+function checkCase(src, path, issues){
+  if(!src || typeof src !== "object" || Array.isArray(src)){
+    issues.push({ level: "error", path, msg: t("o caso tem de ser um objeto") });
+    return null;
+  }
+  const c = {};
+  checkFields(CASE_SCHEMA, src, c, path, issues);
+  if(!Array.isArray(src.timepoints) || !src.timepoints.length){
+    issues.push({ level: "error", path: `${path}.timepoints`, msg: t("tem de ser uma lista com pelo menos a avaliação inicial") });
+    return c;
+  }
+  c.timepoints = src.timepoints.map((tp, i)=>{
+    const at = `${path}.timepoints[${i}]`;
+    if(!tp || typeof tp !== "object" || Array.isArray(tp)){
+      issues.push({ level: "error", path: at, msg: t("tem de ser um objeto") });
+      return {};
+    }
+    const out = {};
+    checkFields(TP_SCHEMA, tp, out, at, issues);
+    if("clinItems" in tp) out.clinItems = checkClinItems(tp.clinItems, `${at}.clinItems`, issues);
+    return out;
+  });
+  return normalizeCase(c);
+}
+
+function checkOutcome(o, path, issues){
+  if(o === null || o === undefined) return null;
+  if(!o || typeof o !== "object" || !OUTCOMES[o.status]){
+    issues.push({ level: "error", path: `${path}.status`, msg: t("desfecho desconhecido {v}", { v: showValue(o && o.status) }) });
+    return null;
+  }
+  const h = checkValue("num", o.hoursToFailure);
+  if(h.err) issues.push({ level: "error", path: `${path}.hoursToFailure`, msg: h.err });
+  const at = checkValue("datetime", o.recordedAt);
+  if(at.err) issues.push({ level: "warn", path: `${path}.recordedAt`, msg: at.err });
+  return { status: o.status, hoursToFailure: h.v ?? "", escalatedTo: typeof o.escalatedTo === "string" ? o.escalatedTo : "", recordedAt: at.v || new Date().toISOString() };
+}
+
+// a history record → { rec, issues, ok }; score and tier are kept as recorded, or computed when missing
+function checkRecord(h, path){
+  const issues = [];
+  if(!h || typeof h !== "object" || Array.isArray(h)){
+    issues.push({ level: "error", path, msg: t("o registo tem de ser um objeto") });
+    return { rec: null, issues, ok: false };
+  }
+  Object.keys(h).filter(k=>!RECORD_KEYS.includes(k)).forEach(k=>issues.push({ level: "warn", path: `${path}.${k}`, msg: t("campo desconhecido, ignorado") }));
+  const data = checkCase(h.data, `${path}.data`, issues);
+  const idv = checkValue("id", h.id);
+  if(idv.err) issues.push({ level: "error", path: `${path}.id`, msg: idv.err });
+  const id = idv.v || (data && data.caseId) || newCaseId();
+  const now = new Date().toISOString();
+  const when = (k)=>{
+    const r = checkValue("datetime", h[k]);
+    if(r.err) issues.push({ level: "warn", path: `${path}.${k}`, msg: r.err });
+    return r.v || null;
+  };
+  // null = undated (migrated legacy case): kept, not replaced by the import time
+  const updatedAt = h.updatedAt === null ? null : when("updatedAt") || now;
+  const createdAt = h.createdAt === null ? null : when("createdAt") || updatedAt;
+  const outcome = checkOutcome(h.outcome, `${path}.outcome`, issues);
+  const ok = !issues.some(x=>x.level === "error");
+  if(!ok) return { rec: null, issues, ok };
+
+  data.caseId = id;
+  const rec = { id, when: typeof h.when === "string" ? h.when : updatedAt ? new Date(updatedAt).toLocaleString(host.locale) : "", data, diag: data.diag || null, createdAt, updatedAt };
+  if(Number.isFinite(h.score) && TIER_KEYS.includes(h.tierKey)){
+    Object.assign(rec, { score: h.score, tier: String(h.tier ?? ""), tierKey: h.tierKey, rules: String(h.rules ?? ""), brief: String(h.brief ?? "") });
+  } else {
+    const r = computeRisk(data);
+    Object.assign(rec, { score: r.score, tier: r.tier, tierKey: r.tierKey, rules: r.rules, brief: r.brief });
+  }
+  if(outcome) rec.outcome = outcome;
+  return { rec, issues, ok };
+}
+
+// parsed file → { from, kind, issues (file level), items: [{ rec, issues, ok }] }
+function readCaseFile(obj){
+  const rep = { from: null, kind: null, issues: [], items: [] };
+  const fatal = (msg)=>{ rep.issues.push({ level: "error", path: "", msg }); return rep; };
+  let v = fileSchema(obj);
+  if(v === null) return fatal(t("Não é um ficheiro de casos desta app."));
+  if(v > SCHEMA_VERSION) return fatal(t("Ficheiro no esquema {v}, mais recente do que o desta app ({cur}). Actualiza a app para o importar.", { v, cur: SCHEMA_VERSION }));
+  rep.from = v;
+  for(; v < SCHEMA_VERSION; v++) obj = CASE_MIGRATIONS[v](obj);
+
+  rep.kind = obj.kind;
+  if(obj.kind === "case"){
+    const it = checkRecord({ id: obj.case && obj.case.caseId, data: obj.case }, "case");
+    it.issues.forEach(x=>{ x.path = x.path.replace(/^case\.data/, "case"); });
+    rep.items.push(it);
+  } else if(obj.kind === "archive"){
+    if(!Array.isArray(obj.cases)) return fatal(t("\"cases\" tem de ser uma lista."));
+    rep.items = obj.cases.map((h, i)=>checkRecord(h, `cases[${i}]`));
+  } else {
+    return fatal(t("Tipo de ficheiro desconhecido {v}.", { v: showValue(obj.kind) }));
+  }
+  return rep;
+}
+
+/* ---- CSV (audit spreadsheets) ----
+   All stored cases as one table: one row per case (timepoints as t0.*, t1.*, … in time order) or one
+   row per timepoint (column "tp"). Headers are stable keys, grouped in CSV_GROUPS: raw inputs as entered,
+   derived metrics recomputed with computeRisk() (column "rules" names the rule version), and the outcome.
+   Decimal comma goes with ";" between columns (pt/es spreadsheets), decimal point with ",".
+   The same layout reads back (readCsv): derived columns are recomputed, not read, and rows go through
+   the case-file checks, in the archive layout of readCaseFile.
+*/
+const CSV_CASE_KEYS = Object.keys(CASE_SCHEMA).filter(k=>!["caseId", "timepoints", "reminder"].includes(k));
+const CSV_TP_KEYS = Object.keys(TP_SCHEMA);
+const CSV_DERIVED = {
+  sf0: (x)=>x.r.sf0, sf1: (x)=>x.r.sf1, sf1H: (x)=>safeNum(x.r.sf1H), drrPct: (x)=>x.r.drrPct, dhrPct: (x)=>x.r.dhrPct,
+  dpco2: (x)=>x.r.dpco2, rox: (x)=>x.r.rox, roxHr: (x)=>x.r.roxHr
+};
+// per timepoint (trajectory row of computeRisk); only in the one-row-per-timepoint layout
+const CSV_TP_DERIVED = {
+  tpSf: (x)=>x.row.sf, tpRox: (x)=>x.row.rox, tpRoxHr: (x)=>x.row.roxHr, tpDrrBase: (x)=>x.row.drrBase,
+  tpDhrBase: (x)=>x.row.dhrBase, tpDpco2Base: (x)=>x.row.dpco2Base, tpScore: (x)=>x.row.score
+};
+const CSV_GROUPS = [
+  { key: "meta", label: "Registo", cols: ["id", "createdAt", "updatedAt"] },
+  { key: "case", label: "Dados do caso", cols: CSV_CASE_KEYS },
+  { key: "tp", label: "Pontos de avaliação", cols: CSV_TP_KEYS },
+  { key: "derived", label: "Métricas derivadas", cols: [...Object.keys(CSV_DERIVED), "support"] },
+  { key: "tpDerived", label: "Métricas por ponto (uma linha por ponto)", cols: [...Object.keys(CSV_TP_DERIVED), "tpTierKey"] },
+  { key: "result", label: "Resultado", cols: ["score", "tier", "tierKey", "topFactors", "rules"] },
+  { key: "outcome", label: "Desfecho", cols: ["outcome", "hoursToFailure", "escalatedTo", "outcomeAt"] }
+];
+
+// derived values are rounded to 2 decimals; raw inputs (round = false) are written as entered
+function csvNum(n, dec, round = true){
+  if(n === null || n === undefined || !Number.isFinite(n)) return "";
+  const s = String(round ? Math.round(n * 100) / 100 : n);
+  return dec === "," ? s.replace(".", ",") : s;
+}
+
+// clinItems ↔ "wdf|wheeze=2|retr=1"
+function clinItemsText(items){
+  if(!items || !items.score) return "";
+  return [items.score, ...Object.entries(items).filter(([k])=>k !== "score").map(([k, v])=>`${k}=${v}`)].join("|");
+}
+
+function parseClinItems(s){
+  if(!s) return null;
+  const [score, ...rest] = s.split("|").map(x=>x.trim());
+  const items = { score };
+  rest.forEach(p=>{
+    const [k, v] = p.split("=");
+    if(k) items[k.trim()] = (v || "").trim();
+  });
+  return items;
+}
+
+// [{ name, get(x) }] for the chosen layout; x = { h (record), c (case), r (computeRisk), tps, i, tp, row }
+function csvColumns(o, nTp){
+  const on = (k)=>!o.off.includes(k);
+  const num = (v)=>csvNum(v, o.decimal);
+  const raw = (type, v)=>(type === "num" ? csvNum(safeNum(v), o.decimal, false) : type === "bool" ? (v ? "1" : "0") : v === null || v === undefined ? "" : String(v));
+  const tpCell = (k, tp)=>(!tp ? "" : k === "clinItems" ? clinItemsText(tp.clinItems) : raw(TP_SCHEMA[k], tp[k]));
+  const cols = [];
+  const add = (name, get)=>cols.push({ name, get });
+
+  if(on("id")) add("id", (x)=>x.h.id);
+  if(on("createdAt")) add("createdAt", (x)=>x.h.createdAt || "");
+  if(on("updatedAt")) add("updatedAt", (x)=>x.h.updatedAt || "");
+  CSV_CASE_KEYS.filter(on).forEach(k=>add(k, (x)=>raw(CASE_SCHEMA[k], x.c[k])));
+  if(o.rows === "timepoint"){
+    add("tp", (x)=>String(x.i));
+    CSV_TP_KEYS.filter(on).forEach(k=>add(k, (x)=>tpCell(k, x.tp)));
+  } else {
+    for(let i = 0; i < nTp; i++) CSV_TP_KEYS.filter(on).forEach(k=>add(`t${i}.${k}`, (x)=>tpCell(k, x.tps[i])));
+  }
+  Object.entries(CSV_DERIVED).filter(([k])=>on(k)).forEach(([k, get])=>add(k, (x)=>num(get(x))));
+  if(on("support")) add("support", (x)=>x.r.mode || "");
+  if(o.rows === "timepoint"){
+    Object.entries(CSV_TP_DERIVED).filter(([k])=>on(k)).forEach(([k, get])=>add(k, (x)=>num(get(x))));
+    if(on("tpTierKey")) add("tpTierKey", (x)=>x.row.tierKey || "");
+  }
+  if(on("score")) add("score", (x)=>num(x.r.score));
+  if(on("tier")) add("tier", (x)=>x.r.tier);
+  if(on("tierKey")) add("tierKey", (x)=>x.r.tierKey || "");
+  if(on("topFactors")) add("topFactors", (x)=>(x.r.topFactors || []).join("; "));
+  if(on("rules")) add("rules", (x)=>x.r.rules || "");
+  const oc = (x)=>x.h.outcome || {};
+  if(on("outcome")) add("outcome", (x)=>oc(x).status || "");
+  if(on("hoursToFailure")) add("hoursToFailure", (x)=>num(safeNum(oc(x).hoursToFailure)));
+  if(on("escalatedTo")) add("escalatedTo", (x)=>oc(x).escalatedTo || "");
+  if(on("outcomeAt")) add("outcomeAt", (x)=>oc(x).recordedAt || "");
+  return cols;
+}
+
+function csvCell(v, sep){
+  const s = String(v ?? "");
+  return s.includes(sep) || /["\r\n]/.test(s) || s !== s.trim() ? `"${s.replaceAll("\"", "\"\"")}"` : s;
+}
+
+// cases (oldest first) → CSV text, with a BOM so spreadsheets read it as UTF-8
+function buildCsv(cases, o){
+  const sep = o.decimal === "," ? ";" : ",";
+  const items = cases.map(h=>{
+    const c = normalizeCase(h.data);
+    return { h, c, r: computeRisk(c), tps: orderedTimepoints(c.timepoints) };
+  });
+  const nTp = Math.max(2, ...items.map(x=>x.tps.length));
+  const cols = csvColumns(o, nTp);
+  const rows = [];
+  items.forEach(x=>{
+    if(o.rows === "timepoint") x.tps.forEach((tp, i)=>rows.push(cols.map(col=>col.get({ ...x, i, tp, row: x.r.trajectory[i] }))));
+    else rows.push(cols.map(col=>col.get(x)));
+  });
+  return "\ufeff" + [cols.map(col=>col.name), ...rows].map(r=>r.map(v=>csvCell(v, sep)).join(sep)).join("\r\n") + "\r\n";
+}
+
+// RFC 4180 rows; the separator (; , or tab) is taken from the header line
+function parseCsv(text){
+  const s = String(text).replace(/^\ufeff/, "");
+  const head = s.split(/\r?\n/, 1)[0];
+  const count = (ch)=>head.split(ch).length - 1;
+  const sep = [";", ",", "\t"].reduce((a, b)=>(count(b) > count(a) ? b : a));
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for(let i = 0; i < s.length; i++){
+    const ch = s[i];
+    if(quoted){
+      if(ch === "\"" && s[i + 1] === "\""){ cell += "\""; i++; }
+      else if(ch === "\"") quoted = false;
+      else cell += ch;
+    } else if(ch === "\"") quoted = true;
+    else if(ch === sep){ row.push(cell); cell = ""; }
+    else if(ch === "\n" || ch === "\r"){
+      if(ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if(cell || row.length){ row.push(cell); rows.push(row); }
+  return rows;
+}
+
+// spreadsheet cell → case value (blank enums are left out so the form defaults apply)
+function csvValue(type, v){
+  if(type === "bool"){
+    const k = v.toLowerCase();
+    if(["1", "true", "sim", "yes", "sí", "si", "x"].includes(k)) return true;
+    if(["0", "false", "não", "nao", "no", ""].includes(k)) return false;
+    return v;
+  }
+  if(Array.isArray(type) && v === "" && !type.includes("")) return undefined;
+  return v;
+}
+
+// CSV rows → { issues (header), items: [{ rec, issues, ok }] } in the archive layout of readCaseFile
+function readCsv(rows){
+  const rep = { from: "CSV", kind: "archive", issues: [], items: [] };
+  const [head = [], ...body] = rows;
+  const names = head.map(n=>n.trim());
+  const perTp = names.includes("tp");
+  const known = new Set([...CSV_GROUPS.flatMap(g=>g.cols), "tp"]);
+  names.forEach(n=>{
+    const ok = perTp ? known.has(n) : /^t\d+\./.test(n) ? CSV_TP_KEYS.includes(n.replace(/^t\d+\./, "")) : known.has(n) && !CSV_TP_KEYS.includes(n);
+    if(!ok){
+      rep.issues.push({ level: "warn", path: n || "—", msg: t("coluna desconhecida, ignorada") });
+    }
+  });
+  if(!names.some(n=>CSV_CASE_KEYS.includes(n) || /^t\d+\./.test(n) || CSV_TP_KEYS.includes(n))){
+    rep.issues.push({ level: "error", path: "", msg: t("Sem colunas de dados do caso: o cabeçalho tem de usar os nomes da exportação CSV.") });
+    return rep;
+  }
+  const col = new Map(names.map((n, j)=>[n, j]));
+  const tpOf = (get, prefix)=>{
+    const tp = {};
+    let any = false;
+    CSV_TP_KEYS.forEach(k=>{
+      const v = get(prefix + k);
+      if(v === undefined) return;
+      const val = k === "clinItems" ? parseClinItems(v) : csvValue(TP_SCHEMA[k], v);
+      if(val !== undefined) tp[k] = val;
+      if(v !== "") any = true;
+    });
+    return any ? tp : null;
+  };
+
+  // one group of lines per case: the same id, or (no id) a new case at each tp = 0
+  const groups = [];
+  body.forEach((cells, n)=>{
+    if(cells.every(v=>!v.trim())) return;
+    const get = (name)=>(col.has(name) ? String(cells[col.get(name)] ?? "").trim() : undefined);
+    const line = n + 2, id = get("id") || "";
+    const last = groups[groups.length - 1];
+    const same = perTp && last && (id ? last.id === id : !last.id && get("tp") !== "0");
+    if(same) last.lines.push({ line, get });
+    else groups.push({ id, lines: [{ line, get }] });
+  });
+
+  rep.items = groups.map(g=>{
+    const first = g.lines[0].get;
+    const data = {};
+    CSV_CASE_KEYS.forEach(k=>{
+      const v = first(k);
+      if(v === undefined) return;
+      const val = csvValue(CASE_SCHEMA[k], v);
+      if(val !== undefined) data[k] = val;
+    });
+    const where = [];
+    data.timepoints = [];
+    if(perTp){
+      g.lines.forEach((l, i)=>{
+        const tp = tpOf(l.get, "");
+        if(tp || i === 0){ data.timepoints.push(tp || {}); where.push({ line: l.line, prefix: "" }); }
+      });
+    } else {
+      const n = Math.max(0, ...names.map(x=>(x.match(/^t(\d+)\./) || [])[1]).filter(Boolean).map(Number)) + 1;
+      for(let i = 0; i < n; i++){
+        const tp = tpOf(first, `t${i}.`);
+        if(tp || i === 0){ data.timepoints.push(tp || {}); where.push({ line: g.lines[0].line, prefix: `t${i}.` }); }
+      }
+    }
+    const status = first("outcome");
+    const rec = { id: g.id || undefined, createdAt: first("createdAt") || undefined, updatedAt: first("updatedAt") || undefined, data };
+    if(status) rec.outcome = { status, hoursToFailure: first("hoursToFailure") || "", escalatedTo: first("escalatedTo") || "", recordedAt: first("outcomeAt") || "" };
+
+    const it = checkRecord(rec, "r");
+    const lineOf = (n)=>t("linha {n}", { n });
+    it.issues.forEach(x=>{
+      const m = x.path.match(/^r\.data\.timepoints\[(\d+)\](?:\.(.+))?$/);
+      const at = m && where[Number(m[1])];
+      const field = at ? `${at.prefix}${m[2] || ""}` : x.path.replace(/^r\.(data\.)?/, "").replace(/^r$/, "");
+      x.path = [lineOf(at ? at.line : g.lines[0].line), field].filter(Boolean).join(", ");
+    });
+    return it;
+  });
+  return rep;
+}
+
+/* ---- HL7 FHIR R4 (Bundle mapping) ----
+   caseToFhir(d, r) → Bundle with one Observation per value and timepoint (LOINC where one exists),
+   a Condition for the diagnosis and a RiskAssessment (score, tier, top factors, rule version).
+   - No patient identification: no Patient resource and no subject.
+   - Timepoint index/hours, support and blood gas sample travel as extensions; the rest of the form
+     (ARF type, red flags, clinical items, …) goes in the RiskAssessment "case" extension, so an
+     exported Bundle imports back unchanged. Bundles from other systems: Observations only, grouped
+     by effectiveDateTime (earliest = baseline).
+   - IPAP, MAP, HFNC flow (L/kg/min), PRISM and clinical scores have no unambiguous LOINC code and
+     carry only the local code (FHIR_NS). EPAP too: the PEEP setting code (20077-4) belongs to CPAP, and
+     each LOINC code maps back to a single field; the local code is read first on import.
+*/
+const FHIR_NS = "urn:vni-pred:fhir";
+const LOINC = "http://loinc.org";
+const SNOMED = "http://snomed.info/sct";
+const UCUM = "http://unitsofmeasure.org";
+
+// loinc: code, or { sample: code } for blood gas values ("" = sample not stated)
+const FHIR_OBS = {
+  spo2: { loinc: "59408-5", display: "Oxygen saturation in Arterial blood by Pulse oximetry", unit: "%", cat: "vital-signs" },
+  fio2: { loinc: "3150-0", display: "Inhaled oxygen concentration", unit: "%", cat: "vital-signs" },
+  rr: { loinc: "9279-1", display: "Respiratory rate", unit: "/min", cat: "vital-signs" },
+  hr: { loinc: "8867-4", display: "Heart rate", unit: "/min", cat: "vital-signs" },
+  clin: { display: "Clinical severity score", unit: "{score}", cat: "survey" },
+  flow: { display: "HFNC flow", unit: "L/kg/min", cat: "procedure" },
+  cpap: { loinc: "20077-4", display: "Positive end expiratory pressure setting Ventilator", unit: "cm[H2O]", cat: "procedure" },
+  ipap: { display: "Inspiratory positive airway pressure setting", unit: "cm[H2O]", cat: "procedure" },
+  epap: { display: "Expiratory positive airway pressure setting", unit: "cm[H2O]", cat: "procedure" },
+  map: { display: "Mean airway pressure", unit: "cm[H2O]", cat: "procedure" },
+  ph: { loinc: { arterial: "2744-1", capillary: "2745-8", venous: "2746-6", "": "11558-4" }, display: "pH", unit: "[pH]", cat: "laboratory" },
+  pco2: { loinc: { arterial: "2019-8", capillary: "2020-6", venous: "2021-4", "": "11557-6" }, display: "Carbon dioxide partial pressure", unit: "mm[Hg]", cat: "laboratory" },
+  pao2: { loinc: "2703-7", display: "Oxygen [Partial pressure] in Arterial blood", unit: "mm[Hg]", cat: "laboratory" },
+  hco3: { loinc: "1959-6", display: "Bicarbonate [Moles/volume] in Blood", unit: "mmol/L", cat: "laboratory" },
+  be: { loinc: "11555-0", display: "Base excess in Blood by calculation", unit: "mmol/L", cat: "laboratory" },
+  lactate: { loinc: "32693-4", display: "Lactate [Moles/volume] in Blood", unit: "mmol/L", cat: "laboratory" }
+};
+const FHIR_AGE = { loinc: "30525-0", display: "Age" };
+const FHIR_WEIGHT = { loinc: "29463-7", display: "Body weight" };
+const FHIR_AGE_UNITS = { days: "d", months: "mo", years: "a" };
+const FHIR_DIAG_SNOMED = { bronchiolitis: "4120002", asthma: "195967001", pneumonia: "233604007", ards: "67782005" };
+
+function fhirUuid(){
+  if(typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (ch)=>{
+    const n = Math.random() * 16 | 0;
+    return (ch === "x" ? n : (n & 3 | 8)).toString(16);
+  });
+}
+
+function fhirLoinc(def, tp){
+  if(!def.loinc) return null;
+  return typeof def.loinc === "string" ? def.loinc : def.loinc[GAS_SAMPLES[tp.gasType] ? tp.gasType : ""];
+}
+
+// type "collection" for files; "transaction" (entry.request) for POST to a FHIR server
+function caseToFhir(d, r, type = "collection"){
+  const c = normalizeCase(d);
+  const tps = c.timepoints;
+  const now = new Date().toISOString();
+  const entries = [];
+  const add = (resource)=>{
+    const fullUrl = `urn:uuid:${fhirUuid()}`;
+    entries.push({ fullUrl, resource });
+    return fullUrl;
+  };
+  const quantity = (value, unit)=>({ value, unit, system: UCUM, code: unit });
+  const obs = (code, value, unit, cat, extension, when)=>add({
+    resourceType: "Observation",
+    status: "final",
+    category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/observation-category", code: cat }] }],
+    code,
+    ...(extension.length ? { extension } : {}),
+    ...(when ? { effectiveDateTime: when } : {}),
+    valueQuantity: quantity(value, unit)
+  });
+  const localCoding = (field, display)=>({ system: `${FHIR_NS}:field`, code: field, display });
+
+  const basis = [];
+  const age = safeNum(c.ageValue), weight = safeNum(c.weight), prism = safeNum(c.prism);
+  if(age !== null){
+    const unit = FHIR_AGE_UNITS[c.ageUnit] || "mo";
+    basis.push(obs({ coding: [{ system: LOINC, code: FHIR_AGE.loinc, display: FHIR_AGE.display }, localCoding("age", FHIR_AGE.display)] },
+      age, unit, "survey", [], null));
+  }
+  if(weight !== null){
+    basis.push(obs({ coding: [{ system: LOINC, code: FHIR_WEIGHT.loinc, display: FHIR_WEIGHT.display }, localCoding("weight", FHIR_WEIGHT.display)] },
+      weight, "kg", "vital-signs", [], null));
+  }
+  if(prism !== null) basis.push(obs({ coding: [localCoding("prism", "PRISM III-24")] }, prism, "{score}", "survey", [], null));
+
+  tps.forEach((tp, i)=>{
+    const h = i === 0 ? 0 : safeNum(tp.h);
+    const at = tpClock(c.nivStart, h);
+    const ext = [{ url: `${FHIR_NS}:timepoint`, valueInteger: i }];
+    if(h !== null) ext.push({ url: `${FHIR_NS}:hours`, valueDecimal: h });
+    if(SUPPORT_MODES[tp.mode]) ext.push({ url: `${FHIR_NS}:support`, valueCode: tp.mode });
+    TP_FIELDS.forEach(k=>{
+      let v = safeNum(tp[k]);
+      if(v === null) return;
+      const def = FHIR_OBS[k];
+      if(k === "fio2") v = Math.round(parseFiO2(tp[k]) * 1000) / 10; // form: fraction; LOINC 3150-0: %
+      const code = fhirLoinc(def, tp);
+      const coding = [...(code ? [{ system: LOINC, code, display: def.display }] : []), localCoding(k, def.display)];
+      const gas = FHIR_OBS[k].cat === "laboratory" && GAS_SAMPLES[tp.gasType] ? [{ url: `${FHIR_NS}:sample`, valueCode: tp.gasType }] : [];
+      basis.push(obs({ coding }, v, def.unit, def.cat, [...ext, ...gas], at ? at.toISOString() : null));
+    });
+  });
+
+  const condition = c.diag ? add({
+    resourceType: "Condition",
+    category: [{ coding: [{ system: "http://terminology.hl7.org/CodeSystem/condition-category", code: "encounter-diagnosis" }] }],
+    code: { coding: [
+      ...(FHIR_DIAG_SNOMED[c.diag] ? [{ system: SNOMED, code: FHIR_DIAG_SNOMED[c.diag] }] : []),
+      { system: `${FHIR_NS}:diag`, code: c.diag }
+    ] }
+  }) : null;
+
+  // everything the Observations/Condition do not carry, so the Bundle round-trips
+  const { timepoints, ...ctx } = c;
+  ctx.clinItems = timepoints.map(tp=>tp.clinItems || null);
+  ctx.gasTypes = timepoints.map(tp=>tp.gasType || "");
+  add({
+    resourceType: "RiskAssessment",
+    status: "final",
+    occurrenceDateTime: now,
+    method: { coding: [{ system: `${FHIR_NS}:rules`, code: r.rules }], text: r.rules },
+    ...(condition ? { condition: { reference: condition } } : {}),
+    basis: basis.map(reference=>({ reference })),
+    prediction: [{
+      outcome: { text: "NIV/HFNC failure (intubation or escalation)" },
+      qualitativeRisk: { coding: [{ system: `${FHIR_NS}:tier`, code: r.tierKey, display: r.tier }], text: r.tier },
+      extension: [{ url: `${FHIR_NS}:score`, valueDecimal: r.score }],
+      rationale: r.topFactors.join("; ")
+    }],
+    extension: [
+      ...(r.factorKeys || []).map((key, j)=>({ url: `${FHIR_NS}:factor`, valueCoding: { system: `${FHIR_NS}:factor`, code: key || "", display: r.topFactors[j] } })),
+      { url: `${FHIR_NS}:case`, valueString: JSON.stringify(ctx) }
+    ],
+    note: [{ text: r.summary }]
+  });
+
+  const bundle = { resourceType: "Bundle", type, timestamp: now, entry: entries };
+  if(type === "transaction") entries.forEach(e=>{ e.request = { method: "POST", url: e.resource.resourceType }; });
+  return bundle;
+}
+
+// FHIR Bundle → case (form format). Returns null if it has nothing usable.
+function fhirToCase(bundle){
+  const res = (bundle.entry || []).map(e=>e && e.resource).filter(Boolean);
+  const ext = (o, name)=>(o.extension || []).find(x=>x.url === `${FHIR_NS}:${name}`);
+  const codes = (o)=>((o.code && o.code.coding) || []);
+  const ra = res.find(x=>x.resourceType === "RiskAssessment");
+  const caseExt = ra && ext(ra, "case");
+  let c = {};
+  if(caseExt){
+    try{ c = JSON.parse(caseExt.valueString) || {}; }catch{ c = {}; }
+  }
+
+  // field of an Observation: local code first, then LOINC (any sample)
+  const loincField = {};
+  Object.entries(FHIR_OBS).forEach(([k, def])=>{
+    if(!def.loinc) return;
+    (typeof def.loinc === "string" ? [def.loinc] : Object.values(def.loinc)).forEach(code=>{ if(!loincField[code]) loincField[code] = k; });
+  });
+  loincField[FHIR_AGE.loinc] = "age";
+  loincField[FHIR_WEIGHT.loinc] = "weight";
+  const fieldOf = (o)=>{
+    const cs = codes(o);
+    const local = cs.find(x=>x.system === `${FHIR_NS}:field`);
+    if(local) return local.code;
+    const lo = cs.find(x=>x.system === LOINC && loincField[x.code]);
+    return lo ? loincField[lo.code] : null;
+  };
+
+  const observations = res.filter(x=>x.resourceType === "Observation" && x.valueQuantity && typeof x.valueQuantity.value === "number");
+  if(!observations.length && !caseExt) return null;
+
+  const ageUnits = Object.fromEntries(Object.entries(FHIR_AGE_UNITS).map(([k, v])=>[v, k]));
+  const points = [];
+  observations.forEach(o=>{
+    const k = fieldOf(o);
+    const q = o.valueQuantity;
+    if(k === "age"){ c.ageValue = String(q.value); c.ageUnit = ageUnits[q.code || q.unit] || "months"; return; }
+    if(k === "weight"){ c.weight = String(q.value); return; }
+    if(k === "prism"){ c.prism = String(q.value); return; }
+    if(!FHIR_OBS[k]) return;
+    const idx = ext(o, "timepoint"), hours = ext(o, "hours");
+    const when = o.effectiveDateTime ? new Date(o.effectiveDateTime).getTime() : null;
+    points.push({ o, k, idx: idx ? idx.valueInteger : null, h: hours ? hours.valueDecimal : null, when: Number.isFinite(when) ? when : null });
+  });
+
+  // group into timepoints: our index if present, otherwise by time (earliest = baseline)
+  const groups = new Map();
+  const times = points.filter(p=>p.idx === null && p.when !== null).map(p=>p.when).sort((a, b)=>a - b);
+  const t0 = times.length ? times[0] : null;
+  if(!c.nivStart && t0 !== null && points.every(p=>p.idx === null)){
+    const dt = new Date(t0);
+    c.nivStart = new Date(dt.getTime() - dt.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+  points.forEach(p=>{
+    const key = p.idx !== null ? `i${p.idx}` : p.when !== null ? `t${p.when}` : `h${p.h ?? 0}`;
+    if(!groups.has(key)){
+      const h = p.h !== null ? p.h : p.when !== null && t0 !== null ? Math.round((p.when - t0) / 36000) / 100 : 0;
+      groups.set(key, { order: p.idx !== null ? p.idx : h, tp: { h: String(h) } });
+    }
+    const tp = groups.get(key).tp;
+    const sup = ext(p.o, "support"), sample = ext(p.o, "sample");
+    if(sup) tp.mode = sup.valueCode;
+    if(sample) tp.gasType = sample.valueCode;
+    let v = p.o.valueQuantity.value;
+    if(p.k === "fio2" && (p.o.valueQuantity.unit === "%" || p.o.valueQuantity.code === "%" || v > 1)) v = Math.round(v * 10) / 1000;
+    tp[p.k] = String(v);
+    if(!sample && FHIR_OBS[p.k].cat === "laboratory" && !tp.gasType){
+      const lo = codes(p.o).find(x=>x.system === LOINC);
+      const def = FHIR_OBS[p.k].loinc;
+      const s = lo && typeof def === "object" ? Object.keys(def).find(g=>def[g] === lo.code) : "";
+      if(s) tp.gasType = s;
+    }
+  });
+  const tps = [...groups.values()].sort((a, b)=>a.order - b.order).map(g=>g.tp);
+  if(!tps.length) tps.push({ h: "0" });
+  tps[0].h = "0";
+  const items = Array.isArray(c.clinItems) ? c.clinItems : [];
+  const samples = Array.isArray(c.gasTypes) ? c.gasTypes : [];
+  delete c.clinItems;
+  delete c.gasTypes;
+  c.timepoints = tps.map((tp, i)=>{
+    const out = { gasType: samples[i] || "", clinItems: items[i] || null, ...tp };
+    TP_FIELDS.forEach(k=>{ if(out[k] === undefined) out[k] = ""; });
+    return out;
+  });
+
+  const cond = res.find(x=>x.resourceType === "Condition");
+  if(cond && !c.diag){
+    const cs = codes(cond);
+    const local = cs.find(x=>x.system === `${FHIR_NS}:diag`);
+    const sn = cs.find(x=>x.system === SNOMED);
+    c.diag = local ? local.code : (sn && Object.keys(FHIR_DIAG_SNOMED).find(k=>FHIR_DIAG_SNOMED[k] === sn.code)) || "other";
+  }
+  if(!caseExt) c.caseId = null; // foreign Bundle: new case
+  return c;
+}
+
+return {
+  configure, safeNum, parseFiO2, toMonths, calcSF, TP_FIELDS, REASSESS_HOURS, SUPPORT_MODES, MODE_FIELDS,
+  normalizeCase, tpHasData, orderedTimepoints, latestTp, hLabel, tpClock, DIAG_LABELS, newCaseId,
+  validateCase, fmtCentile, pardsLine, CLINICAL_SCORES, CLIN_SEVERITY, clinScoreKey, clinItemsTotal,
+  clinSeverity, clinText, GAS_SAMPLES, acidBaseLine, DEFAULT_RULES, HFNC_RULES, RULE_INPUTS, RULE_OPS,
+  TIER_KEYS, rulesTag, validateRules, tierFor, tierName, inputLabel, computeRisk, counterfactualText, OUTCOMES,
+  isFailure, auditStats, SCHEMA_APP, SCHEMA_VERSION, readCaseFile, CSV_GROUPS, csvNum, csvCell, buildCsv,
+  parseCsv, readCsv, FHIR_OBS, caseToFhir, fhirToCase
+};
+});
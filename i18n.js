@@ -0,0 +1,1842 @@
+/* Traduções (i18n)
+   messages: texto original em português (como escrito em app.js / index.html) → tradução.
+   Níveis, fatores e notas das regras usam chaves estáveis (tier.*, badge.*, factor.*, note.*,
+   comp.*, input.*), para que regras locais sem tradução continuem a mostrar o próprio texto.
+   "{x}" = valor inserido em tempo de execução; manter nas traduções.
+*/
+const LOCALES = {
+  pt: { label: "Português", lang: "pt-PT", messages: {} },
+
+  en: {
+    label: "English",
+    lang: "en",
+    messages: {
+      /* ---- page (index.html) ---- */
+      "VNI Pediátrica — Predição Precoce": "Paediatric NIV — Early Prediction",
+      "Risco de falência nas primeiras horas (apoio à decisão)": "Risk of failure in the first hours (decision support)",
+      "Exportar": "Export",
+      "Importar": "Import",
+      "Imprimir": "Print",
+      "Repor": "Reset",
+      "Ronda": "Rounds",
+      "Ações ▾": "Actions ▾",
+      "Calcular": "Calculate",
+      "Imprimir / PDF": "Print / PDF",
+      "Alternar modo ronda": "Toggle rounds mode",
+      "Calculadora": "Calculator",
+      "Camas": "Beds",
+      "Resultado": "Result",
+      "Desempenho": "Performance",
+      "Evidência": "Evidence",
+      "Definições": "Settings",
+      "Cama:": "Bed:",
+      "Quadro de camas": "Bed board",
+      "Fechar cama": "Close bed",
+      "1) Contexto clínico": "1) Clinical context",
+      "Exemplo: bronquiolite": "Example: bronchiolitis",
+      "Exemplo: ARDS": "Example: ARDS",
+      "Limpar campos": "Clear fields",
+      "Idade": "Age",
+      "meses": "months",
+      "dias": "days",
+      "anos": "years",
+      "Peso (kg)": "Weight (kg)",
+      "Usado para converter o fluxo de ONAF (L/kg/min → L/min).": "Used to convert HFNC flow (L/kg/min → L/min).",
+      "Interface de VNI/CPAP": "NIV/CPAP interface",
+      "Facial / oronasal": "Full face / oronasal",
+      "Nasal (máscara ou prongs)": "Nasal (mask or prongs)",
+      "Tipo de IRA": "ARF type",
+      "Predominantemente hipoventilação / hipercápnica (ex: bronquiolite, asma)": "Mainly hypoventilation / hypercapnic (e.g. bronchiolitis, asthma)",
+      "Predominantemente hipoxémica (V/Q, pneumonia, ARDS)": "Mainly hypoxaemic (V/Q, pneumonia, ARDS)",
+      "Classificação usada em estudos pediátricos para risco de falência da VNI.": "Classification used in paediatric studies of NIV failure risk.",
+      "Diagnóstico provável": "Probable diagnosis",
+      "Bronquiolite": "Bronchiolitis",
+      "Asma / sibilância": "Asthma / wheezing",
+      "Pneumonia": "Pneumonia",
+      "ARDS / lesão pulmonar difusa": "ARDS / diffuse lung injury",
+      "Outro": "Other",
+      "Score clínico": "Clinical score",
+      "Automático (WDF na bronquiolite, PRAM na asma)": "Automatic (WDF in bronchiolitis, PRAM in asthma)",
+      "Tal modificado": "Modified Tal",
+      "Registado em cada ponto (total ou item a item).": "Recorded at each time point (total or item by item).",
+      "Se não souberes, deixa em branco (o score funciona sem PRISM).": "If unknown, leave blank (the score works without PRISM).",
+      "Red flags (contra-indicações / falência iminente)": "Red flags (contraindications / imminent failure)",
+      "Instabilidade hemodinâmica persistente": "Persistent haemodynamic instability",
+      "Alteração do estado mental (GCS < 10) / incapacidade de proteger via aérea": "Altered mental status (GCS < 10) / unable to protect the airway",
+      "Secreções não controláveis / necessidade de proteger via aérea": "Uncontrollable secretions / need to protect the airway",
+      "Apneias recorrentes": "Recurrent apnoeas",
+      "Pneumotórax não drenado": "Undrained pneumothorax",
+      "Critérios operacionais de falência (gatilhos)": "Operational failure criteria (triggers)",
+      "Hipoxemia persistente apesar de optimização (FiO₂/EPAP) e interface": "Persistent hypoxaemia despite optimised FiO₂/EPAP and interface",
+      "Trabalho respiratório/exaustão progressiva (tiragem, fadiga)": "Progressive work of breathing / exhaustion (retractions, fatigue)",
+      "Hipercapnia/acidemia a agravar apesar de VNI": "Worsening hypercapnia/acidaemia despite NIV",
+      "Intolerância/interface impossível (leaks incontroláveis)": "Intolerance / unworkable interface (uncontrollable leaks)",
+      "Não altera o score numérico, mas aparece como alerta no Resultado.": "Does not change the numeric score, but shows as an alert in the Result.",
+      "Red flags / critérios assinalados às (h desde início VNI)": "Red flags / criteria flagged at (h since NIV start)",
+      "Usado para marcar o momento nos gráficos; em branco = última reavaliação.": "Used to mark the moment on the charts; blank = last reassessment.",
+      "Infiltrado(s) novo(s) na imagem torácica, compatível com doença parenquimatosa aguda": "New infiltrate(s) on chest imaging, consistent with acute parenchymal disease",
+      "Explicado por falência cardíaca / sobrecarga hídrica": "Explained by cardiac failure / fluid overload",
+      "Com PaO₂ (opcional) e MAP (medida ou estimada) calcula PF, OI e OSI; ver Resultado.": "With PaO₂ (optional) and MAP (measured or estimated) PF, OI and OSI are calculated; see Result.",
+      "2) Dados antes do suporte e reavaliações": "2) Data before support and reassessments",
+      "A ferramenta valoriza marcadores nas primeiras 1–2 horas e a tendência ao longo das reavaliações (ex: 1, 2, 6, 12, 24 h).": "The tool weighs markers in the first 1–2 hours and the trend across reassessments (e.g. 1, 2, 6, 12, 24 h).",
+      "Início do suporte (ONAF/VNI)": "Support start (HFNC/NIV)",
+      "Opcional. Permite sugerir a hora de cada reavaliação.": "Optional. Lets the app suggest the time of each reassessment.",
+      "Suporte iniciado": "Support started",
+      "ONAF (alto fluxo)": "HFNC (high flow)",
+      "BiPAP (VNI)": "BiPAP (NIV)",
+      "FR (min⁻¹)": "RR (min⁻¹)",
+      "FC (min⁻¹)": "HR (min⁻¹)",
+      "+ Adicionar reavaliação": "+ Add reassessment",
+      "= SpO₂ / FiO₂ (FiO₂ em fração: 0.21–1.0). A evidência pediátrica sugere limiar ~": "= SpO₂ / FiO₂ (FiO₂ as a fraction: 0.21–1.0). Paediatric evidence suggests a threshold of ~",
+      "ao fim de 1 h como marcador de alto risco de falência precoce.": "at 1 h as a marker of high risk of early failure.",
+      "Pré-visualização (em tempo real)": "Preview (live)",
+      "SF última reavaliação": "SF last reassessment",
+      "SF baseline": "Baseline SF",
+      "Contexto oxigenação": "Oxygenation context",
+      "Actualiza automaticamente quando preenches SpO₂/FiO₂/EPAP.": "Updates automatically as you enter SpO₂/FiO₂/EPAP.",
+      "Nota de segurança": "Safety note",
+      "Esta ferramenta é": "This tool is",
+      "apoio à decisão/educacional": "decision support / educational",
+      ", baseada em marcadores publicados. Não substitui julgamento clínico, nem define, por si só, indicação para intubação. Se existirem": ", based on published markers. It does not replace clinical judgement, nor does it by itself define an indication for intubation. If there are",
+      "(instabilidade, falência neurológica, etc.), a priorização é clínica e imediata.": "(instability, neurological failure, etc.), prioritisation is clinical and immediate.",
+      "EPAP foi incluído como parâmetro contextual (oxigenação/PEEP). A evidência pediátrica publicada aponta mais consistentemente para SF, FR/FC e IPAP como preditores independentes; por isso, nesta versão EPAP não altera o score, mas aparece no resumo.": "EPAP is included as a contextual parameter (oxygenation/PEEP). Published paediatric evidence points more consistently to SF, RR/HR and IPAP as independent predictors; so in this version EPAP does not change the score, but it appears in the summary.",
+      "Camas (ronda)": "Beds (rounds)",
+      "Adicionar cama": "Add bed",
+      "Cada cama guarda o seu caso em curso neste dispositivo. Usa só a localização (box/cama) — nunca nome ou nº de processo. Reavaliação em atraso = passou a hora da próxima reavaliação prevista (1, 2, 6, 12, 24 h desde o início da VNI).": "Each bed keeps its ongoing case on this device. Use only the location (box/bed) — never a name or record number. Reassessment overdue = the time of the next scheduled reassessment has passed (1, 2, 6, 12, 24 h since NIV start).",
+      "Copiar resumo": "Copy summary",
+      "Risco estimado": "Estimated risk",
+      "Preenche os dados e carrega em “Calcular”.": "Enter the data and press “Calculate”.",
+      "Métricas": "Metrics",
+      "Suporte actual": "Current support",
+      "ROX / ROX-HR (recente)": "ROX / ROX-HR (latest)",
+      "Score clínico (baseline → recente)": "Clinical score (baseline → latest)",
+      "ΔFR": "ΔRR",
+      "ΔFC": "ΔHR",
+      "FR para a idade (baseline → recente)": "RR for age (baseline → latest)",
+      "FC para a idade (baseline → recente)": "HR for age (baseline → latest)",
+      "Tendência pCO₂": "pCO₂ trend",
+      "Ácido–base (gasometria recente)": "Acid–base (latest blood gas)",
+      "Oxigenação e PARDS (PALICC-2)": "Oxygenation and PARDS (PALICC-2)",
+      "Índices na medição mais recente com FiO₂. Não altera o score; confirma ou questiona o diagnóstico seleccionado.": "Indices at the latest measurement with FiO₂. Does not change the score; supports or questions the selected diagnosis.",
+      "Modelos publicados (inputs e referência)": "Published models (inputs and reference)",
+      "Lado a lado com o score heurístico: desfecho, coorte e referência de cada modelo, e os inputs que faltam no intervalo temporal em que foi desenvolvido. Não é calculada probabilidade: os coeficientes dos modelos não estão incluídos.": "Side by side with the heuristic score: outcome, cohort and reference of each model, and the inputs missing within the time window it was developed for. No probability is calculated: the models' coefficients are not included.",
+      "Decomposição do score": "Score breakdown",
+      "Pontos de cada componente das regras em uso (cinzento = dado em falta, valor por defeito), ajustes por red flags e limite 0–100.": "Points of each component of the rules in use (grey = missing data, default value), red flag adjustments and the 0–100 limit.",
+      "O que mudaria o risco": "What would change the risk",
+      "Tendências": "Trends",
+      "Cada parâmetro ao longo das reavaliações (h desde o início da VNI). Pontos coloridos pelo risco nesse momento; linhas tracejadas = limiares das regras; linha vertical = red flag / critério operacional.": "Each parameter across reassessments (h since NIV start). Points coloured by the risk at that moment; dashed lines = rule thresholds; vertical line = red flag / operational criterion.",
+      "Trajectória": "Trajectory",
+      "Cada reavaliação comparada com a baseline e com o ponto anterior; score recalculado em cada ponto.": "Each reassessment compared with baseline and with the previous point; score recalculated at each point.",
+      "Ações sugeridas (dependentes do contexto)": "Suggested actions (context dependent)",
+      "Resumo para registo": "Summary for the record",
+      "Histórico (local)": "History (local)",
+      "Guarda automaticamente todos os casos neste dispositivo (IndexedDB; um registo por caso, actualizado a cada cálculo). Não inclui identificação. Regista aqui o desfecho para a auditoria em “Desempenho”.": "Automatically keeps every case on this device (IndexedDB; one record per case, updated on each calculation). No identification is included. Record the outcome here for the audit in “Performance”.",
+      "Todos os diagnósticos": "All diagnoses",
+      "Todos os riscos": "All risks",
+      "Muito alto": "Very high",
+      "Alto": "High",
+      "Intermédio": "Intermediate",
+      "Baixo": "Low",
+      "Qualquer desfecho": "Any outcome",
+      "Sem desfecho": "No outcome",
+      "Sucesso": "Success",
+      "Falência (intubação/escalada)": "Failure (intubation/escalation)",
+      "Intubação": "Intubation",
+      "Escalada": "Escalation",
+      "Desempenho local": "Local performance",
+      "Score como registado": "Score as recorded",
+      "Score recalculado (regras em uso)": "Score recalculated (rules in use)",
+      "Actualizar": "Refresh",
+      "Casos com desfecho registado": "Cases with a recorded outcome",
+      "Falência = intubação ou escalada para outro suporte. Casos sem desfecho são excluídos. Regista o desfecho no Histórico (Resultado).": "Failure = intubation or escalation to another support. Cases without an outcome are excluded. Record the outcome in the History (Result).",
+      "Score heurístico por limiar": "Heuristic score by threshold",
+      "Por nível de risco": "By risk level",
+      "Calibração": "Calibration",
+      "Taxa de falência observada por intervalo de score.": "Observed failure rate by score interval.",
+      "Marcadores e componentes": "Markers and components",
+      "Evidência (o que foi implementado)": "Evidence (what was implemented)",
+      "Marcadores com melhor suporte em pediatria (primeiras horas)": "Markers with the best support in paediatrics (first hours)",
+      "SpO₂/FiO₂ (SF) precoce": "Early SpO₂/FiO₂ (SF)",
+      ": SF ao fim de 1 h é preditor de falência precoce; limiar sugerido ~": ": SF at 1 h predicts early failure; suggested threshold ~",
+      "para falência ≤6 h. (Mayordomo‑Colunga 2013)": "for failure ≤6 h. (Mayordomo‑Colunga 2013)",
+      "Idade baixa": "Young age",
+      ": risco aumentado em lactentes (ex: <6 meses) em coortes. (Pons‑Òdena 2019; Mayordomo‑Colunga 2013)": ": increased risk in infants (e.g. <6 months) in cohorts. (Pons‑Òdena 2019; Mayordomo‑Colunga 2013)",
+      "Gravidade global": "Overall severity",
+      "(ex: PRISM): associada a falência em estudos prospetivos. (Mayordomo‑Colunga 2009; 2013)": "(e.g. PRISM): associated with failure in prospective studies. (Mayordomo‑Colunga 2009; 2013)",
+      "Resposta fisiológica precoce": "Early physiological response",
+      ": menor redução da FR nas 1–6 h associa‑se a falência. (Mayordomo‑Colunga 2009; 2013)": ": a smaller fall in RR at 1–6 h is associated with failure. (Mayordomo‑Colunga 2009; 2013)",
+      "FC elevada e pressões mais altas precoces (IPAP)": "High HR and higher early pressures (IPAP)",
+      "associam‑se a maior risco em coorte. (Pons‑Òdena 2019)": "are associated with higher risk in a cohort. (Pons‑Òdena 2019)",
+      "FR/FC ajustadas à idade": "Age-adjusted RR/HR",
+      ": centis (e z‑scores) calculados a partir das curvas de referência pediátricas de Fleming 2011, na baseline e em cada reavaliação. A componente “taquipneia/taquicardia persistente para a idade” está disponível nas regras (desactivada por defeito).": ": centiles (and z‑scores) from the Fleming 2011 paediatric reference curves, at baseline and at each reassessment. The “persistent tachypnoea/tachycardia for age” component is available in the rules (disabled by default).",
+      ": cada reavaliação regista o suporte (ONAF, CPAP, BiPAP). Sob ONAF calculam-se o": ": each reassessment records the support (HFNC, CPAP, BiPAP). On HFNC the",
+      "(SF / FR) e o": "(SF / RR) and the paediatric",
+      "pediátrico (ROX / FC × 100) e o score usa um conjunto de regras próprio para falência de ONAF (": "(ROX / HR × 100) are calculated and the score uses its own rule set for HFNC failure (",
+      "), com limiares": "), with",
+      "provisórios": "provisional",
+      "a validar localmente. Após uma mudança de suporte, o ponto anterior à mudança serve de baseline.": "thresholds to be validated locally. After a change of support, the point before the change is the baseline.",
+      "PARDS (PALICC-2, 2023)": "PARDS (PALICC-2, 2023)",
+      ": PF, SF (só com SpO₂ ≤ 97%), OI e OSI na medição mais recente; MAP medida, = CPAP, ou estimada em BiPAP (EPAP + (IPAP − EPAP) × 1/3). VNI facial/CPAP ≥ 5 com PF ≤ 300 ou SF ≤ 250 = PARDS; interface nasal ou ONAF ≥ 1.5 L/kg/min com PF < 300 ou SF < 250 = PARDS possível. A gravidade por OI/OSI (limiares de ventilação invasiva) é mostrada só como referência. Não altera o score.": ": PF, SF (only with SpO₂ ≤ 97%), OI and OSI at the latest measurement; MAP measured, = CPAP, or estimated on BiPAP (EPAP + (IPAP − EPAP) × 1/3). Full-face NIV/CPAP ≥ 5 with PF ≤ 300 or SF ≤ 250 = PARDS; nasal interface or HFNC ≥ 1.5 L/kg/min with PF < 300 or SF < 250 = possible PARDS. Severity by OI/OSI (invasive ventilation thresholds) is shown for reference only. Does not change the score.",
+      "Scores clínicos": "Clinical scores",
+      ": Wood-Downes-Ferrés (0–14; ligeira 1–3, moderada 4–7, grave 8–14) e Tal modificado (0–12; ≤ 5, 6–10, 11–12) na bronquiolite; PRAM (0–12; 0–3, 4–7, 8–12) e PASS (0–6; bandas 0–1, 2–3, 4–6 só indicativas) na asma. Mostrados na trajectória, tendências e explicação; a componente de score (gravidade recente e variação em % da escala vs baseline) está desactivada por defeito e activa-se no conjunto de regras.": ": Wood-Downes-Ferrés (0–14; mild 1–3, moderate 4–7, severe 8–14) and modified Tal (0–12; ≤ 5, 6–10, 11–12) in bronchiolitis; PRAM (0–12; 0–3, 4–7, 8–12) and PASS (0–6; bands 0–1, 2–3, 4–6 indicative only) in asthma. Shown in the trajectory, trends and explanation; the score component (latest severity and change in % of the scale vs baseline) is disabled by default and is enabled in the rule set.",
+      "Gasometria e ácido–base": "Blood gas and acid–base",
+      ": amostra arterial, capilar ou venosa (não indicada = arterial). Venosa: pH +0.03 e pCO₂ −5 mmHg para interpretação e tendências; o peso da tendência pCO₂/pH no score é 1 (arterial), 0.75 (capilar) ou 0.5 (venosa), pela amostra menos fiável comparada. HCO₃⁻ calculado (Henderson–Hasselbalch) se não indicado. Compensação esperada: Winter (1.5 × HCO₃⁻ + 8 ± 2), 0.7 × HCO₃⁻ + 21 na alcalose metabólica, ΔHCO₃⁻ 0.1/0.35 (aguda/crónica) por mmHg de pCO₂ na acidose respiratória e 0.2/0.4 na alcalose; fora do esperado = distúrbio misto. Lactato > 2 mmol/L assinalado.": ": arterial, capillary or venous sample (not stated = arterial). Venous: pH +0.03 and pCO₂ −5 mmHg for interpretation and trends; the weight of the pCO₂/pH trend in the score is 1 (arterial), 0.75 (capillary) or 0.5 (venous), by the least reliable sample compared. HCO₃⁻ calculated (Henderson–Hasselbalch) if not entered. Expected compensation: Winter (1.5 × HCO₃⁻ + 8 ± 2), 0.7 × HCO₃⁻ + 21 in metabolic alkalosis, ΔHCO₃⁻ 0.1/0.35 (acute/chronic) per mmHg of pCO₂ in respiratory acidosis and 0.2/0.4 in alkalosis; outside the expected range = mixed disorder. Lactate > 2 mmol/L flagged.",
+      "Como o score é calculado (transparente)": "How the score is calculated (transparent)",
+      "O score (0–100) é uma combinação explícita de regras (não é “caixa‑preta”). Prioriza fortemente:": "The score (0–100) is an explicit combination of rules (not a “black box”). It strongly prioritises:",
+      "SF na reavaliação mais recente": "SF at the latest reassessment",
+      "(1–2 h nas primeiras horas),": "(1–2 h in the first hours),",
+      "ausência de melhoria da FR/FC": "no improvement in RR/HR",
+      "idade baixa": "young age",
+      "IRA hipoxémica/ARDS/pneumonia": "hypoxaemic ARF/ARDS/pneumonia",
+      "e": "and",
+      ". Red flags activam alerta “muito alto” independentemente do score numérico. Com várias reavaliações, as variações de FR/FC/pCO₂ são calculadas entre a baseline e o valor mais recente, e o score é recalculado em cada ponto da trajectória. Limiares e pesos vêm de um conjunto de regras versionado (ver Definições → Regras do score).": ". Red flags trigger a “very high” alert regardless of the numeric score. With several reassessments, RR/HR/pCO₂ changes are calculated between baseline and the latest value, and the score is recalculated at each point of the trajectory. Thresholds and weights come from a versioned rule set (see Settings → Score rules).",
+      "Nota: os estudos publicados usam definições e populações diferentes; por isso, este score deve ser interpretado como “": "Note: the published studies use different definitions and populations; so this score should be read as “",
+      "triagem de risco": "risk triage",
+      "” e não como probabilidade calibrada.": "” and not as a calibrated probability.",
+      "Modelos multivariáveis publicados": "Published multivariable models",
+      "Além do score, o Resultado lista modelos publicados (ex: Mayordomo‑Colunga 2013, SF a 1 h; Pons‑Òdena 2019, idade <6 m, SF, FC e IPAP a 2 h) com os seus inputs, coorte e referência, e indica os inputs que faltam no caso. Não calcula a probabilidade de falência: os coeficientes dos modelos não estão incluídos.": "Besides the score, the Result lists published models (e.g. Mayordomo‑Colunga 2013, SF at 1 h; Pons‑Òdena 2019, age <6 m, SF, HR and IPAP at 2 h) with their inputs, cohort and reference, and shows which inputs the case is missing. It does not calculate the probability of failure: the models' coefficients are not included.",
+      "Principais referências": "Key references",
+      ". Intensive Care Med. 2013. (cutoff SF≈193 a 1 h)": ". Intensive Care Med. 2013. (cutoff SF≈193 at 1 h)",
+      ". Intensive Care Med. 2009. (tipo 1, PRISM, menor queda de FR)": ". Intensive Care Med. 2009. (type 1, PRISM, smaller fall in RR)",
+      ". An Pediatr (Barc). 2019. (idade <6 m, SF, FC e IPAP a 2 h)": ". An Pediatr (Barc). 2019. (age <6 m, SF, HR and IPAP at 2 h)",
+      ". 2021. (FiO₂ elevada, SF baixa, ausência de melhoria da taquipneia)": ". 2021. (high FiO₂, low SF, no improvement in tachypnoea)",
+      ". Lancet. 2011. (centis de FR/FC por idade)": ". Lancet. 2011. (RR/HR centiles by age)",
+      "Idioma": "Language",
+      "Idioma da interface e do resumo": "Language of the interface and summary",
+      "Os níveis de risco e fatores são guardados como chaves estáveis e mostrados no idioma escolhido; o resumo copiado sai neste idioma.": "Risk levels and factors are stored as stable keys and shown in the chosen language; the copied summary comes out in this language.",
+      "Modo offline (PWA)": "Offline mode (PWA)",
+      "Activar Service Worker": "Enable Service Worker",
+      "Permite cache offline e adicionar ao ecrã inicial": "Allows offline cache and adding to the home screen",
+      "Actualizar app": "Update app",
+      "Limpar cache (último recurso)": "Clear cache (last resort)",
+      "Útil se o iPhone ficar preso a uma versão antiga. Os casos e definições locais mantêm-se.": "Useful if the iPhone gets stuck on an old version. Local cases and settings are kept.",
+      "Se a app ficar em https://utilizador.github.io/nome-do-repo/ então base =": "If the app lives at https://user.github.io/repo-name/ then base =",
+      "Aplicar": "Apply",
+      "Abrir / partilhar": "Open / share",
+      "Abrir no Safari": "Open in Safari",
+      "Copiar link": "Copy link",
+      "Se a página abrir “ampliada”, toca em ⤴︎ Partilhar → Abrir no Safari → aA → Zoom 100%. Em alternativa: “Adicionar ao ecrã inicial”.": "If the page opens “zoomed in”, tap ⤴︎ Share → Open in Safari → aA → Zoom 100%. Alternatively: “Add to Home Screen”.",
+      "Regras do score": "Score rules",
+      "Limiares e pesos do score estão definidos em JSON com": "Score thresholds and weights are defined in JSON with",
+      ". Podes ajustá-los ao protocolo local; cada resultado, resumo e entrada do histórico regista a versão que o produziu.": ". You can adapt them to the local protocol; each result, summary and history entry records the version that produced it.",
+      "Regras em uso": "Rules in use",
+      "Guardar regras": "Save rules",
+      "Importar JSON": "Import JSON",
+      "Exportar JSON": "Export JSON",
+      "Repor regras de base": "Restore default rules",
+      "Diferenças vs regras de base": "Differences vs default rules",
+      "Dados locais": "Local data",
+      "Os casos e o rascunho actual ficam no teu browser (IndexedDB); as preferências em localStorage. Exporta/Importa para portabilidade.": "Cases and the current draft stay in your browser (IndexedDB); preferences in localStorage. Export/Import for portability.",
+      "Importar dados": "Import data",
+      "Imprimir / Guardar PDF": "Print / Save PDF",
+      "Repor formulário": "Reset form",
+      "Modo ronda (inputs essenciais)": "Rounds mode (essential inputs)",
+      "Ações": "Actions",
+      "Calcular risco": "Calculate risk",
+      "Navegação": "Navigation",
+      "ex: 8": "e.g. 8",
+      "opcional (ex: 6.5)": "optional (e.g. 6.5)",
+      "opcional (0–40+)": "optional (0–40+)",
+      "opcional (ex: 4)": "optional (e.g. 4)",
+      "ex: 90": "e.g. 90",
+      "ex: 0.60": "e.g. 0.60",
+      "opcional": "optional",
+      "ex: 60": "e.g. 60",
+      "ex: 160": "e.g. 160",
+      "total ou por itens": "total or by items",
+      "opcional (arterial)": "optional (arterial)",
+      "opcional (calculado se vazio)": "optional (calculated if empty)",
+      "ex: 1": "e.g. 1",
+      "ex: 94": "e.g. 94",
+      "ex: 0.40": "e.g. 0.40",
+      "ex: 45": "e.g. 45",
+      "ex: 145": "e.g. 145",
+      "ex: 2": "e.g. 2",
+      "ex: 6": "e.g. 6",
+      "opcional (estimada se vazia)": "optional (estimated if empty)",
+      "ex: Box 3": "e.g. Box 3",
+      "Nome da cama": "Bed name",
+      "Filtrar por diagnóstico": "Filter by diagnosis",
+      "Filtrar por risco": "Filter by risk",
+      "Filtrar por desfecho": "Filter by outcome",
+      "Desde": "From",
+      "Até": "To",
+      "procurar no resumo": "search the summary",
+      "Procurar no resumo": "Search the summary",
+      "Origem do score": "Score source",
+      "Ex: /nome-do-repo/": "E.g. /repo-name/",
+      "Regras (JSON)": "Rules (JSON)",
+
+      /* ---- rule set: stable keys ---- */
+      "tier.very_high": "Very high",
+      "tier.high": "High",
+      "tier.intermediate": "Intermediate",
+      "tier.low": "Low",
+      "badge.very_high": "HIGH RISK",
+      "badge.high": "RISK ↑",
+      "badge.intermediate": "RISK ↔",
+      "badge.low": "RISK ↓",
+      "comp.sf": "SF at the latest reassessment",
+      "comp.rr": "RR change vs baseline",
+      "comp.hr": "HR change vs baseline",
+      "comp.age": "Age",
+      "comp.arfDiag": "ARF type / diagnosis",
+      "comp.fio2": "Current FiO₂ on HFNC",
+      "comp.prism": "PRISM III-24",
+      "comp.ipap": "IPAP at the latest reassessment",
+      "comp.gas": "pCO₂ / pH trend",
+      "comp.vitalsAge": "Persistent tachypnoea / tachycardia for age",
+      "comp.clinScore": "Clinical score (WDF/Tal, PRAM/PASS)",
+      "comp.roxHr": "ROX-HR at the latest reassessment",
+      "comp.flow": "Flow (L/kg/min)",
+      "comp.diag": "Diagnosis",
+      "factor.sf1.lt150": "SF {at} < 150 (SF={value})",
+      "factor.sf1.lt193": "SF {at} < 193 (SF={value})",
+      "factor.sf1.lt220": "SF {at} 193–219 (SF={value})",
+      "factor.sf1.lt260": "SF {at} 220–259 (SF={value})",
+      "note.sf1.lt150": "SF at {at} < 193 (SF={value}): marker of high risk of early failure in a paediatric cohort.",
+      "note.sf1.lt193": "SF at {at} < 193 (SF={value}): marker of high risk of early failure in a paediatric cohort.",
+      "factor.drr.none": "RR did not improve / worsened",
+      "factor.drr.lt10": "RR fall < 10%",
+      "factor.drr.noneHfnc": "RR did not improve on HFNC",
+      "note.drr.none": "RR fall < 10% (or worse): a weak early response is associated with failure in prospective studies.",
+      "note.drr.lt10": "RR fall < 10% (or worse): a weak early response is associated with failure in prospective studies.",
+      "factor.age.lt6m": "Age < 6 months",
+      "note.age.lt6m": "Age < 6 months: higher risk of failure (synchrony/leaks, severity).",
+      "factor.arf.type1": "Hypoxaemic ARF (type 1)",
+      "note.arf.type1": "Hypoxaemic ARF (type 1): higher risk of failure vs type 2 in a paediatric cohort.",
+      "factor.diag.ards": "ARDS",
+      "note.diag.ards": "ARDS: associated with higher failure rates.",
+      "factor.diag.pneumonia": "Pneumonia",
+      "note.prism.ge10": "A high PRISM is associated with failure in several cohorts.",
+      "note.prism.ge5": "A high PRISM is associated with failure in several cohorts.",
+      "factor.rrAge.p99": "Persistent tachypnoea for age (> P99)",
+      "factor.rrAge.p90": "Persistent tachypnoea for age (≥ P90)",
+      "note.rrAge.p90": "RR above the P90 for age at every reassessment: persistent tachypnoea despite NIV.",
+      "factor.hrAge.p99": "Persistent tachycardia for age (> P99)",
+      "factor.clin.severe": "Severe clinical score {at}",
+      "factor.clin.noImprovement": "Clinical score not improved vs baseline",
+      "note.clin.noImprovement": "Clinical score (work of breathing) the same or worse than before support.",
+      "factor.roxHr.lt3": "ROX-HR {at} < 3 ({value})",
+      "factor.roxHr.lt5": "ROX-HR {at} < 5 ({value})",
+      "note.roxHr.lt3": "Low ROX-HR on HFNC: insufficient response; consider escalation to NIV (provisional threshold).",
+      "note.roxHr.lt5": "Low ROX-HR on HFNC: insufficient response; consider escalation to NIV (provisional threshold).",
+      "factor.fio2.ge60": "FiO₂ ≥ 0.60 on HFNC",
+      "factor.flow.ge2": "Flow ≥ 2 L/kg/min (little margin)",
+      "factor.redFlags": "Clinical red flags",
+      "input.sf1": "SF at the latest reassessment",
+      "input.sf0": "SF baseline",
+      "input.drrPct": "RR change % (latest vs baseline)",
+      "input.dhrPct": "HR change % (latest vs baseline)",
+      "input.rrCentile": "RR centile for age (latest)",
+      "input.hrCentile": "HR centile for age (latest)",
+      "input.rrCentileMin": "Lowest RR centile for age since NIV start (persistence)",
+      "input.hrCentileMin": "Lowest HR centile for age since NIV start (persistence)",
+      "input.ageMonths": "Age (months)",
+      "input.arfType": "ARF type (type1 | type2)",
+      "input.diag": "Diagnosis (bronchiolitis | asthma | pneumonia | ards | other)",
+      "input.fio2_0": "Initial FiO₂ (fraction)",
+      "input.prism": "PRISM III-24",
+      "input.ipap": "Latest IPAP (cmH₂O)",
+      "input.dpco2": "pCO₂ change (mmHg)",
+      "input.dph": "pH change",
+      "input.fio2_1": "Latest FiO₂ (fraction)",
+      "input.rox": "Latest ROX (SF / RR)",
+      "input.roxHr": "Latest ROX-HR (ROX / HR × 100)",
+      "input.flowKg": "Latest HFNC flow (L/kg/min)",
+      "input.gasWeight": "Reliability of the compared blood gases (arterial 1, capillary 0.75, venous 0.5)",
+      "input.lactate": "Latest lactate (mmol/L)",
+      "input.hco3": "Latest HCO₃⁻ (mmol/L)",
+      "input.clinSev": "Latest clinical score severity (0 mild, 1 moderate, 2 severe)",
+      "input.dClinPct": "Clinical score change vs baseline (% of the scale)",
+
+      /* ---- fields, supports, samples ---- */
+      "FR": "RR",
+      "FC": "HR",
+      "Fluxo": "Flow",
+      "Lactato": "Lactate",
+      "Amostra": "Sample",
+      "Tempo": "Time",
+      "Centil FR": "RR centile",
+      "Centil FC": "HR centile",
+      "Centil FR mínimo": "Lowest RR centile",
+      "Centil FC mínimo": "Lowest HR centile",
+      "FiO₂ inicial": "Initial FiO₂",
+      "Gravidade clínica": "Clinical severity",
+      "Δscore clínico": "Δclinical score",
+      "ONAF": "HFNC",
+      "Gasometria (amostra)": "Blood gas (sample)",
+      "— não indicada —": "— not stated —",
+      "arterial": "arterial",
+      "capilar": "capillary",
+      "venosa": "venous",
+      "Arterial": "Arterial",
+      "Capilar": "Capillary",
+      "Venosa": "Venous",
+      "Reavaliação {i}": "Reassessment {i}",
+      "Remover": "Remove",
+      "Tempo desde início (h)": "Time since start (h)",
+      "Suporte": "Support",
+      "Fluxo (L/kg/min)": "Flow (L/kg/min)",
+      "Lactato (mmol/L)": "Lactate (mmol/L)",
+      "indicar o peso para L/min": "enter the weight for L/min",
+      "= {m} meses": "= {m} months",
+
+      /* ---- clinical scores ---- */
+      "Itens {score}": "{score} items",
+      "{n}/{total} itens": "{n}/{total} items",
+      "ligeira": "mild",
+      "moderada": "moderate",
+      "grave": "severe",
+      "Sibilâncias": "Wheeze",
+      "Tiragem": "Retractions",
+      "Entrada de ar": "Air entry",
+      "Cianose": "Cyanosis",
+      "Não": "No",
+      "Sim": "Yes",
+      "Final da expiração": "End of expiration",
+      "Toda a expiração": "Whole expiration",
+      "Inspiração e expiração": "Inspiration and expiration",
+      "Subcostal": "Subcostal",
+      "+ supraclavicular / adejo nasal": "+ supraclavicular / nasal flaring",
+      "+ intercostal / supraesternal": "+ intercostal / suprasternal",
+      "Boa, simétrica": "Good, symmetrical",
+      "Regular, simétrica": "Fair, symmetrical",
+      "Muito diminuída": "Markedly reduced",
+      "Tórax silencioso": "Silent chest",
+      "FR (< 6 m | ≥ 6 m)": "RR (< 6 m | ≥ 6 m)",
+      "Só expiratórias (estetoscópio)": "Expiratory only (stethoscope)",
+      "Insp. e exp. (estetoscópio)": "Insp. and exp. (stethoscope)",
+      "Audíveis sem estetoscópio": "Audible without stethoscope",
+      "SpO₂ (ar ambiente)": "SpO₂ (room air)",
+      "Intercostal": "Intercostal",
+      "Intercostal e subesternal": "Intercostal and substernal",
+      "Grave, com adejo nasal": "Severe, with nasal flaring",
+      "Tiragem supraesternal": "Suprasternal retractions",
+      "Contracção dos escalenos": "Scalene contraction",
+      "Normal": "Normal",
+      "Diminuída nas bases": "Reduced at the bases",
+      "Diminuída difusamente": "Diffusely reduced",
+      "Ausente / mínima": "Absent / minimal",
+      "Só expiratórias": "Expiratory only",
+      "Insp. e exp.": "Insp. and exp.",
+      "Audíveis sem estetoscópio / tórax silencioso": "Audible without stethoscope / silent chest",
+      "Ausentes / ligeiras": "Absent / mild",
+      "Moderadas": "Moderate",
+      "Graves / ausentes por má entrada de ar": "Severe / absent due to poor air entry",
+      "Trabalho respiratório": "Work of breathing",
+      "Normal / ligeiro": "Normal / mild",
+      "Moderado": "Moderate",
+      "Grave": "Severe",
+      "Prolongamento da expiração": "Prolonged expiration",
+
+      /* ---- published models ---- */
+      "SF a ~1 h (0.5–2 h)": "SF at ~1 h (0.5–2 h)",
+      "SF a ~2 h (1.5–3 h)": "SF at ~2 h (1.5–3 h)",
+      "FC a ~2 h (1.5–3 h)": "HR at ~2 h (1.5–3 h)",
+      "IPAP a ~2 h (1.5–3 h)": "IPAP at ~2 h (1.5–3 h)",
+      "Mayordomo‑Colunga 2013 (SF a 1 h)": "Mayordomo‑Colunga 2013 (SF at 1 h)",
+      "Falência precoce da VNI (≤ 6 h)": "Early NIV failure (≤ 6 h)",
+      "Multicêntrico prospetivo, UCIP Espanha; crianças em VNI por IRA (1 mês–17 anos).": "Prospective multicentre, PICUs in Spain; children on NIV for ARF (1 month–17 years).",
+      "Pons‑Òdena 2019 (modelo a 2 h)": "Pons‑Òdena 2019 (2 h model)",
+      "Falência da VNI (necessidade de intubação)": "NIV failure (need for intubation)",
+      "Coorte prospetiva, UCIP terciária (Barcelona); lactentes e crianças em VNI por IRA.": "Prospective cohort, tertiary PICU (Barcelona); infants and children on NIV for ARF.",
+      "Desfecho: {x}": "Outcome: {x}",
+      "Coorte: {x}": "Cohort: {x}",
+      "Não aplicável — falta: {list}.": "Not applicable — missing: {list}.",
+      "Inputs disponíveis: {list}.": "Inputs available: {list}.",
+
+      /* ---- validation ---- */
+      "Baseline": "Baseline",
+      "baseline": "baseline",
+      "reavaliação": "reassessment",
+      "Idade não numérica.": "Age is not a number.",
+      "Idade negativa.": "Negative age.",
+      "Idade {y} anos: fora da população pediátrica dos estudos.": "Age {y} years: outside the paediatric population of the studies.",
+      "Idade em falta: limites de FR/FC genéricos (não ajustados à idade).": "Age missing: generic RR/HR limits (not adjusted for age).",
+      "PRISM não numérico.": "PRISM is not a number.",
+      "PRISM III fora do intervalo possível ({min}–{max}).": "PRISM III outside the possible range ({min}–{max}).",
+      "Peso não numérico.": "Weight is not a number.",
+      "Peso {v} kg fora de {min}–{max} kg.": "Weight {v} kg outside {min}–{max} kg.",
+      "Score clínico desconhecido (\"{v}\").": "Unknown clinical score (\"{v}\").",
+      "{label}: {v}% fora de {min}–{max}%.": "{label}: {v}% outside {min}–{max}%.",
+      "{label} {v}%: muito baixa — confirmar leitura/sonda.": "{label} {v}%: very low — check the reading/probe.",
+      "{label} {v}% > 97%: SF pouco fiável (zona plana da curva de dissociação); considerar reduzir FiO₂.": "{label} {v}% > 97%: SF unreliable (flat part of the dissociation curve); consider lowering FiO₂.",
+      "{label}: {v} é ambíguo — nem fração (0.21–1.0) nem % (21–100).": "{label}: {v} is ambiguous — neither a fraction (0.21–1.0) nor % (21–100).",
+      "{label}: {v} abaixo de 0.21 (ar ambiente).": "{label}: {v} below 0.21 (room air).",
+      "{label} \"{v}\" interpretada como % → {f}.": "{label} \"{v}\" read as % → {f}.",
+      "{label} \"{v}\" interpretada como fração → 1.00 (100%).": "{label} \"{v}\" read as a fraction → 1.00 (100%).",
+      "{label}: {v}/min implausível para a idade ({lo}–{hi}).": "{label}: {v}/min implausible for age ({lo}–{hi}).",
+      "{label}: {v} fora de {min}–{max}{hint}.": "{label}: {v} outside {min}–{max}{hint}.",
+      " — falta o ponto decimal? (ex: {x})": " — missing decimal point? (e.g. {x})",
+      "{label}: {v} fora de {min}–{max} mmHg.": "{label}: {v} outside {min}–{max} mmHg.",
+      "{label}: {v} fora de {min}–{max} mmol/L.": "{label}: {v} outside {min}–{max} mmol/L.",
+      "{label}: {v} fora de 0–{max} ({score}).": "{label}: {v} outside 0–{max} ({score}).",
+      "{label}: tempo negativo.": "{label}: negative time.",
+      "{label}: {v} parece estar em L/min (≈ {kg} L/kg/min); introduzir em L/kg/min.": "{label}: {v} looks like L/min (≈ {kg} L/kg/min); enter it in L/kg/min.",
+      "{where}: mesmo tempo que a reavaliação {j}.": "{where}: same time as reassessment {j}.",
+      "{where}: tipo de amostra não indicado — gasometria interpretada como arterial.": "{where}: sample type not stated — blood gas read as arterial.",
+      "{where}: HCO₃⁻ {v} não concorda com pH/pCO₂ (calculado ≈ {calc}) — confirmar valores.": "{where}: HCO₃⁻ {v} does not match pH/pCO₂ (calculated ≈ {calc}) — check the values.",
+      "{where}: PaO₂ {v} com SpO₂ {spo2}% — amostra venosa?": "{where}: PaO₂ {v} with SpO₂ {spo2}% — venous sample?",
+      "{where}: score clínico preenchido sem escala (diagnóstico sem score clínico).": "{where}: clinical score entered without a scale (diagnosis without a clinical score).",
+      "{score} está validado para bronquiolite, não para o diagnóstico seleccionado.": "{score} is validated for bronchiolitis, not for the selected diagnosis.",
+      "{score} está validado para asma, não para o diagnóstico seleccionado.": "{score} is validated for asthma, not for the selected diagnosis.",
+      "Peso em falta: fluxo de ONAF sem conversão para L/min.": "Weight missing: HFNC flow not converted to L/min.",
+      "{n} erro(s) nos dados": "{n} error(s) in the data",
+      "{n} erro(s) nos dados — corrige antes de calcular.": "{n} error(s) in the data — fix them before calculating.",
+      "{n} aviso(s)": "{n} warning(s)",
+
+      /* ---- PARDS ---- */
+      "Sem dados de oxigenação": "No oxygenation data",
+      "SF não utilizável (SpO₂ > 97%) e sem PaO₂.": "SF not usable (SpO₂ > 97%) and no PaO₂.",
+      "medida": "measured",
+      "estimada IPAP/EPAP": "estimated IPAP/EPAP",
+      "PARDS (VNI, máscara facial)": "PARDS (NIV, full-face mask)",
+      "PARDS possível (interface nasal / ONAF)": "Possible PARDS (nasal interface / HFNC)",
+      "Em risco de PARDS (critérios de oxigenação não cumpridos)": "At risk of PARDS (oxygenation criteria not met)",
+      "Sem critérios de PARDS": "No PARDS criteria",
+      "Critérios de oxigenação cumpridos, mas PARDS excluído (causa cardíaca / sobrecarga)": "Oxygenation criteria met, but PARDS excluded (cardiac cause / overload)",
+      "Hipoxemia explicada por falência cardíaca / sobrecarga hídrica: exclui PARDS.": "Hypoxaemia explained by cardiac failure / fluid overload: excludes PARDS.",
+      "Falta confirmar infiltrado novo na imagem torácica (critério PALICC-2).": "New infiltrate on chest imaging still to be confirmed (PALICC-2 criterion).",
+      "CPAP/EPAP < 5 cmH₂O (ou não registado): critério de VNI do PALICC-2 não aplicável.": "CPAP/EPAP < 5 cmH₂O (or not recorded): PALICC-2 NIV criterion not applicable.",
+      "ONAF sem fluxo registado: abaixo de 1.5 L/kg/min (limiar de “PARDS possível”).": "HFNC without recorded flow: below 1.5 L/kg/min (“possible PARDS” threshold).",
+      "ONAF a {f} L/kg/min{lmin}: abaixo de 1.5 L/kg/min (limiar de “PARDS possível”).": "HFNC at {f} L/kg/min{lmin}: below 1.5 L/kg/min (“possible PARDS” threshold).",
+      "ligeira/moderada": "mild/moderate",
+      "{sev} pelos limiares de VMI ({idx})": "{sev} by invasive ventilation thresholds ({idx})",
+      "Diagnóstico seleccionado “ARDS” não é suportado pelos critérios PALICC-2 com os dados actuais.": "The selected diagnosis “ARDS” is not supported by the PALICC-2 criteria with the current data.",
+      "Diagnóstico “ARDS” consistente (possível pelos critérios de oxigenação e imagem).": "“ARDS” diagnosis consistent (possible by oxygenation and imaging criteria).",
+      "Diagnóstico “ARDS” consistente (possível pelos critérios de oxigenação).": "“ARDS” diagnosis consistent (possible by oxygenation criteria).",
+      "Diagnóstico “ARDS” consistente (confirmado pelos critérios de oxigenação e imagem).": "“ARDS” diagnosis consistent (confirmed by oxygenation and imaging criteria).",
+      "Diagnóstico “ARDS” consistente (confirmado pelos critérios de oxigenação).": "“ARDS” diagnosis consistent (confirmed by oxygenation criteria).",
+      "Cumpre critérios de oxigenação PALICC-2 de PARDS possível — considerar rever o diagnóstico seleccionado.": "Meets PALICC-2 oxygenation criteria for possible PARDS — consider revising the selected diagnosis.",
+      "Cumpre critérios de oxigenação PALICC-2 de PARDS — considerar rever o diagnóstico seleccionado.": "Meets PALICC-2 oxygenation criteria for PARDS — consider revising the selected diagnosis.",
+      "Gravidade": "Severity",
+      "não estadiada em VNI/ONAF": "not staged on NIV/HFNC",
+      "Sem FiO₂ com SpO₂/PaO₂ registados.": "No FiO₂ recorded with SpO₂/PaO₂.",
+
+      /* ---- acid–base ---- */
+      "Acidose respiratória": "Respiratory acidosis",
+      "Alcalose respiratória": "Respiratory alkalosis",
+      "Acidose metabólica": "Metabolic acidosis",
+      "Alcalose metabólica": "Metabolic alkalosis",
+      "Acidose mista (respiratória + metabólica)": "Mixed acidosis (respiratory + metabolic)",
+      "Distúrbio misto com pH normal": "Mixed disorder with normal pH",
+      "Alteração sem acidemia/alcalemia": "Abnormality without acidaemia/alkalaemia",
+      "aguda": "acute",
+      "aguda (sem compensação renal)": "acute (no renal compensation)",
+      "crónica (compensada)": "chronic (compensated)",
+      "aguda sobre crónica / parcialmente compensada": "acute on chronic / partially compensated",
+      "pCO₂ esperada {range} mmHg (Winter)": "expected pCO₂ {range} mmHg (Winter)",
+      "pCO₂ esperada {range} mmHg": "expected pCO₂ {range} mmHg",
+      "acidose respiratória associada": "associated respiratory acidosis",
+      "acidose respiratória associada (compensação insuficiente)": "associated respiratory acidosis (insufficient compensation)",
+      "alcalose respiratória associada": "associated respiratory alkalosis",
+      "acidose metabólica associada": "associated metabolic acidosis",
+      "alcalose metabólica associada": "associated metabolic alkalosis",
+      "acidose respiratória + alcalose metabólica": "respiratory acidosis + metabolic alkalosis",
+      "alcalose respiratória + acidose metabólica": "respiratory alkalosis + metabolic acidosis",
+      "misto": "mixed",
+      "Tipo de amostra não indicado: interpretada como arterial.": "Sample type not stated: read as arterial.",
+      "Amostra venosa: pH +0.03 e pCO₂ −5 mmHg para interpretação (estimativa arterial).": "Venous sample: pH +0.03 and pCO₂ −5 mmHg for interpretation (arterial estimate).",
+      "Amostra capilar: pH/pCO₂ fiáveis só com boa perfusão periférica.": "Capillary sample: pH/pCO₂ reliable only with good peripheral perfusion.",
+      "HCO₃⁻ calculado a partir de pH/pCO₂.": "HCO₃⁻ calculated from pH/pCO₂.",
+      "HCO₃⁻ medido ({m}) difere do calculado ({c}): confirmar valores.": "Measured HCO₃⁻ ({m}) differs from the calculated value ({c}): check the values.",
+      "Lactato {v} mmol/L elevado.": "Lactate {v} mmol/L raised.",
+      "Lactato {v} mmol/L muito elevado.": "Lactate {v} mmol/L very raised.",
+      "Gasometria": "Blood gas",
+      "tipo n/d": "type n/a",
+      "amostra n/d": "sample n/a",
+      "peso {w} — amostra não arterial": "weight {w} — non-arterial sample",
+
+      /* ---- result, explanation, summary ---- */
+      "FiO₂ alta (≥0.70)": "High FiO₂ (≥0.70)",
+      "FiO₂ moderada (0.50–0.69)": "Moderate FiO₂ (0.50–0.69)",
+      "FiO₂ baixa/moderada (<0.50)": "Low/moderate FiO₂ (<0.50)",
+      "Há red flags clínicas assinaladas (isto pesa mais do que qualquer score).": "Clinical red flags are flagged (this outweighs any score).",
+      "Critérios operacionais de falência assinalados (gatilhos de escalada).": "Operational failure criteria flagged (escalation triggers).",
+      "Se não atingir SF ~190 após 1 h de VNI, a necessidade de intubação deve ser ponderada no contexto clínico global.": "If SF ~190 is not reached after 1 h of NIV, the need for intubation should be weighed in the overall clinical context.",
+      "{score} {c0} → {c1} ({at}): melhoria do trabalho respiratório.": "{score} {c0} → {c1} ({at}): improved work of breathing.",
+      "{score} {c0} → {c1} ({at}): agravamento do trabalho respiratório.": "{score} {c0} → {c1} ({at}): worsening work of breathing.",
+      "Monitorização contínua e reavaliação frequente (ex: 15–30 min), com plano explícito de escalada.": "Continuous monitoring and frequent reassessment (e.g. 15–30 min), with an explicit escalation plan.",
+      "Verificar interface/leaks, sincronização, conforto; optimizar IPAP/EPAP conforme objetivo (oxigenação vs ventilação) e tolerância.": "Check interface/leaks, synchrony, comfort; optimise IPAP/EPAP to the goal (oxygenation vs ventilation) and tolerance.",
+      "Reavaliar causa reversível e terapêutica específica (broncoespasmo, secreções, fluidos, antibiótico, etc.).": "Reassess reversible causes and specific therapy (bronchospasm, secretions, fluids, antibiotics, etc.).",
+      "Considerar precocemente equipa e logística de intubação, sobretudo se SF < 193 a 1–2 h ou deterioração clínica.": "Consider the intubation team and logistics early, especially if SF < 193 at 1–2 h or clinical deterioration.",
+      "Reavaliar resposta nas próximas 30–60 min; confirmar tendência de FR/FC e SF.": "Reassess the response over the next 30–60 min; confirm the RR/HR and SF trend.",
+      "Optimizar interface e parâmetros; documentar critérios de falência e gatilhos de escalada.": "Optimise interface and settings; document failure criteria and escalation triggers.",
+      "Manter VNI com vigilância e reavaliação seriada; confirmar melhoria sustentada de FR/FC e SF.": "Continue NIV with monitoring and serial reassessment; confirm sustained improvement in RR/HR and SF.",
+      "Há gatilhos assinalados: definir janela curta de reavaliação e plano de escalada (ex: intubação/VM se deterioração).": "Triggers are flagged: set a short reassessment window and an escalation plan (e.g. intubation/MV if deterioration).",
+      "Sem sinais fortes de alto risco com os dados fornecidos.": "No strong signs of high risk with the data provided.",
+      "VNI Pediátrica — Predição precoce (apoio à decisão)": "Paediatric NIV — Early prediction (decision support)",
+      "Hipoxémica (tipo 1)": "Hypoxaemic (type 1)",
+      "Hipercápnica/hipoventilação (tipo 2)": "Hypercapnic/hypoventilation (type 2)",
+      "Idade: {age} meses | IRA: {arf} | Dx: {diag}": "Age: {age} months | ARF: {arf} | Dx: {diag}",
+      "Início VNI: {at}": "NIV start: {at}",
+      "FR p/ idade: {rr} | FC p/ idade: {hr}": "RR for age: {rr} | HR for age: {hr}",
+      " ({d}% da escala)": " ({d}% of the scale)",
+      "Red flags: SIM": "Red flags: YES",
+      "Regras: {rules}": "Rules: {rules}",
+      "data desconhecida": "unknown date",
+      "Trajectória (Δ vs ponto anterior):": "Trajectory (Δ vs previous point):",
+      "Pressupostos / avisos:": "Assumptions / warnings:",
+      "basal": "baseline",
+      "suporte de VNI (suporte actual: ONAF)": "NIV support (current support: HFNC)",
+      " | score = risco de falência de ONAF (escalada)": " | score = risk of HFNC failure (escalation)",
+      "Intervalo por dados em falta: {lo}–{hi} (mesmo risco)": "Range due to missing data: {lo}–{hi} (same risk)",
+      "Intervalo por dados em falta: {lo}–{hi} (risco entre {tierLo} e {tierHi})": "Range due to missing data: {lo}–{hi} (risk between {tierLo} and {tierHi})",
+      "Score com dados em falta: {score} ({lo}–{hi}).": "Score with missing data: {score} ({lo}–{hi}).",
+      "O risco pode variar entre {lo} e {hi}.": "The risk may range from {lo} to {hi}.",
+      "O risco ({tier}) não muda dentro do intervalo.": "The risk ({tier}) does not change within the range.",
+      "Medir primeiro: {next}.": "Measure first: {next}.",
+      "{label} (amplitude {w} pts)": "{label} (range {w} pts)",
+      "Fatores principais:": "Main factors:",
+      "{c} p/ idade": "{c} for age",
+      "base {b} · ant. {p}": "base {b} · prev. {p}",
+      "Sem reavaliações preenchidas.": "No reassessments entered.",
+      "sem banda (0)": "no band (0)",
+      "dado em falta (valor por defeito)": "missing data (default value)",
+      "{label} (qualquer valor)": "{label} (any value)",
+      "Red flags (mínimo do score)": "Red flags (score floor)",
+      "score elevado até {n}": "score raised to {n}",
+      "Limite 0–100 / arredondamento": "0–100 limit / rounding",
+      "máx": "max",
+      "Sem alternativas calculáveis com os dados actuais.": "No alternatives can be calculated with the current data.",
+      "{cond} levaria o risco a {tier} ({pts} → {score}/100).": "{cond} would move the risk to {tier} ({pts} → {score}/100).",
+      "{cond}: {pts} nos componentes, sem efeito no score final (red flags / limites).": "{cond}: {pts} in the components, no effect on the final score (red flags / limits).",
+      "{cond} somaria {n} pontos ({score}/100, mantém {tier}).": "{cond} would add {n} points ({score}/100, stays {tier}).",
+      "{cond} subtrairia {n} pontos ({score}/100, mantém {tier}).": "{cond} would subtract {n} points ({score}/100, stays {tier}).",
+      "São precisas pelo menos duas medições com hora.": "At least two timed measurements are needed.",
+      "Sem dados para desenhar.": "No data to plot.",
+      "Score e risco": "Score and risk",
+      "FR (cpm)": "RR (bpm)",
+      "FC (bpm)": "HR (bpm)",
+      "= base": "= base",
+      "{d} vs base": "{d} vs base",
+      "Red flag": "Red flag",
+      "Critério": "Criterion",
+      "{label} (hora n/r)": "{label} (time not recorded)",
+      "SF muito baixo": "Very low SF",
+      "SF baixo (<193)": "Low SF (<193)",
+      "SF aceitável": "Acceptable SF",
+      "FiO₂ alta": "High FiO₂",
+      "FiO₂ moderada": "Moderate FiO₂",
+      "FiO₂ baixa/moderada": "Low/moderate FiO₂",
+
+      /* ---- history, outcomes, audit ---- */
+      "Sucesso (sem escalada)": "Success (no escalation)",
+      "Falência — intubação": "Failure — intubation",
+      "Falência — escalada para outro suporte": "Failure — escalation to another support",
+      "Desfecho": "Outcome",
+      "— desfecho —": "— outcome —",
+      "h até falência": "h to failure",
+      "Horas desde o início da VNI até à falência": "Hours from NIV start to failure",
+      "suporte (ex: VNI→VMI, ECMO)": "support (e.g. NIV→IMV, ECMO)",
+      "Suporte para que escalou": "Support escalated to",
+      "{n} de {total} casos": "{n} of {total} cases",
+      "Nenhum caso corresponde aos filtros.": "No case matches the filters.",
+      "Sem histórico ainda.": "No history yet.",
+      "Carregar": "Load",
+      "Apagar": "Delete",
+      "Apagar este caso do histórico local?": "Delete this case from the local history?",
+      "Mostrar mais ({n})": "Show more ({n})",
+      "SF recente < 193": "Latest SF < 193",
+      "SF recente < 150": "Latest SF < 150",
+      "Queda de FR < 10%": "RR fall < 10%",
+      "FC sem descida": "HR not falling",
+      "FR recente ≥ P90 para a idade": "Latest RR ≥ P90 for age",
+      "Idade < 6 meses": "Age < 6 months",
+      "IRA hipoxémica (tipo 1)": "Hypoxaemic ARF (type 1)",
+      "pCO₂ sem descida": "pCO₂ not falling",
+      "VP/FP/FN/VN": "TP/FP/FN/TN",
+      "Sens.": "Sens.",
+      "Espec.": "Spec.",
+      "VPP": "PPV",
+      "VPN": "NPV",
+      "Casos com desfecho": "Cases with an outcome",
+      "Falências (intubação/escalada)": "Failures (intubation/escalation)",
+      "Tempo até falência (mediana)": "Time to failure (median)",
+      "AUROC do score (IC 95%)": "Score AUROC (95% CI)",
+      "Regras": "Rules",
+      "Nível": "Level",
+      "Falências": "Failures",
+      "Taxa": "Rate",
+      "Teste “≥ nível”: {head}": "Test “≥ level”: {head}",
+      "Taxa observada": "Observed rate",
+      "Marcador": "Marker",
+      "Componente": "Component",
+      "AUROC (IC 95%)": "AUROC (95% CI)",
+      "Componentes do score (AUROC dos pontos)": "Score components (AUROC of the points)",
+      "Regista o desfecho dos casos no Histórico (Resultado) para ver o desempenho.": "Record the case outcomes in the History (Result) to see the performance.",
+
+      /* ---- bed board ---- */
+      "Sem camas. Adiciona uma acima (ex: “Box 3”).": "No beds. Add one above (e.g. “Box 3”).",
+      "Indica a cama (ex: Box 3).": "Enter the bed (e.g. Box 3).",
+      "Já existe “{label}”.": "“{label}” already exists.",
+      "Novo nome da cama (sem identificação do doente):": "New bed name (no patient identification):",
+      "Libertar esta cama? O caso em curso é apagado (o histórico mantém-se).": "Free this bed? The ongoing case is deleted (the history is kept).",
+      "REAVALIAÇÃO EM ATRASO": "REASSESSMENT OVERDUE",
+      "Sem score": "No score",
+      "SF mais recente": "Latest SF",
+      "Última reavaliação": "Last reassessment",
+      "Próxima": "Next",
+      "sem hora de início": "no start time",
+      "Abrir": "Open",
+      "Renomear": "Rename",
+      "Libertar": "Free",
+      "há {m} min": "{m} min ago",
+      "há {h} h {m} min": "{h} h {m} min ago",
+
+      /* ---- settings, rules, PWA, messages ---- */
+      "local": "local",
+      "base": "default",
+      "Inputs disponíveis: {list}. Operadores: {ops}. Níveis obrigatórios: {tiers}.": "Available inputs: {list}. Operators: {ops}. Required levels: {tiers}.",
+      "Sem diferenças (regras de base).": "No differences (default rules).",
+      "JSON inválido — corrige antes de comparar.": "Invalid JSON — fix it before comparing.",
+      "JSON inválido.": "Invalid JSON.",
+      "Regras inválidas:": "Invalid rules:",
+      "As regras diferem das regras de base mas mantêm \"{tag}\". Altera \"id\" ou \"version\" para que os resultados fiquem identificáveis.": "The rules differ from the default rules but keep \"{tag}\". Change \"id\" or \"version\" so results stay identifiable.",
+      "Regras em uso: {tag}.": "Rules in use: {tag}.",
+      "Repor as regras de base? As regras locais serão apagadas.": "Restore the default rules? The local rules will be deleted.",
+      "Importado.": "Imported.",
+      "Resumo copiado.": "Summary copied.",
+      "Não foi possível copiar automaticamente (permissões do browser).": "Could not copy automatically (browser permissions).",
+      "Service Worker não suportado.": "Service Worker not supported.",
+      "Offline desactivado.": "Offline disabled.",
+      "Offline activo.": "Offline enabled.",
+      "Falha ao activar offline.": "Failed to enable offline.",
+      "Base guardada. Confirma manifest/scope se necessário.": "Base saved. Check manifest/scope if needed.",
+      "Exemplo carregado.": "Example loaded.",
+      "Campos limpos.": "Fields cleared.",
+      "Não foi possível guardar o caso no histórico local.": "Could not save the case to the local history.",
+      "Repor formulário e apagar dados locais?": "Reset the form and delete local data?",
+      "Dados limpos.": "Data cleared.",
+      "Link copiado.": "Link copied.",
+      "Cache limpa (casos e definições mantêm-se). Reabre a app.": "Cache cleared (cases and settings kept). Reopen the app.",
+      "Falha ao limpar cache.": "Failed to clear cache.",
+      "{n} caso(s) migrados para a base de dados local.": "{n} case(s) moved to the local database.",
+      "Nota: esta página está com zoom. Se vires um botão ‘X’ no topo (browser dentro de app), usa ⤴︎ Partilhar → Abrir no Safari → aA → Zoom 100%.": "Note: this page is zoomed. If you see an ‘X’ button at the top (in-app browser), use ⤴︎ Share → Open in Safari → aA → Zoom 100%.",
+      /* ---- HL7 FHIR ---- */
+      "Exporta o caso como Bundle FHIR: Observations (LOINC) de SpO₂, FiO₂, FR, FC, gasometria e pressões em cada ponto, e um RiskAssessment com score, nível, fatores e versão das regras. Sem identificação do doente. Importar aceita também Bundles FHIR.": "Exports the case as a FHIR Bundle: Observations (LOINC) of SpO₂, FiO₂, RR, HR, blood gas and pressures at each point, and a RiskAssessment with score, level, factors and rule version. No patient identification. Import also accepts FHIR Bundles.",
+      "Exportar FHIR": "Export FHIR",
+      "Importar FHIR": "Import FHIR",
+      "Servidor FHIR (opcional)": "FHIR server (optional)",
+      "Envia o Bundle como transação (POST ao URL base). Para testar:": "Sends the Bundle as a transaction (POST to the base URL). To test:",
+      "Enviar para servidor": "Send to server",
+      "Indica o URL base do servidor FHIR.": "Enter the FHIR server base URL.",
+      "Enviado para {base} (HTTP {status}, {n} recurso(s)).": "Sent to {base} (HTTP {status}, {n} resource(s)).",
+      "Enviado para FHIR.": "Sent to FHIR.",
+      "Falha ao enviar para {base}: {err}": "Failed to send to {base}: {err}",
+      "Falha ao enviar para FHIR.": "Failed to send to FHIR.",
+      /* ---- summary templates ---- */
+      "Resumo completo (padrão)": "Full summary (default)",
+      "Linha curta": "Short line",
+      "Modelo do resumo": "Summary template",
+      "O modelo escolhido define o texto do “Resumo para registo” e o que “Copiar resumo” copia. Os modelos de base não se alteram: guardar um deles cria uma cópia editável.": "The chosen template sets the text of the “Summary for the record” and what “Copy summary” copies. Built-in templates do not change: saving one creates an editable copy.",
+      "Modelo em uso": "Template in use",
+      "Nome": "Name",
+      "Ex: Nota diária UCIP": "E.g. PICU daily note",
+      "Modelo (texto)": "Template (text)",
+      "Guardar": "Save",
+      "Guardar como novo": "Save as new",
+      "Marcadores:": "Placeholders:",
+      "; condições": "; conditions",
+      "listas": "lists",
+      ". Valor em falta = vazio.": ". Missing value = empty.",
+      "Pré-visualização (caso actual)": "Preview (current case)",
+      "Valores: {values}. Listas ({{#each}}): {lists}.": "Values: {values}. Lists ({{#each}}): {lists}.",
+      "{{else}} fora de um bloco #if/#unless.": "{{else}} outside an #if/#unless block.",
+      "{{{tag}}} sem bloco correspondente.": "{{{tag}}} without a matching block.",
+      "Marcador inválido: {{{tag}}}.": "Invalid placeholder: {{{tag}}}.",
+      "Bloco #{type} {path} não fechado.": "Block #{type} {path} not closed.",
+      "Modelo inválido:": "Invalid template:",
+      "Modelo sem nome": "Untitled template",
+      "cópia": "copy",
+      "Modelo guardado.": "Template saved.",
+      "Apagar o modelo “{name}”?": "Delete the template “{name}”?",
+      /* ---- QR transfer ---- */
+      "Partilhar por QR": "Share via QR",
+      "Ler QR": "Scan QR",
+      "Fechar": "Close",
+      "Parte anterior": "Previous part",
+      "Parte seguinte": "Next part",
+      "Rodar automaticamente": "Cycle automatically",
+      "Ler de fotografia": "Read from photo",
+      "Aponta a câmara para o QR (ou para cada parte, por qualquer ordem). Só é importado quando todas as partes estiverem lidas e a verificação de integridade passar.": "Point the camera at the QR code (or at each part, in any order). Nothing is imported until every part has been read and the integrity check passes.",
+      "dados mal codificados": "badly encoded data",
+      "este browser não descomprime os dados": "this browser cannot decompress the data",
+      "dados comprimidos inválidos": "invalid compressed data",
+      "codificação desconhecida ({enc})": "unknown encoding ({enc})",
+      "verificação de integridade falhou": "integrity check failed",
+      "QR de uma versão não suportada ({v}).": "QR code from an unsupported version ({v}).",
+      "Parte QR inconsistente com as anteriores.": "QR part does not match the previous ones.",
+      "QR não reconhecido (não é uma transferência desta aplicação).": "QR code not recognised (not a transfer from this app).",
+      "Parte {i} de {n} lida. Falta: {missing}.": "Part {i} of {n} read. Missing: {missing}.",
+      "conteúdo inesperado": "unexpected content",
+      "Transferência rejeitada: {err}. Lê de novo todas as partes.": "Transfer rejected: {err}. Scan all parts again.",
+      "Caso recebido por QR.": "Case received via QR.",
+      "Transferência por QR": "QR transfer",
+      "Link do caso": "Case link",
+      "Cama (QR)": "Bed (QR)",
+      "Substituir o caso da cama “{label}” pelo recebido?": "Replace the case in bed “{label}” with the one received?",
+      "Transferência cancelada.": "Transfer cancelled.",
+      "Cama “{label}” recebida por QR.": "Bed “{label}” received via QR.",
+      "Sem dados para partilhar.": "No data to share.",
+      "Não foi possível gerar o QR.": "Could not generate the QR code.",
+      "Cama “{label}”: lê no outro dispositivo com “Ler QR” ou com a câmara. Sem identificação do doente.": "Bed “{label}”: scan on the other device with “Scan QR” or the camera. No patient identifiers.",
+      "Caso actual: lê no outro dispositivo com “Ler QR” ou com a câmara. Sem identificação do doente.": "Current case: scan on the other device with “Scan QR” or the camera. No patient identifiers.",
+      "Parte {i} de {n}": "Part {i} of {n}",
+      "Em curso: {got} de {n} parte(s) lida(s).": "In progress: {got} of {n} part(s) read.",
+      "Este browser não lê QR codes. Usa a câmara do telemóvel: cada parte abre a aplicação e fica guardada até estarem todas.": "This browser cannot read QR codes. Use the phone camera: each part opens the app and is kept until all have arrived.",
+      "Câmara indisponível. Usa uma fotografia do QR.": "Camera unavailable. Use a photo of the QR code.",
+      "Câmara indisponível ({err}). Usa uma fotografia do QR.": "Camera unavailable ({err}). Use a photo of the QR code.",
+      "Nenhum QR encontrado na imagem.": "No QR code found in the image.",
+      "Não foi possível ler a imagem.": "Could not read the image.",
+      /* ---- case links ---- */
+      "Copiar link do caso": "Copy case link",
+      "Link com os dados do caso (sem identificação)": "Link carrying the case data (no identifiers)",
+      "Fechar aviso": "Dismiss notice",
+      "Dados recebidos por link.": "Data received from a link.",
+      "Links de caso expiram após (horas)": "Case links expire after (hours)",
+      "vazio = sem expiração": "empty = no expiry",
+      "“Copiar link do caso” (Resultado) gera um link com os dados do caso comprimidos no fragmento (#), sem identificação. Abre o formulário preenchido e o resultado, também offline.": "“Copy case link” (Result) creates a link with the case data compressed into the fragment (#), without identifiers. It opens the filled-in form and the result, offline too.",
+      "Não foi possível gerar o link.": "Could not create the link.",
+      "Link do caso copiado (expira {when}).": "Case link copied (expires {when}).",
+      "Link do caso copiado.": "Case link copied.",
+      "link incompleto": "incomplete link",
+      "link de uma versão não suportada ({v})": "link from an unsupported version ({v})",
+      "o link expirou em {when}": "the link expired on {when}",
+      "Substituir o caso em curso pelos dados do link?": "Replace the current case with the data from the link?",
+      "Dados recebidos por link (gerado {at}; expira {exp}). Confirma-os antes de decidir.": "Data received from a link (created {at}; expires {exp}). Check it before acting on it.",
+      "Dados recebidos por link (gerado {at}). Confirma-os antes de decidir.": "Data received from a link (created {at}). Check it before acting on it.",
+      "Caso aberto a partir de um link.": "Case opened from a link.",
+      "Link não aberto: {err}.": "Link not opened: {err}.",
+      /* ---- reassessment reminders ---- */
+      "reavaliação agora": "reassess now",
+      "em atraso há {m} min": "overdue by {m} min",
+      "faltam {h} h {m} min": "{h} h {m} min left",
+      "faltam {m}:{s}": "{m}:{s} left",
+      "{at} — {what} para {due}": "{at} — {what} for {due}",
+      "agendado": "scheduled",
+      "hora atingida": "time reached",
+      "adiado": "snoozed",
+      "dispensado": "dismissed",
+      "Caso actual": "Current case",
+      "Indica os minutos até à reavaliação.": "Enter the minutes until reassessment.",
+      "Lembrete de reavaliação às {at}.": "Reassessment reminder at {at}.",
+      "Reavaliação: {label}": "Reassessment: {label}",
+      "Hora da reavaliação prevista ({at}).": "Planned reassessment time ({at}).",
+      "Adiar {m} min": "Snooze {m} min",
+      "Dispensar": "Dismiss",
+      "Proposta: {min} min (nível {tier}; {source}).": "Proposed: {min} min ({tier} tier; {source}).",
+      "definido nas regras": "set in the rules",
+      "valor por defeito do nível": "tier default",
+      "Carrega em “Calcular” para propor a próxima reavaliação.": "Press “Calculate” to propose the next reassessment.",
+      "Lembrete": "Reminder",
+      "Reavaliação:": "Reassessment:",
+      "Adiar 10 min": "Snooze 10 min",
+      "Próxima reavaliação": "Next reassessment",
+      "Minutos até à reavaliação": "Minutes until reassessment",
+      "Agendar lembrete": "Set reminder",
+      "Notificação do sistema quando chegar a hora (permite notificações e, para separadores em segundo plano, activa o modo offline). Agendar, adiar e dispensar ficam registados no caso.": "System notification when the time comes (allow notifications and, for background tabs, enable offline mode). Scheduling, snoozing and dismissing are logged on the case.",
+      /* ---- app updates ---- */
+      "Nova versão disponível ({version}).": "New version available ({version}).",
+      "Nova versão disponível.": "New version available.",
+      "Actualizar agora": "Update now",
+      "Modo offline desactivado: a app abre sempre a versão publicada.": "Offline mode is off: the app always opens the published version.",
+      "Sem ligação: não foi possível procurar actualizações.": "Offline: could not check for updates.",
+      "Já tens a versão mais recente ({version}).": "You already have the latest version ({version}).",
+      "Procurar actualização": "Check for update",
+      "Versão:": "Version:",
+      "Quando há uma nova versão aparece “Nova versão disponível — Actualizar agora”; o caso em curso é guardado antes de recarregar.": "When a new version is ready, “New version available — Update now” appears; the current case is saved before reloading.",
+      /* ---- case files (import / export) ---- */
+      "Sem casos no histórico para exportar.": "No cases in the history to export.",
+      "Arquivo exportado ({n} casos).": "Archive exported ({n} cases).",
+      "valor inválido {v} (aceites: {ok})": "invalid value {v} (accepted: {ok})",
+      "tem de ser um número (recebido {v})": "must be a number (got {v})",
+      "tem de ser true/false (recebido {v})": "must be true/false (got {v})",
+      "identificador inválido {v}": "invalid identifier {v}",
+      "data/hora inválida {v}": "invalid date/time {v}",
+      "tem de ser um objeto (recebido {v})": "must be an object (got {v})",
+      "tipo desconhecido": "unknown type",
+      "campo desconhecido, ignorado": "unknown field, ignored",
+      "itens de um score clínico desconhecido ({v})": "items of an unknown clinical score ({v})",
+      "item desconhecido em {score}, ignorado": "unknown {score} item, ignored",
+      "pontuação inválida {v}": "invalid item score {v}",
+      "o caso tem de ser um objeto": "the case must be an object",
+      "tem de ser uma lista com pelo menos a avaliação inicial": "must be a list with at least the baseline assessment",
+      "tem de ser um objeto": "must be an object",
+      "desfecho desconhecido {v}": "unknown outcome {v}",
+      "o registo tem de ser um objeto": "the record must be an object",
+      "Bundle FHIR sem dados de caso.": "FHIR Bundle without case data.",
+      "Não é um ficheiro de casos desta app.": "Not a case file from this app.",
+      "Ficheiro no esquema {v}, mais recente do que o desta app ({cur}). Actualiza a app para o importar.": "File uses schema {v}, newer than this app's ({cur}). Update the app to import it.",
+      "\"cases\" tem de ser uma lista.": "\"cases\" must be a list.",
+      "Tipo de ficheiro desconhecido {v}.": "Unknown file kind {v}.",
+      "JSON inválido: {err}": "Invalid JSON: {err}",
+      "esquema {v}, migrado para {cur}": "schema {v}, migrated to {cur}",
+      "esquema {v}": "schema {v}",
+      "Arquivo com {n} caso(s)": "Archive with {n} case(s)",
+      "Caso único": "Single case",
+      "Ficheiro não importado": "File not imported",
+      "{e} erro(s), {w} aviso(s).": "{e} error(s), {w} warning(s).",
+      "… e mais {n}.": "… and {n} more.",
+      "Actualizado": "Updated",
+      "Diagnóstico": "Diagnosis",
+      "Score": "Score",
+      "Estado": "Status",
+      "novo": "new",
+      "mesmo id, dados diferentes (substitui o local)": "same id, different data (replaces the local one)",
+      "já existe (idêntico)": "already stored (identical)",
+      "já existe com outro id (mesmos dados)": "already stored under another id (same data)",
+      "repetido no ficheiro": "repeated in the file",
+      "com erros (não importado)": "has errors (not imported)",
+      "Importação recusada: ver relatório.": "Import refused: see the report.",
+      "Nenhum caso seleccionado.": "No case selected.",
+      "{n} caso(s) importado(s).": "{n} case(s) imported.",
+      "Exportar o caso actual (JSON)": "Export the current case (JSON)",
+      "Exportar arquivo": "Export archive",
+      "Exportar caso actual": "Export current case",
+      "Exportar arquivo (todos os casos)": "Export archive (all cases)",
+      "Importar ficheiro": "Import file",
+      "Ficheiros JSON com versão de esquema: um caso ou o arquivo completo (com desfechos). Ficheiros de versões anteriores são convertidos; campos desconhecidos são ignorados e valores inválidos são indicados antes de importar.": "Schema-versioned JSON files: one case or the full archive (with outcomes). Files from earlier versions are converted; unknown fields are ignored and invalid values are reported before importing.",
+      "Importação": "Import",
+      "Importar seleccionados": "Import selected",
+      "Cancelar": "Cancel",
+      /* ---- CSV export / import ---- */
+      "CSV exportado ({n} casos).": "CSV exported ({n} cases).",
+      "CSV exportado só com cabeçalho (sem casos no histórico).": "CSV exported with the header only (no cases in the history).",
+      "coluna desconhecida, ignorada": "unknown column, ignored",
+      "Sem colunas de dados do caso: o cabeçalho tem de usar os nomes da exportação CSV.": "No case data columns: the header must use the column names of the CSV export.",
+      "linha {n}": "line {n}",
+      "Registo": "Record",
+      "Dados do caso": "Case data",
+      "Pontos de avaliação": "Assessment points",
+      "Métricas derivadas": "Derived metrics",
+      "Métricas por ponto (uma linha por ponto)": "Per-point metrics (one row per point)",
+      "CSV (folha de cálculo)": "CSV (spreadsheet)",
+      "Exporta todos os casos do histórico numa tabela para auditoria: dados introduzidos, métricas derivadas, score, nível, fatores principais, versão das regras e desfecho. O mesmo formato importa casos retrospectivos (as métricas derivadas são recalculadas).": "Exports every case in the history as one table for audit: entered data, derived metrics, score, tier, top factors, rule version and outcome. The same layout imports retrospective cases (derived metrics are recomputed).",
+      "Linhas": "Rows",
+      "Uma por caso (pontos em colunas t0.*, t1.*, …)": "One per case (points in columns t0.*, t1.*, …)",
+      "Uma por ponto de avaliação": "One per assessment point",
+      "Separador decimal": "Decimal separator",
+      "Vírgula (0,45; colunas separadas por ;)": "Comma (0,45; columns separated by ;)",
+      "Ponto (0.45; colunas separadas por ,)": "Point (0.45; columns separated by ,)",
+      "Colunas": "Columns",
+      "Exportar CSV": "Export CSV",
+      "Importar CSV": "Import CSV",
+      /* ---- built-in summary templates (whole body) ---- */
+      "VNI ({{mode}}): score {{score}}/100 — {{tier}}{{#if sf1}}; SF {{sf1At}} {{sf1}}{{/if}}{{#if drr}}; ΔFR {{drr}}{{/if}}{{#if redFlags}}; red flags{{/if}}{{#if factors}}. {{#each factors}}{{.}}{{#unless @last}}; {{/unless}}{{/each}}{{/if}}. [{{rules}}]": "NIV ({{mode}}): score {{score}}/100 — {{tier}}{{#if sf1}}; SF {{sf1At}} {{sf1}}{{/if}}{{#if drr}}; ΔRR {{drr}}{{/if}}{{#if redFlags}}; red flags{{/if}}{{#if factors}}. {{#each factors}}{{.}}{{#unless @last}}; {{/unless}}{{/each}}{{/if}}. [{{rules}}]",
+      "S: {{age}} meses, {{diag}} ({{arf}}), sob {{support}}.{{#if redFlags}} Red flags clínicas presentes.{{/if}}\nO:{{#each timepoints}}\n- {{label}}{{#if clock}} ({{clock}}){{/if}}: {{#if vitals}}{{vitals}}{{else}}sem dados{{/if}}{{/each}}\n{{#if clin}}{{clin}}\n{{/if}}{{#if acidBase}}Gasometria: {{acidBase}}\n{{/if}}{{#if pards}}PARDS: {{pards}}\n{{/if}}A: risco de falência {{tier}} (score {{score}}/100{{#if scoreRange}}; {{scoreRange}} com dados em falta{{/if}}). {{explain}}\nP:{{#each actions}}\n- {{.}}{{/each}}\n(Apoio à decisão; regras {{rules}})": "S: {{age}} months, {{diag}} ({{arf}}), on {{support}}.{{#if redFlags}} Clinical red flags present.{{/if}}\nO:{{#each timepoints}}\n- {{label}}{{#if clock}} ({{clock}}){{/if}}: {{#if vitals}}{{vitals}}{{else}}no data{{/if}}{{/each}}\n{{#if clin}}{{clin}}\n{{/if}}{{#if acidBase}}Blood gas: {{acidBase}}\n{{/if}}{{#if pards}}PARDS: {{pards}}\n{{/if}}A: risk of failure {{tier}} (score {{score}}/100{{#if scoreRange}}; {{scoreRange}} with missing data{{/if}}). {{explain}}\nP:{{#each actions}}\n- {{.}}{{/each}}\n(Decision support; rules {{rules}})",
+      "S: {{diag}}, {{age}} meses, sob {{support}}. Risco de falência {{tier}} (score {{score}}/100).\nB: IRA {{arf}}{{#if prism}}; PRISM III-24 {{prism}}{{/if}}{{#if weight}}; peso {{weight}} kg{{/if}}.\nA: {{#if sf1}}SF {{sf1At}} {{sf1}}{{#if sf0}} (basal {{sf0}}){{/if}}{{else}}SF sem dados{{/if}}{{#if drr}}; ΔFR {{drr}}{{/if}}{{#if dhr}}; ΔFC {{dhr}}{{/if}}{{#if dpco2}}; ΔpCO₂ {{dpco2}}{{/if}}.{{#if factors}} Fatores: {{#each factors}}{{.}}{{#unless @last}}; {{/unless}}{{/each}}.{{/if}}{{#if redFlags}} Red flags clínicas presentes.{{/if}}\nR:{{#each actions}}\n- {{.}}{{/each}}": "S: {{diag}}, {{age}} months, on {{support}}. Risk of failure {{tier}} (score {{score}}/100).\nB: ARF {{arf}}{{#if prism}}; PRISM III-24 {{prism}}{{/if}}{{#if weight}}; weight {{weight}} kg{{/if}}.\nA: {{#if sf1}}SF {{sf1At}} {{sf1}}{{#if sf0}} (baseline {{sf0}}){{/if}}{{else}}SF no data{{/if}}{{#if drr}}; ΔRR {{drr}}{{/if}}{{#if dhr}}; ΔHR {{dhr}}{{/if}}{{#if dpco2}}; ΔpCO₂ {{dpco2}}{{/if}}.{{#if factors}} Factors: {{#each factors}}{{.}}{{#unless @last}}; {{/unless}}{{/each}}.{{/if}}{{#if redFlags}} Clinical red flags present.{{/if}}\nR:{{#each actions}}\n- {{.}}{{/each}}"
+    }
+  },
+
+  es: {
+    label: "Español",
+    lang: "es",
+    messages: {
+      /* ---- page (index.html) ---- */
+      "VNI Pediátrica — Predição Precoce": "VNI Pediátrica — Predicción Precoz",
+      "Risco de falência nas primeiras horas (apoio à decisão)": "Riesgo de fracaso en las primeras horas (apoyo a la decisión)",
+      "Exportar": "Exportar",
+      "Importar": "Importar",
+      "Imprimir": "Imprimir",
+      "Repor": "Restablecer",
+      "Ronda": "Ronda",
+      "Ações ▾": "Acciones ▾",
+      "Calcular": "Calcular",
+      "Imprimir / PDF": "Imprimir / PDF",
+      "Alternar modo ronda": "Alternar modo ronda",
+      "Calculadora": "Calculadora",
+      "Camas": "Camas",
+      "Resultado": "Resultado",
+      "Desempenho": "Rendimiento",
+      "Evidência": "Evidencia",
+      "Definições": "Ajustes",
+      "Cama:": "Cama:",
+      "Quadro de camas": "Tablero de camas",
+      "Fechar cama": "Cerrar cama",
+      "1) Contexto clínico": "1) Contexto clínico",
+      "Exemplo: bronquiolite": "Ejemplo: bronquiolitis",
+      "Exemplo: ARDS": "Ejemplo: SDRA",
+      "Limpar campos": "Limpiar campos",
+      "Idade": "Edad",
+      "meses": "meses",
+      "dias": "días",
+      "anos": "años",
+      "Peso (kg)": "Peso (kg)",
+      "Usado para converter o fluxo de ONAF (L/kg/min → L/min).": "Se usa para convertir el flujo de OAF (L/kg/min → L/min).",
+      "Interface de VNI/CPAP": "Interfaz de VNI/CPAP",
+      "Facial / oronasal": "Facial / oronasal",
+      "Nasal (máscara ou prongs)": "Nasal (mascarilla o cánulas)",
+      "Tipo de IRA": "Tipo de IRA",
+      "Predominantemente hipoventilação / hipercápnica (ex: bronquiolite, asma)": "Predominantemente hipoventilación / hipercápnica (p. ej.: bronquiolitis, asma)",
+      "Predominantemente hipoxémica (V/Q, pneumonia, ARDS)": "Predominantemente hipoxémica (V/Q, neumonía, SDRA)",
+      "Classificação usada em estudos pediátricos para risco de falência da VNI.": "Clasificación usada en estudios pediátricos de riesgo de fracaso de la VNI.",
+      "Diagnóstico provável": "Diagnóstico probable",
+      "Bronquiolite": "Bronquiolitis",
+      "Asma / sibilância": "Asma / sibilancias",
+      "Pneumonia": "Neumonía",
+      "ARDS / lesão pulmonar difusa": "SDRA / lesión pulmonar difusa",
+      "Outro": "Otro",
+      "Score clínico": "Escala clínica",
+      "Automático (WDF na bronquiolite, PRAM na asma)": "Automático (WDF en bronquiolitis, PRAM en asma)",
+      "Tal modificado": "Tal modificado",
+      "Registado em cada ponto (total ou item a item).": "Se registra en cada punto (total o ítem a ítem).",
+      "Se não souberes, deixa em branco (o score funciona sem PRISM).": "Si no lo sabes, déjalo en blanco (el score funciona sin PRISM).",
+      "Red flags (contra-indicações / falência iminente)": "Signos de alarma (contraindicaciones / fracaso inminente)",
+      "Instabilidade hemodinâmica persistente": "Inestabilidad hemodinámica persistente",
+      "Alteração do estado mental (GCS < 10) / incapacidade de proteger via aérea": "Alteración del estado mental (GCS < 10) / incapacidad de proteger la vía aérea",
+      "Secreções não controláveis / necessidade de proteger via aérea": "Secreciones no controlables / necesidad de proteger la vía aérea",
+      "Apneias recorrentes": "Apneas recurrentes",
+      "Pneumotórax não drenado": "Neumotórax no drenado",
+      "Critérios operacionais de falência (gatilhos)": "Criterios operativos de fracaso (desencadenantes)",
+      "Hipoxemia persistente apesar de optimização (FiO₂/EPAP) e interface": "Hipoxemia persistente pese a optimizar FiO₂/EPAP e interfaz",
+      "Trabalho respiratório/exaustão progressiva (tiragem, fadiga)": "Trabajo respiratorio / agotamiento progresivo (tiraje, fatiga)",
+      "Hipercapnia/acidemia a agravar apesar de VNI": "Hipercapnia/acidemia en empeoramiento pese a la VNI",
+      "Intolerância/interface impossível (leaks incontroláveis)": "Intolerancia / interfaz imposible (fugas incontrolables)",
+      "Não altera o score numérico, mas aparece como alerta no Resultado.": "No cambia el score numérico, pero aparece como alerta en el Resultado.",
+      "Red flags / critérios assinalados às (h desde início VNI)": "Signos de alarma / criterios marcados a las (h desde inicio de VNI)",
+      "Usado para marcar o momento nos gráficos; em branco = última reavaliação.": "Se usa para marcar el momento en los gráficos; en blanco = última reevaluación.",
+      "Infiltrado(s) novo(s) na imagem torácica, compatível com doença parenquimatosa aguda": "Infiltrado(s) nuevo(s) en la imagen torácica, compatible con enfermedad parenquimatosa aguda",
+      "Explicado por falência cardíaca / sobrecarga hídrica": "Explicado por fallo cardíaco / sobrecarga hídrica",
+      "Com PaO₂ (opcional) e MAP (medida ou estimada) calcula PF, OI e OSI; ver Resultado.": "Con PaO₂ (opcional) y MAP (medida o estimada) se calculan PF, OI y OSI; ver Resultado.",
+      "2) Dados antes do suporte e reavaliações": "2) Datos antes del soporte y reevaluaciones",
+      "A ferramenta valoriza marcadores nas primeiras 1–2 horas e a tendência ao longo das reavaliações (ex: 1, 2, 6, 12, 24 h).": "La herramienta valora marcadores en las primeras 1–2 horas y la tendencia a lo largo de las reevaluaciones (p. ej.: 1, 2, 6, 12, 24 h).",
+      "Início do suporte (ONAF/VNI)": "Inicio del soporte (OAF/VNI)",
+      "Opcional. Permite sugerir a hora de cada reavaliação.": "Opcional. Permite sugerir la hora de cada reevaluación.",
+      "Suporte iniciado": "Soporte iniciado",
+      "ONAF (alto fluxo)": "OAF (alto flujo)",
+      "BiPAP (VNI)": "BiPAP (VNI)",
+      "+ Adicionar reavaliação": "+ Añadir reevaluación",
+      "= SpO₂ / FiO₂ (FiO₂ em fração: 0.21–1.0). A evidência pediátrica sugere limiar ~": "= SpO₂ / FiO₂ (FiO₂ en fracción: 0.21–1.0). La evidencia pediátrica sugiere un umbral de ~",
+      "ao fim de 1 h como marcador de alto risco de falência precoce.": "a la 1 h como marcador de alto riesgo de fracaso precoz.",
+      "Pré-visualização (em tempo real)": "Vista previa (en tiempo real)",
+      "SF última reavaliação": "SF última reevaluación",
+      "SF baseline": "SF basal",
+      "Contexto oxigenação": "Contexto de oxigenación",
+      "Actualiza automaticamente quando preenches SpO₂/FiO₂/EPAP.": "Se actualiza automáticamente al introducir SpO₂/FiO₂/EPAP.",
+      "Nota de segurança": "Nota de seguridad",
+      "Esta ferramenta é": "Esta herramienta es",
+      "apoio à decisão/educacional": "de apoyo a la decisión / educativa",
+      ", baseada em marcadores publicados. Não substitui julgamento clínico, nem define, por si só, indicação para intubação. Se existirem": ", basada en marcadores publicados. No sustituye el juicio clínico ni define, por sí sola, la indicación de intubación. Si existen",
+      "red flags": "signos de alarma",
+      "(instabilidade, falência neurológica, etc.), a priorização é clínica e imediata.": "(inestabilidad, fallo neurológico, etc.), la priorización es clínica e inmediata.",
+      "EPAP foi incluído como parâmetro contextual (oxigenação/PEEP). A evidência pediátrica publicada aponta mais consistentemente para SF, FR/FC e IPAP como preditores independentes; por isso, nesta versão EPAP não altera o score, mas aparece no resumo.": "La EPAP se incluye como parámetro contextual (oxigenación/PEEP). La evidencia pediátrica publicada señala con más consistencia SF, FR/FC e IPAP como predictores independientes; por eso, en esta versión la EPAP no cambia el score, pero aparece en el resumen.",
+      "Camas (ronda)": "Camas (ronda)",
+      "Adicionar cama": "Añadir cama",
+      "Cada cama guarda o seu caso em curso neste dispositivo. Usa só a localização (box/cama) — nunca nome ou nº de processo. Reavaliação em atraso = passou a hora da próxima reavaliação prevista (1, 2, 6, 12, 24 h desde o início da VNI).": "Cada cama guarda su caso en curso en este dispositivo. Usa solo la ubicación (box/cama) — nunca nombre ni n.º de historia. Reevaluación atrasada = ha pasado la hora de la siguiente reevaluación prevista (1, 2, 6, 12, 24 h desde el inicio de la VNI).",
+      "Copiar resumo": "Copiar resumen",
+      "Risco estimado": "Riesgo estimado",
+      "Preenche os dados e carrega em “Calcular”.": "Introduce los datos y pulsa “Calcular”.",
+      "Métricas": "Métricas",
+      "Suporte actual": "Soporte actual",
+      "ROX / ROX-HR (recente)": "ROX / ROX-HR (reciente)",
+      "Score clínico (baseline → recente)": "Escala clínica (basal → reciente)",
+      "FR para a idade (baseline → recente)": "FR para la edad (basal → reciente)",
+      "FC para a idade (baseline → recente)": "FC para la edad (basal → reciente)",
+      "Tendência pCO₂": "Tendencia de pCO₂",
+      "Ácido–base (gasometria recente)": "Ácido–base (gasometría reciente)",
+      "Oxigenação e PARDS (PALICC-2)": "Oxigenación y PARDS (PALICC-2)",
+      "Índices na medição mais recente com FiO₂. Não altera o score; confirma ou questiona o diagnóstico seleccionado.": "Índices en la medición más reciente con FiO₂. No cambia el score; confirma o cuestiona el diagnóstico seleccionado.",
+      "Modelos publicados (inputs e referência)": "Modelos publicados (variables y referencia)",
+      "Lado a lado com o score heurístico: desfecho, coorte e referência de cada modelo, e os inputs que faltam no intervalo temporal em que foi desenvolvido. Não é calculada probabilidade: os coeficientes dos modelos não estão incluídos.": "Junto al score heurístico: desenlace, cohorte y referencia de cada modelo, y las variables que faltan en la ventana temporal en la que se desarrolló. No se calcula probabilidad: los coeficientes de los modelos no están incluidos.",
+      "Decomposição do score": "Desglose del score",
+      "Pontos de cada componente das regras em uso (cinzento = dado em falta, valor por defeito), ajustes por red flags e limite 0–100.": "Puntos de cada componente de las reglas en uso (gris = dato ausente, valor por defecto), ajustes por signos de alarma y límite 0–100.",
+      "O que mudaria o risco": "Qué cambiaría el riesgo",
+      "Tendências": "Tendencias",
+      "Cada parâmetro ao longo das reavaliações (h desde o início da VNI). Pontos coloridos pelo risco nesse momento; linhas tracejadas = limiares das regras; linha vertical = red flag / critério operacional.": "Cada parámetro a lo largo de las reevaluaciones (h desde el inicio de la VNI). Puntos coloreados por el riesgo en ese momento; líneas discontinuas = umbrales de las reglas; línea vertical = signo de alarma / criterio operativo.",
+      "Trajectória": "Trayectoria",
+      "Cada reavaliação comparada com a baseline e com o ponto anterior; score recalculado em cada ponto.": "Cada reevaluación comparada con la basal y con el punto anterior; score recalculado en cada punto.",
+      "Ações sugeridas (dependentes do contexto)": "Acciones sugeridas (según el contexto)",
+      "Resumo para registo": "Resumen para el registro",
+      "Histórico (local)": "Historial (local)",
+      "Guarda automaticamente todos os casos neste dispositivo (IndexedDB; um registo por caso, actualizado a cada cálculo). Não inclui identificação. Regista aqui o desfecho para a auditoria em “Desempenho”.": "Guarda automáticamente todos los casos en este dispositivo (IndexedDB; un registro por caso, actualizado en cada cálculo). No incluye identificación. Registra aquí el desenlace para la auditoría en “Rendimiento”.",
+      "Todos os diagnósticos": "Todos los diagnósticos",
+      "Todos os riscos": "Todos los riesgos",
+      "Muito alto": "Muy alto",
+      "Alto": "Alto",
+      "Intermédio": "Intermedio",
+      "Baixo": "Bajo",
+      "Qualquer desfecho": "Cualquier desenlace",
+      "Sem desfecho": "Sin desenlace",
+      "Sucesso": "Éxito",
+      "Falência (intubação/escalada)": "Fracaso (intubación/escalada)",
+      "Intubação": "Intubación",
+      "Escalada": "Escalada",
+      "Desempenho local": "Rendimiento local",
+      "Score como registado": "Score tal como se registró",
+      "Score recalculado (regras em uso)": "Score recalculado (reglas en uso)",
+      "Actualizar": "Actualizar",
+      "Casos com desfecho registado": "Casos con desenlace registrado",
+      "Falência = intubação ou escalada para outro suporte. Casos sem desfecho são excluídos. Regista o desfecho no Histórico (Resultado).": "Fracaso = intubación o escalada a otro soporte. Los casos sin desenlace se excluyen. Registra el desenlace en el Historial (Resultado).",
+      "Score heurístico por limiar": "Score heurístico por umbral",
+      "Por nível de risco": "Por nivel de riesgo",
+      "Calibração": "Calibración",
+      "Taxa de falência observada por intervalo de score.": "Tasa de fracaso observada por intervalo de score.",
+      "Marcadores e componentes": "Marcadores y componentes",
+      "Evidência (o que foi implementado)": "Evidencia (qué se ha implementado)",
+      "Marcadores com melhor suporte em pediatria (primeiras horas)": "Marcadores con mejor respaldo en pediatría (primeras horas)",
+      "SpO₂/FiO₂ (SF) precoce": "SpO₂/FiO₂ (SF) precoz",
+      ": SF ao fim de 1 h é preditor de falência precoce; limiar sugerido ~": ": la SF a la 1 h predice el fracaso precoz; umbral sugerido ~",
+      "para falência ≤6 h. (Mayordomo‑Colunga 2013)": "para fracaso ≤6 h. (Mayordomo‑Colunga 2013)",
+      "Idade baixa": "Edad baja",
+      ": risco aumentado em lactentes (ex: <6 meses) em coortes. (Pons‑Òdena 2019; Mayordomo‑Colunga 2013)": ": riesgo aumentado en lactantes (p. ej.: <6 meses) en cohortes. (Pons‑Òdena 2019; Mayordomo‑Colunga 2013)",
+      "Gravidade global": "Gravedad global",
+      "(ex: PRISM): associada a falência em estudos prospetivos. (Mayordomo‑Colunga 2009; 2013)": "(p. ej.: PRISM): asociada a fracaso en estudios prospectivos. (Mayordomo‑Colunga 2009; 2013)",
+      "Resposta fisiológica precoce": "Respuesta fisiológica precoz",
+      ": menor redução da FR nas 1–6 h associa‑se a falência. (Mayordomo‑Colunga 2009; 2013)": ": un menor descenso de la FR en 1–6 h se asocia a fracaso. (Mayordomo‑Colunga 2009; 2013)",
+      "FC elevada e pressões mais altas precoces (IPAP)": "FC elevada y presiones precoces más altas (IPAP)",
+      "associam‑se a maior risco em coorte. (Pons‑Òdena 2019)": "se asocian a mayor riesgo en una cohorte. (Pons‑Òdena 2019)",
+      "FR/FC ajustadas à idade": "FR/FC ajustadas a la edad",
+      ": centis (e z‑scores) calculados a partir das curvas de referência pediátricas de Fleming 2011, na baseline e em cada reavaliação. A componente “taquipneia/taquicardia persistente para a idade” está disponível nas regras (desactivada por defeito).": ": percentiles (y z‑scores) calculados con las curvas de referencia pediátricas de Fleming 2011, en la basal y en cada reevaluación. El componente “taquipnea/taquicardia persistente para la edad” está disponible en las reglas (desactivado por defecto).",
+      ": cada reavaliação regista o suporte (ONAF, CPAP, BiPAP). Sob ONAF calculam-se o": ": cada reevaluación registra el soporte (OAF, CPAP, BiPAP). Con OAF se calculan el",
+      "(SF / FR) e o": "(SF / FR) y el",
+      "pediátrico (ROX / FC × 100) e o score usa um conjunto de regras próprio para falência de ONAF (": "pediátrico (ROX / FC × 100) y el score usa un conjunto de reglas propio para el fracaso de la OAF (",
+      "), com limiares": "), con umbrales",
+      "provisórios": "provisionales",
+      "a validar localmente. Após uma mudança de suporte, o ponto anterior à mudança serve de baseline.": "a validar localmente. Tras un cambio de soporte, el punto anterior al cambio sirve de basal.",
+      ": PF, SF (só com SpO₂ ≤ 97%), OI e OSI na medição mais recente; MAP medida, = CPAP, ou estimada em BiPAP (EPAP + (IPAP − EPAP) × 1/3). VNI facial/CPAP ≥ 5 com PF ≤ 300 ou SF ≤ 250 = PARDS; interface nasal ou ONAF ≥ 1.5 L/kg/min com PF < 300 ou SF < 250 = PARDS possível. A gravidade por OI/OSI (limiares de ventilação invasiva) é mostrada só como referência. Não altera o score.": ": PF, SF (solo con SpO₂ ≤ 97%), OI y OSI en la medición más reciente; MAP medida, = CPAP, o estimada en BiPAP (EPAP + (IPAP − EPAP) × 1/3). VNI facial/CPAP ≥ 5 con PF ≤ 300 o SF ≤ 250 = PARDS; interfaz nasal u OAF ≥ 1.5 L/kg/min con PF < 300 o SF < 250 = PARDS posible. La gravedad por OI/OSI (umbrales de ventilación invasiva) se muestra solo como referencia. No cambia el score.",
+      "Scores clínicos": "Escalas clínicas",
+      ": Wood-Downes-Ferrés (0–14; ligeira 1–3, moderada 4–7, grave 8–14) e Tal modificado (0–12; ≤ 5, 6–10, 11–12) na bronquiolite; PRAM (0–12; 0–3, 4–7, 8–12) e PASS (0–6; bandas 0–1, 2–3, 4–6 só indicativas) na asma. Mostrados na trajectória, tendências e explicação; a componente de score (gravidade recente e variação em % da escala vs baseline) está desactivada por defeito e activa-se no conjunto de regras.": ": Wood-Downes-Ferrés (0–14; leve 1–3, moderada 4–7, grave 8–14) y Tal modificado (0–12; ≤ 5, 6–10, 11–12) en la bronquiolitis; PRAM (0–12; 0–3, 4–7, 8–12) y PASS (0–6; bandas 0–1, 2–3, 4–6 solo orientativas) en el asma. Se muestran en la trayectoria, tendencias y explicación; el componente del score (gravedad reciente y variación en % de la escala vs basal) está desactivado por defecto y se activa en el conjunto de reglas.",
+      "Gasometria e ácido–base": "Gasometría y ácido–base",
+      ": amostra arterial, capilar ou venosa (não indicada = arterial). Venosa: pH +0.03 e pCO₂ −5 mmHg para interpretação e tendências; o peso da tendência pCO₂/pH no score é 1 (arterial), 0.75 (capilar) ou 0.5 (venosa), pela amostra menos fiável comparada. HCO₃⁻ calculado (Henderson–Hasselbalch) se não indicado. Compensação esperada: Winter (1.5 × HCO₃⁻ + 8 ± 2), 0.7 × HCO₃⁻ + 21 na alcalose metabólica, ΔHCO₃⁻ 0.1/0.35 (aguda/crónica) por mmHg de pCO₂ na acidose respiratória e 0.2/0.4 na alcalose; fora do esperado = distúrbio misto. Lactato > 2 mmol/L assinalado.": ": muestra arterial, capilar o venosa (no indicada = arterial). Venosa: pH +0.03 y pCO₂ −5 mmHg para interpretación y tendencias; el peso de la tendencia de pCO₂/pH en el score es 1 (arterial), 0.75 (capilar) o 0.5 (venosa), según la muestra menos fiable comparada. HCO₃⁻ calculado (Henderson–Hasselbalch) si no se indica. Compensación esperada: Winter (1.5 × HCO₃⁻ + 8 ± 2), 0.7 × HCO₃⁻ + 21 en la alcalosis metabólica, ΔHCO₃⁻ 0.1/0.35 (aguda/crónica) por mmHg de pCO₂ en la acidosis respiratoria y 0.2/0.4 en la alcalosis; fuera de lo esperado = trastorno mixto. Lactato > 2 mmol/L señalado.",
+      "Como o score é calculado (transparente)": "Cómo se calcula el score (transparente)",
+      "O score (0–100) é uma combinação explícita de regras (não é “caixa‑preta”). Prioriza fortemente:": "El score (0–100) es una combinación explícita de reglas (no es una “caja negra”). Prioriza claramente:",
+      "SF na reavaliação mais recente": "SF en la reevaluación más reciente",
+      "(1–2 h nas primeiras horas),": "(1–2 h en las primeras horas),",
+      "ausência de melhoria da FR/FC": "ausencia de mejoría de FR/FC",
+      "idade baixa": "edad baja",
+      "IRA hipoxémica/ARDS/pneumonia": "IRA hipoxémica/SDRA/neumonía",
+      "e": "y",
+      ". Red flags activam alerta “muito alto” independentemente do score numérico. Com várias reavaliações, as variações de FR/FC/pCO₂ são calculadas entre a baseline e o valor mais recente, e o score é recalculado em cada ponto da trajectória. Limiares e pesos vêm de um conjunto de regras versionado (ver Definições → Regras do score).": ". Los signos de alarma activan la alerta “muy alto” independientemente del score numérico. Con varias reevaluaciones, las variaciones de FR/FC/pCO₂ se calculan entre la basal y el valor más reciente, y el score se recalcula en cada punto de la trayectoria. Umbrales y pesos proceden de un conjunto de reglas versionado (ver Ajustes → Reglas del score).",
+      "Nota: os estudos publicados usam definições e populações diferentes; por isso, este score deve ser interpretado como “": "Nota: los estudios publicados usan definiciones y poblaciones distintas; por eso, este score debe interpretarse como “",
+      "triagem de risco": "cribado de riesgo",
+      "” e não como probabilidade calibrada.": "” y no como probabilidad calibrada.",
+      "Modelos multivariáveis publicados": "Modelos multivariables publicados",
+      "Além do score, o Resultado lista modelos publicados (ex: Mayordomo‑Colunga 2013, SF a 1 h; Pons‑Òdena 2019, idade <6 m, SF, FC e IPAP a 2 h) com os seus inputs, coorte e referência, e indica os inputs que faltam no caso. Não calcula a probabilidade de falência: os coeficientes dos modelos não estão incluídos.": "Además del score, el Resultado enumera modelos publicados (p. ej.: Mayordomo‑Colunga 2013, SF a la 1 h; Pons‑Òdena 2019, edad <6 m, SF, FC e IPAP a las 2 h) con sus variables, cohorte y referencia, e indica las variables que faltan en el caso. No calcula la probabilidad de fracaso: los coeficientes de los modelos no están incluidos.",
+      "Principais referências": "Referencias principales",
+      ". Intensive Care Med. 2013. (cutoff SF≈193 a 1 h)": ". Intensive Care Med. 2013. (punto de corte SF≈193 a la 1 h)",
+      ". Intensive Care Med. 2009. (tipo 1, PRISM, menor queda de FR)": ". Intensive Care Med. 2009. (tipo 1, PRISM, menor descenso de FR)",
+      ". An Pediatr (Barc). 2019. (idade <6 m, SF, FC e IPAP a 2 h)": ". An Pediatr (Barc). 2019. (edad <6 m, SF, FC e IPAP a las 2 h)",
+      ". 2021. (FiO₂ elevada, SF baixa, ausência de melhoria da taquipneia)": ". 2021. (FiO₂ elevada, SF baja, ausencia de mejoría de la taquipnea)",
+      ". Lancet. 2011. (centis de FR/FC por idade)": ". Lancet. 2011. (percentiles de FR/FC por edad)",
+      "Idioma": "Idioma",
+      "Idioma da interface e do resumo": "Idioma de la interfaz y del resumen",
+      "Os níveis de risco e fatores são guardados como chaves estáveis e mostrados no idioma escolhido; o resumo copiado sai neste idioma.": "Los niveles de riesgo y los factores se guardan como claves estables y se muestran en el idioma elegido; el resumen copiado sale en este idioma.",
+      "Modo offline (PWA)": "Modo sin conexión (PWA)",
+      "Activar Service Worker": "Activar Service Worker",
+      "Permite cache offline e adicionar ao ecrã inicial": "Permite caché sin conexión y añadir a la pantalla de inicio",
+      "Actualizar app": "Actualizar app",
+      "Limpar cache (último recurso)": "Borrar caché (último recurso)",
+      "Útil se o iPhone ficar preso a uma versão antiga. Os casos e definições locais mantêm-se.": "Útil si el iPhone se queda en una versión antigua. Los casos y ajustes locales se conservan.",
+      "Se a app ficar em https://utilizador.github.io/nome-do-repo/ então base =": "Si la app está en https://usuario.github.io/nombre-del-repo/ entonces base =",
+      "Aplicar": "Aplicar",
+      "Abrir / partilhar": "Abrir / compartir",
+      "Abrir no Safari": "Abrir en Safari",
+      "Copiar link": "Copiar enlace",
+      "Se a página abrir “ampliada”, toca em ⤴︎ Partilhar → Abrir no Safari → aA → Zoom 100%. Em alternativa: “Adicionar ao ecrã inicial”.": "Si la página se abre “ampliada”, toca ⤴︎ Compartir → Abrir en Safari → aA → Zoom 100%. Como alternativa: “Añadir a pantalla de inicio”.",
+      "Regras do score": "Reglas del score",
+      "Limiares e pesos do score estão definidos em JSON com": "Los umbrales y pesos del score se definen en JSON con",
+      ". Podes ajustá-los ao protocolo local; cada resultado, resumo e entrada do histórico regista a versão que o produziu.": ". Puedes ajustarlos al protocolo local; cada resultado, resumen y entrada del historial registra la versión que lo produjo.",
+      "Regras em uso": "Reglas en uso",
+      "Guardar regras": "Guardar reglas",
+      "Importar JSON": "Importar JSON",
+      "Exportar JSON": "Exportar JSON",
+      "Repor regras de base": "Restablecer reglas base",
+      "Diferenças vs regras de base": "Diferencias vs reglas base",
+      "Dados locais": "Datos locales",
+      "Os casos e o rascunho actual ficam no teu browser (IndexedDB); as preferências em localStorage. Exporta/Importa para portabilidade.": "Los casos y el borrador actual se quedan en tu navegador (IndexedDB); las preferencias en localStorage. Exporta/Importa para portabilidad.",
+      "Importar dados": "Importar datos",
+      "Imprimir / Guardar PDF": "Imprimir / Guardar PDF",
+      "Repor formulário": "Restablecer formulario",
+      "Modo ronda (inputs essenciais)": "Modo ronda (datos esenciales)",
+      "Ações": "Acciones",
+      "Calcular risco": "Calcular riesgo",
+      "Navegação": "Navegación",
+      "ex: 8": "p. ej.: 8",
+      "opcional (ex: 6.5)": "opcional (p. ej.: 6.5)",
+      "opcional (0–40+)": "opcional (0–40+)",
+      "opcional (ex: 4)": "opcional (p. ej.: 4)",
+      "ex: 90": "p. ej.: 90",
+      "ex: 0.60": "p. ej.: 0.60",
+      "opcional": "opcional",
+      "ex: 60": "p. ej.: 60",
+      "ex: 160": "p. ej.: 160",
+      "total ou por itens": "total o por ítems",
+      "opcional (arterial)": "opcional (arterial)",
+      "opcional (calculado se vazio)": "opcional (se calcula si está vacío)",
+      "ex: 1": "p. ej.: 1",
+      "ex: 94": "p. ej.: 94",
+      "ex: 0.40": "p. ej.: 0.40",
+      "ex: 45": "p. ej.: 45",
+      "ex: 145": "p. ej.: 145",
+      "ex: 2": "p. ej.: 2",
+      "ex: 6": "p. ej.: 6",
+      "opcional (estimada se vazia)": "opcional (se estima si está vacía)",
+      "ex: Box 3": "p. ej.: Box 3",
+      "Nome da cama": "Nombre de la cama",
+      "Filtrar por diagnóstico": "Filtrar por diagnóstico",
+      "Filtrar por risco": "Filtrar por riesgo",
+      "Filtrar por desfecho": "Filtrar por desenlace",
+      "Desde": "Desde",
+      "Até": "Hasta",
+      "procurar no resumo": "buscar en el resumen",
+      "Procurar no resumo": "Buscar en el resumen",
+      "Origem do score": "Origen del score",
+      "Ex: /nome-do-repo/": "P. ej.: /nombre-del-repo/",
+      "Regras (JSON)": "Reglas (JSON)",
+
+      /* ---- rule set: stable keys ---- */
+      "tier.very_high": "Muy alto",
+      "tier.high": "Alto",
+      "tier.intermediate": "Intermedio",
+      "tier.low": "Bajo",
+      "badge.very_high": "ALTO RIESGO",
+      "badge.high": "RIESGO ↑",
+      "badge.intermediate": "RIESGO ↔",
+      "badge.low": "RIESGO ↓",
+      "comp.sf": "SF en la reevaluación más reciente",
+      "comp.rr": "Variación de la FR vs basal",
+      "comp.hr": "Variación de la FC vs basal",
+      "comp.age": "Edad",
+      "comp.arfDiag": "Tipo de IRA / diagnóstico",
+      "comp.fio2": "FiO₂ actual con OAF",
+      "comp.prism": "PRISM III-24",
+      "comp.ipap": "IPAP en la reevaluación más reciente",
+      "comp.gas": "Tendencia de pCO₂ / pH",
+      "comp.vitalsAge": "Taquipnea / taquicardia persistente para la edad",
+      "comp.clinScore": "Escala clínica (WDF/Tal, PRAM/PASS)",
+      "comp.roxHr": "ROX-HR en la reevaluación más reciente",
+      "comp.flow": "Flujo (L/kg/min)",
+      "comp.diag": "Diagnóstico",
+      "factor.sf1.lt150": "SF {at} < 150 (SF={value})",
+      "factor.sf1.lt193": "SF {at} < 193 (SF={value})",
+      "factor.sf1.lt220": "SF {at} 193–219 (SF={value})",
+      "factor.sf1.lt260": "SF {at} 220–259 (SF={value})",
+      "note.sf1.lt150": "SF a las {at} < 193 (SF={value}): marcador de alto riesgo de fracaso precoz en una cohorte pediátrica.",
+      "note.sf1.lt193": "SF a las {at} < 193 (SF={value}): marcador de alto riesgo de fracaso precoz en una cohorte pediátrica.",
+      "factor.drr.none": "La FR no mejoró / empeoró",
+      "factor.drr.lt10": "Descenso de FR < 10%",
+      "factor.drr.noneHfnc": "La FR no mejoró con OAF",
+      "note.drr.none": "Descenso de FR < 10% (o peor): una respuesta precoz débil se asocia a fracaso en estudios prospectivos.",
+      "note.drr.lt10": "Descenso de FR < 10% (o peor): una respuesta precoz débil se asocia a fracaso en estudios prospectivos.",
+      "factor.age.lt6m": "Edad < 6 meses",
+      "note.age.lt6m": "Edad < 6 meses: mayor riesgo de fracaso (sincronía/fugas, gravedad).",
+      "factor.arf.type1": "IRA hipoxémica (tipo 1)",
+      "note.arf.type1": "IRA hipoxémica (tipo 1): mayor riesgo de fracaso vs tipo 2 en una cohorte pediátrica.",
+      "factor.diag.ards": "SDRA",
+      "note.diag.ards": "SDRA: asociado a mayores tasas de fracaso.",
+      "factor.diag.pneumonia": "Neumonía",
+      "note.prism.ge10": "Un PRISM elevado se asocia a fracaso en varias cohortes.",
+      "note.prism.ge5": "Un PRISM elevado se asocia a fracaso en varias cohortes.",
+      "factor.rrAge.p99": "Taquipnea persistente para la edad (> P99)",
+      "factor.rrAge.p90": "Taquipnea persistente para la edad (≥ P90)",
+      "note.rrAge.p90": "FR por encima del P90 para la edad en todas las reevaluaciones: taquipnea persistente pese a la VNI.",
+      "factor.hrAge.p99": "Taquicardia persistente para la edad (> P99)",
+      "factor.clin.severe": "Escala clínica grave {at}",
+      "factor.clin.noImprovement": "Escala clínica sin mejoría vs basal",
+      "note.clin.noImprovement": "Escala clínica (trabajo respiratorio) igual o peor que antes del soporte.",
+      "factor.roxHr.lt3": "ROX-HR {at} < 3 ({value})",
+      "factor.roxHr.lt5": "ROX-HR {at} < 5 ({value})",
+      "note.roxHr.lt3": "ROX-HR bajo con OAF: respuesta insuficiente; valorar escalada a VNI (umbral provisional).",
+      "note.roxHr.lt5": "ROX-HR bajo con OAF: respuesta insuficiente; valorar escalada a VNI (umbral provisional).",
+      "factor.fio2.ge60": "FiO₂ ≥ 0.60 con OAF",
+      "factor.flow.ge2": "Flujo ≥ 2 L/kg/min (poco margen)",
+      "factor.redFlags": "Signos de alarma clínicos",
+      "input.sf1": "SF en la reevaluación más reciente",
+      "input.sf0": "SF basal",
+      "input.drrPct": "Variación % de la FR (reciente vs basal)",
+      "input.dhrPct": "Variación % de la FC (reciente vs basal)",
+      "input.rrCentile": "Percentil de FR para la edad (más reciente)",
+      "input.hrCentile": "Percentil de FC para la edad (más reciente)",
+      "input.rrCentileMin": "Percentil mínimo de FR para la edad desde el inicio de la VNI (persistencia)",
+      "input.hrCentileMin": "Percentil mínimo de FC para la edad desde el inicio de la VNI (persistencia)",
+      "input.ageMonths": "Edad (meses)",
+      "input.arfType": "Tipo de IRA (type1 | type2)",
+      "input.diag": "Diagnóstico (bronchiolitis | asthma | pneumonia | ards | other)",
+      "input.fio2_0": "FiO₂ inicial (fracción)",
+      "input.prism": "PRISM III-24",
+      "input.ipap": "IPAP más reciente (cmH₂O)",
+      "input.dpco2": "Variación de pCO₂ (mmHg)",
+      "input.dph": "Variación de pH",
+      "input.fio2_1": "FiO₂ más reciente (fracción)",
+      "input.rox": "ROX (SF / FR) más reciente",
+      "input.roxHr": "ROX-HR (ROX / FC × 100) más reciente",
+      "input.flowKg": "Flujo de OAF más reciente (L/kg/min)",
+      "input.gasWeight": "Fiabilidad de las gasometrías comparadas (arterial 1, capilar 0.75, venosa 0.5)",
+      "input.lactate": "Lactato más reciente (mmol/L)",
+      "input.hco3": "HCO₃⁻ más reciente (mmol/L)",
+      "input.clinSev": "Gravedad de la escala clínica más reciente (0 leve, 1 moderada, 2 grave)",
+      "input.dClinPct": "Variación de la escala clínica vs basal (% de la escala)",
+
+      /* ---- fields, supports, samples ---- */
+      "Fluxo": "Flujo",
+      "Amostra": "Muestra",
+      "Tempo": "Tiempo",
+      "Centil FR": "Percentil FR",
+      "Centil FC": "Percentil FC",
+      "Centil FR mínimo": "Percentil FR mínimo",
+      "Centil FC mínimo": "Percentil FC mínimo",
+      "Gravidade clínica": "Gravedad clínica",
+      "Δscore clínico": "Δescala clínica",
+      "ONAF": "OAF",
+      "Gasometria (amostra)": "Gasometría (muestra)",
+      "— não indicada —": "— no indicada —",
+      "arterial": "arterial",
+      "capilar": "capilar",
+      "venosa": "venosa",
+      "Reavaliação {i}": "Reevaluación {i}",
+      "Remover": "Quitar",
+      "Tempo desde início (h)": "Tiempo desde el inicio (h)",
+      "Suporte": "Soporte",
+      "Fluxo (L/kg/min)": "Flujo (L/kg/min)",
+      "indicar o peso para L/min": "indicar el peso para L/min",
+      "= {m} meses": "= {m} meses",
+
+      /* ---- clinical scores ---- */
+      "Itens {score}": "Ítems {score}",
+      "{n}/{total} itens": "{n}/{total} ítems",
+      "ligeira": "leve",
+      "moderada": "moderada",
+      "grave": "grave",
+      "Sibilâncias": "Sibilancias",
+      "Tiragem": "Tiraje",
+      "Entrada de ar": "Entrada de aire",
+      "Cianose": "Cianosis",
+      "Não": "No",
+      "Sim": "Sí",
+      "Final da expiração": "Final de la espiración",
+      "Toda a expiração": "Toda la espiración",
+      "Inspiração e expiração": "Inspiración y espiración",
+      "Subcostal": "Subcostal",
+      "+ supraclavicular / adejo nasal": "+ supraclavicular / aleteo nasal",
+      "+ intercostal / supraesternal": "+ intercostal / supraesternal",
+      "Boa, simétrica": "Buena, simétrica",
+      "Regular, simétrica": "Regular, simétrica",
+      "Muito diminuída": "Muy disminuida",
+      "Tórax silencioso": "Tórax silente",
+      "FR (< 6 m | ≥ 6 m)": "FR (< 6 m | ≥ 6 m)",
+      "Só expiratórias (estetoscópio)": "Solo espiratorias (estetoscopio)",
+      "Insp. e exp. (estetoscópio)": "Insp. y esp. (estetoscopio)",
+      "Audíveis sem estetoscópio": "Audibles sin estetoscopio",
+      "SpO₂ (ar ambiente)": "SpO₂ (aire ambiente)",
+      "Intercostal": "Intercostal",
+      "Intercostal e subesternal": "Intercostal y subesternal",
+      "Grave, com adejo nasal": "Grave, con aleteo nasal",
+      "Tiragem supraesternal": "Tiraje supraesternal",
+      "Contracção dos escalenos": "Contracción de los escalenos",
+      "Normal": "Normal",
+      "Diminuída nas bases": "Disminuida en las bases",
+      "Diminuída difusamente": "Disminuida de forma difusa",
+      "Ausente / mínima": "Ausente / mínima",
+      "Só expiratórias": "Solo espiratorias",
+      "Insp. e exp.": "Insp. y esp.",
+      "Audíveis sem estetoscópio / tórax silencioso": "Audibles sin estetoscopio / tórax silente",
+      "Ausentes / ligeiras": "Ausentes / leves",
+      "Moderadas": "Moderadas",
+      "Graves / ausentes por má entrada de ar": "Graves / ausentes por mala entrada de aire",
+      "Trabalho respiratório": "Trabajo respiratorio",
+      "Normal / ligeiro": "Normal / leve",
+      "Moderado": "Moderado",
+      "Grave": "Grave",
+      "Prolongamento da expiração": "Prolongación de la espiración",
+
+      /* ---- published models ---- */
+      "SF a ~1 h (0.5–2 h)": "SF a ~1 h (0.5–2 h)",
+      "Mayordomo‑Colunga 2013 (SF a 1 h)": "Mayordomo‑Colunga 2013 (SF a la 1 h)",
+      "Falência precoce da VNI (≤ 6 h)": "Fracaso precoz de la VNI (≤ 6 h)",
+      "Multicêntrico prospetivo, UCIP Espanha; crianças em VNI por IRA (1 mês–17 anos).": "Multicéntrico prospectivo, UCIP de España; niños en VNI por IRA (1 mes–17 años).",
+      "Pons‑Òdena 2019 (modelo a 2 h)": "Pons‑Òdena 2019 (modelo a las 2 h)",
+      "Falência da VNI (necessidade de intubação)": "Fracaso de la VNI (necesidad de intubación)",
+      "Coorte prospetiva, UCIP terciária (Barcelona); lactentes e crianças em VNI por IRA.": "Cohorte prospectiva, UCIP terciaria (Barcelona); lactantes y niños en VNI por IRA.",
+      "Desfecho: {x}": "Desenlace: {x}",
+      "Coorte: {x}": "Cohorte: {x}",
+      "Não aplicável — falta: {list}.": "No aplicable — falta: {list}.",
+      "Inputs disponíveis: {list}.": "Variables disponibles: {list}.",
+
+      /* ---- validation ---- */
+      "Baseline": "Basal",
+      "baseline": "basal",
+      "reavaliação": "reevaluación",
+      "Idade não numérica.": "Edad no numérica.",
+      "Idade negativa.": "Edad negativa.",
+      "Idade {y} anos: fora da população pediátrica dos estudos.": "Edad {y} años: fuera de la población pediátrica de los estudios.",
+      "Idade em falta: limites de FR/FC genéricos (não ajustados à idade).": "Falta la edad: límites de FR/FC genéricos (no ajustados a la edad).",
+      "PRISM não numérico.": "PRISM no numérico.",
+      "PRISM III fora do intervalo possível ({min}–{max}).": "PRISM III fuera del intervalo posible ({min}–{max}).",
+      "Peso não numérico.": "Peso no numérico.",
+      "Peso {v} kg fora de {min}–{max} kg.": "Peso {v} kg fuera de {min}–{max} kg.",
+      "Score clínico desconhecido (\"{v}\").": "Escala clínica desconocida (\"{v}\").",
+      "{label}: {v}% fora de {min}–{max}%.": "{label}: {v}% fuera de {min}–{max}%.",
+      "{label} {v}%: muito baixa — confirmar leitura/sonda.": "{label} {v}%: muy baja — confirmar lectura/sensor.",
+      "{label} {v}% > 97%: SF pouco fiável (zona plana da curva de dissociação); considerar reduzir FiO₂.": "{label} {v}% > 97%: SF poco fiable (zona plana de la curva de disociación); considerar reducir la FiO₂.",
+      "{label}: {v} é ambíguo — nem fração (0.21–1.0) nem % (21–100).": "{label}: {v} es ambiguo — ni fracción (0.21–1.0) ni % (21–100).",
+      "{label}: {v} abaixo de 0.21 (ar ambiente).": "{label}: {v} por debajo de 0.21 (aire ambiente).",
+      "{label} \"{v}\" interpretada como % → {f}.": "{label} \"{v}\" interpretada como % → {f}.",
+      "{label} \"{v}\" interpretada como fração → 1.00 (100%).": "{label} \"{v}\" interpretada como fracción → 1.00 (100%).",
+      "{label}: {v}/min implausível para a idade ({lo}–{hi}).": "{label}: {v}/min inverosímil para la edad ({lo}–{hi}).",
+      "{label}: {v} fora de {min}–{max}{hint}.": "{label}: {v} fuera de {min}–{max}{hint}.",
+      " — falta o ponto decimal? (ex: {x})": " — ¿falta el punto decimal? (p. ej.: {x})",
+      "{label}: {v} fora de {min}–{max} mmHg.": "{label}: {v} fuera de {min}–{max} mmHg.",
+      "{label}: {v} fora de {min}–{max} mmol/L.": "{label}: {v} fuera de {min}–{max} mmol/L.",
+      "{label}: {v} fora de 0–{max} ({score}).": "{label}: {v} fuera de 0–{max} ({score}).",
+      "{label}: tempo negativo.": "{label}: tiempo negativo.",
+      "{label}: {v} parece estar em L/min (≈ {kg} L/kg/min); introduzir em L/kg/min.": "{label}: {v} parece estar en L/min (≈ {kg} L/kg/min); introducir en L/kg/min.",
+      "{where}: mesmo tempo que a reavaliação {j}.": "{where}: mismo tiempo que la reevaluación {j}.",
+      "{where}: tipo de amostra não indicado — gasometria interpretada como arterial.": "{where}: tipo de muestra no indicado — gasometría interpretada como arterial.",
+      "{where}: HCO₃⁻ {v} não concorda com pH/pCO₂ (calculado ≈ {calc}) — confirmar valores.": "{where}: HCO₃⁻ {v} no concuerda con pH/pCO₂ (calculado ≈ {calc}) — confirmar valores.",
+      "{where}: PaO₂ {v} com SpO₂ {spo2}% — amostra venosa?": "{where}: PaO₂ {v} con SpO₂ {spo2}% — ¿muestra venosa?",
+      "{where}: score clínico preenchido sem escala (diagnóstico sem score clínico).": "{where}: escala clínica rellenada sin escala definida (diagnóstico sin escala clínica).",
+      "{score} está validado para bronquiolite, não para o diagnóstico seleccionado.": "{score} está validado para bronquiolitis, no para el diagnóstico seleccionado.",
+      "{score} está validado para asma, não para o diagnóstico seleccionado.": "{score} está validado para asma, no para el diagnóstico seleccionado.",
+      "Peso em falta: fluxo de ONAF sem conversão para L/min.": "Falta el peso: flujo de OAF sin conversión a L/min.",
+      "{n} erro(s) nos dados": "{n} error(es) en los datos",
+      "{n} erro(s) nos dados — corrige antes de calcular.": "{n} error(es) en los datos — corrígelos antes de calcular.",
+      "{n} aviso(s)": "{n} aviso(s)",
+
+      /* ---- PARDS ---- */
+      "Sem dados de oxigenação": "Sin datos de oxigenación",
+      "SF não utilizável (SpO₂ > 97%) e sem PaO₂.": "SF no utilizable (SpO₂ > 97%) y sin PaO₂.",
+      "medida": "medida",
+      "estimada IPAP/EPAP": "estimada IPAP/EPAP",
+      "PARDS (VNI, máscara facial)": "PARDS (VNI, mascarilla facial)",
+      "PARDS possível (interface nasal / ONAF)": "PARDS posible (interfaz nasal / OAF)",
+      "Em risco de PARDS (critérios de oxigenação não cumpridos)": "En riesgo de PARDS (criterios de oxigenación no cumplidos)",
+      "Sem critérios de PARDS": "Sin criterios de PARDS",
+      "Critérios de oxigenação cumpridos, mas PARDS excluído (causa cardíaca / sobrecarga)": "Criterios de oxigenación cumplidos, pero PARDS excluido (causa cardíaca / sobrecarga)",
+      "Hipoxemia explicada por falência cardíaca / sobrecarga hídrica: exclui PARDS.": "Hipoxemia explicada por fallo cardíaco / sobrecarga hídrica: excluye PARDS.",
+      "Falta confirmar infiltrado novo na imagem torácica (critério PALICC-2).": "Falta confirmar infiltrado nuevo en la imagen torácica (criterio PALICC-2).",
+      "CPAP/EPAP < 5 cmH₂O (ou não registado): critério de VNI do PALICC-2 não aplicável.": "CPAP/EPAP < 5 cmH₂O (o no registrado): criterio de VNI de PALICC-2 no aplicable.",
+      "ONAF sem fluxo registado: abaixo de 1.5 L/kg/min (limiar de “PARDS possível”).": "OAF sin flujo registrado: por debajo de 1.5 L/kg/min (umbral de “PARDS posible”).",
+      "ONAF a {f} L/kg/min{lmin}: abaixo de 1.5 L/kg/min (limiar de “PARDS possível”).": "OAF a {f} L/kg/min{lmin}: por debajo de 1.5 L/kg/min (umbral de “PARDS posible”).",
+      "ligeira/moderada": "leve/moderada",
+      "{sev} pelos limiares de VMI ({idx})": "{sev} según los umbrales de VMI ({idx})",
+      "Diagnóstico seleccionado “ARDS” não é suportado pelos critérios PALICC-2 com os dados actuais.": "El diagnóstico seleccionado “SDRA” no está respaldado por los criterios PALICC-2 con los datos actuales.",
+      "Diagnóstico “ARDS” consistente (possível pelos critérios de oxigenação e imagem).": "Diagnóstico “SDRA” coherente (posible por criterios de oxigenación e imagen).",
+      "Diagnóstico “ARDS” consistente (possível pelos critérios de oxigenação).": "Diagnóstico “SDRA” coherente (posible por criterios de oxigenación).",
+      "Diagnóstico “ARDS” consistente (confirmado pelos critérios de oxigenação e imagem).": "Diagnóstico “SDRA” coherente (confirmado por criterios de oxigenación e imagen).",
+      "Diagnóstico “ARDS” consistente (confirmado pelos critérios de oxigenação).": "Diagnóstico “SDRA” coherente (confirmado por criterios de oxigenación).",
+      "Cumpre critérios de oxigenação PALICC-2 de PARDS possível — considerar rever o diagnóstico seleccionado.": "Cumple criterios de oxigenación PALICC-2 de PARDS posible — considerar revisar el diagnóstico seleccionado.",
+      "Cumpre critérios de oxigenação PALICC-2 de PARDS — considerar rever o diagnóstico seleccionado.": "Cumple criterios de oxigenación PALICC-2 de PARDS — considerar revisar el diagnóstico seleccionado.",
+      "Gravidade": "Gravedad",
+      "não estadiada em VNI/ONAF": "no estadificada en VNI/OAF",
+      "Sem FiO₂ com SpO₂/PaO₂ registados.": "Sin FiO₂ registrada con SpO₂/PaO₂.",
+
+      /* ---- acid–base ---- */
+      "Acidose respiratória": "Acidosis respiratoria",
+      "Alcalose respiratória": "Alcalosis respiratoria",
+      "Acidose metabólica": "Acidosis metabólica",
+      "Alcalose metabólica": "Alcalosis metabólica",
+      "Acidose mista (respiratória + metabólica)": "Acidosis mixta (respiratoria + metabólica)",
+      "Distúrbio misto com pH normal": "Trastorno mixto con pH normal",
+      "Alteração sem acidemia/alcalemia": "Alteración sin acidemia/alcalemia",
+      "aguda": "aguda",
+      "aguda (sem compensação renal)": "aguda (sin compensación renal)",
+      "crónica (compensada)": "crónica (compensada)",
+      "aguda sobre crónica / parcialmente compensada": "aguda sobre crónica / parcialmente compensada",
+      "pCO₂ esperada {range} mmHg (Winter)": "pCO₂ esperada {range} mmHg (Winter)",
+      "pCO₂ esperada {range} mmHg": "pCO₂ esperada {range} mmHg",
+      "acidose respiratória associada": "acidosis respiratoria asociada",
+      "acidose respiratória associada (compensação insuficiente)": "acidosis respiratoria asociada (compensación insuficiente)",
+      "alcalose respiratória associada": "alcalosis respiratoria asociada",
+      "acidose metabólica associada": "acidosis metabólica asociada",
+      "alcalose metabólica associada": "alcalosis metabólica asociada",
+      "acidose respiratória + alcalose metabólica": "acidosis respiratoria + alcalosis metabólica",
+      "alcalose respiratória + acidose metabólica": "alcalosis respiratoria + acidosis metabólica",
+      "misto": "mixto",
+      "Tipo de amostra não indicado: interpretada como arterial.": "Tipo de muestra no indicado: interpretada como arterial.",
+      "Amostra venosa: pH +0.03 e pCO₂ −5 mmHg para interpretação (estimativa arterial).": "Muestra venosa: pH +0.03 y pCO₂ −5 mmHg para la interpretación (estimación arterial).",
+      "Amostra capilar: pH/pCO₂ fiáveis só com boa perfusão periférica.": "Muestra capilar: pH/pCO₂ fiables solo con buena perfusión periférica.",
+      "HCO₃⁻ calculado a partir de pH/pCO₂.": "HCO₃⁻ calculado a partir de pH/pCO₂.",
+      "HCO₃⁻ medido ({m}) difere do calculado ({c}): confirmar valores.": "HCO₃⁻ medido ({m}) difiere del calculado ({c}): confirmar valores.",
+      "Lactato {v} mmol/L elevado.": "Lactato {v} mmol/L elevado.",
+      "Lactato {v} mmol/L muito elevado.": "Lactato {v} mmol/L muy elevado.",
+      "Gasometria": "Gasometría",
+      "tipo n/d": "tipo n/d",
+      "amostra n/d": "muestra n/d",
+      "peso {w} — amostra não arterial": "peso {w} — muestra no arterial",
+
+      /* ---- result, explanation, summary ---- */
+      "FiO₂ alta (≥0.70)": "FiO₂ alta (≥0.70)",
+      "FiO₂ moderada (0.50–0.69)": "FiO₂ moderada (0.50–0.69)",
+      "FiO₂ baixa/moderada (<0.50)": "FiO₂ baja/moderada (<0.50)",
+      "Há red flags clínicas assinaladas (isto pesa mais do que qualquer score).": "Hay signos de alarma clínicos marcados (esto pesa más que cualquier score).",
+      "Critérios operacionais de falência assinalados (gatilhos de escalada).": "Criterios operativos de fracaso marcados (desencadenantes de escalada).",
+      "Se não atingir SF ~190 após 1 h de VNI, a necessidade de intubação deve ser ponderada no contexto clínico global.": "Si no alcanza SF ~190 tras 1 h de VNI, la necesidad de intubación debe valorarse en el contexto clínico global.",
+      "{score} {c0} → {c1} ({at}): melhoria do trabalho respiratório.": "{score} {c0} → {c1} ({at}): mejoría del trabajo respiratorio.",
+      "{score} {c0} → {c1} ({at}): agravamento do trabalho respiratório.": "{score} {c0} → {c1} ({at}): empeoramiento del trabajo respiratorio.",
+      "Monitorização contínua e reavaliação frequente (ex: 15–30 min), com plano explícito de escalada.": "Monitorización continua y reevaluación frecuente (p. ej.: 15–30 min), con un plan explícito de escalada.",
+      "Verificar interface/leaks, sincronização, conforto; optimizar IPAP/EPAP conforme objetivo (oxigenação vs ventilação) e tolerância.": "Revisar interfaz/fugas, sincronía, confort; optimizar IPAP/EPAP según el objetivo (oxigenación vs ventilación) y la tolerancia.",
+      "Reavaliar causa reversível e terapêutica específica (broncoespasmo, secreções, fluidos, antibiótico, etc.).": "Reevaluar causas reversibles y tratamiento específico (broncoespasmo, secreciones, fluidos, antibiótico, etc.).",
+      "Considerar precocemente equipa e logística de intubação, sobretudo se SF < 193 a 1–2 h ou deterioração clínica.": "Considerar precozmente el equipo y la logística de intubación, sobre todo si SF < 193 a las 1–2 h o deterioro clínico.",
+      "Reavaliar resposta nas próximas 30–60 min; confirmar tendência de FR/FC e SF.": "Reevaluar la respuesta en los próximos 30–60 min; confirmar la tendencia de FR/FC y SF.",
+      "Optimizar interface e parâmetros; documentar critérios de falência e gatilhos de escalada.": "Optimizar interfaz y parámetros; documentar criterios de fracaso y desencadenantes de escalada.",
+      "Manter VNI com vigilância e reavaliação seriada; confirmar melhoria sustentada de FR/FC e SF.": "Mantener la VNI con vigilancia y reevaluación seriada; confirmar mejoría mantenida de FR/FC y SF.",
+      "Há gatilhos assinalados: definir janela curta de reavaliação e plano de escalada (ex: intubação/VM se deterioração).": "Hay desencadenantes marcados: definir una ventana corta de reevaluación y un plan de escalada (p. ej.: intubación/VM si hay deterioro).",
+      "Sem sinais fortes de alto risco com os dados fornecidos.": "Sin signos claros de alto riesgo con los datos aportados.",
+      "VNI Pediátrica — Predição precoce (apoio à decisão)": "VNI Pediátrica — Predicción precoz (apoyo a la decisión)",
+      "Hipoxémica (tipo 1)": "Hipoxémica (tipo 1)",
+      "Hipercápnica/hipoventilação (tipo 2)": "Hipercápnica/hipoventilación (tipo 2)",
+      "Idade: {age} meses | IRA: {arf} | Dx: {diag}": "Edad: {age} meses | IRA: {arf} | Dx: {diag}",
+      "Início VNI: {at}": "Inicio VNI: {at}",
+      "FR p/ idade: {rr} | FC p/ idade: {hr}": "FR para la edad: {rr} | FC para la edad: {hr}",
+      " ({d}% da escala)": " ({d}% de la escala)",
+      "Red flags: SIM": "Signos de alarma: SÍ",
+      "Regras: {rules}": "Reglas: {rules}",
+      "data desconhecida": "fecha desconocida",
+      "Trajectória (Δ vs ponto anterior):": "Trayectoria (Δ vs punto anterior):",
+      "Pressupostos / avisos:": "Supuestos / avisos:",
+      "basal": "basal",
+      "suporte de VNI (suporte actual: ONAF)": "soporte de VNI (soporte actual: OAF)",
+      " | score = risco de falência de ONAF (escalada)": " | score = riesgo de fracaso de la OAF (escalada)",
+      "Intervalo por dados em falta: {lo}–{hi} (mesmo risco)": "Intervalo por datos ausentes: {lo}–{hi} (mismo riesgo)",
+      "Intervalo por dados em falta: {lo}–{hi} (risco entre {tierLo} e {tierHi})": "Intervalo por datos ausentes: {lo}–{hi} (riesgo entre {tierLo} y {tierHi})",
+      "Score com dados em falta: {score} ({lo}–{hi}).": "Score con datos ausentes: {score} ({lo}–{hi}).",
+      "O risco pode variar entre {lo} e {hi}.": "El riesgo puede variar entre {lo} y {hi}.",
+      "O risco ({tier}) não muda dentro do intervalo.": "El riesgo ({tier}) no cambia dentro del intervalo.",
+      "Medir primeiro: {next}.": "Medir primero: {next}.",
+      "{label} (amplitude {w} pts)": "{label} (amplitud {w} pts)",
+      "Fatores principais:": "Factores principales:",
+      "Tier": "Nivel",
+      "{c} p/ idade": "{c} para la edad",
+      "base {b} · ant. {p}": "basal {b} · ant. {p}",
+      "Sem reavaliações preenchidas.": "Sin reevaluaciones rellenadas.",
+      "sem banda (0)": "sin banda (0)",
+      "dado em falta (valor por defeito)": "dato ausente (valor por defecto)",
+      "{label} (qualquer valor)": "{label} (cualquier valor)",
+      "Red flags (mínimo do score)": "Signos de alarma (mínimo del score)",
+      "score elevado até {n}": "score elevado hasta {n}",
+      "Limite 0–100 / arredondamento": "Límite 0–100 / redondeo",
+      "máx": "máx",
+      "Sem alternativas calculáveis com os dados actuais.": "Sin alternativas calculables con los datos actuales.",
+      "{cond} levaria o risco a {tier} ({pts} → {score}/100).": "{cond} llevaría el riesgo a {tier} ({pts} → {score}/100).",
+      "{cond}: {pts} nos componentes, sem efeito no score final (red flags / limites).": "{cond}: {pts} en los componentes, sin efecto en el score final (signos de alarma / límites).",
+      "{cond} somaria {n} pontos ({score}/100, mantém {tier}).": "{cond} sumaría {n} puntos ({score}/100, se mantiene {tier}).",
+      "{cond} subtrairia {n} pontos ({score}/100, mantém {tier}).": "{cond} restaría {n} puntos ({score}/100, se mantiene {tier}).",
+      "São precisas pelo menos duas medições com hora.": "Se necesitan al menos dos mediciones con hora.",
+      "Sem dados para desenhar.": "Sin datos para dibujar.",
+      "Score e risco": "Score y riesgo",
+      "FR (cpm)": "FR (rpm)",
+      "FC (bpm)": "FC (lpm)",
+      "= base": "= basal",
+      "{d} vs base": "{d} vs basal",
+      "Red flag": "Signo de alarma",
+      "Critério": "Criterio",
+      "{label} (hora n/r)": "{label} (hora no registrada)",
+      "SF muito baixo": "SF muy baja",
+      "SF baixo (<193)": "SF baja (<193)",
+      "SF aceitável": "SF aceptable",
+      "FiO₂ alta": "FiO₂ alta",
+      "FiO₂ moderada": "FiO₂ moderada",
+      "FiO₂ baixa/moderada": "FiO₂ baja/moderada",
+
+      /* ---- history, outcomes, audit ---- */
+      "Sucesso (sem escalada)": "Éxito (sin escalada)",
+      "Falência — intubação": "Fracaso — intubación",
+      "Falência — escalada para outro suporte": "Fracaso — escalada a otro soporte",
+      "Desfecho": "Desenlace",
+      "— desfecho —": "— desenlace —",
+      "h até falência": "h hasta el fracaso",
+      "Horas desde o início da VNI até à falência": "Horas desde el inicio de la VNI hasta el fracaso",
+      "suporte (ex: VNI→VMI, ECMO)": "soporte (p. ej.: VNI→VMI, ECMO)",
+      "Suporte para que escalou": "Soporte al que se escaló",
+      "{n} de {total} casos": "{n} de {total} casos",
+      "Nenhum caso corresponde aos filtros.": "Ningún caso coincide con los filtros.",
+      "Sem histórico ainda.": "Aún no hay historial.",
+      "Carregar": "Cargar",
+      "Apagar": "Borrar",
+      "Apagar este caso do histórico local?": "¿Borrar este caso del historial local?",
+      "Mostrar mais ({n})": "Mostrar más ({n})",
+      "SF recente < 193": "SF reciente < 193",
+      "SF recente < 150": "SF reciente < 150",
+      "Queda de FR < 10%": "Descenso de FR < 10%",
+      "FC sem descida": "FC sin descenso",
+      "FR recente ≥ P90 para a idade": "FR reciente ≥ P90 para la edad",
+      "Idade < 6 meses": "Edad < 6 meses",
+      "IRA hipoxémica (tipo 1)": "IRA hipoxémica (tipo 1)",
+      "ARDS": "SDRA",
+      "pCO₂ sem descida": "pCO₂ sin descenso",
+      "VP/FP/FN/VN": "VP/FP/FN/VN",
+      "Sens.": "Sens.",
+      "Espec.": "Espec.",
+      "VPP": "VPP",
+      "VPN": "VPN",
+      "Casos com desfecho": "Casos con desenlace",
+      "Falências (intubação/escalada)": "Fracasos (intubación/escalada)",
+      "Tempo até falência (mediana)": "Tiempo hasta el fracaso (mediana)",
+      "AUROC do score (IC 95%)": "AUROC del score (IC 95%)",
+      "Regras": "Reglas",
+      "Nível": "Nivel",
+      "Falências": "Fracasos",
+      "Taxa": "Tasa",
+      "Teste “≥ nível”: {head}": "Prueba “≥ nivel”: {head}",
+      "Taxa observada": "Tasa observada",
+      "Marcador": "Marcador",
+      "Componente": "Componente",
+      "AUROC (IC 95%)": "AUROC (IC 95%)",
+      "Componentes do score (AUROC dos pontos)": "Componentes del score (AUROC de los puntos)",
+      "Regista o desfecho dos casos no Histórico (Resultado) para ver o desempenho.": "Registra el desenlace de los casos en el Historial (Resultado) para ver el rendimiento.",
+
+      /* ---- bed board ---- */
+      "Sem camas. Adiciona uma acima (ex: “Box 3”).": "Sin camas. Añade una arriba (p. ej.: “Box 3”).",
+      "Indica a cama (ex: Box 3).": "Indica la cama (p. ej.: Box 3).",
+      "Já existe “{label}”.": "Ya existe “{label}”.",
+      "Novo nome da cama (sem identificação do doente):": "Nuevo nombre de la cama (sin identificar al paciente):",
+      "Libertar esta cama? O caso em curso é apagado (o histórico mantém-se).": "¿Liberar esta cama? El caso en curso se borra (el historial se mantiene).",
+      "REAVALIAÇÃO EM ATRASO": "REEVALUACIÓN ATRASADA",
+      "Sem score": "Sin score",
+      "SF mais recente": "SF más reciente",
+      "Última reavaliação": "Última reevaluación",
+      "Próxima": "Próxima",
+      "sem hora de início": "sin hora de inicio",
+      "Abrir": "Abrir",
+      "Renomear": "Renombrar",
+      "Libertar": "Liberar",
+      "há {m} min": "hace {m} min",
+      "há {h} h {m} min": "hace {h} h {m} min",
+
+      /* ---- settings, rules, PWA, messages ---- */
+      "local": "local",
+      "base": "base",
+      "Inputs disponíveis: {list}. Operadores: {ops}. Níveis obrigatórios: {tiers}.": "Variables disponibles: {list}. Operadores: {ops}. Niveles obligatorios: {tiers}.",
+      "Sem diferenças (regras de base).": "Sin diferencias (reglas base).",
+      "JSON inválido — corrige antes de comparar.": "JSON no válido — corrígelo antes de comparar.",
+      "JSON inválido.": "JSON no válido.",
+      "Regras inválidas:": "Reglas no válidas:",
+      "As regras diferem das regras de base mas mantêm \"{tag}\". Altera \"id\" ou \"version\" para que os resultados fiquem identificáveis.": "Las reglas difieren de las reglas base pero mantienen \"{tag}\". Cambia \"id\" o \"version\" para que los resultados sean identificables.",
+      "Regras em uso: {tag}.": "Reglas en uso: {tag}.",
+      "Repor as regras de base? As regras locais serão apagadas.": "¿Restablecer las reglas base? Las reglas locales se borrarán.",
+      "Importado.": "Importado.",
+      "Resumo copiado.": "Resumen copiado.",
+      "Não foi possível copiar automaticamente (permissões do browser).": "No se pudo copiar automáticamente (permisos del navegador).",
+      "Service Worker não suportado.": "Service Worker no compatible.",
+      "Offline desactivado.": "Sin conexión desactivado.",
+      "Offline activo.": "Sin conexión activo.",
+      "Falha ao activar offline.": "Error al activar el modo sin conexión.",
+      "Base guardada. Confirma manifest/scope se necessário.": "Base guardada. Revisa manifest/scope si es necesario.",
+      "Exemplo carregado.": "Ejemplo cargado.",
+      "Campos limpos.": "Campos limpiados.",
+      "Não foi possível guardar o caso no histórico local.": "No se pudo guardar el caso en el historial local.",
+      "Repor formulário e apagar dados locais?": "¿Restablecer el formulario y borrar los datos locales?",
+      "Dados limpos.": "Datos borrados.",
+      "Link copiado.": "Enlace copiado.",
+      "Cache limpa (casos e definições mantêm-se). Reabre a app.": "Caché borrada (casos y ajustes se conservan). Vuelve a abrir la app.",
+      "Falha ao limpar cache.": "Error al borrar la caché.",
+      "{n} caso(s) migrados para a base de dados local.": "{n} caso(s) migrados a la base de datos local.",
+      "Nota: esta página está com zoom. Se vires um botão ‘X’ no topo (browser dentro de app), usa ⤴︎ Partilhar → Abrir no Safari → aA → Zoom 100%.": "Nota: esta página tiene zoom. Si ves un botón ‘X’ arriba (navegador dentro de una app), usa ⤴︎ Compartir → Abrir en Safari → aA → Zoom 100%.",
+      /* ---- HL7 FHIR ---- */
+      "Exporta o caso como Bundle FHIR: Observations (LOINC) de SpO₂, FiO₂, FR, FC, gasometria e pressões em cada ponto, e um RiskAssessment com score, nível, fatores e versão das regras. Sem identificação do doente. Importar aceita também Bundles FHIR.": "Exporta el caso como Bundle FHIR: Observations (LOINC) de SpO₂, FiO₂, FR, FC, gasometría y presiones en cada punto, y un RiskAssessment con score, nivel, factores y versión de las reglas. Sin identificación del paciente. Importar también acepta Bundles FHIR.",
+      "Exportar FHIR": "Exportar FHIR",
+      "Importar FHIR": "Importar FHIR",
+      "Servidor FHIR (opcional)": "Servidor FHIR (opcional)",
+      "Envia o Bundle como transação (POST ao URL base). Para testar:": "Envía el Bundle como transacción (POST a la URL base). Para probar:",
+      "Enviar para servidor": "Enviar al servidor",
+      "Indica o URL base do servidor FHIR.": "Indica la URL base del servidor FHIR.",
+      "Enviado para {base} (HTTP {status}, {n} recurso(s)).": "Enviado a {base} (HTTP {status}, {n} recurso(s)).",
+      "Enviado para FHIR.": "Enviado a FHIR.",
+      "Falha ao enviar para {base}: {err}": "Error al enviar a {base}: {err}",
+      "Falha ao enviar para FHIR.": "Error al enviar a FHIR.",
+      /* ---- summary templates ---- */
+      "Resumo completo (padrão)": "Resumen completo (por defecto)",
+      "Linha curta": "Línea corta",
+      "Modelo do resumo": "Plantilla del resumen",
+      "O modelo escolhido define o texto do “Resumo para registo” e o que “Copiar resumo” copia. Os modelos de base não se alteram: guardar um deles cria uma cópia editável.": "La plantilla elegida define el texto del “Resumen para el registro” y lo que copia “Copiar resumen”. Las plantillas base no se modifican: guardar una crea una copia editable.",
+      "Modelo em uso": "Plantilla en uso",
+      "Nome": "Nombre",
+      "Ex: Nota diária UCIP": "P. ej.: Nota diaria UCIP",
+      "Modelo (texto)": "Plantilla (texto)",
+      "Guardar": "Guardar",
+      "Guardar como novo": "Guardar como nueva",
+      "Marcadores:": "Marcadores:",
+      "; condições": "; condiciones",
+      "listas": "listas",
+      ". Valor em falta = vazio.": ". Valor ausente = vacío.",
+      "Pré-visualização (caso actual)": "Vista previa (caso actual)",
+      "Valores: {values}. Listas ({{#each}}): {lists}.": "Valores: {values}. Listas ({{#each}}): {lists}.",
+      "{{else}} fora de um bloco #if/#unless.": "{{else}} fuera de un bloque #if/#unless.",
+      "{{{tag}}} sem bloco correspondente.": "{{{tag}}} sin bloque correspondiente.",
+      "Marcador inválido: {{{tag}}}.": "Marcador no válido: {{{tag}}}.",
+      "Bloco #{type} {path} não fechado.": "Bloque #{type} {path} sin cerrar.",
+      "Modelo inválido:": "Plantilla no válida:",
+      "Modelo sem nome": "Plantilla sin nombre",
+      "cópia": "copia",
+      "Modelo guardado.": "Plantilla guardada.",
+      "Apagar o modelo “{name}”?": "¿Borrar la plantilla “{name}”?",
+      /* ---- QR transfer ---- */
+      "Partilhar por QR": "Compartir por QR",
+      "Ler QR": "Leer QR",
+      "Fechar": "Cerrar",
+      "Parte anterior": "Parte anterior",
+      "Parte seguinte": "Parte siguiente",
+      "Rodar automaticamente": "Rotar automáticamente",
+      "Ler de fotografia": "Leer de una foto",
+      "Aponta a câmara para o QR (ou para cada parte, por qualquer ordem). Só é importado quando todas as partes estiverem lidas e a verificação de integridade passar.": "Apunta la cámara al QR (o a cada parte, en cualquier orden). Solo se importa cuando se han leído todas las partes y la verificación de integridad es correcta.",
+      "dados mal codificados": "datos mal codificados",
+      "este browser não descomprime os dados": "este navegador no puede descomprimir los datos",
+      "dados comprimidos inválidos": "datos comprimidos no válidos",
+      "codificação desconhecida ({enc})": "codificación desconocida ({enc})",
+      "verificação de integridade falhou": "verificación de integridad fallida",
+      "QR de uma versão não suportada ({v}).": "QR de una versión no compatible ({v}).",
+      "Parte QR inconsistente com as anteriores.": "Parte QR incoherente con las anteriores.",
+      "QR não reconhecido (não é uma transferência desta aplicação).": "QR no reconocido (no es una transferencia de esta aplicación).",
+      "Parte {i} de {n} lida. Falta: {missing}.": "Parte {i} de {n} leída. Falta: {missing}.",
+      "conteúdo inesperado": "contenido inesperado",
+      "Transferência rejeitada: {err}. Lê de novo todas as partes.": "Transferencia rechazada: {err}. Vuelve a leer todas las partes.",
+      "Caso recebido por QR.": "Caso recibido por QR.",
+      "Transferência por QR": "Transferencia por QR",
+      "Link do caso": "Enlace del caso",
+      "Cama (QR)": "Cama (QR)",
+      "Substituir o caso da cama “{label}” pelo recebido?": "¿Sustituir el caso de la cama “{label}” por el recibido?",
+      "Transferência cancelada.": "Transferencia cancelada.",
+      "Cama “{label}” recebida por QR.": "Cama “{label}” recibida por QR.",
+      "Sem dados para partilhar.": "Sin datos para compartir.",
+      "Não foi possível gerar o QR.": "No se pudo generar el QR.",
+      "Cama “{label}”: lê no outro dispositivo com “Ler QR” ou com a câmara. Sem identificação do doente.": "Cama “{label}”: léelo en el otro dispositivo con “Leer QR” o con la cámara. Sin identificación del paciente.",
+      "Caso actual: lê no outro dispositivo com “Ler QR” ou com a câmara. Sem identificação do doente.": "Caso actual: léelo en el otro dispositivo con “Leer QR” o con la cámara. Sin identificación del paciente.",
+      "Parte {i} de {n}": "Parte {i} de {n}",
+      "Em curso: {got} de {n} parte(s) lida(s).": "En curso: {got} de {n} parte(s) leída(s).",
+      "Este browser não lê QR codes. Usa a câmara do telemóvel: cada parte abre a aplicação e fica guardada até estarem todas.": "Este navegador no lee códigos QR. Usa la cámara del móvil: cada parte abre la aplicación y se guarda hasta tenerlas todas.",
+      "Câmara indisponível. Usa uma fotografia do QR.": "Cámara no disponible. Usa una foto del QR.",
+      "Câmara indisponível ({err}). Usa uma fotografia do QR.": "Cámara no disponible ({err}). Usa una foto del QR.",
+      "Nenhum QR encontrado na imagem.": "No se encontró ningún QR en la imagen.",
+      "Não foi possível ler a imagem.": "No se pudo leer la imagen.",
+      /* ---- case links ---- */
+      "Copiar link do caso": "Copiar enlace del caso",
+      "Link com os dados do caso (sem identificação)": "Enlace con los datos del caso (sin identificación)",
+      "Fechar aviso": "Cerrar aviso",
+      "Dados recebidos por link.": "Datos recibidos por enlace.",
+      "Links de caso expiram após (horas)": "Los enlaces de caso caducan tras (horas)",
+      "vazio = sem expiração": "vacío = sin caducidad",
+      "“Copiar link do caso” (Resultado) gera um link com os dados do caso comprimidos no fragmento (#), sem identificação. Abre o formulário preenchido e o resultado, também offline.": "“Copiar enlace del caso” (Resultado) genera un enlace con los datos del caso comprimidos en el fragmento (#), sin identificación. Abre el formulario rellenado y el resultado, también sin conexión.",
+      "Não foi possível gerar o link.": "No se pudo generar el enlace.",
+      "Link do caso copiado (expira {when}).": "Enlace del caso copiado (caduca {when}).",
+      "Link do caso copiado.": "Enlace del caso copiado.",
+      "link incompleto": "enlace incompleto",
+      "link de uma versão não suportada ({v})": "enlace de una versión no compatible ({v})",
+      "o link expirou em {when}": "el enlace caducó el {when}",
+      "Substituir o caso em curso pelos dados do link?": "¿Sustituir el caso en curso por los datos del enlace?",
+      "Dados recebidos por link (gerado {at}; expira {exp}). Confirma-os antes de decidir.": "Datos recibidos por enlace (generado {at}; caduca {exp}). Confírmalos antes de decidir.",
+      "Dados recebidos por link (gerado {at}). Confirma-os antes de decidir.": "Datos recibidos por enlace (generado {at}). Confírmalos antes de decidir.",
+      "Caso aberto a partir de um link.": "Caso abierto desde un enlace.",
+      "Link não aberto: {err}.": "Enlace no abierto: {err}.",
+      /* ---- reassessment reminders ---- */
+      "reavaliação agora": "reevaluación ahora",
+      "em atraso há {m} min": "con retraso de {m} min",
+      "faltam {h} h {m} min": "faltan {h} h {m} min",
+      "faltam {m}:{s}": "faltan {m}:{s}",
+      "{at} — {what} para {due}": "{at} — {what} para las {due}",
+      "agendado": "programado",
+      "hora atingida": "hora alcanzada",
+      "adiado": "aplazado",
+      "dispensado": "descartado",
+      "Caso actual": "Caso actual",
+      "Indica os minutos até à reavaliação.": "Indica los minutos hasta la reevaluación.",
+      "Lembrete de reavaliação às {at}.": "Recordatorio de reevaluación a las {at}.",
+      "Reavaliação: {label}": "Reevaluación: {label}",
+      "Hora da reavaliação prevista ({at}).": "Hora de la reevaluación prevista ({at}).",
+      "Adiar {m} min": "Aplazar {m} min",
+      "Dispensar": "Descartar",
+      "Proposta: {min} min (nível {tier}; {source}).": "Propuesta: {min} min (nivel {tier}; {source}).",
+      "definido nas regras": "definido en las reglas",
+      "valor por defeito do nível": "valor por defecto del nivel",
+      "Carrega em “Calcular” para propor a próxima reavaliação.": "Pulsa “Calcular” para proponer la próxima reevaluación.",
+      "Lembrete": "Recordatorio",
+      "Reavaliação:": "Reevaluación:",
+      "Adiar 10 min": "Aplazar 10 min",
+      "Próxima reavaliação": "Próxima reevaluación",
+      "Minutos até à reavaliação": "Minutos hasta la reevaluación",
+      "Agendar lembrete": "Programar recordatorio",
+      "Notificação do sistema quando chegar a hora (permite notificações e, para separadores em segundo plano, activa o modo offline). Agendar, adiar e dispensar ficam registados no caso.": "Notificación del sistema cuando llegue la hora (permite las notificaciones y, para pestañas en segundo plano, activa el modo sin conexión). Programar, aplazar y descartar quedan registrados en el caso.",
+      /* ---- app updates ---- */
+      "Nova versão disponível ({version}).": "Nueva versión disponible ({version}).",
+      "Nova versão disponível.": "Nueva versión disponible.",
+      "Actualizar agora": "Actualizar ahora",
+      "Modo offline desactivado: a app abre sempre a versão publicada.": "Modo sin conexión desactivado: la app abre siempre la versión publicada.",
+      "Sem ligação: não foi possível procurar actualizações.": "Sin conexión: no se pudieron buscar actualizaciones.",
+      "Já tens a versão mais recente ({version}).": "Ya tienes la versión más reciente ({version}).",
+      "Procurar actualização": "Buscar actualización",
+      "Versão:": "Versión:",
+      "Quando há uma nova versão aparece “Nova versão disponível — Actualizar agora”; o caso em curso é guardado antes de recarregar.": "Cuando hay una nueva versión aparece “Nueva versión disponible — Actualizar ahora”; el caso en curso se guarda antes de recargar.",
+      /* ---- case files (import / export) ---- */
+      "Sem casos no histórico para exportar.": "No hay casos en el historial para exportar.",
+      "Arquivo exportado ({n} casos).": "Archivo exportado ({n} casos).",
+      "valor inválido {v} (aceites: {ok})": "valor no válido {v} (aceptados: {ok})",
+      "tem de ser um número (recebido {v})": "debe ser un número (recibido {v})",
+      "tem de ser true/false (recebido {v})": "debe ser true/false (recibido {v})",
+      "identificador inválido {v}": "identificador no válido {v}",
+      "data/hora inválida {v}": "fecha/hora no válida {v}",
+      "tem de ser um objeto (recebido {v})": "debe ser un objeto (recibido {v})",
+      "tipo desconhecido": "tipo desconocido",
+      "campo desconhecido, ignorado": "campo desconocido, ignorado",
+      "itens de um score clínico desconhecido ({v})": "ítems de un score clínico desconocido ({v})",
+      "item desconhecido em {score}, ignorado": "ítem desconocido en {score}, ignorado",
+      "pontuação inválida {v}": "puntuación no válida {v}",
+      "o caso tem de ser um objeto": "el caso debe ser un objeto",
+      "tem de ser uma lista com pelo menos a avaliação inicial": "debe ser una lista con al menos la evaluación inicial",
+      "tem de ser um objeto": "debe ser un objeto",
+      "desfecho desconhecido {v}": "desenlace desconocido {v}",
+      "o registo tem de ser um objeto": "el registro debe ser un objeto",
+      "Bundle FHIR sem dados de caso.": "Bundle FHIR sin datos de caso.",
+      "Não é um ficheiro de casos desta app.": "No es un archivo de casos de esta app.",
+      "Ficheiro no esquema {v}, mais recente do que o desta app ({cur}). Actualiza a app para o importar.": "Archivo en el esquema {v}, más reciente que el de esta app ({cur}). Actualiza la app para importarlo.",
+      "\"cases\" tem de ser uma lista.": "\"cases\" debe ser una lista.",
+      "Tipo de ficheiro desconhecido {v}.": "Tipo de archivo desconocido {v}.",
+      "JSON inválido: {err}": "JSON no válido: {err}",
+      "esquema {v}, migrado para {cur}": "esquema {v}, migrado a {cur}",
+      "esquema {v}": "esquema {v}",
+      "Arquivo com {n} caso(s)": "Archivo con {n} caso(s)",
+      "Caso único": "Caso único",
+      "Ficheiro não importado": "Archivo no importado",
+      "{e} erro(s), {w} aviso(s).": "{e} error(es), {w} aviso(s).",
+      "… e mais {n}.": "… y {n} más.",
+      "Actualizado": "Actualizado",
+      "Diagnóstico": "Diagnóstico",
+      "Score": "Score",
+      "Estado": "Estado",
+      "novo": "nuevo",
+      "mesmo id, dados diferentes (substitui o local)": "mismo id, datos distintos (sustituye al local)",
+      "já existe (idêntico)": "ya existe (idéntico)",
+      "já existe com outro id (mesmos dados)": "ya existe con otro id (mismos datos)",
+      "repetido no ficheiro": "repetido en el archivo",
+      "com erros (não importado)": "con errores (no importado)",
+      "Importação recusada: ver relatório.": "Importación rechazada: ver el informe.",
+      "Nenhum caso seleccionado.": "Ningún caso seleccionado.",
+      "{n} caso(s) importado(s).": "{n} caso(s) importado(s).",
+      "Exportar o caso actual (JSON)": "Exportar el caso actual (JSON)",
+      "Exportar arquivo": "Exportar archivo",
+      "Exportar caso actual": "Exportar caso actual",
+      "Exportar arquivo (todos os casos)": "Exportar archivo (todos los casos)",
+      "Importar ficheiro": "Importar archivo",
+      "Ficheiros JSON com versão de esquema: um caso ou o arquivo completo (com desfechos). Ficheiros de versões anteriores são convertidos; campos desconhecidos são ignorados e valores inválidos são indicados antes de importar.": "Archivos JSON con versión de esquema: un caso o el archivo completo (con desenlaces). Los archivos de versiones anteriores se convierten; los campos desconocidos se ignoran y los valores no válidos se indican antes de importar.",
+      "Importação": "Importación",
+      "Importar seleccionados": "Importar seleccionados",
+      "Cancelar": "Cancelar",
+      /* ---- CSV export / import ---- */
+      "CSV exportado ({n} casos).": "CSV exportado ({n} casos).",
+      "CSV exportado só com cabeçalho (sem casos no histórico).": "CSV exportado solo con la cabecera (sin casos en el historial).",
+      "coluna desconhecida, ignorada": "columna desconocida, ignorada",
+      "Sem colunas de dados do caso: o cabeçalho tem de usar os nomes da exportação CSV.": "Sin columnas de datos del caso: la cabecera debe usar los nombres de la exportación CSV.",
+      "linha {n}": "línea {n}",
+      "Registo": "Registro",
+      "Dados do caso": "Datos del caso",
+      "Pontos de avaliação": "Puntos de evaluación",
+      "Métricas derivadas": "Métricas derivadas",
+      "Métricas por ponto (uma linha por ponto)": "Métricas por punto (una fila por punto)",
+      "CSV (folha de cálculo)": "CSV (hoja de cálculo)",
+      "Exporta todos os casos do histórico numa tabela para auditoria: dados introduzidos, métricas derivadas, score, nível, fatores principais, versão das regras e desfecho. O mesmo formato importa casos retrospectivos (as métricas derivadas são recalculadas).": "Exporta todos los casos del historial en una tabla para auditoría: datos introducidos, métricas derivadas, score, nivel, factores principales, versión de las reglas y desenlace. El mismo formato importa casos retrospectivos (las métricas derivadas se recalculan).",
+      "Linhas": "Filas",
+      "Uma por caso (pontos em colunas t0.*, t1.*, …)": "Una por caso (puntos en columnas t0.*, t1.*, …)",
+      "Uma por ponto de avaliação": "Una por punto de evaluación",
+      "Separador decimal": "Separador decimal",
+      "Vírgula (0,45; colunas separadas por ;)": "Coma (0,45; columnas separadas por ;)",
+      "Ponto (0.45; colunas separadas por ,)": "Punto (0.45; columnas separadas por ,)",
+      "Colunas": "Columnas",
+      "Exportar CSV": "Exportar CSV",
+      "Importar CSV": "Importar CSV",
+      /* ---- built-in summary templates (whole body) ---- */
+      "VNI ({{mode}}): score {{score}}/100 — {{tier}}{{#if sf1}}; SF {{sf1At}} {{sf1}}{{/if}}{{#if drr}}; ΔFR {{drr}}{{/if}}{{#if redFlags}}; red flags{{/if}}{{#if factors}}. {{#each factors}}{{.}}{{#unless @last}}; {{/unless}}{{/each}}{{/if}}. [{{rules}}]": "VNI ({{mode}}): score {{score}}/100 — {{tier}}{{#if sf1}}; SF {{sf1At}} {{sf1}}{{/if}}{{#if drr}}; ΔFR {{drr}}{{/if}}{{#if redFlags}}; signos de alarma{{/if}}{{#if factors}}. {{#each factors}}{{.}}{{#unless @last}}; {{/unless}}{{/each}}{{/if}}. [{{rules}}]",
+      "S: {{age}} meses, {{diag}} ({{arf}}), sob {{support}}.{{#if redFlags}} Red flags clínicas presentes.{{/if}}\nO:{{#each timepoints}}\n- {{label}}{{#if clock}} ({{clock}}){{/if}}: {{#if vitals}}{{vitals}}{{else}}sem dados{{/if}}{{/each}}\n{{#if clin}}{{clin}}\n{{/if}}{{#if acidBase}}Gasometria: {{acidBase}}\n{{/if}}{{#if pards}}PARDS: {{pards}}\n{{/if}}A: risco de falência {{tier}} (score {{score}}/100{{#if scoreRange}}; {{scoreRange}} com dados em falta{{/if}}). {{explain}}\nP:{{#each actions}}\n- {{.}}{{/each}}\n(Apoio à decisão; regras {{rules}})": "S: {{age}} meses, {{diag}} ({{arf}}), con {{support}}.{{#if redFlags}} Signos de alarma clínicos presentes.{{/if}}\nO:{{#each timepoints}}\n- {{label}}{{#if clock}} ({{clock}}){{/if}}: {{#if vitals}}{{vitals}}{{else}}sin datos{{/if}}{{/each}}\n{{#if clin}}{{clin}}\n{{/if}}{{#if acidBase}}Gasometría: {{acidBase}}\n{{/if}}{{#if pards}}PARDS: {{pards}}\n{{/if}}A: riesgo de fracaso {{tier}} (score {{score}}/100{{#if scoreRange}}; {{scoreRange}} con datos ausentes{{/if}}). {{explain}}\nP:{{#each actions}}\n- {{.}}{{/each}}\n(Apoyo a la decisión; reglas {{rules}})",
+      "S: {{diag}}, {{age}} meses, sob {{support}}. Risco de falência {{tier}} (score {{score}}/100).\nB: IRA {{arf}}{{#if prism}}; PRISM III-24 {{prism}}{{/if}}{{#if weight}}; peso {{weight}} kg{{/if}}.\nA: {{#if sf1}}SF {{sf1At}} {{sf1}}{{#if sf0}} (basal {{sf0}}){{/if}}{{else}}SF sem dados{{/if}}{{#if drr}}; ΔFR {{drr}}{{/if}}{{#if dhr}}; ΔFC {{dhr}}{{/if}}{{#if dpco2}}; ΔpCO₂ {{dpco2}}{{/if}}.{{#if factors}} Fatores: {{#each factors}}{{.}}{{#unless @last}}; {{/unless}}{{/each}}.{{/if}}{{#if redFlags}} Red flags clínicas presentes.{{/if}}\nR:{{#each actions}}\n- {{.}}{{/each}}": "S: {{diag}}, {{age}} meses, con {{support}}. Riesgo de fracaso {{tier}} (score {{score}}/100).\nB: IRA {{arf}}{{#if prism}}; PRISM III-24 {{prism}}{{/if}}{{#if weight}}; peso {{weight}} kg{{/if}}.\nA: {{#if sf1}}SF {{sf1At}} {{sf1}}{{#if sf0}} (basal {{sf0}}){{/if}}{{else}}SF sin datos{{/if}}{{#if drr}}; ΔFR {{drr}}{{/if}}{{#if dhr}}; ΔFC {{dhr}}{{/if}}{{#if dpco2}}; ΔpCO₂ {{dpco2}}{{/if}}.{{#if factors}} Factores: {{#each factors}}{{.}}{{#unless @last}}; {{/unless}}{{/each}}.{{/if}}{{#if redFlags}} Signos de alarma clínicos presentes.{{/if}}\nR:{{#each actions}}\n- {{.}}{{/each}}"
+    }
+  }
+};
@@ -0,0 +1,267 @@
+/* ---- QR CODE ENCODER (ISO/IEC 18004, no external libs) ----
+   Byte mode only, error correction L or M, versions 1–40, automatic mask choice.
+   qrEncode(text, ecl) → { version, size, modules } (modules[y][x] = true for dark);
+   qrSvg(qr) → standalone SVG string with the 4-module quiet zone.
+*/
+const QR_ECL = {
+  // format bits, EC codewords per block and number of blocks, indexed by version (0 unused)
+  L: {
+    bits: 1,
+    ecc: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+  },
+  M: {
+    bits: 0,
+    ecc: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    blocks: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+  }
+};
+
+function qrRawModules(ver){
+  let n = (16 * ver + 128) * ver + 64;
+  if(ver >= 2){
+    const align = Math.floor(ver / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if(ver >= 7) n -= 36;
+  }
+  return n;
+}
+
+function qrDataCodewords(ver, ecl){
+  const e = QR_ECL[ecl];
+  return Math.floor(qrRawModules(ver) / 8) - e.ecc[ver] * e.blocks[ver];
+}
+
+function qrAlignPositions(ver){
+  if(ver === 1) return [];
+  const size = ver * 4 + 17;
+  const n = Math.floor(ver / 7) + 2;
+  const step = Math.floor((ver * 8 + n * 3 + 5) / (n * 4 - 4)) * 2;
+  const out = [];
+  for(let i = 0, pos = size - 7; i < n - 1; i++, pos -= step) out.unshift(pos);
+  out.unshift(6);
+  return out;
+}
+
+/* GF(2^8) arithmetic (x^8 + x^4 + x^3 + x^2 + 1) for the Reed–Solomon blocks */
+function qrMul(x, y){
+  let z = 0;
+  for(let i = 7; i >= 0; i--){
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function qrDivisor(degree){
+  const out = new Array(degree).fill(0);
+  out[degree - 1] = 1;
+  let root = 1;
+  for(let i = 0; i < degree; i++){
+    for(let j = 0; j < degree; j++){
+      out[j] = qrMul(out[j], root);
+      if(j + 1 < degree) out[j] ^= out[j + 1];
+    }
+    root = qrMul(root, 0x02);
+  }
+  return out;
+}
+
+function qrRemainder(data, divisor){
+  const out = divisor.map(()=>0);
+  data.forEach(b=>{
+    const factor = b ^ out.shift();
+    out.push(0);
+    divisor.forEach((coef, i)=>{ out[i] ^= qrMul(coef, factor); });
+  });
+  return out;
+}
+
+// split into blocks, append EC codewords, interleave
+function qrCodewords(data, ver, ecl){
+  const e = QR_ECL[ecl];
+  const nBlocks = e.blocks[ver], eccLen = e.ecc[ver];
+  const raw = Math.floor(qrRawModules(ver) / 8);
+  const nShort = nBlocks - raw % nBlocks;
+  const shortLen = Math.floor(raw / nBlocks);
+  const div = qrDivisor(eccLen);
+  const blocks = [];
+  for(let i = 0, k = 0; i < nBlocks; i++){
+    const dat = data.slice(k, k + shortLen - eccLen + (i < nShort ? 0 : 1));
+    k += dat.length;
+    const ecc = qrRemainder(dat, div);
+    if(i < nShort) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+  const out = [];
+  for(let i = 0; i < blocks[0].length; i++){
+    blocks.forEach((b, j)=>{
+      if(i !== shortLen - eccLen || j >= nShort) out.push(b[i]);
+    });
+  }
+  return out;
+}
+
+const QR_MASKS = [
+  (x, y)=>(x + y) % 2 === 0,
+  (x, y)=>y % 2 === 0,
+  (x)=>x % 3 === 0,
+  (x, y)=>(x + y) % 3 === 0,
+  (x, y)=>(Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y)=>x * y % 2 + x * y % 3 === 0,
+  (x, y)=>(x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y)=>((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+function qrMatrix(ver, ecl, codewords, mask){
+  const size = ver * 4 + 17;
+  const mod = Array.from({ length: size }, ()=>new Array(size).fill(false));
+  const fn = Array.from({ length: size }, ()=>new Array(size).fill(false));
+  const set = (x, y, dark)=>{ mod[y][x] = dark; fn[y][x] = true; };
+
+  for(let i = 0; i < size; i++){
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy])=>{
+    for(let dy = -4; dy <= 4; dy++){
+      for(let dx = -4; dx <= 4; dx++){
+        const x = cx + dx, y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if(x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  const align = qrAlignPositions(ver);
+  align.forEach((ay, i)=>align.forEach((ax, j)=>{
+    const last = align.length - 1;
+    if((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for(let dy = -2; dy <= 2; dy++){
+      for(let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  // format information (EC level + mask), BCH(15,5)
+  const fmt = (QR_ECL[ecl].bits << 3) | mask;
+  let rem = fmt;
+  for(let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const fbits = ((fmt << 10) | rem) ^ 0x5412;
+  const fb = (i)=>((fbits >>> i) & 1) === 1;
+  for(let i = 0; i <= 5; i++) set(8, i, fb(i));
+  set(8, 7, fb(6));
+  set(8, 8, fb(7));
+  set(7, 8, fb(8));
+  for(let i = 9; i < 15; i++) set(14 - i, 8, fb(i));
+  for(let i = 0; i < 8; i++) set(size - 1 - i, 8, fb(i));
+  for(let i = 8; i < 15; i++) set(8, size - 15 + i, fb(i));
+  set(8, size - 8, true);
+
+  // version information, BCH(18,6)
+  if(ver >= 7){
+    let r = ver;
+    for(let i = 0; i < 12; i++) r = (r << 1) ^ ((r >>> 11) * 0x1f25);
+    const vbits = (ver << 12) | r;
+    for(let i = 0; i < 18; i++){
+      const dark = ((vbits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3, b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // data in two-module columns, zig-zag from the bottom right; masked outside function patterns
+  let bit = 0;
+  for(let right = size - 1; right >= 1; right -= 2){
+    if(right === 6) right = 5;
+    for(let v = 0; v < size; v++){
+      for(let j = 0; j < 2; j++){
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - v : v;
+        if(fn[y][x]) continue;
+        const dark = bit < codewords.length * 8 && ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+        bit++;
+        mod[y][x] = dark !== QR_MASKS[mask](x, y);
+      }
+    }
+  }
+  return mod;
+}
+
+// ISO penalty rules: runs, 2×2 blocks, finder-like patterns, dark/light balance
+function qrPenalty(mod){
+  const size = mod.length;
+  let p = 0, dark = 0;
+  const finder = [true, false, true, true, true, false, true];
+  const lineScore = (get)=>{
+    let s = 0, run = 1;
+    for(let i = 1; i <= size; i++){
+      if(i < size && get(i) === get(i - 1)){ run++; continue; }
+      if(run >= 5) s += 3 + run - 5;
+      run = 1;
+    }
+    for(let i = 0; i + 7 <= size; i++){
+      if(!finder.every((f, k)=>get(i + k) === f)) continue;
+      const lightBefore = [1, 2, 3, 4].every(k=>i - k < 0 || !get(i - k));
+      const lightAfter = [0, 1, 2, 3].every(k=>i + 7 + k >= size || !get(i + 7 + k));
+      if(lightBefore || lightAfter) s += 40;
+    }
+    return s;
+  };
+  for(let i = 0; i < size; i++){
+    p += lineScore((x)=>mod[i][x]);
+    p += lineScore((y)=>mod[y][i]);
+  }
+  for(let y = 0; y < size; y++){
+    for(let x = 0; x < size; x++){
+      if(mod[y][x]) dark++;
+      if(x < size - 1 && y < size - 1){
+        const c = mod[y][x];
+        if(c === mod[y][x + 1] && c === mod[y + 1][x] && c === mod[y + 1][x + 1]) p += 3;
+      }
+    }
+  }
+  const total = size * size;
+  p += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return p;
+}
+
+function qrEncode(text, ecl = "M"){
+  if(!QR_ECL[ecl]) throw new Error(`QR: unknown error correction level ${ecl}`);
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+  let ver = 1;
+  for(; ver <= 40; ver++){
+    const countBits = ver <= 9 ? 8 : 16;
+    if(4 + countBits + bytes.length * 8 <= qrDataCodewords(ver, ecl) * 8) break;
+  }
+  if(ver > 40) throw new Error("QR: data too long");
+
+  const cap = qrDataCodewords(ver, ecl) * 8;
+  const bits = [];
+  const push = (val, len)=>{ for(let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, ver <= 9 ? 8 : 16);
+  bytes.forEach(b=>push(b, 8));
+  push(0, Math.min(4, cap - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  for(let pad = 0xec; bits.length < cap; pad ^= 0xec ^ 0x11) push(pad, 8);
+  const data = [];
+  for(let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((a, b)=>(a << 1) | b, 0));
+
+  const cw = qrCodewords(data, ver, ecl);
+  let best = null, bestP = Infinity;
+  for(let mask = 0; mask < 8; mask++){
+    const mod = qrMatrix(ver, ecl, cw, mask);
+    const p = qrPenalty(mod);
+    if(p < bestP){ best = mod; bestP = p; }
+  }
+  return { version: ver, size: best.length, modules: best };
+}
+
+function qrSvg(qr, border = 4){
+  const n = qr.size + border * 2;
+  let path = "";
+  qr.modules.forEach((row, y)=>row.forEach((dark, x)=>{
+    if(dark) path += `M${x + border},${y + border}h1v1h-1z`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${n} ${n}" shape-rendering="crispEdges"><rect width="${n}" height="${n}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
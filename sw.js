@@ -1,36 +1,92 @@
-/* Simple offline cache for GitHub Pages */
-const CACHE = "vni_pred_cache_v1";
-const ASSETS = [
-  "./",
-  "./index.html",
-  "./styles.css",
-  "./app.js",
-  "./manifest.webmanifest",
-  "./icons/icon-192.png",
-  "./icons/icon-512.png",
-  "./icons/favicon-32.png"
-];
+/* Offline cache for GitHub Pages
+   asset-manifest.js (generated by tools/build-manifest.js) lists every asset with its content hash.
+   The cache name carries the app version derived from those hashes; any asset change rewrites that
+   file, and since it is imported here the browser installs the new worker.
+   - install: precache the new version beside the old one. Unchanged files are copied from the old
+     cache; a missing file is logged and skipped (it is fetched from the network later).
+   - the new worker then waits: open pages get { type: "update-ready" } and activate it when the user
+     accepts ({ type: "skip-waiting" }), so the version never changes under an open form.
+   - activate: drop the older app caches. IndexedDB and localStorage are never touched.
+*/
+importScripts("./asset-manifest.js");
+
+const MANIFEST = self.ASSET_MANIFEST;
+const CACHE_PREFIX = "vni_pred_cache_";
+const CACHE = `${CACHE_PREFIX}${MANIFEST.version}`;
+const MANIFEST_KEY = "./__asset-manifest.json";
+const ASSETS = ["./asset-manifest.js", ...Object.keys(MANIFEST.assets)];
+
+// newest older cache that has a manifest, to reuse its unchanged files
+async function previousCache(){
+  const keys = (await caches.keys()).filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE).reverse();
+  for(const key of keys){
+    const cache = await caches.open(key);
+    const m = await cache.match(MANIFEST_KEY);
+    if(m) return { cache, assets: (await m.json()).assets || {} };
+  }
+  return null;
+}
 
 self.addEventListener("install", (event) => {
-  event.waitUntil(
-    caches.open(CACHE).then(cache => cache.addAll(ASSETS)).then(()=>self.skipWaiting())
-  );
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    const prev = await previousCache();
+    const results = await Promise.allSettled(ASSETS.map(async (url) => {
+      const hash = MANIFEST.assets[url];
+      const same = prev && hash && prev.assets[url] === hash ? await prev.cache.match(url) : null;
+      if(same) return cache.put(url, same);
+      const resp = await fetch(new Request(url, { cache: "reload" }));
+      if(!resp.ok) throw new Error(`${url}: HTTP ${resp.status}`);
+      return cache.put(url, resp);
+    }));
+    const missing = ASSETS.filter((url, i) => results[i].status === "rejected");
+    if(missing.length) console.warn("precache: skipped", results.filter(r => r.status === "rejected").map(r => String(r.reason)));
+    await cache.put(MANIFEST_KEY, new Response(JSON.stringify({ ...MANIFEST, missing })));
+
+    // an update (not the first install): let the open pages offer it
+    if(self.registration.active){
+      const clients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      clients.forEach(c => c.postMessage({ type: "update-ready", version: MANIFEST.version }));
+    }
+  })());
+});
+
+self.addEventListener("message", (event) => {
+  if(event.data && event.data.type === "skip-waiting") self.skipWaiting();
 });
 
 self.addEventListener("activate", (event) => {
   event.waitUntil(
-    caches.keys().then(keys => Promise.all(keys.map(k => (k === CACHE ? null : caches.delete(k)))))
-      .then(()=>self.clients.claim())
+    caches.keys().then(keys => Promise.all(keys.map(k => (k.startsWith(CACHE_PREFIX) && k !== CACHE ? caches.delete(k) : null))))
+      .then(() => self.clients.claim())
   );
 });
 
 self.addEventListener("fetch", (event) => {
   const req = event.request;
+  if(req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+  // page loads (e.g. a case link, whose data stays in the #fragment) fall back to the cached page offline
+  const nav = req.mode === "navigate";
   event.respondWith(
-    caches.match(req).then(cached => cached || fetch(req).then(resp => {
-      const copy = resp.clone();
-      caches.open(CACHE).then(cache => cache.put(req, copy)).catch(()=>{});
+    caches.open(CACHE).then(cache => cache.match(req, { ignoreSearch: nav }).then(cached => cached || fetch(req).then(resp => {
+      if(resp.ok) cache.put(req, resp.clone()).catch(()=>{});
       return resp;
-    }).catch(()=>cached))
+    }).catch(() => (nav ? cache.match("./index.html").then(r => r || cache.match("./")) : Response.error()))))
+  );
+});
+
+// reminder notifications are shown by the page (registration.showNotification); their actions come back here
+self.addEventListener("notificationclick", (event) => {
+  const n = event.notification;
+  n.close();
+  const msg = { type: "reminder", action: event.action || "open", key: (n.data || {}).key };
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then(list => {
+      if(list.length){
+        list[0].postMessage(msg);
+        return list[0].focus();
+      }
+      return self.clients.openWindow(`./#reminder=${encodeURIComponent(`${msg.action}.${msg.key}`)}`);
+    })
   );
 });
@@ -0,0 +1,64 @@
+/* Testes do mapeamento HL7 FHIR (engine.js), sem dependências.
+   Uso: node --test test/
+*/
+const test = require("node:test");
+const assert = require("node:assert");
+const { FHIR_OBS, TP_FIELDS, SCHEMA_APP, SCHEMA_VERSION, caseToFhir, fhirToCase, computeRisk, readCaseFile } = require("../engine.js");
+
+// LOINC check digit (mod 10): digits in odd positions from the right doubled, digits of the result
+// and of the even positions summed; the check digit takes the sum up to a multiple of 10
+function loincCheckDigit(num){
+  const d = [...num].reverse();
+  const odd = d.filter((x, i)=>i % 2 === 0).reverse().join("");
+  const even = d.filter((x, i)=>i % 2 === 1).reverse().join("");
+  const sum = [...(even + String(Number(odd) * 2))].reduce((a, x)=>a + Number(x), 0);
+  return (10 - sum % 10) % 10;
+}
+
+const loincCodes = (def)=>(!def.loinc ? [] : typeof def.loinc === "string" ? [def.loinc] : Object.values(def.loinc));
+
+test("check digit of every LOINC code in FHIR_OBS", ()=>{
+  Object.entries(FHIR_OBS).forEach(([k, def])=>loincCodes(def).forEach(code=>{
+    const m = code.match(/^(\d{1,7})-(\d)$/);
+    assert.ok(m, `${k}: ${code} is not a LOINC code`);
+    assert.strictEqual(Number(m[2]), loincCheckDigit(m[1]), `${k}: ${code}`);
+  }));
+});
+
+test("each LOINC code maps back to a single field", ()=>{
+  const seen = new Map();
+  Object.entries(FHIR_OBS).forEach(([k, def])=>loincCodes(def).forEach(code=>{
+    assert.ok(!seen.has(code) || seen.get(code) === k, `${code}: ${seen.get(code)} and ${k}`);
+    seen.set(code, k);
+  }));
+});
+
+test("BiPAP case exports and imports back unchanged", ()=>{
+  const tp = (o)=>({ ...Object.fromEntries(TP_FIELDS.map(k=>[k, ""])), gasType: "", clinItems: null, ...o });
+  const d = {
+    caseId: "bipap-1", ageValue: "4", ageUnit: "months", weight: "6.2", diag: "bronchiolitis", arfType: "type2",
+    nivStart: "2026-03-01T10:00",
+    timepoints: [
+      tp({ h: "0", mode: "bipap", spo2: "89", fio2: "0.6", rr: "64", hr: "170", ipap: "12", epap: "6", ph: "7.24", pco2: "68", gasType: "capillary" }),
+      tp({ h: "1", mode: "bipap", spo2: "94", fio2: "0.45", rr: "52", hr: "150", ipap: "14", epap: "7" }),
+      tp({ h: "4", mode: "cpap", spo2: "95", fio2: "0.35", rr: "44", hr: "140", cpap: "7" })
+    ]
+  };
+  const bundle = JSON.parse(JSON.stringify(caseToFhir(d, computeRisk(d))));
+  const back = fhirToCase(bundle);
+
+  // numbers compared as numbers ("6.20" → 6.2 on the way through valueQuantity)
+  const val = (v)=>(v === undefined || v === "" ? "" : Number.isFinite(Number(v)) ? Number(v) : v);
+  assert.strictEqual(back.caseId, d.caseId);
+  assert.strictEqual(back.timepoints.length, d.timepoints.length);
+  d.timepoints.forEach((x, i)=>{
+    const y = back.timepoints[i];
+    ["h", "mode", "gasType", ...TP_FIELDS].forEach(k=>assert.strictEqual(val(y[k]), val(x[k]), `t${i}.${k}`));
+  });
+  const rep = readCaseFile({ app: SCHEMA_APP, schema: SCHEMA_VERSION, kind: "case", case: back });
+  assert.deepStrictEqual(rep.items[0].issues, []);
+  assert.strictEqual(computeRisk(rep.items[0].rec.data).score, computeRisk(d).score);
+
+  const ph = bundle.entry.map(e=>e.resource).find(r=>r.code && r.code.coding.some(c=>c.code === "ph"));
+  assert.ok(ph.code.coding.some(c=>c.system === "http://loinc.org" && c.code === "2745-8"), "capillary pH coded 2745-8");
+});
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/* Gera asset-manifest.js (lista de ficheiros da app com hash do conteúdo), sem dependências.
+   Uso: node tools/build-manifest.js           → reescreve asset-manifest.js
+        node tools/build-manifest.js --check   → sai com código 1 se o manifest estiver desactualizado
+   - Correr depois de alterar qualquer ficheiro da lista (e antes de publicar).
+   - version = hash do conjunto: muda sempre que um ficheiro muda. O sw.js usa-a no nome da cache e,
+     como importa este ficheiro, o browser instala a nova versão do service worker.
+*/
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const root = path.join(__dirname, "..");
+const OUT = "asset-manifest.js";
+const FILES = ["index.html", "styles.css", "i18n.js", "qr.js", "engine.js", "app.js", "manifest.webmanifest"];
+
+function sha256(buf){
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+function assetList(){
+  const icons = fs.readdirSync(path.join(root, "icons")).filter(f=>f.endsWith(".png")).sort().map(f=>`icons/${f}`);
+  return [...FILES, ...icons];
+}
+
+function build(){
+  const assets = {};
+  assetList().forEach(f=>{
+    const file = path.join(root, f);
+    if(!fs.existsSync(file)) throw new Error(`em falta: ${f}`);
+    assets[`./${f}`] = sha256(fs.readFileSync(file)).slice(0, 16);
+  });
+  // the scope root is served as index.html
+  assets["./"] = assets["./index.html"];
+  const version = sha256(Object.keys(assets).sort().map(k=>`${k} ${assets[k]}`).join("\n")).slice(0, 10);
+  return { version, assets };
+}
+
+function render(m){
+  return `/* Gerado por tools/build-manifest.js — não editar à mão. */
+self.ASSET_MANIFEST = ${JSON.stringify(m, null, 2)};
+`;
+}
+
+const text = render(build());
+const target = path.join(root, OUT);
+if(process.argv.includes("--check")){
+  const cur = fs.existsSync(target) ? fs.readFileSync(target, "utf8") : "";
+  if(cur !== text){
+    console.error(`${OUT} desactualizado: corre node tools/build-manifest.js`);
+    process.exit(1);
+  }
+  console.log(`${OUT} em dia.`);
+} else {
+  fs.writeFileSync(target, text);
+  console.log(`${OUT}: versão ${build().version}`);
+}
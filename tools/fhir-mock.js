@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/* Servidor FHIR de teste (mock), sem dependências.
+   Uso: node tools/fhir-mock.js [porta]   (por defeito 8090)
+   - POST /fhir com um Bundle "transaction" → guarda em memória e responde "transaction-response"
+     (201 + Location por entrada), como um servidor FHIR R4.
+   - GET /fhir/Bundle/<id> devolve o Bundle recebido; GET /fhir lista os ids.
+   Na app: Definições → HL7 FHIR → Servidor = http://localhost:8090/fhir
+*/
+const http = require("http");
+
+const port = Number(process.argv[2]) || 8090;
+const received = new Map();
+let seq = 0;
+
+function send(res, status, body, extra = {}){
+  res.writeHead(status, {
+    "Content-Type": "application/fhir+json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept",
+    ...extra
+  });
+  res.end(body === null ? "" : JSON.stringify(body, null, 2));
+}
+
+function outcome(status, text){
+  return { resourceType: "OperationOutcome", issue: [{ severity: "error", code: status === 404 ? "not-found" : "invalid", diagnostics: text }] };
+}
+
+const server = http.createServer((req, res)=>{
+  const path = req.url.split("?")[0].replace(/\/+$/, "");
+  if(req.method === "OPTIONS") return send(res, 204, null);
+  if(!path.startsWith("/fhir")) return send(res, 404, outcome(404, "use /fhir"));
+
+  if(req.method === "GET"){
+    const m = path.match(/^\/fhir\/Bundle\/(\w+)$/);
+    if(m) return received.has(m[1]) ? send(res, 200, received.get(m[1])) : send(res, 404, outcome(404, `Bundle/${m[1]}`));
+    return send(res, 200, { ids: [...received.keys()] });
+  }
+  if(req.method !== "POST" || path !== "/fhir") return send(res, 405, outcome(405, `${req.method} ${path}`));
+
+  let raw = "";
+  req.on("data", (chunk)=>{ raw += chunk; });
+  req.on("end", ()=>{
+    let bundle;
+    try{ bundle = JSON.parse(raw); }catch{ return send(res, 400, outcome(400, "JSON inválido")); }
+    if(!bundle || bundle.resourceType !== "Bundle" || bundle.type !== "transaction" || !Array.isArray(bundle.entry)){
+      return send(res, 400, outcome(400, "esperado Bundle do tipo transaction"));
+    }
+    const bad = bundle.entry.findIndex(e=>!e.resource || !e.request || e.request.method !== "POST");
+    if(bad >= 0) return send(res, 400, outcome(400, `entry[${bad}] sem resource/request POST`));
+
+    const id = String(++seq);
+    received.set(id, bundle);
+    const counts = {};
+    bundle.entry.forEach(e=>{ counts[e.resource.resourceType] = (counts[e.resource.resourceType] || 0) + 1; });
+    console.log(`Bundle/${id}:`, JSON.stringify(counts));
+    send(res, 200, {
+      resourceType: "Bundle",
+      type: "transaction-response",
+      entry: bundle.entry.map((e, i)=>({ response: { status: "201 Created", location: `${e.resource.resourceType}/${id}-${i + 1}/_history/1` } }))
+    }, { Location: `/fhir/Bundle/${id}` });
+  });
+});
+
+server.listen(port, ()=>console.log(`FHIR mock em http://localhost:${port}/fhir`));
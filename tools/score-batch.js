@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/* Cálculo em lote de uma coorte retrospectiva, sem dependências. Usa o motor da app (engine.js): score,
+   nível e fatores são os mesmos que a calculadora dá para os mesmos dados e as mesmas regras.
+   Uso: node tools/score-batch.js <casos.csv|casos.json> [opções]
+        --out <ficheiro.csv|.json>   resultados (por defeito <entrada>.scores.csv)
+        --rules <regras.json>        regras exportadas em Definições (por defeito as regras de base)
+        --decimal , | .              separador decimal do CSV de saída (por defeito "."; "," separa colunas com ";")
+   - Entrada: CSV no formato da exportação da app (uma linha por caso ou por ponto) ou ficheiro de casos
+     JSON (caso ou arquivo, qualquer versão do esquema). Casos com erros são listados e ficam de fora.
+   - Saída: por caso score, nível, versão das regras, fatores principais, pontos de cada componente,
+     métricas derivadas e desfecho; em JSON também a decomposição completa (termos, valores, bandas).
+   - Com desfechos registados (coluna outcome), escreve no terminal um relatório de desempenho,
+     calculado como em "Desempenho" na app.
+*/
+const fs = require("fs");
+const path = require("path");
+const engine = require("../engine.js");
+
+const METRICS = ["sf0", "sf1", "drrPct", "dhrPct", "dpco2", "rox", "roxHr"];
+
+function usage(msg){
+  if(msg) console.error(msg);
+  console.error("Uso: node tools/score-batch.js <casos.csv|casos.json> [--out resultados.csv|.json] [--rules regras.json] [--decimal , | .]");
+  process.exit(2);
+}
+
+function parseArgs(argv){
+  const o = { input: null, out: null, rules: null, decimal: "." };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if(["--out", "--rules", "--decimal"].includes(a)){
+      if(i + 1 >= argv.length) usage(`falta o valor de ${a}`);
+      o[a.slice(2)] = argv[++i];
+    } else if(a === "-h" || a === "--help") usage();
+    else if(a.startsWith("--")) usage(`opção desconhecida: ${a}`);
+    else if(!o.input) o.input = a;
+    else usage(`argumento a mais: ${a}`);
+  }
+  if(!o.input) usage();
+  if(![",", "."].includes(o.decimal)) usage("--decimal tem de ser , ou .");
+  if(!o.out) o.out = o.input.replace(/\.(csv|tsv|txt|json)$/i, "") + ".scores.csv";
+  return o;
+}
+
+function loadRules(file){
+  if(!file) return engine.DEFAULT_RULES;
+  const rules = JSON.parse(fs.readFileSync(file, "utf8"));
+  const errs = engine.validateRules(rules);
+  if(errs.length) throw new Error(`regras inválidas (${file}):\n  ${errs.join("\n  ")}`);
+  return rules;
+}
+
+// → report of readCaseFile / readCsv: { issues, items: [{ rec, issues, ok }] }
+function readInput(file){
+  const text = fs.readFileSync(file, "utf8");
+  if(/\.json$/i.test(file)){
+    let obj;
+    try{ obj = JSON.parse(text); }catch(e){ throw new Error(`JSON inválido: ${e.message}`); }
+    if(obj && obj.resourceType === "Bundle") throw new Error("Bundle FHIR: importa-o na app e exporta o arquivo de casos (JSON ou CSV).");
+    return engine.readCaseFile(obj);
+  }
+  return engine.readCsv(engine.parseCsv(text));
+}
+
+// NIV and HFNC cases are scored with different rule sets: one column per component key seen
+function componentKeys(scored){
+  return [...new Set(scored.flatMap(({ r })=>r.components.map(c=>c.key)))];
+}
+
+function writeCsv(scored, dec){
+  const sep = dec === "," ? ";" : ",";
+  const num = (v)=>engine.csvNum(v, dec);
+  const comps = componentKeys(scored);
+  const head = ["id", "diag", "support", "score", "tier", "tierKey", "rules", "redFlags", "rawScore", "topFactors",
+    ...comps.map(k=>`pts.${k}`), ...METRICS, "outcome", "failure", "hoursToFailure"];
+  const rows = scored.map(({ h, r })=>{
+    const o = h.outcome || {};
+    const pts = new Map(r.components.map(c=>[c.key, c.points]));
+    return [h.id, h.data.diag || "", r.mode, num(r.score), r.tier, r.tierKey, r.rules, r.redFlags ? "1" : "0", num(r.rawScore),
+      r.topFactors.join("; "), ...comps.map(k=>num(pts.get(k))), ...METRICS.map(k=>num(r[k])),
+      o.status || "", o.status ? (engine.isFailure(o) ? "1" : "0") : "", num(engine.safeNum(o.hoursToFailure))];
+  });
+  return "\ufeff" + [head, ...rows].map(r=>r.map(v=>engine.csvCell(v, sep)).join(sep)).join("\r\n") + "\r\n";
+}
+
+function writeJson(scored){
+  return JSON.stringify(scored.map(({ h, r })=>({
+    id: h.id, diag: h.data.diag || null, support: r.mode, score: r.score, tier: r.tier, tierKey: r.tierKey, rules: r.rules,
+    redFlags: !!r.redFlags, topFactors: r.topFactors,
+    metrics: Object.fromEntries(METRICS.map(k=>[k, r[k]])),
+    breakdown: r.breakdown,
+    outcome: h.outcome || null
+  })), null, 2);
+}
+
+const pct = (x)=>(x === null || x === undefined ? "—" : `${(x * 100).toFixed(0)}%`);
+const dec2 = (x)=>(x === null || x === undefined ? "—" : x.toFixed(2));
+const pad = (s, n)=>String(s).padEnd(n);
+const aucText = (a)=>(a ? `${dec2(a.auc)} (IC95% ${dec2(a.lo)}–${dec2(a.hi)})` : "— (precisa de falências e de sucessos)");
+
+function report(st){
+  const out = [];
+  out.push(`Desempenho: ${st.n} casos com desfecho, ${st.failures} falências (${pct(st.n ? st.failures / st.n : null)})`);
+  out.push(`Regras: ${st.rulesUsed.join(", ")}`);
+  out.push(`AUROC do score: ${aucText(st.auc)}`);
+  if(st.hoursToFailure.length){
+    out.push(`Horas até falência: mediana ${st.medianHoursToFailure} (n = ${st.hoursToFailure.length})`);
+  }
+
+  out.push("", "Por nível (sens./espec. = este nível ou acima como teste positivo):");
+  out.push(`  ${pad("nível", 14)}${pad("n", 6)}${pad("falências", 11)}${pad("taxa", 7)}${pad("sens.", 7)}espec.`);
+  st.tiers.forEach(x=>out.push(`  ${pad(x.label, 14)}${pad(x.n, 6)}${pad(x.failures, 11)}${pad(pct(x.n ? x.failures / x.n : null), 7)}${pad(pct(x.atLeast.sens), 7)}${pct(x.atLeast.spec)}`));
+
+  out.push("", "Calibração (falências por faixa de score):");
+  st.calibration.forEach(b=>out.push(`  ${pad(`${b.lo}–${b.hi}`, 9)}${pad(`n = ${b.n}`, 9)}${b.failures} (${pct(b.n ? b.failures / b.n : null)})`));
+
+  out.push("", "Limiares do score:");
+  out.push(`  ${pad("score ≥", 9)}${pad("sens.", 7)}${pad("espec.", 8)}${pad("VPP", 6)}VPN`);
+  st.thresholds.filter(x=>x.t % 10 === 0).forEach(x=>out.push(`  ${pad(x.t, 9)}${pad(pct(x.sens), 7)}${pad(pct(x.spec), 8)}${pad(pct(x.ppv), 6)}${pct(x.npv)}`));
+
+  out.push("", "Componentes (AUROC dos pontos):");
+  st.components.forEach(c=>out.push(`  ${pad(c.label, 44)}${c.auc ? dec2(c.auc.auc) : "—"}`));
+
+  out.push("", "Marcadores:");
+  st.markers.forEach(m=>out.push(`  ${pad(m.label, 34)}${pad(`n = ${m.n}`, 10)}sens. ${pad(pct(m.sens), 6)}espec. ${pct(m.spec)}`));
+  return out.join("\n");
+}
+
+function main(){
+  const o = parseArgs(process.argv.slice(2));
+  const rules = loadRules(o.rules);
+  // records without a stored score are scored on reading, with the same rules
+  engine.configure({ rules: ()=>rules });
+  const rep = readInput(o.input);
+
+  const issues = [...rep.issues, ...rep.items.flatMap(it=>it.issues)];
+  issues.forEach(x=>console.error(`${x.level === "error" ? "erro" : "aviso"}: ${x.path ? `${x.path}: ` : ""}${x.msg}`));
+  const ok = rep.items.filter(it=>it.ok);
+  console.error(`${rep.items.length} caso(s) lido(s), ${ok.length} válido(s), ${rep.items.length - ok.length} com erros.`);
+  if(!ok.length) process.exit(1);
+
+  const scored = ok.map(it=>({ h: it.rec, r: engine.computeRisk(it.rec.data, rules) }));
+  fs.writeFileSync(o.out, /\.json$/i.test(o.out) ? writeJson(scored) : writeCsv(scored, o.decimal));
+  console.error(`Resultados: ${path.resolve(o.out)}`);
+
+  const withOutcome = scored.filter(x=>x.h.outcome && x.h.outcome.status).map(x=>x.h);
+  if(withOutcome.length) console.log(report(engine.auditStats(withOutcome, "current", rules)));
+  else console.log("Sem desfechos registados: relatório de desempenho não calculado.");
+}
+
+try{
+  main();
+}catch(e){
+  console.error(e.message);
+  process.exit(1);
+}